@@ -1,14 +1,16 @@
 
 import React, { useEffect, useMemo, useState } from "react";
 import { createClient } from "@supabase/supabase-js";
+import { DEFAULT_GOALS, DAILY_ROUTINE, CHEAT_DAYS, buildCalendar, formatTime12, formatShortDate, parseICS, calendarEventsOn } from "./calendar.js";
 
 /**
  * FlowState App – Landing + Dashboard single-file (Vite + React + Tailwind)
- * - BACKEND: 'local' (default) or 'supabase' via VITE_BACKEND
+ * - BACKEND: 'local' (default), 'indexeddb' or 'supabase' via VITE_BACKEND
  * - Supabase creds via VITE_SUPABASE_URL and VITE_SUPABASE_KEY
+ * - Routine data and .ics generation live in ./calendar.js (shared with vite.config.js)
  */
 
-const BACKEND = (import.meta.env.VITE_BACKEND || 'local').toLowerCase(); // 'local' | 'supabase'
+const BACKEND = (import.meta.env.VITE_BACKEND || 'local').toLowerCase(); // 'local' | 'indexeddb' | 'supabase'
 const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL || "";
 const SUPABASE_KEY = import.meta.env.VITE_SUPABASE_KEY || "";
 const supabase = (BACKEND === 'supabase' && SUPABASE_URL && SUPABASE_KEY)
@@ -18,13 +20,6 @@ const supabase = (BACKEND === 'supabase' && SUPABASE_URL && SUPABASE_KEY)
 // ---------- Types & Defaults ----------
 const todayISO = () => new Date().toISOString().slice(0, 10);
 
-const DEFAULT_GOALS = {
-  wakeGoal: "07:00",
-  workoutGoal: "19:00",
-  lunchTime: "13:30",
-  dinnerTime: "21:00",
-};
-
 // P.A.R.A. Method Categories
 const PARA_CATEGORIES = {
   PROJECTS: "Projects", // Specific outputs with deadlines
@@ -33,6 +28,30 @@ const PARA_CATEGORIES = {
   ARCHIVES: "Archives" // Inactive items from the above categories
 };
 
+// Allowed statuses per category; the first entry is the default for new or moved items
+const PARA_STATUSES = {
+  PROJECTS: ["pending", "in-progress", "completed"],
+  AREAS: ["maintained", "needs-attention"],
+  RESOURCES: ["active", "reference"],
+  ARCHIVES: ["completed", "outdated", "superseded"]
+};
+
+// Body and activity metrics on the FlowState dashboard
+const DEFAULT_METRICS = {
+  weight: 79.4,
+  bodyFat: 28,
+  steps: 0,
+  stepsGoal: 15000,
+  calories: 0,
+  caloriesGoal: 1600,
+  water: 0,
+  waterGoal: 2.5
+};
+
+const newId = () => (typeof crypto !== "undefined" && crypto.randomUUID)
+  ? crypto.randomUUID()
+  : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
 // AI Processing Structure
 const AI_CAPABILITIES = {
   TASK_EXTRACTION: "Extract tasks and to-dos",
@@ -88,12 +107,388 @@ const TOUR_STEPS = [
   }
 ];
 
+// ---------- Day Schema ----------
+/**
+ * Shape of a stored day. Bump DAY_SCHEMA_VERSION whenever the shape changes and add a migration
+ * from the previous version to DAY_MIGRATIONS. Days written before versioning count as version 1.
+ */
+const DAY_SCHEMA_VERSION = 4;
+const WORKOUT_STATUSES = ["pending", "planned", "done", "skipped"];
+const MOODS = ["low", "neutral", "high"];
+const CHECK_IN_LEVELS = [1, 2, 3, 4, 5]; // the mood and energy scale of a check-in
+const MEAL_KINDS = ["breakfast", "lunch", "dinner", "snack"]; // snacks are a list, the others one meal each
+
+class DayValidationError extends Error {
+  constructor(date, problems) {
+    super(`Could not save ${date}: ${problems.join("; ")}`);
+    this.name = "DayValidationError";
+    this.date = date;
+    this.problems = problems;
+  }
+}
+
+const isPlainObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const isTime = (v) => v === "" || /^([01]\d|2[0-3]):[0-5]\d$/.test(v);
+
+// Each validator returns true or a message describing the problem
+const validateMeal = (v) => (isPlainObject(v) && (v.time == null || isTime(v.time)) && (v.details == null || typeof v.details === "string"))
+  || "must be { time: HH:MM, details: text }";
+
+const DAY_FIELDS = {
+  schemaVersion: (v) => Number.isInteger(v) || "must be an integer",
+  wakeTime: (v) => (typeof v === "string" && isTime(v)) || "must be a 24h HH:MM time or empty",
+  breakfast: validateMeal,
+  lunch: validateMeal,
+  dinner: validateMeal,
+  snacks: (v) => (Array.isArray(v) && v.every((m) => validateMeal(m) === true)) || "must be a list of { time: HH:MM, details: text }",
+  workout: (v) => (isPlainObject(v) && (v.time == null || isTime(v.time)) && (v.status == null || WORKOUT_STATUSES.includes(v.status)))
+    || `must be { time: HH:MM, status: ${WORKOUT_STATUSES.join(" | ")} }`,
+  notes: (v) => typeof v === "string" || "must be text",
+  mood: (v) => MOODS.includes(v) || `must be one of ${MOODS.join(", ")}`,
+  checkIns: (v) => (Array.isArray(v) && v.every((c) => isPlainObject(c) && isTime(c.at) && CHECK_IN_LEVELS.includes(c.mood) && CHECK_IN_LEVELS.includes(c.energy)
+    && (c.tags == null || (Array.isArray(c.tags) && c.tags.every((t) => typeof t === "string")))))
+    || "must be a list of { at: HH:MM, mood: 1-5, energy: 1-5, tags? }",
+  sleepHours: (v) => v === null || (typeof v === "number" && v >= 0 && v <= 24) || "must be hours between 0 and 24",
+  goals: (v) => (isPlainObject(v) && Object.values(v).every((t) => typeof t === "string" && isTime(t)))
+    || "must map goal names to HH:MM times",
+  scheduledItems: (v) => (Array.isArray(v) && v.every((i) => isPlainObject(i) && typeof i.title === "string" && i.title && (i.time == null || isTime(i.time))))
+    || "must be a list of { title, time? }",
+  _fieldTimes: (v) => isPlainObject(v) || "must be an object",
+};
+
+function validateDay(day) {
+  const problems = [];
+  Object.entries(day).forEach(([field, value]) => {
+    const check = DAY_FIELDS[field];
+    if (!check) {
+      problems.push(`unknown field "${field}"`);
+      return;
+    }
+    const result = check(value);
+    if (result !== true) problems.push(`${field} ${result}`);
+  });
+  return problems;
+}
+
+function assertValidDay(date, day) {
+  const problems = /^\d{4}-\d{2}-\d{2}$/.test(date) ? validateDay(day) : [`"${date}" is not a YYYY-MM-DD date`];
+  if (problems.length) throw new DayValidationError(date, problems);
+}
+
+// "7 am", "7:30pm", "7:30" -> "07:00", "19:30", "07:30"; anything else is returned unchanged
+function legacyTimeTo24h(t) {
+  const m = typeof t === "string" && t.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+  if (!m) return t;
+  const meridiem = m[3]?.toLowerCase();
+  const h = meridiem ? (Number(m[1]) % 12) + (meridiem === "pm" ? 12 : 0) : Number(m[1]);
+  return `${String(h).padStart(2, "0")}:${m[2] || "00"}`;
+}
+
+const DAY_MIGRATIONS = {
+  // v1 -> v2: AI chat stored workout.status "intended", 12h wake times and literal "\n" in notes
+  1: (day) => {
+    const next = { ...day };
+    if (next.workout?.status === "intended") next.workout = { ...next.workout, status: "planned" };
+    if (next.wakeTime) next.wakeTime = legacyTimeTo24h(next.wakeTime);
+    if (!isTime(next.wakeTime ?? "")) delete next.wakeTime;
+    if (typeof next.notes === "string") next.notes = next.notes.replace(/\\n/g, "\n");
+    return next;
+  },
+  // v2 -> v3: adds the optional breakfast and snacks fields; nothing stored needs converting
+  2: (day) => day,
+  // v3 -> v4: adds the optional checkIns and sleepHours fields; nothing stored needs converting
+  3: (day) => day,
+};
+
+function migrateDay(day) {
+  if (!day) return day;
+  let current = day;
+  for (let version = day.schemaVersion || 1; version < DAY_SCHEMA_VERSION; version += 1) {
+    current = DAY_MIGRATIONS[version](current);
+  }
+  return { ...current, schemaVersion: DAY_SCHEMA_VERSION };
+}
+
+// ---------- Vault ----------
+/**
+ * Optional encryption at rest. Once a passphrase is set, every record the app stores (the
+ * flowstate.* / flowstate-* localStorage keys and each IndexedDB row) is encrypted with AES-GCM
+ * under a key derived by PBKDF2-SHA-256. Only the vault metadata (salt, iterations and a check value)
+ * stays readable. The localStorage helpers are synchronous, so while the vault is unlocked the
+ * decrypted values are kept in memory and each write is encrypted and persisted in the background.
+ */
+const VAULT_KEY = "flowstate.vault";
+const VAULT_PREFIX = "vault1:";
+const VAULT_ITERATIONS = 310000;
+const VAULT_CHECK = "flowstate-vault";
+
+class VaultLockedError extends Error {
+  constructor() {
+    super("Your data is encrypted. Unlock it with your passphrase first.");
+    this.name = "VaultLockedError";
+  }
+}
+
+let vaultKey = null;
+const vaultCache = new Map();
+let vaultWrites = Promise.resolve();
+let vaultRekey = null;
+const vaultRowWrites = new Set();
+let vaultState = { enabled: readVaultMeta() != null, unlocked: false };
+const vaultListeners = new Set();
+
+function readVaultMeta() {
+  try {
+    return JSON.parse(localStorage.getItem(VAULT_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+function setVaultState(patch) {
+  vaultState = { ...vaultState, ...patch };
+  vaultListeners.forEach((fn) => fn(vaultState));
+}
+
+function useVault() {
+  const [state, setState] = useState(vaultState);
+  useEffect(() => {
+    vaultListeners.add(setState);
+    return () => vaultListeners.delete(setState);
+  }, []);
+  return state;
+}
+
+// Runs `fn` once the stored data is readable: immediately without a vault, otherwise after the first unlock
+function whenVaultReadable(fn) {
+  if (!vaultState.enabled || vaultState.unlocked) {
+    fn();
+    return;
+  }
+  const listener = (state) => {
+    if (!state.unlocked) return;
+    vaultListeners.delete(listener);
+    fn();
+  };
+  vaultListeners.add(listener);
+}
+
+// The mirror owner and the vault metadata itself are not personal data and must stay readable
+const isVaultedKey = (key) => key !== VAULT_KEY && key !== MIRROR_OWNER_KEY && (key.startsWith("flowstate.") || key.startsWith(SETTING_KEY_PREFIX));
+const isSealed = (v) => typeof v === "string" && v.startsWith(VAULT_PREFIX);
+
+function vaultedLocalKeys() {
+  return Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i)).filter((k) => k && isVaultedKey(k));
+}
+
+function toBase64(bytes) {
+  let s = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(s);
+}
+
+const fromBase64 = (s) => Uint8Array.from(atob(s), (c) => c.charCodeAt(0));
+
+async function deriveVaultKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"],
+  );
+}
+
+// "vault1:" + base64(12-byte IV + ciphertext)
+async function sealText(text, key = vaultKey) {
+  if (!key) throw new VaultLockedError();
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const cipher = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(text)));
+  const out = new Uint8Array(iv.length + cipher.length);
+  out.set(iv);
+  out.set(cipher, iv.length);
+  return VAULT_PREFIX + toBase64(out);
+}
+
+async function openText(sealed, key = vaultKey) {
+  if (!key) throw new VaultLockedError();
+  const bytes = fromBase64(sealed.slice(VAULT_PREFIX.length));
+  const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: bytes.subarray(0, 12) }, key, bytes.subarray(12));
+  return new TextDecoder().decode(plain);
+}
+
+// IndexedDB rows keep their key path readable; the rest of the row moves into `sealed`
+async function sealRow(row, keyPath, key = vaultKey) {
+  if (!vaultState.enabled) return row;
+  return { [keyPath]: row[keyPath], sealed: await sealText(JSON.stringify(row), key) };
+}
+
+async function openRow(row, key = vaultKey) {
+  if (!row?.sealed) return row;
+  return JSON.parse(await openText(row.sealed, key));
+}
+
+// localStorage access for everything in the Local Storage Helpers below
+function readStored(key) {
+  if (!vaultState.enabled || !isVaultedKey(key)) return localStorage.getItem(key);
+  if (!vaultKey) throw new VaultLockedError();
+  return vaultCache.get(key) ?? null;
+}
+
+function writeStored(key, value) {
+  if (!vaultState.enabled || !isVaultedKey(key)) {
+    localStorage.setItem(key, value);
+    return;
+  }
+  if (!vaultKey) throw new VaultLockedError();
+  vaultCache.set(key, value);
+  // Writes queued during a passphrase change wait for it and seal with the new key; earlier ones land before it starts
+  const rekey = vaultRekey;
+  vaultWrites = vaultWrites
+    .then(async () => {
+      await rekey;
+      localStorage.setItem(key, await sealText(value));
+    })
+    .catch((e) => console.warn("Could not persist encrypted", key, e));
+}
+
+function removeStored(key) {
+  if (!vaultState.enabled || !isVaultedKey(key)) {
+    localStorage.removeItem(key);
+    return;
+  }
+  vaultCache.delete(key);
+  vaultWrites = vaultWrites.then(() => localStorage.removeItem(key));
+}
+
+// IndexedDB writes that seal rows: held while the key changes, and tracked so the change can wait for them.
+// `write` must call sealRow synchronously, so the key it seals with is the one checked here.
+async function sealedRowWrite(write) {
+  while (vaultRekey) await vaultRekey;
+  const pending = write();
+  vaultRowWrites.add(pending);
+  try {
+    return await pending;
+  } finally {
+    vaultRowWrites.delete(pending);
+  }
+}
+
+// Runs `fn` once the writes in flight have landed, holding new ones until it is done
+async function whileRekeying(fn) {
+  while (vaultRekey) await vaultRekey;
+  const inFlight = [vaultWrites, ...vaultRowWrites];
+  let release;
+  vaultRekey = new Promise((resolve) => { release = resolve; });
+  try {
+    await Promise.allSettled(inFlight);
+    return await fn();
+  } finally {
+    vaultRekey = null;
+    release();
+  }
+}
+
+// Decrypts every vaulted key into the cache; stray plaintext values are encrypted on the way
+async function loadVaultCache(key) {
+  const entries = await Promise.all(vaultedLocalKeys().map(async (k) => {
+    const raw = localStorage.getItem(k);
+    return [k, isSealed(raw) ? await openText(raw, key) : raw, !isSealed(raw)];
+  }));
+  vaultCache.clear();
+  entries.forEach(([k, value]) => vaultCache.set(k, value));
+  return entries.filter(([, , plaintext]) => plaintext).map(([k, value]) => [k, value]);
+}
+
+async function keyFromPassphrase(passphrase, meta = readVaultMeta()) {
+  const key = await deriveVaultKey(passphrase, fromBase64(meta.salt), meta.iterations);
+  try {
+    if ((await openText(meta.check, key)) === VAULT_CHECK) return key;
+  } catch {
+    // AES-GCM rejects a wrong key
+  }
+  throw new Error("Wrong passphrase.");
+}
+
+async function newVaultKey(passphrase) {
+  if (passphrase.length < 8) throw new Error("Use a passphrase of at least 8 characters.");
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveVaultKey(passphrase, salt, VAULT_ITERATIONS);
+  const meta = { version: 1, salt: toBase64(salt), iterations: VAULT_ITERATIONS, check: await sealText(VAULT_CHECK, key) };
+  return { key, meta };
+}
+
+async function unlockVault(passphrase) {
+  const key = await keyFromPassphrase(passphrase);
+  const plaintext = await loadVaultCache(key);
+  vaultKey = key;
+  plaintext.forEach(([k, value]) => writeStored(k, value));
+  setVaultState({ unlocked: true });
+}
+
+async function lockVault() {
+  await vaultWrites;
+  vaultKey = null;
+  vaultCache.clear();
+  setVaultState({ unlocked: false });
+}
+
+// Moves the existing plaintext data into the vault
+async function enableVault(passphrase) {
+  const { key, meta } = await newVaultKey(passphrase);
+  await whileRekeying(async () => {
+    const plaintext = vaultedLocalKeys().map((k) => [k, localStorage.getItem(k)]);
+    vaultKey = key;
+    vaultCache.clear();
+    localStorage.setItem(VAULT_KEY, JSON.stringify(meta));
+    setVaultState({ enabled: true, unlocked: true });
+    plaintext.forEach(([k, value]) => vaultCache.set(k, value));
+    const sealed = await Promise.all(plaintext.map(async ([k, value]) => [k, await sealText(value, key)]));
+    sealed.forEach(([k, value]) => localStorage.setItem(k, value));
+    if (storage.name === "indexeddb") await rewriteIDBRows((row, keyPath) => sealRow(row, keyPath, key));
+  });
+}
+
+// Re-encrypts everything under a key derived from the new passphrase
+async function changeVaultPassphrase(current, next) {
+  const oldKey = await keyFromPassphrase(current);
+  const { key, meta } = await newVaultKey(next);
+  await whileRekeying(async () => {
+    if (storage.name === "indexeddb") await rewriteIDBRows(async (row, keyPath) => sealRow(await openRow(row, oldKey), keyPath, key));
+    const resealed = await Promise.all(Array.from(vaultCache, async ([k, value]) => [k, await sealText(value, key)]));
+    resealed.forEach(([k, sealed]) => localStorage.setItem(k, sealed));
+    localStorage.setItem(VAULT_KEY, JSON.stringify(meta));
+    vaultKey = key;
+  });
+}
+
+// Another tab set up the vault or changed the passphrase: this tab's key and cache are stale
+if (typeof window !== "undefined") {
+  window.addEventListener("storage", (e) => {
+    if (e.key !== VAULT_KEY) return;
+    vaultKey = null;
+    vaultCache.clear();
+    setVaultState({ enabled: readVaultMeta() != null, unlocked: false });
+  });
+}
+
 // ---------- Local Storage Helpers ----------
 const STORAGE_KEY = "flowstate.daily";
+const PARA_STORAGE_KEY = "flowstate.para";
+const TASKS_STORAGE_KEY = "flowstate.tasks";
+const CHATS_STORAGE_KEY = "flowstate.chats";
+const PEOPLE_STORAGE_KEY = "flowstate.people";
+const GOALS_STORAGE_KEY = "flowstate.goals";
+const CHEAT_DAYS_STORAGE_KEY = "flowstate.cheatDays";
+const REVISIONS_STORAGE_KEY = "flowstate.revisions"; // { [date]: revision[] }
+const REVISION_LIMIT = 50; // per day, oldest dropped first
+const SETTING_KEY_PREFIX = "flowstate-"; // flowstate-metrics, flowstate-theme, ...
 
+// Reads sit outside the try so a locked vault surfaces as VaultLockedError instead of an empty store
 function loadAllDaysLocal() {
+  const raw = readStored(STORAGE_KEY);
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
     return raw ? JSON.parse(raw) : {};
   } catch {
     return {};
@@ -101,74 +496,990 @@ function loadAllDaysLocal() {
 }
 
 function saveAllDaysLocal(obj) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(obj));
+  writeStored(STORAGE_KEY, JSON.stringify(obj));
 }
 
 function upsertDayLocal(date, data) {
   const all = loadAllDaysLocal();
-  all[date] = { ...(all[date] || {}), ...data };
+  all[date] = mergeDayFields(all[date] || {}, data);
   saveAllDaysLocal(all);
   return all[date];
 }
 
+function replaceDayLocal(date, day) {
+  const all = loadAllDaysLocal();
+  all[date] = day;
+  saveAllDaysLocal(all);
+  return day;
+}
+
 function readDayLocal(date) {
   const all = loadAllDaysLocal();
   return all[date] || null;
 }
 
+// Chat threads only ever gain messages, so two copies merge by message id instead of one replacing the other
+function mergeChatThread(base, incoming) {
+  if (!base) return incoming;
+  const messages = new Map([...(base.messages || []), ...(incoming.messages || [])].map((m) => [m.id, m]));
+  return {
+    ...base,
+    ...incoming,
+    createdAt: base.createdAt || incoming.createdAt,
+    messages: [...messages.values()].sort((a, b) => a.at.localeCompare(b.at)),
+  };
+}
+
+/**
+ * Lists of records with an `id` that every backend stores and syncs the same way: one localStorage
+ * key, one IndexedDB store named like the collection and one Supabase table of (id, user_id, payload).
+ * Two copies of a record are combined by `merge` when the collection has one; otherwise the incoming
+ * fields go over the stored ones on this device, and in Supabase the copy with the newer `updatedAt`
+ * wins. replaceRecord skips the merge on this device, so fields the new copy lacks are dropped; in
+ * Supabase the whole payload is written either way. Outbox entries are { kind, [entryKey]: record }
+ * and { kind: `${kind}Delete`, id }.
+ */
+const COLLECTIONS = {
+  para: { storageKey: PARA_STORAGE_KEY, table: "flowstate_para_items", kind: "para", entryKey: "item", change: "para" },
+  tasks: { storageKey: TASKS_STORAGE_KEY, table: "flowstate_tasks", kind: "task", entryKey: "task", change: "task" },
+  chats: { storageKey: CHATS_STORAGE_KEY, table: "flowstate_chat_threads", kind: "chat", entryKey: "thread", change: "chat", merge: mergeChatThread },
+  people: { storageKey: PEOPLE_STORAGE_KEY, table: "flowstate_people", kind: "person", entryKey: "person", change: "person" },
+  goals: { storageKey: GOALS_STORAGE_KEY, table: "flowstate_goals", kind: "goal", entryKey: "goal", change: "goal" },
+  cheatDays: { storageKey: CHEAT_DAYS_STORAGE_KEY, table: "flowstate_cheat_days", kind: "cheatDay", entryKey: "cheatDay", change: "cheatDay" },
+};
+
+function mergeRecord(collection, stored, incoming) {
+  const { merge } = COLLECTIONS[collection];
+  return merge ? merge(stored, incoming) : { ...(stored || {}), ...incoming };
+}
+
+function loadRecordsLocal(collection) {
+  const raw = readStored(COLLECTIONS[collection].storageKey);
+  try {
+    return raw ? JSON.parse(raw) : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveRecordsLocal(collection, records) {
+  writeStored(COLLECTIONS[collection].storageKey, JSON.stringify(records));
+}
+
+function upsertRecordLocal(collection, record) {
+  const records = loadRecordsLocal(collection);
+  const idx = records.findIndex((r) => r.id === record.id);
+  const merged = mergeRecord(collection, records[idx], record);
+  if (idx === -1) records.push(merged);
+  else records[idx] = merged;
+  saveRecordsLocal(collection, records);
+  return merged;
+}
+
+function replaceRecordLocal(collection, record) {
+  saveRecordsLocal(collection, [...loadRecordsLocal(collection).filter((r) => r.id !== record.id), record]);
+  return record;
+}
+
+function deleteRecordLocal(collection, id) {
+  saveRecordsLocal(collection, loadRecordsLocal(collection).filter((r) => r.id !== id));
+}
+
+// Keeps a day's revisions unique, in time order and within REVISION_LIMIT
+function appendRevision(revisions, revision) {
+  return [...revisions.filter((r) => r.id !== revision.id), revision]
+    .sort((a, b) => a.at.localeCompare(b.at))
+    .slice(-REVISION_LIMIT);
+}
+
+function loadAllRevisionsLocal() {
+  const raw = readStored(REVISIONS_STORAGE_KEY);
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+}
+
+function loadRevisionsLocal(date) {
+  return loadAllRevisionsLocal()[date] || [];
+}
+
+function addRevisionLocal(revision) {
+  const all = loadAllRevisionsLocal();
+  all[revision.date] = appendRevision(all[revision.date] || [], revision);
+  writeStored(REVISIONS_STORAGE_KEY, JSON.stringify(all));
+}
+
+// Settings predate this helper: the theme was stored as a bare string, everything else as JSON
+function getSettingLocal(key, fallback = null) {
+  const raw = readStored(SETTING_KEY_PREFIX + key);
+  if (raw == null) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+function setSettingLocal(key, value) {
+  writeStored(SETTING_KEY_PREFIX + key, typeof value === "string" ? value : JSON.stringify(value));
+}
+
+// ---------- Storage Adapters ----------
+/**
+ * Every backend implements the same async interface:
+ *   loadAllDays()             -> { [date]: day }
+ *   readDay(date)             -> day | null
+ *   upsertDay(date, partial)  -> merged day
+ *   replaceDay(date, day)     -> day (drops fields the new day doesn't have)
+ *   loadRecords(collection)           -> record[] (collection: a key of COLLECTIONS)
+ *   upsertRecord(collection, record)  -> stored record, merged with the stored copy
+ *   replaceRecord(collection, record) -> record (drops fields the new record doesn't have)
+ *   deleteRecord(collection, id)
+ *   getSetting(key, fallback) / setSetting(key, value)   (metrics, theme, ...)
+ *   loadRevisions(date)       -> revision[] (oldest first, see Revisions below)
+ *   addRevision(revision)
+ */
+const localAdapter = {
+  name: "local",
+  loadAllDays: async () => loadAllDaysLocal(),
+  readDay: async (date) => readDayLocal(date),
+  upsertDay: async (date, data) => upsertDayLocal(date, data),
+  replaceDay: async (date, day) => replaceDayLocal(date, day),
+  loadRecords: async (collection) => loadRecordsLocal(collection),
+  upsertRecord: async (collection, record) => upsertRecordLocal(collection, record),
+  replaceRecord: async (collection, record) => replaceRecordLocal(collection, record),
+  deleteRecord: async (collection, id) => deleteRecordLocal(collection, id),
+  getSetting: async (key, fallback) => getSettingLocal(key, fallback),
+  setSetting: async (key, value) => setSettingLocal(key, value),
+  loadRevisions: async (date) => loadRevisionsLocal(date),
+  addRevision: async (revision) => addRevisionLocal(revision),
+};
+
+// ---------- IndexedDB Adapter ----------
+// One record per day instead of a single JSON blob, so writes stay small as history grows.
+const IDB_NAME = "flowstate";
+const IDB_VERSION = 7; // 2: revisions store, 3: tasks store, 4: chats store, 5: people store, 6: goals store, 7: cheatDays store
+const IDB_MIGRATED_SETTING = "__migratedFromLocalStorage";
+let idbPromise = null;
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openIDB() {
+  if (!idbPromise) {
+    idbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains("days")) db.createObjectStore("days", { keyPath: "date" });
+        if (!db.objectStoreNames.contains("para")) db.createObjectStore("para", { keyPath: "id" });
+        if (!db.objectStoreNames.contains("settings")) db.createObjectStore("settings", { keyPath: "key" });
+        if (!db.objectStoreNames.contains("revisions")) db.createObjectStore("revisions", { keyPath: "date" });
+        if (!db.objectStoreNames.contains("tasks")) db.createObjectStore("tasks", { keyPath: "id" });
+        if (!db.objectStoreNames.contains("chats")) db.createObjectStore("chats", { keyPath: "id" });
+        if (!db.objectStoreNames.contains("people")) db.createObjectStore("people", { keyPath: "id" });
+        if (!db.objectStoreNames.contains("goals")) db.createObjectStore("goals", { keyPath: "id" });
+        if (!db.objectStoreNames.contains("cheatDays")) db.createObjectStore("cheatDays", { keyPath: "id" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).then(async (db) => {
+      await migrateLocalToIDB(db);
+      return db;
+    }).catch((e) => {
+      // Not cached, so the next call retries (the migration throws VaultLockedError until the vault is unlocked)
+      idbPromise = null;
+      throw e;
+    });
+  }
+  return idbPromise;
+}
+
+// Runs `fn` inside a transaction and resolves with its result once the transaction commits
+function idbTransaction(db, storeNames, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    let result;
+    Promise.resolve(fn(tx)).then((r) => { result = r; }, (e) => { tx.abort(); reject(e); });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+  });
+}
+
+async function withStore(storeName, mode, fn) {
+  const db = await openIDB();
+  return idbTransaction(db, [storeName], mode, (tx) => fn(tx.objectStore(storeName)));
+}
+
+// Copies flowstate.daily, flowstate.para and the flowstate-* settings into IndexedDB once,
+// then drops the localStorage copies so they stop counting against the quota.
+async function migrateLocalToIDB(db) {
+  const done = await idbTransaction(db, ["settings"], "readonly", (tx) =>
+    idbRequest(tx.objectStore("settings").get(IDB_MIGRATED_SETTING)));
+  if (done) return;
+
+  const legacySettings = ["metrics", "theme"]
+    .map((key) => [key, getSettingLocal(key)])
+    .filter(([, value]) => value != null);
+  // Rows are sealed up front: a transaction commits as soon as it waits on anything but IndexedDB
+  const dayRows = await Promise.all(Object.entries(loadAllDaysLocal()).map(([date, payload]) => sealRow({ date, payload }, "date")));
+  const paraRows = await Promise.all(loadRecordsLocal("para").map((item) => sealRow(item, "id")));
+  const settingRows = await Promise.all([...legacySettings, [IDB_MIGRATED_SETTING, new Date().toISOString()]]
+    .map(([key, value]) => sealRow({ key, value }, "key")));
+
+  await idbTransaction(db, ["days", "para", "settings"], "readwrite", (tx) => {
+    dayRows.forEach((row) => tx.objectStore("days").put(row));
+    paraRows.forEach((row) => tx.objectStore("para").put(row));
+    settingRows.forEach((row) => tx.objectStore("settings").put(row));
+  });
+
+  removeStored(STORAGE_KEY);
+  removeStored(PARA_STORAGE_KEY);
+  legacySettings.forEach(([key]) => removeStored(SETTING_KEY_PREFIX + key));
+}
+
+const IDB_KEY_PATHS = { days: "date", para: "id", settings: "key", revisions: "date", tasks: "id", chats: "id", people: "id", goals: "id", cheatDays: "id" };
+
+// Rows may be sealed by the vault, so every read goes through openRow and every write through sealRow
+const getRow = async (storeName, key) => openRow(await withStore(storeName, "readonly", (store) => idbRequest(store.get(key))));
+const getAllRows = async (storeName) => Promise.all((await withStore(storeName, "readonly", (store) => idbRequest(store.getAll()))).map((row) => openRow(row)));
+const putRow = (storeName, row) => sealedRowWrite(async () => {
+  const stored = await sealRow(row, IDB_KEY_PATHS[storeName]);
+  return withStore(storeName, "readwrite", (store) => idbRequest(store.put(stored)));
+});
+
+// Rewrites every row in one transaction (vault setup and passphrase changes)
+async function rewriteIDBRows(transform) {
+  const db = await openIDB();
+  const rewritten = {};
+  for (const [storeName, keyPath] of Object.entries(IDB_KEY_PATHS)) {
+    const rows = await idbTransaction(db, [storeName], "readonly", (tx) => idbRequest(tx.objectStore(storeName).getAll()));
+    rewritten[storeName] = await Promise.all(rows.map((row) => transform(row, keyPath)));
+  }
+  await idbTransaction(db, Object.keys(IDB_KEY_PATHS), "readwrite", (tx) => {
+    Object.entries(rewritten).forEach(([storeName, rows]) => rows.forEach((row) => tx.objectStore(storeName).put(row)));
+  });
+}
+
+// Read-modify-write runs as two transactions because WebCrypto calls cannot happen inside one
+const indexedDBAdapter = {
+  name: "indexeddb",
+  async loadAllDays() {
+    const rows = await getAllRows("days");
+    const entries = {};
+    rows.forEach((row) => { entries[row.date] = row.payload; });
+    return entries;
+  },
+  async readDay(date) {
+    const row = await getRow("days", date);
+    return row?.payload || null;
+  },
+  async upsertDay(date, data) {
+    const row = await getRow("days", date);
+    const payload = mergeDayFields(row?.payload || {}, data);
+    await putRow("days", { date, payload });
+    return payload;
+  },
+  async replaceDay(date, day) {
+    await putRow("days", { date, payload: day });
+    return day;
+  },
+  loadRecords: (collection) => getAllRows(collection),
+  async upsertRecord(collection, record) {
+    const next = mergeRecord(collection, await getRow(collection, record.id), record);
+    await putRow(collection, next);
+    return next;
+  },
+  async replaceRecord(collection, record) {
+    await putRow(collection, record);
+    return record;
+  },
+  deleteRecord: (collection, id) => withStore(collection, "readwrite", (store) => idbRequest(store.delete(id))),
+  async getSetting(key, fallback = null) {
+    const row = await getRow("settings", key);
+    return row ? row.value : fallback;
+  },
+  setSetting: (key, value) => putRow("settings", { key, value }),
+  async loadRevisions(date) {
+    const row = await getRow("revisions", date);
+    return row?.revisions || [];
+  },
+  async addRevision(revision) {
+    const row = await getRow("revisions", revision.date);
+    await putRow("revisions", { date: revision.date, revisions: appendRevision(row?.revisions || [], revision) });
+  },
+};
+
 // ---------- Supabase Adapter ----------
-async function loadAllDays() {
-  if (BACKEND === "supabase" && supabase) {
+// Reads mirror into the local adapter so the app keeps working offline. Failed writes land in the
+// local mirror and the outbox (see Sync below) and are replayed once Supabase is reachable again.
+// Every query is scoped to the signed-in user (see Auth below); RLS enforces the same on the server.
+// Settings always stay on the device.
+async function fetchRemoteDay(date) {
+  const { data, error } = await supabase
+    .from("flowstate_days")
+    .select("*")
+    .eq("user_id", requireUserId())
+    .eq("date", date)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.payload || null;
+}
+
+// The merge runs in the database (flowstate_merge_day) so two devices writing the same day at once
+// cannot overwrite each other's fields
+async function pushDayRemote(date, partial) {
+  requireUserId();
+  const { data: merged, error } = await supabase.rpc("flowstate_merge_day", { p_date: date, p_partial: partial });
+  if (error) throw error;
+  return merged;
+}
+
+async function pushRecordRemote(collection, record) {
+  const { table, merge } = COLLECTIONS[collection];
+  const { data: existing, error: readError } = await supabase
+    .from(table)
+    .select("*")
+    .eq("user_id", requireUserId())
+    .eq("id", record.id)
+    .maybeSingle();
+  if (readError) throw readError;
+  // Record-level last-writer-wins: a newer copy from another device is kept
+  if (!merge && (existing?.payload?.updatedAt || "") > (record.updatedAt || "")) return existing.payload;
+  const payload = merge ? merge(existing?.payload, record) : record;
+  const { data: upserted, error } = await supabase
+    .from(table)
+    .upsert({ id: record.id, user_id: requireUserId(), payload }, { onConflict: "id" })
+    .select();
+  if (error) throw error;
+  return upserted?.[0]?.payload || payload;
+}
+
+async function deleteRecordRemote(collection, id) {
+  const { error } = await supabase
+    .from(COLLECTIONS[collection].table)
+    .delete()
+    .eq("user_id", requireUserId())
+    .eq("id", id);
+  if (error) throw error;
+}
+
+async function pushRevisionRemote(revision) {
+  const { error } = await supabase
+    .from("flowstate_day_revisions")
+    .upsert({ id: revision.id, user_id: requireUserId(), date: revision.date, at: revision.at, source: revision.source, changes: revision.changes }, { onConflict: "id" });
+  if (error) throw error;
+}
+
+const supabaseAdapter = {
+  name: "supabase",
+  async loadAllDays() {
     try {
-      const { data, error } = await supabase.from("flowstate_days").select("*");
+      const { data, error } = await supabase.from("flowstate_days").select("*").eq("user_id", requireUserId());
       if (error) throw error;
       const entries = {};
       data.forEach((row) => { entries[row.date] = row.payload; });
-      return entries;
+      const reconciled = applyPendingDays(entries);
+      saveAllDaysLocal(reconciled);
+      return reconciled;
     } catch (e) {
       console.warn("Supabase loadAllDays failed, using local fallback", e);
-      return loadAllDaysLocal();
+      return localAdapter.loadAllDays();
     }
-  }
-  return loadAllDaysLocal();
-}
-
-async function upsertDay(date, data) {
-  if (BACKEND === "supabase" && supabase) {
+  },
+  async upsertDay(date, data) {
+    try {
+      const payload = await pushDayRemote(date, data);
+      return upsertDayLocal(date, payload);
+    } catch (e) {
+      console.warn("Supabase upsert failed, queued for sync", e);
+      enqueueOutbox({ kind: "day", date, data });
+      return localAdapter.upsertDay(date, data);
+    }
+  },
+  // Offline, a replacement is queued like any other write, so fields only the server has survive it
+  async replaceDay(date, day) {
     try {
-      const { data: upserted, error } = await supabase
+      const { error } = await supabase
         .from("flowstate_days")
-        .upsert({ date, payload: data }, { onConflict: "date" })
-        .select();
+        .upsert({ user_id: requireUserId(), date, payload: day }, { onConflict: "user_id,date" });
       if (error) throw error;
-      return upserted?.[0]?.payload || data;
     } catch (e) {
-      console.warn("Supabase upsert failed, using local fallback", e);
-      return upsertDayLocal(date, data);
+      console.warn("Supabase replace failed, queued for sync", e);
+      enqueueOutbox({ kind: "day", date, data: day });
     }
-  }
-  return upsertDayLocal(date, data);
-}
-
-async function readDay(date) {
-  if (BACKEND === "supabase" && supabase) {
+    return replaceDayLocal(date, day);
+  },
+  async readDay(date) {
+    try {
+      const remote = await fetchRemoteDay(date);
+      const reconciled = applyPendingDays(remote ? { [date]: remote } : {})[date] || null;
+      if (reconciled) upsertDayLocal(date, reconciled);
+      return reconciled;
+    } catch (e) {
+      console.warn("Supabase read failed, using local fallback", e);
+      return localAdapter.readDay(date);
+    }
+  },
+  async loadRecords(collection) {
+    try {
+      const { data, error } = await supabase.from(COLLECTIONS[collection].table).select("*").eq("user_id", requireUserId());
+      if (error) throw error;
+      const records = applyPendingRecords(collection, data.map((row) => row.payload));
+      saveRecordsLocal(collection, records);
+      return records;
+    } catch (e) {
+      console.warn(`Supabase load of ${collection} failed, using local fallback`, e);
+      return localAdapter.loadRecords(collection);
+    }
+  },
+  async upsertRecord(collection, record) {
+    try {
+      const stored = await pushRecordRemote(collection, record);
+      return upsertRecordLocal(collection, stored);
+    } catch (e) {
+      console.warn(`Supabase upsert to ${collection} failed, queued for sync`, e);
+      const { kind, entryKey } = COLLECTIONS[collection];
+      enqueueOutbox({ kind, [entryKey]: record });
+      return localAdapter.upsertRecord(collection, record);
+    }
+  },
+  async replaceRecord(collection, record) {
+    try {
+      return replaceRecordLocal(collection, await pushRecordRemote(collection, record));
+    } catch (e) {
+      console.warn(`Supabase replace in ${collection} failed, queued for sync`, e);
+      const { kind, entryKey } = COLLECTIONS[collection];
+      enqueueOutbox({ kind, [entryKey]: record });
+      return localAdapter.replaceRecord(collection, record);
+    }
+  },
+  async deleteRecord(collection, id) {
+    try {
+      await deleteRecordRemote(collection, id);
+    } catch (e) {
+      console.warn(`Supabase delete from ${collection} failed, queued for sync`, e);
+      enqueueOutbox({ kind: `${COLLECTIONS[collection].kind}Delete`, id });
+    }
+    return localAdapter.deleteRecord(collection, id);
+  },
+  getSetting: (key, fallback) => localAdapter.getSetting(key, fallback),
+  setSetting: (key, value) => localAdapter.setSetting(key, value),
+  // Revisions still waiting in the outbox are only in the local mirror, so both are combined
+  async loadRevisions(date) {
     try {
       const { data, error } = await supabase
-        .from("flowstate_days")
+        .from("flowstate_day_revisions")
         .select("*")
+        .eq("user_id", requireUserId())
         .eq("date", date)
-        .maybeSingle();
+        .order("at", { ascending: false })
+        .limit(REVISION_LIMIT);
       if (error) throw error;
-      return data?.payload || null;
+      data.forEach(({ id, at, source, changes }) => addRevisionLocal({ id, date, at, source, changes }));
     } catch (e) {
-      console.warn("Supabase read failed, using local fallback", e);
-      return readDayLocal(date);
+      console.warn("Supabase loadRevisions failed, using local fallback", e);
     }
-  }
-  return readDayLocal(date);
+    return loadRevisionsLocal(date);
+  },
+  async addRevision(revision) {
+    addRevisionLocal(revision);
+    try {
+      await pushRevisionRemote(revision);
+    } catch (e) {
+      console.warn("Supabase addRevision failed, queued for sync", e);
+      enqueueOutbox({ kind: "revision", revision });
+    }
+  },
+};
+
+// ---------- Sync ----------
+/**
+ * Conflict policy: per-field last-writer-wins. Every write through upsertDay stamps the fields it
+ * touches in `_fieldTimes`, and merging two copies of a day keeps, field by field, the value with
+ * the newer stamp. Unstamped (legacy) fields lose to stamped ones.
+ */
+function stampDayFields(partial, at = new Date().toISOString()) {
+  const times = {};
+  Object.keys(partial).forEach((k) => { if (k !== "_fieldTimes") times[k] = at; });
+  return { ...partial, _fieldTimes: { ...(partial._fieldTimes || {}), ...times } };
 }
 
-// ---------- Seed ----------
+function mergeDayFields(base = {}, incoming = {}) {
+  const baseTimes = base._fieldTimes || {};
+  const incomingTimes = incoming._fieldTimes || {};
+  const merged = { ...base };
+  const times = { ...baseTimes };
+  Object.keys(incoming).forEach((k) => {
+    if (k === "_fieldTimes") return;
+    if ((incomingTimes[k] || "") >= (baseTimes[k] || "")) {
+      merged[k] = incoming[k];
+      if (incomingTimes[k]) times[k] = incomingTimes[k];
+    }
+  });
+  return { ...merged, _fieldTimes: times };
+}
+
+const OUTBOX_KEY = "flowstate.outbox";
+const OUTBOX_RETRY_MS = 30000;
+// `parked` counts entries Supabase rejected outright; `error` is the last rejection's message
+let syncState = { status: "synced", pending: 0, parked: 0, error: null }; // 'synced' | 'syncing' | 'pending' | 'offline' | 'error'
+const syncListeners = new Set();
+
+function setSyncState(patch) {
+  syncState = { ...syncState, ...patch };
+  syncListeners.forEach((fn) => fn(syncState));
+}
+
+function subscribeSyncStatus(fn) {
+  syncListeners.add(fn);
+  return () => syncListeners.delete(fn);
+}
+
+function useSyncStatus() {
+  const [state, setState] = useState(syncState);
+  useEffect(() => subscribeSyncStatus(setState), []);
+  return state;
+}
+
+function loadOutbox() {
+  try {
+    const raw = readStored(OUTBOX_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch {
+    return [];
+  }
+}
+
+// The outbox is shared by everyone who signs in on this device; entries only replay for their owner
+function ownOutboxEntries(queue = loadOutbox()) {
+  return queue.filter((e) => e.userId === currentUser?.id);
+}
+
+function countOutbox(queue = loadOutbox()) {
+  const own = ownOutboxEntries(queue);
+  const parked = own.filter((e) => e.parked);
+  setSyncState({ pending: own.length - parked.length, parked: parked.length, error: parked[parked.length - 1]?.parked.error || null });
+}
+
+function saveOutbox(queue) {
+  writeStored(OUTBOX_KEY, JSON.stringify(queue));
+  countOutbox(queue);
+}
+
+// Entries flushOutbox retries on its own; parked ones wait for a new write to the same target or a manual retry
+const replayableEntries = () => ownOutboxEntries().filter((e) => !e.parked);
+
+/**
+ * Whether retrying cannot help: the server rejected the write itself. Postgres data exceptions (22),
+ * constraint violations (23), permission and RLS failures (42) and PostgREST request errors (PGRST1xx,
+ * PGRST2xx) are permanent; network failures and everything else are retried.
+ */
+function isPermanentSyncError(e) {
+  return /^(?:22|23|42|PGRST[12])/.test(e?.code || "");
+}
+
+// The collection an outbox entry writes to (null for days and revisions)
+function entryCollection(entry) {
+  return Object.keys(COLLECTIONS).find((name) => entry.kind === COLLECTIONS[name].kind || entry.kind === `${COLLECTIONS[name].kind}Delete`) || null;
+}
+
+// Writes to the same day or item are coalesced (a delete supersedes a pending upsert). The merged
+// entry gets a fresh entryId so a replay already in flight for the old entry cannot remove it.
+function outboxTarget(entry) {
+  const collection = entryCollection(entry);
+  const target = entry.kind === "day" ? `day:${entry.date}`
+    : entry.kind === "revision" ? `revision:${entry.revision.id}`
+    : collection ? `${COLLECTIONS[collection].kind}:${entry[COLLECTIONS[collection].entryKey]?.id ?? entry.id}`
+    : `${entry.kind}:${entry.entryId}`;
+  return `${entry.userId}/${target}`;
+}
+
+function enqueueOutbox(entry) {
+  const queue = loadOutbox();
+  const next = { ...entry, userId: currentUser?.id, entryId: newId(), queuedAt: new Date().toISOString() };
+  const target = outboxTarget(next);
+  const prev = queue.find((e) => outboxTarget(e) === target);
+  if (next.kind === "day" && prev) next.data = mergeDayFields(prev.data, next.data);
+  const { kind, entryKey, merge } = COLLECTIONS[entryCollection(next)] || {};
+  if (merge && next.kind === kind && prev?.kind === kind) next[entryKey] = merge(prev[entryKey], next[entryKey]);
+  saveOutbox([...queue.filter((e) => outboxTarget(e) !== target), next]);
+  setSyncState({ status: navigator.onLine ? "pending" : "offline" });
+}
+
+function removeFromOutbox(entryId) {
+  saveOutbox(loadOutbox().filter((e) => e.entryId !== entryId));
+}
+
+// Keeps a rejected entry out of the replay loop so the writes queued after it can go through
+function parkOutboxEntry(entryId, error) {
+  const parked = { error: error?.message || String(error), at: new Date().toISOString() };
+  saveOutbox(loadOutbox().map((e) => (e.entryId === entryId ? { ...e, parked } : e)));
+}
+
+// Drops this user's rejected writes; the data stays in the local mirror until the next load from Supabase
+function discardParkedEntries() {
+  saveOutbox(loadOutbox().filter((e) => !(e.parked && e.userId === currentUser?.id)));
+  setSyncState({ status: replayableEntries().length ? "pending" : "synced" });
+}
+
+function applyPendingDays(days) {
+  const result = { ...days };
+  ownOutboxEntries().filter((e) => e.kind === "day").forEach((e) => {
+    result[e.date] = mergeDayFields(result[e.date] || {}, e.data);
+  });
+  return result;
+}
+
+function applyPendingRecords(collection, records) {
+  const { kind, entryKey, merge } = COLLECTIONS[collection];
+  let result = [...records];
+  ownOutboxEntries().forEach((e) => {
+    if (e.kind === kind) {
+      const record = e[entryKey];
+      result = [...result.filter((r) => r.id !== record.id), merge ? merge(result.find((r) => r.id === record.id), record) : record];
+    }
+    if (e.kind === `${kind}Delete`) result = result.filter((r) => r.id !== e.id);
+  });
+  return result;
+}
+
+function replayOutboxEntry(entry) {
+  const collection = entryCollection(entry);
+  if (collection) {
+    const { kind, entryKey } = COLLECTIONS[collection];
+    return entry.kind === kind ? pushRecordRemote(collection, entry[entryKey]) : deleteRecordRemote(collection, entry.id);
+  }
+  if (entry.kind === "day") return pushDayRemote(entry.date, entry.data);
+  if (entry.kind === "revision") return pushRevisionRemote(entry.revision);
+  return Promise.resolve();
+}
+
+let flushing = null;
+
+// Replays the queue in order. A transient failure stops the flush (later writes may depend on it);
+// a permanent one parks that entry and carries on. `includeParked` retries parked entries too.
+async function flushOutbox({ includeParked = false } = {}) {
+  if (storage.name !== "supabase" || !currentUser) return;
+  if (flushing) return flushing;
+  flushing = (async () => {
+    const queue = includeParked ? ownOutboxEntries() : replayableEntries();
+    if (queue.length === 0) {
+      setSyncState({ status: ownOutboxEntries().length ? "error" : "synced" });
+      return;
+    }
+    setSyncState({ status: "syncing" });
+    for (const entry of queue) {
+      try {
+        await replayOutboxEntry(entry);
+        removeFromOutbox(entry.entryId);
+      } catch (e) {
+        if (isPermanentSyncError(e)) {
+          console.warn("Outbox entry rejected by Supabase, parked", e);
+          parkOutboxEntry(entry.entryId, e);
+          continue;
+        }
+        console.warn("Outbox replay failed, will retry", e);
+        setSyncState({ status: navigator.onLine ? "error" : "offline" });
+        return;
+      }
+    }
+    setSyncState({ status: replayableEntries().length ? "pending" : syncState.parked ? "error" : "synced" });
+  })().finally(() => { flushing = null; });
+  return flushing;
+}
+
+function startOutboxSync() {
+  if (storage.name !== "supabase" || typeof window === "undefined") return;
+  window.addEventListener("online", () => flushOutbox());
+  window.addEventListener("offline", () => setSyncState({ status: "offline" }));
+  setInterval(() => { if (replayableEntries().length) flushOutbox(); }, OUTBOX_RETRY_MS);
+}
+
+function selectStorageAdapter() {
+  if (BACKEND === "supabase" && supabase) return supabaseAdapter;
+  if (BACKEND === "indexeddb" && typeof indexedDB !== "undefined") return indexedDBAdapter;
+  return localAdapter;
+}
+
+const storage = selectStorageAdapter();
+startOutboxSync();
+
+// ---------- Storage API ----------
+async function loadAllDays() {
+  const all = await storage.loadAllDays();
+  return Object.fromEntries(Object.entries(all).map(([date, day]) => [date, migrateDay(day)]));
+}
+
+// Rejects with DayValidationError instead of writing a malformed day. `source` ('manual' | 'ai' |
+// 'import') labels the revision recorded for the write; null skips the revision (seeding).
+async function upsertDay(date, data, { source = "manual" } = {}) {
+  const day = { ...data, schemaVersion: DAY_SCHEMA_VERSION };
+  assertValidDay(date, day);
+  const before = source ? await readDay(date) : null;
+  const stored = migrateDay(await storage.upsertDay(date, stampDayFields(day)));
+  if (source) await recordRevision(date, before, stored, source);
+  emitChange({ type: "day", date });
+  return stored;
+}
+
+// Like upsertDay, but the stored day becomes exactly `data` (used by "overwrite" imports and restores)
+async function replaceDay(date, data, { source = "manual" } = {}) {
+  const day = { ...data, schemaVersion: DAY_SCHEMA_VERSION };
+  delete day._fieldTimes;
+  assertValidDay(date, day);
+  const before = await readDay(date);
+  const stored = await storage.replaceDay(date, stampDayFields(day));
+  await recordRevision(date, before, stored, source);
+  emitChange({ type: "day", date });
+  return stored;
+}
+
+async function readDay(date) {
+  return migrateDay(await storage.readDay(date));
+}
+
+// Persists migrations for days stored under an older schema. The migrated day replaces the stored
+// one, so fields a migration drops are removed as well. Only the fields it changed get a new stamp;
+// the others keep theirs, so newer edits of them on other devices still win when merged.
+async function upgradeStoredDays() {
+  const all = await storage.loadAllDays();
+  for (const [date, day] of Object.entries(all)) {
+    if ((day.schemaVersion || 1) >= DAY_SCHEMA_VERSION) continue;
+    const { _fieldTimes: times = {}, ...fields } = migrateDay(day);
+    const changed = Object.fromEntries(Object.entries(fields).filter(([k, v]) => JSON.stringify(v) !== JSON.stringify(day[k])));
+    const kept = Object.fromEntries(Object.entries(times).filter(([k]) => k in fields));
+    await storage.replaceDay(date, { ...fields, _fieldTimes: stampDayFields({ ...changed, _fieldTimes: kept })._fieldTimes });
+  }
+}
+
+// ---------- Revisions ----------
+/**
+ * Every day write through upsertDay/replaceDay appends a revision:
+ *   { id, date, at, source: 'manual' | 'ai' | 'import', changes: { [field]: { before, after } } }
+ * A missing `before`/`after` means the field did not exist. Revisions are enough to rebuild any
+ * earlier state of the day by undoing the later ones, which is how restore and undo work.
+ */
+const REVISION_SOURCES = ["manual", "ai", "import"];
+const UNTRACKED_DAY_FIELDS = ["_fieldTimes", "schemaVersion"];
+
+function diffDayFields(before = {}, after = {}) {
+  const changes = {};
+  new Set([...Object.keys(before || {}), ...Object.keys(after || {})]).forEach((field) => {
+    if (UNTRACKED_DAY_FIELDS.includes(field)) return;
+    if (JSON.stringify(before?.[field]) === JSON.stringify(after?.[field])) return;
+    changes[field] = { before: before?.[field], after: after?.[field] };
+  });
+  return changes;
+}
+
+// A failed revision write is logged, never allowed to fail the save itself
+async function recordRevision(date, before, after, source) {
+  if (!REVISION_SOURCES.includes(source)) throw new Error(`Unknown revision source: ${source}`);
+  const changes = diffDayFields(before, after);
+  if (Object.keys(changes).length === 0) return null;
+  const revision = { id: newId(), date, at: new Date().toISOString(), source, changes };
+  try {
+    await storage.addRevision(revision);
+    emitChange({ type: "revision", date, revision });
+    return revision;
+  } catch (e) {
+    console.warn("Could not record revision", e);
+    return null;
+  }
+}
+
+async function loadRevisions(date) {
+  return storage.loadRevisions(date);
+}
+
+// The day right after `revisionId` (null: before the first revision), by undoing every later revision
+function dayAsOf(current, revisions, revisionId) {
+  const day = { ...current };
+  for (let i = revisions.length - 1; i >= 0 && revisions[i].id !== revisionId; i -= 1) {
+    Object.entries(revisions[i].changes).forEach(([field, { before }]) => {
+      if (before === undefined) delete day[field];
+      else day[field] = before;
+    });
+  }
+  return day;
+}
+
+// Restoring is itself a revision, so it can be undone like any other edit
+async function restoreDay(date, revisionId) {
+  const current = (await readDay(date)) || {};
+  const revisions = await loadRevisions(date);
+  return replaceDay(date, dayAsOf(current, revisions, revisionId), { source: "manual" });
+}
+
+// Undoes one revision (and anything saved after it)
+async function undoRevision(revision) {
+  const revisions = await loadRevisions(revision.date);
+  const index = revisions.findIndex((r) => r.id === revision.id);
+  return restoreDay(revision.date, index > 0 ? revisions[index - 1].id : null);
+}
+
+async function loadRecords(collection) {
+  return storage.loadRecords(collection);
+}
+
+async function upsertRecord(collection, record) {
+  const now = new Date().toISOString();
+  const stored = await storage.upsertRecord(collection, { ...record, id: record.id || newId(), createdAt: record.createdAt || now, updatedAt: now });
+  emitChange({ type: COLLECTIONS[collection].change, id: stored.id });
+  return stored;
+}
+
+// Import's overwrite: the stored copy is replaced as a whole instead of merged
+async function replaceRecord(collection, record) {
+  const now = new Date().toISOString();
+  const stored = await storage.replaceRecord(collection, { ...record, id: record.id || newId(), createdAt: record.createdAt || now, updatedAt: now });
+  emitChange({ type: COLLECTIONS[collection].change, id: stored.id });
+  return stored;
+}
+
+async function deleteRecord(collection, id) {
+  await storage.deleteRecord(collection, id);
+  emitChange({ type: COLLECTIONS[collection].change, id });
+}
+
+const loadParaItems = () => loadRecords("para");
+const upsertParaItem = (item) => upsertRecord("para", item);
+const deleteParaItem = (id) => deleteRecord("para", id);
+
+// Moving keeps the item's status when the target category allows it, otherwise resets to that category's default
+async function moveParaItem(item, category) {
+  const status = PARA_STATUSES[category].includes(item.status) ? item.status : PARA_STATUSES[category][0];
+  return upsertParaItem({
+    ...item,
+    category,
+    status,
+    archivedOn: category === "ARCHIVES" ? todayISO() : undefined,
+  });
+}
+
+const loadTasks = () => loadRecords("tasks");
+const upsertTask = (task) => upsertRecord("tasks", task);
+const deleteTask = (id) => deleteRecord("tasks", id);
+
+const loadChatThreads = () => loadRecords("chats");
+// `thread.messages` may hold just the new messages; they are merged into the stored thread
+const upsertChatThread = (thread) => upsertRecord("chats", thread);
+const deleteChatThread = (id) => deleteRecord("chats", id);
+
+const loadPeople = () => loadRecords("people");
+const upsertPerson = (person) => upsertRecord("people", person);
+const deletePerson = (id) => deleteRecord("people", id);
+
+const loadGoals = () => loadRecords("goals");
+const upsertGoal = (goal) => upsertRecord("goals", goal);
+const deleteGoal = (id) => deleteRecord("goals", id);
+
+// Cheat days scheduled from the chat; calendar.js holds the fixed ones (see loadCheatDays)
+const loadScheduledCheatDays = () => loadRecords("cheatDays");
+
+async function getSetting(key, fallback = null) {
+  return storage.getSetting(key, fallback);
+}
+
+async function setSetting(key, value) {
+  await storage.setSetting(key, value);
+  emitChange({ type: "setting", key });
+}
+
+// ---------- Live Updates ----------
+/**
+ * Change notifications: { type: 'day', date? } | { type: 'para' | 'task' | 'chat' | 'person', id? } (see COLLECTIONS)
+ * | { type: 'goal' } | { type: 'setting', key? } | { type: 'revision', date?, revision? }.
+ * A missing date/key means "anything may have changed"; `sameTab` marks writes made by this tab,
+ * which components that already update optimistically can ignore. Local backends reach other tabs through a
+ * BroadcastChannel (or storage events where that is unavailable); Supabase pushes changes made on
+ * other devices through realtime subscriptions on its tables.
+ */
+const changeListeners = new Set();
+const changeChannel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel("flowstate-changes") : null;
+
+function notifyChangeListeners(change) {
+  changeListeners.forEach((fn) => fn(change));
+}
+
+// Other tabs are only told once the vault has persisted the write they are about to read
+function emitChange(change) {
+  notifyChangeListeners({ ...change, sameTab: true });
+  vaultWrites.then(() => changeChannel?.postMessage(change));
+}
+
+// With the vault unlocked, another tab's write is only visible after re-reading its ciphertext
+async function notifyExternalChange(change) {
+  if (vaultState.enabled && vaultKey) {
+    try {
+      await vaultWrites;
+      await loadVaultCache(vaultKey);
+    } catch (e) {
+      console.warn("Could not reload encrypted data", e);
+    }
+  }
+  notifyChangeListeners(change);
+}
+
+function subscribeChanges(fn) {
+  changeListeners.add(fn);
+  return () => changeListeners.delete(fn);
+}
+
+// Re-subscribes whenever deps change so the handler always sees current state
+function useStorageChanges(onChange, deps) {
+  useEffect(() => subscribeChanges(onChange), deps);
+}
+
+if (changeChannel) {
+  changeChannel.onmessage = (e) => notifyExternalChange(e.data);
+} else if (typeof window !== "undefined") {
+  window.addEventListener("storage", (e) => {
+    const collection = Object.values(COLLECTIONS).find((c) => c.storageKey === e.key);
+    if (e.key === STORAGE_KEY) notifyExternalChange({ type: "day" });
+    else if (collection) notifyExternalChange({ type: collection.change });
+    else if (e.key === REVISIONS_STORAGE_KEY) notifyExternalChange({ type: "revision" });
+    else if (e.key?.startsWith(SETTING_KEY_PREFIX)) notifyExternalChange({ type: "setting", key: e.key.slice(SETTING_KEY_PREFIX.length) });
+  });
+}
+
+let realtimeChannel = null;
+
+function startRealtime(userId) {
+  stopRealtime();
+  const filter = `user_id=eq.${userId}`;
+  let channel = supabase
+    .channel(`flowstate-${userId}`)
+    .on("postgres_changes", { event: "*", schema: "public", table: "flowstate_days", filter }, (payload) => {
+      notifyChangeListeners({ type: "day", date: payload.new?.date || payload.old?.date });
+    });
+  Object.values(COLLECTIONS).forEach(({ table, change }) => {
+    channel = channel
+      .on("postgres_changes", { event: "*", schema: "public", table, filter }, (payload) => {
+        notifyChangeListeners({ type: change, id: payload.new?.id });
+      })
+      // Realtime cannot filter deletes; an unrelated delete only costs a reload
+      .on("postgres_changes", { event: "DELETE", schema: "public", table }, () => {
+        notifyChangeListeners({ type: change });
+      });
+  });
+  realtimeChannel = channel.subscribe();
+}
+
+function stopRealtime() {
+  if (realtimeChannel) supabase.removeChannel(realtimeChannel);
+  realtimeChannel = null;
+}
+
+// ---------- Seed ----------
 async function seedIfEmpty() {
   const all = await loadAllDays();
   if (Object.keys(all).length === 0) {
@@ -180,974 +1491,4920 @@ async function seedIfEmpty() {
       workout: { time: "19:00", status: "skipped" },
       notes: "Kickoff day. Establishing routine and dashboard.",
       goals: { ...DEFAULT_GOALS },
-    });
+    }, { source: null });
   }
 }
-seedIfEmpty();
 
-// ---------- Small UI primitives ----------
-const Container = ({ children, className = "" }) => (
-  <div className={`mx-auto w-full max-w-6xl px-4 sm:px-6 lg:px-8 ${className}`}>{children}</div>
-);
-const Card = ({ children, className = "" }) => (
-  <div className={`rounded-2xl border border-slate-200 bg-white/80 shadow-sm backdrop-blur ${className}`}>{children}</div>
-);
-const SectionTitle = ({ title, subtitle }) => (
-  <div className="mb-6">
-    <h2 className="text-2xl font-bold tracking-tight text-slate-900">{title}</h2>
-    {subtitle && <p className="mt-1 text-slate-600">{subtitle}</p>}
-  </div>
-);
-const Badge = ({ children, className = "" }) => (
-  <span className={`inline-flex items-center rounded-full border border-slate-200 px-3 py-1 text-xs font-medium text-slate-700 ${className}`}>
-    {children}
-  </span>
-);
-const Tooltip = ({ children, content, position = "top" }) => {
-  const [visible, setVisible] = useState(false);
-  return (
-    <div className="relative inline-block">
-      <div 
-        onMouseEnter={() => setVisible(true)} 
-        onMouseLeave={() => setVisible(false)}
-        className="cursor-help"
-      >
-        {children}
-      </div>
-      {visible && (
-        <div className={`absolute z-50 px-2 py-1 text-xs text-white bg-slate-900 rounded shadow-lg whitespace-nowrap ${
-          position === 'top' ? 'bottom-full mb-1 left-1/2 transform -translate-x-1/2' :
-          position === 'bottom' ? 'top-full mt-1 left-1/2 transform -translate-x-1/2' :
-          position === 'left' ? 'right-full mr-1 top-1/2 transform -translate-y-1/2' :
-          'left-full ml-1 top-1/2 transform -translate-y-1/2'
-        }`}>
-          {content}
-          <div className={`absolute w-0 h-0 ${
-            position === 'top' ? 'top-full left-1/2 transform -translate-x-1/2 border-l-4 border-r-4 border-t-4 border-transparent border-t-slate-900' :
-            position === 'bottom' ? 'bottom-full left-1/2 transform -translate-x-1/2 border-l-4 border-r-4 border-b-4 border-transparent border-b-slate-900' :
-            position === 'left' ? 'left-full top-1/2 transform -translate-y-1/2 border-t-4 border-b-4 border-l-4 border-transparent border-l-slate-900' :
-            'right-full top-1/2 transform -translate-y-1/2 border-t-4 border-b-4 border-r-4 border-transparent border-r-slate-900'
-          }`}></div>
-        </div>
-      )}
-    </div>
-  );
-};
-const Button = ({ children, onClick, type = "button", className = "" }) => (
-  <button type={type} onClick={onClick} className={`rounded-xl px-4 py-2 text-sm font-semibold shadow-sm transition hover:shadow ${className}`}>
-    {children}
-  </button>
-);
-const Input = (props) => (
-  <input {...props} className={`w-full rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-900 placeholder-slate-400 outline-none focus:border-slate-400 focus:ring-2 focus:ring-slate-100 ${props.className || ""}`} />
-);
-const Textarea = (props) => (
-  <textarea {...props} className={`w-full rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-900 placeholder-slate-400 outline-none focus:border-slate-400 focus:ring-2 focus:ring-slate-100 ${props.className || ""}`} />
-);
+function initStorage() {
+  return seedIfEmpty().then(() => seedGoals()).then(upgradeStoredDays).then(moveScheduledCheatDays);
+}
 
-// ---------- KPI helpers ----------
-function timeToMinutes(t) {
-  if (!t) return null;
-  const [h, m] = t.split(":").map(Number);
-  return h * 60 + (m || 0);
+// ---------- Auth ----------
+// Only the Supabase backend has accounts. Local backends start straight away; Supabase waits for a
+// session, then points the local mirror and outbox at that user before seeding.
+const MIRROR_OWNER_KEY = "flowstate.mirrorOwner";
+let currentUser = null;
+let authState = { user: null, loading: storage.name === "supabase" };
+const authListeners = new Set();
+
+function requireUserId() {
+  if (!currentUser) throw new Error("Not signed in");
+  return currentUser.id;
 }
-function scoreWake(wakeTime, goal = DEFAULT_GOALS.wakeGoal) {
-  const wt = timeToMinutes(wakeTime);
-  const gt = timeToMinutes(goal);
-  if (wt == null || gt == null) return null;
-  const diff = Math.abs(wt - gt);
-  const s = Math.max(0, 100 - (diff / 110) * 100);
-  return Math.round(s);
+
+function setAuthState(patch) {
+  authState = { ...authState, ...patch };
+  authListeners.forEach((fn) => fn(authState));
 }
-function pillStatusColor(status) {
-  if (status === "done") return "bg-emerald-50 text-emerald-700 border-emerald-200";
-  if (status === "skipped") return "bg-amber-50 text-amber-700 border-amber-200";
-  return "bg-slate-50 text-slate-700 border-slate-200";
+
+function useAuth() {
+  const [state, setState] = useState(authState);
+  useEffect(() => {
+    authListeners.add(setState);
+    return () => authListeners.delete(setState);
+  }, []);
+  return state;
 }
 
-// ---------- Tour Component ----------
-function QuickDemo() {
-  const [activeDemo, setActiveDemo] = useState(0);
-  const demos = [
-    {
-      icon: "💬",
-      title: "Just Chat Naturally",
-      example: "Hey! I woke up at 7 AM, had breakfast, and I'm planning to learn Python today.",
-      result: "✓ Wake time logged\n✓ Meal tracked\n✓ Learning goal added"
-    },
-    {
-      icon: "📊", 
-      title: "Everything Organized",
-      example: "I need to call my mom this weekend and prepare for my presentation next Tuesday.",
-      result: "✓ Reminder set\n✓ Task scheduled\n✓ Presentation project created"
-    },
-    {
-      icon: "🎯",
-      title: "Goals & Insights",
-      example: "Feeling great after this workout! My goal is to run a 5K by March.",
-      result: "✓ Workout logged\n✓ Mood recorded\n✓ 5K goal tracked with timeline"
-    }
-  ];
+// Every localStorage key the Supabase adapter mirrors a user's data into
+const MIRRORED_KEYS = [STORAGE_KEY, REVISIONS_STORAGE_KEY, ...Object.values(COLLECTIONS).map((c) => c.storageKey)];
 
-  return (
-    <div className="text-center py-8 bg-gradient-to-br from-indigo-50 to-emerald-50 rounded-xl border border-slate-200">
-      <div className="flex items-center justify-center gap-3 mb-6">
-        <div className="text-2xl">{demos[activeDemo].icon}</div>
-        <h3 className="text-xl font-bold text-slate-900">{demos[activeDemo].title}</h3>
-      </div>
-      
-      <div className="max-w-md mx-auto space-y-4">
-        <div className="bg-white rounded-lg p-4 border border-slate-200 shadow-sm">
-          <p className="text-sm text-slate-600 mb-2">You say:</p>
+function clearLocalMirror() {
+  MIRRORED_KEYS.forEach(removeStored);
+  // Settings that are the user's rather than the device's: the model endpoint and its API key, what
+  // the assistant may do without review, and cheat days scheduled before they synced
+  [AI_SETTINGS_KEY, AUTO_ACCEPT_SETTING, AI_DRY_RUN_SETTING, CHEAT_DAYS_SETTING].forEach((key) => removeStored(SETTING_KEY_PREFIX + key));
+  localStorage.removeItem(MIRROR_OWNER_KEY);
+}
+
+// The local mirror holds one user's data at a time. Outbox entries queued before accounts existed
+// are adopted by the first user who signs in.
+function switchLocalMirror(userId) {
+  const owner = localStorage.getItem(MIRROR_OWNER_KEY);
+  if (owner === userId) return;
+  if (owner) {
+    clearLocalMirror();
+  } else {
+    writeStored(OUTBOX_KEY, JSON.stringify(loadOutbox().map((e) => (e.userId ? e : { ...e, userId }))));
+  }
+  localStorage.setItem(MIRROR_OWNER_KEY, userId);
+}
+
+function handleSession(session) {
+  const user = session?.user || null;
+  if (user?.id === currentUser?.id) {
+    setAuthState({ user, loading: false });
+    return;
+  }
+  currentUser = user;
+  stopRealtime();
+  if (user) {
+    switchLocalMirror(user.id);
+    countOutbox();
+    initStorage().then(() => flushOutbox());
+    startRealtime(user.id);
+  }
+  setAuthState({ user, loading: false });
+}
+
+function startAuth() {
+  if (storage.name !== "supabase") {
+    initStorage();
+    return;
+  }
+  // Supabase calls must not run inside the auth callback itself, hence the deferral
+  supabase.auth.onAuthStateChange((_event, session) => {
+    setTimeout(() => handleSession(session), 0);
+  });
+}
+
+async function signInWithPassword(email, password) {
+  const { error } = await supabase.auth.signInWithPassword({ email, password });
+  if (error) throw error;
+}
+
+async function signUpWithPassword(email, password) {
+  const { data, error } = await supabase.auth.signUp({ email, password });
+  if (error) throw error;
+  return data.session ? "signed-in" : "confirm-email";
+}
+
+async function sendMagicLink(email) {
+  const { error } = await supabase.auth.signInWithOtp({ email, options: { emailRedirectTo: window.location.origin } });
+  if (error) throw error;
+}
+
+// Signing out leaves nothing of the user's data on the device: the mirror and their outbox entries
+// are removed. Unsynced changes are flushed first; `force` drops whatever still could not be sent.
+class UnsyncedChangesError extends Error {
+  constructor(count) {
+    super(`${count} change(s) have not been synced to Supabase yet`);
+    this.name = "UnsyncedChangesError";
+    this.count = count;
+  }
+}
+
+async function signOut({ force = false } = {}) {
+  await flushOutbox({ includeParked: true });
+  const unsynced = ownOutboxEntries().length;
+  if (unsynced && !force) throw new UnsyncedChangesError(unsynced);
+  const userId = currentUser?.id;
+  const { error } = await supabase.auth.signOut();
+  if (error) throw error;
+  saveOutbox(loadOutbox().filter((e) => e.userId !== userId));
+  clearLocalMirror();
+}
+
+whenVaultReadable(startAuth);
+
+// ---------- Import / Export ----------
+const EXPORT_FORMAT = "flowstate-export";
+const IMPORT_STRATEGIES = {
+  merge: "Merge – imported fields win, other existing fields are kept",
+  overwrite: "Overwrite – imported days and items replace existing ones",
+  "skip-existing": "Skip existing – only add days and items that aren't stored yet",
+};
+
+async function buildExport() {
+  return {
+    format: EXPORT_FORMAT,
+    version: 1,
+    schemaVersion: DAY_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    days: await loadAllDays(),
+    paraItems: await loadParaItems(),
+    tasks: await loadTasks(),
+    chatThreads: await loadChatThreads(),
+    people: await loadPeople(),
+    goals: await loadGoals(),
+    metrics: await getSetting("metrics", {}),
+  };
+}
+
+// { lunch: { time: "13:30" } } -> { "lunch.time": "13:30" }
+function flattenObject(obj, prefix = "") {
+  const flat = {};
+  Object.entries(obj || {}).forEach(([k, v]) => {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (isPlainObject(v)) Object.assign(flat, flattenObject(v, key));
+    else if (v !== undefined && v !== null) flat[key] = Array.isArray(v) ? JSON.stringify(v) : v;
+  });
+  return flat;
+}
+
+function unflattenObject(flat) {
+  const obj = {};
+  Object.entries(flat).forEach(([path, v]) => {
+    const keys = path.split(".");
+    let target = obj;
+    keys.slice(0, -1).forEach((k) => { target = target[k] = isPlainObject(target[k]) ? target[k] : {}; });
+    target[keys[keys.length - 1]] = v;
+  });
+  return obj;
+}
+
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCSV(rows, columns) {
+  return [columns, ...rows.map((row) => columns.map((c) => row[c]))]
+    .map((r) => r.map(csvCell).join(","))
+    .join("\r\n") + "\r\n";
+}
+
+// RFC 4180: quoted cells may contain commas, doubled quotes and line breaks
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i += 1; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter((r) => r.some((c) => c !== ""));
+}
+
+function csvRecords(text) {
+  const [header, ...rows] = parseCSV(text.replace(/^\uFEFF/, ""));
+  if (!header) return [];
+  return rows.map((r) => Object.fromEntries(header.map((h, i) => [h, r[i] ?? ""]).filter(([, v]) => v !== "")));
+}
+
+// Days CSV: one row per day, one column per (flattened) field. Field clocks are sync bookkeeping and stay out.
+function daysToCSV(days) {
+  const rows = Object.entries(days).sort(([a], [b]) => a.localeCompare(b)).map(([date, day]) => {
+    const { _fieldTimes, ...rest } = day;
+    return { date, ...flattenObject(rest) };
+  });
+  const columns = ["date", ...Array.from(new Set(rows.flatMap((r) => Object.keys(r).filter((k) => k !== "date")))).sort()];
+  return toCSV(rows, columns);
+}
+
+// Day fields holding lists; daysToCSV writes them as JSON cells
+const DAY_LIST_FIELDS = ["snacks", "scheduledItems", "checkIns"];
+
+function csvToDays(text) {
+  const days = {};
+  csvRecords(text).forEach(({ date, ...fields }) => {
+    if (!date) return;
+    const day = unflattenObject(fields);
+    if (day.schemaVersion != null) day.schemaVersion = Number(day.schemaVersion);
+    if (day.sleepHours != null) day.sleepHours = Number(day.sleepHours);
+    DAY_LIST_FIELDS.forEach((k) => {
+      if (typeof day[k] !== "string") return;
+      try { day[k] = JSON.parse(day[k]); } catch { /* left as text for validation to report */ }
+    });
+    days[date] = day;
+  });
+  return days;
+}
+
+function paraItemsToCSV(items) {
+  const rows = items.map((item) => flattenObject(item));
+  const preferred = ["id", "category", "title", "status", "priority", "deadline"];
+  const rest = Array.from(new Set(rows.flatMap(Object.keys))).filter((k) => !preferred.includes(k)).sort();
+  return toCSV(rows, [...preferred, ...rest]);
+}
+
+function metricsToCSV(metrics) {
+  const columns = Object.keys(metrics);
+  return toCSV([metrics], columns);
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Accepts a full JSON export, the old single-day `{ [date]: day }` JSON from the Export card, or a
+ * days CSV. Returns { days, paraItems, tasks, chatThreads, people, goals, metrics } with absent sections left null.
+ */
+function parseImportFile(name, text) {
+  if (/\.csv$/i.test(name)) return { days: csvToDays(text), paraItems: null, tasks: null, chatThreads: null, people: null, goals: null, metrics: null };
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error(`${name} is neither valid JSON nor a .csv file`);
+  }
+  if (parsed?.format === EXPORT_FORMAT) {
+    return { days: parsed.days || {}, paraItems: parsed.paraItems || null, tasks: parsed.tasks || null, chatThreads: parsed.chatThreads || null, people: parsed.people || null, goals: parsed.goals || null, metrics: parsed.metrics || null };
+  }
+  if (isPlainObject(parsed) && Object.keys(parsed).every((k) => /^\d{4}-\d{2}-\d{2}$/.test(k))) {
+    return { days: parsed, paraItems: null, tasks: null, chatThreads: null, people: null, goals: null, metrics: null };
+  }
+  throw new Error(`${name} doesn't look like a FlowState export`);
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Compares an import against the current store without writing anything
+function diffImport(current, incoming) {
+  const days = [];
+  Object.entries(incoming.days || {}).sort(([a], [b]) => a.localeCompare(b)).forEach(([date, raw]) => {
+    const { _fieldTimes, ...day } = migrateDay(raw);
+    const problems = /^\d{4}-\d{2}-\d{2}$/.test(date) ? validateDay(day) : ["not a YYYY-MM-DD date"];
+    const existing = current.days[date];
+    if (problems.length) { days.push({ date, day, status: "invalid", problems }); return; }
+    if (!existing) { days.push({ date, day, status: "new", fields: Object.keys(day).filter((k) => k !== "schemaVersion") }); return; }
+    const fields = Object.keys(day).filter((k) => k !== "schemaVersion" && !sameValue(day[k], existing[k]));
+    days.push({ date, day, status: fields.length ? "changed" : "unchanged", fields });
+  });
+
+  const paraItems = (incoming.paraItems || []).filter((item) => item?.id && PARA_CATEGORIES[item.category]).map((item) => {
+    const existing = current.paraItems.find((i) => i.id === item.id);
+    return { item, status: !existing ? "new" : sameValue(item, existing) ? "unchanged" : "changed" };
+  });
+
+  const tasks = (incoming.tasks || []).filter((task) => task?.id && typeof task.text === "string").map((task) => {
+    const existing = current.tasks.find((t) => t.id === task.id);
+    return { task, status: !existing ? "new" : sameValue(task, existing) ? "unchanged" : "changed" };
+  });
+
+  const chatThreads = (incoming.chatThreads || []).filter((thread) => thread?.id && Array.isArray(thread.messages)).map((thread) => {
+    const existing = current.chatThreads.find((t) => t.id === thread.id);
+    return { thread, status: !existing ? "new" : sameValue(mergeChatThread(existing, thread), existing) ? "unchanged" : "changed" };
+  });
+
+  const people = (incoming.people || []).filter((person) => person?.id && typeof person.name === "string").map((person) => {
+    const existing = current.people.find((p) => p.id === person.id);
+    return { person, status: !existing ? "new" : sameValue(person, existing) ? "unchanged" : "changed" };
+  });
+
+  const goals = (incoming.goals || []).filter((goal) => goal?.id && typeof goal.title === "string").map((goal) => {
+    const existing = current.goals.find((g) => g.id === goal.id);
+    return { goal, status: !existing ? "new" : sameValue(goal, existing) ? "unchanged" : "changed" };
+  });
+
+  const metrics = incoming.metrics
+    ? Object.keys(incoming.metrics).filter((k) => !sameValue(incoming.metrics[k], current.metrics[k]))
+    : [];
+
+  return { days, paraItems, tasks, chatThreads, people, goals, metrics, incomingMetrics: incoming.metrics };
+}
+
+async function applyImport(preview, strategy, current) {
+  let written = 0;
+  for (const entry of preview.days) {
+    if (entry.status === "invalid" || entry.status === "unchanged") continue;
+    if (entry.status === "changed" && strategy === "skip-existing") continue;
+    if (strategy === "overwrite") await replaceDay(entry.date, entry.day, { source: "import" });
+    else await upsertDay(entry.date, entry.day, { source: "import" });
+    written += 1;
+  }
+  for (const { item, status } of preview.paraItems) {
+    if (status === "unchanged" || (status === "changed" && strategy === "skip-existing")) continue;
+    const existing = current.paraItems.find((i) => i.id === item.id);
+    if (strategy === "overwrite") await replaceRecord("para", item);
+    else await upsertParaItem(strategy === "merge" && existing ? { ...existing, ...item } : item);
+    written += 1;
+  }
+  for (const { task, status } of preview.tasks) {
+    if (status === "unchanged" || (status === "changed" && strategy === "skip-existing")) continue;
+    const existing = current.tasks.find((t) => t.id === task.id);
+    if (strategy === "overwrite") await replaceRecord("tasks", task);
+    else await upsertTask(strategy === "merge" && existing ? { ...existing, ...task } : task);
+    written += 1;
+  }
+  // Threads always merge: an imported thread only adds the messages that are missing
+  for (const { thread, status } of preview.chatThreads) {
+    if (status === "unchanged" || (status === "changed" && strategy === "skip-existing")) continue;
+    await upsertChatThread(thread);
+    written += 1;
+  }
+  for (const { person, status } of preview.people) {
+    if (status === "unchanged" || (status === "changed" && strategy === "skip-existing")) continue;
+    const existing = current.people.find((p) => p.id === person.id);
+    if (strategy === "overwrite") await replaceRecord("people", person);
+    else await upsertPerson(strategy === "merge" && existing ? { ...existing, ...person } : person);
+    written += 1;
+  }
+  for (const { goal, status } of preview.goals) {
+    if (status === "unchanged" || (status === "changed" && strategy === "skip-existing")) continue;
+    const existing = current.goals.find((g) => g.id === goal.id);
+    if (strategy === "overwrite") await replaceRecord("goals", goal);
+    else await upsertGoal(strategy === "merge" && existing ? { ...existing, ...goal } : goal);
+    written += 1;
+  }
+  if (preview.metrics.length) {
+    const incoming = preview.incomingMetrics;
+    const next = strategy === "overwrite" ? incoming
+      : strategy === "merge" ? { ...current.metrics, ...incoming }
+      : { ...incoming, ...current.metrics };
+    await setSetting("metrics", next);
+    written += 1;
+  }
+  return written;
+}
+
+// ---------- Markdown Journal Export ----------
+/**
+ * One `YYYY-MM-DD.md` note per day with YAML front matter, plus an index note, zipped. Output only
+ * depends on the stored data (no export timestamps), so re-exporting over a vault replaces notes
+ * instead of duplicating them.
+ */
+const JOURNAL_DIR = "FlowState";
+const JOURNAL_INDEX = "FlowState Index.md";
+const AI_INSIGHTS_PREFIX = "AI Insights:";
+
+const yamlValue = (v) => (typeof v === "number" ? String(v) : JSON.stringify(String(v)));
+
+function dayMeals(day) {
+  return [["breakfast", day.breakfast], ["lunch", day.lunch], ["dinner", day.dinner], ...(day.snacks || []).map((snack) => ["snack", snack])]
+    .filter(([, meal]) => meal && (meal.time || meal.details))
+    .map(([name, meal]) => ({ meal: name, time: meal.time || "", details: meal.details || "" }));
+}
+
+// Notes mix free text with "AI Insights: ..." lines appended by the chat; they go to separate sections
+function splitNotes(notes = "") {
+  const lines = notes.split("\n");
+  return {
+    notes: lines.filter((l) => !l.startsWith(AI_INSIGHTS_PREFIX)).join("\n").trim(),
+    insights: lines.filter((l) => l.startsWith(AI_INSIGHTS_PREFIX)).flatMap((l) => l.slice(AI_INSIGHTS_PREFIX.length).split(",")).map((s) => s.trim()).filter(Boolean),
+  };
+}
+
+function dayToMarkdown(date, day) {
+  const score = scoreWake(day.wakeTime, day.goals?.wakeGoal);
+  const front = [
+    ["date", date],
+    ["wake_time", day.wakeTime],
+    ["wake_score", score],
+    ["workout_status", day.workout?.status],
+    ["workout_time", day.workout?.time],
+    ["mood", day.mood],
+    ["sleep_hours", day.sleepHours],
+  ].filter(([, v]) => v != null && v !== "");
+  const meals = dayMeals(day);
+  const { notes, insights } = splitNotes(day.notes);
+
+  const lines = ["---", ...front.map(([k, v]) => `${k}: ${yamlValue(v)}`)];
+  if (meals.length) {
+    lines.push("meals:");
+    meals.forEach((m) => lines.push(`  - meal: ${yamlValue(m.meal)}`, `    time: ${yamlValue(m.time)}`, `    details: ${yamlValue(m.details)}`));
+  }
+  if (day.checkIns?.length) {
+    lines.push("check_ins:");
+    day.checkIns.forEach((c) => {
+      lines.push(`  - at: ${yamlValue(c.at)}`, `    mood: ${c.mood}`, `    energy: ${c.energy}`);
+      if (c.tags?.length) lines.push(`    tags: [${c.tags.map(yamlValue).join(", ")}]`);
+    });
+  }
+  lines.push("tags:", "  - flowstate", "---", "", `# ${date}`, "");
+  if (notes) lines.push("## Notes", "", notes, "");
+  if (insights.length) lines.push("## AI Insights", "", ...insights.map((i) => `- ${i}`), "");
+  return lines.join("\n");
+}
+
+function journalIndex(days) {
+  const lines = ["# FlowState Journal", "", "| Day | Wake | Score | Workout | Mood |", "| --- | --- | --- | --- | --- |"];
+  Object.keys(days).sort().reverse().forEach((date) => {
+    const day = days[date];
+    lines.push(`| [[${date}]] | ${day.wakeTime || "—"} | ${scoreWake(day.wakeTime, day.goals?.wakeGoal) ?? "—"} | ${day.workout?.status || "—"} | ${day.mood || "—"} |`);
+  });
+  return lines.join("\n") + "\n";
+}
+
+function buildJournalFiles(days) {
+  const dates = Object.keys(days).sort();
+  return [
+    ...dates.map((date) => ({ name: `${JOURNAL_DIR}/${date}.md`, content: dayToMarkdown(date, days[date]), date })),
+    { name: `${JOURNAL_DIR}/${JOURNAL_INDEX}`, content: journalIndex(days), date: dates[dates.length - 1] },
+  ];
+}
+
+// ---------- Zip Writer ----------
+// Minimal uncompressed (store) zip: enough for a folder of small text notes without a dependency.
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i += 1) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Files are stamped with their own day (midnight) so identical data gives a byte-identical zip
+function dosDateTime(isoDate) {
+  const [y, m, d] = (isoDate || "1980-01-01").split("-").map(Number);
+  return { time: 0, date: ((Math.max(y, 1980) - 1980) << 9) | (m << 5) | d };
+}
+
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  files.forEach((file) => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+    const { time, date } = dosDateTime(file.date);
+    const local = new DataView(new ArrayBuffer(30));
+    [[0, 0x04034b50, 4], [4, 20, 2], [6, 0x0800, 2], [8, 0, 2], [10, time, 2], [12, date, 2], [14, crc, 4],
+      [18, data.length, 4], [22, data.length, 4], [26, name.length, 2], [28, 0, 2]]
+      .forEach(([at, v, size]) => (size === 4 ? local.setUint32(at, v, true) : local.setUint16(at, v, true)));
+    const header = new DataView(new ArrayBuffer(46));
+    [[0, 0x02014b50, 4], [4, 20, 2], [6, 20, 2], [8, 0x0800, 2], [10, 0, 2], [12, time, 2], [14, date, 2],
+      [16, crc, 4], [20, data.length, 4], [24, data.length, 4], [28, name.length, 2], [30, 0, 2], [32, 0, 2],
+      [34, 0, 2], [36, 0, 2], [38, 0, 4], [42, offset, 4]]
+      .forEach(([at, v, size]) => (size === 4 ? header.setUint32(at, v, true) : header.setUint16(at, v, true)));
+    chunks.push(new Uint8Array(local.buffer), name, data);
+    central.push(new Uint8Array(header.buffer), name);
+    offset += 30 + name.length + data.length;
+  });
+  const centralSize = central.reduce((n, c) => n + c.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  [[0, 0x06054b50, 4], [4, 0, 2], [6, 0, 2], [8, files.length, 2], [10, files.length, 2], [12, centralSize, 4], [16, offset, 4], [20, 0, 2]]
+    .forEach(([at, v, size]) => (size === 4 ? end.setUint32(at, v, true) : end.setUint16(at, v, true)));
+  return new Blob([...chunks, ...central, new Uint8Array(end.buffer)], { type: "application/zip" });
+}
+
+// ---------- Imported Calendars ----------
+/**
+ * External .ics files live in their own setting, never in day records: [{ id, name, fileName,
+ * importedAt, events }] with the parsed (unexpanded) events. Re-importing a calendar with the same
+ * name replaces it wholesale, so deleted or moved events disappear instead of piling up.
+ */
+const CALENDARS_SETTING = "calendars";
+
+async function loadImportedCalendars() {
+  const calendars = await getSetting(CALENDARS_SETTING, []);
+  return Array.isArray(calendars) ? calendars : [];
+}
+
+async function importCalendarFile(fileName, text) {
+  const parsed = parseICS(text);
+  if (!parsed.events.length) throw new Error(`${fileName} has no events (is it an .ics file?)`);
+  const name = parsed.name || fileName.replace(/\.ics$/i, "");
+  const calendars = await loadImportedCalendars();
+  const existing = calendars.find((c) => c.name === name);
+  const calendar = { id: existing?.id || newId(), name, fileName, importedAt: new Date().toISOString(), events: parsed.events };
+  await setSetting(CALENDARS_SETTING, [...calendars.filter((c) => c.name !== name), calendar]);
+  return { calendar, replaced: Boolean(existing) };
+}
+
+async function removeImportedCalendar(id) {
+  const calendars = await loadImportedCalendars();
+  await setSetting(CALENDARS_SETTING, calendars.filter((c) => c.id !== id));
+}
+
+// The day's routine anchors (wake, workout, meals) interleaved with imported events, by time
+function daySchedule(day, calendars, date) {
+  const goals = { ...DEFAULT_GOALS, ...day?.goals };
+  const anchors = [
+    { key: "wake", title: "Wake", start: day?.wakeTime || goals.wakeGoal, kind: "routine" },
+    { key: "breakfast", title: "Breakfast", start: day?.breakfast?.time, kind: "routine" },
+    { key: "workout", title: `Workout (${day?.workout?.status || "pending"})`, start: day?.workout?.time || goals.workoutGoal, kind: "routine" },
+    { key: "lunch", title: "Lunch", start: day?.lunch?.time || goals.lunchTime, kind: "routine" },
+    { key: "dinner", title: "Dinner", start: day?.dinner?.time || goals.dinnerTime, kind: "routine" },
+    ...(day?.snacks || []).map((snack, i) => ({ key: `snack-${i}`, title: snack.details || "Snack", start: snack.time, kind: "routine" })),
+  ].filter((a) => a.start);
+  const events = calendars.flatMap((c) => calendarEventsOn(c.events, date).map((e, i) => ({ ...e, key: `${c.id}-${e.uid}-${i}`, calendar: c.name, kind: "event" })));
+  return [...events.filter((e) => e.allDay), ...[...anchors, ...events.filter((e) => !e.allDay)].sort((a, b) => a.start.localeCompare(b.start))];
+}
+
+// ---------- Tasks ----------
+/**
+ * { id, text, due: 'YYYY-MM-DD' | null, status: 'open' | 'done', completedAt?, snoozedUntil?,
+ *   paraItemId?, paraCategory?, source: 'manual' | 'ai', createdAt, updatedAt }
+ * Snoozing hides an open task until `snoozedUntil` without touching its due date; rescheduling
+ * moves the due date. A task links to a P.A.R.A. item when one matches what it is about, and
+ * otherwise just to a category.
+ */
+const TASK_LINK_STOPWORDS = new Set(["the", "and", "for", "with", "from", "into", "about", "this", "that", "project"]);
+
+const linkWords = (text) => (text.toLowerCase().match(/[a-z0-9]{3,}/g) || []).filter((w) => !TASK_LINK_STOPWORDS.has(w));
+
+function suggestParaLink(text, category, paraItems) {
+  const words = new Set(linkWords(text));
+  let best = null;
+  paraItems.filter((item) => item.category !== "ARCHIVES").forEach((item) => {
+    const score = linkWords(item.title || "").filter((w) => words.has(w)).length;
+    if (score > 0 && (!best || score > best.score)) best = { item, score };
+  });
+  if (best) return { paraItemId: best.item.id, paraCategory: best.item.category };
+  const key = Object.keys(PARA_CATEGORIES).find((k) => PARA_CATEGORIES[k] === category) || taskCategoryHint(text);
+  return key ? { paraCategory: key } : {};
+}
+
+async function addTask({ text, due = null, category = null, source = "manual" }) {
+  const link = suggestParaLink(text, category, await loadParaItems());
+  return upsertTask({ text, due, status: "open", source, ...link });
+}
+
+// Tasks from a chat; one that is already open with the same text is not added twice
+async function addExtractedTasks(tasks) {
+  const open = (await loadTasks()).filter((t) => t.status === "open").map((t) => t.text.toLowerCase());
+  const added = [];
+  for (const task of tasks) {
+    if (open.includes(task.text.toLowerCase())) continue;
+    added.push(await addTask({ text: task.text, due: task.due || null, category: task.category || null, source: "ai" }));
+    open.push(task.text.toLowerCase());
+  }
+  return added;
+}
+
+function completeTask(task, done = true) {
+  return upsertTask({ ...task, status: done ? "done" : "open", completedAt: done ? new Date().toISOString() : undefined });
+}
+
+function snoozeTask(task, days = 1) {
+  return upsertTask({ ...task, snoozedUntil: addDaysISO(todayISO(), days) });
+}
+
+function rescheduleTask(task, due) {
+  return upsertTask({ ...task, due: due || null, snoozedUntil: undefined });
+}
+
+// Open tasks by urgency (overdue, today, upcoming, no date), then snoozed and done ones
+function groupTasks(tasks, today = todayISO()) {
+  const groups = { overdue: [], today: [], upcoming: [], someday: [], snoozed: [], done: [] };
+  tasks.forEach((task) => {
+    if (task.status === "done") groups.done.push(task);
+    else if (task.snoozedUntil && task.snoozedUntil > today) groups.snoozed.push(task);
+    else if (!task.due) groups.someday.push(task);
+    else if (task.due < today) groups.overdue.push(task);
+    else if (task.due === today) groups.today.push(task);
+    else groups.upcoming.push(task);
+  });
+  const byDue = (a, b) => (a.due || "").localeCompare(b.due || "") || (a.createdAt || "").localeCompare(b.createdAt || "");
+  Object.values(groups).forEach((list) => list.sort(byDue));
+  groups.done.sort((a, b) => (b.completedAt || "").localeCompare(a.completedAt || ""));
+  return groups;
+}
+
+// ---------- Chat Threads ----------
+/**
+ * { id, title, createdAt, updatedAt, messages: [{ id, role: 'user' | 'ai', content, at,
+ *   processedInfo?, provider?, fallbackReason? }] }
+ * Both chat surfaces (dashboard and AI Assistant page) show the thread named by the
+ * ACTIVE_THREAD_SETTING setting; with none, the next message starts a new thread.
+ */
+const ACTIVE_THREAD_SETTING = "chat-active-thread";
+const CHAT_TITLE_LENGTH = 60;
+
+function chatThreadTitle(text) {
+  const line = text.trim().split("\n")[0];
+  return line.length > CHAT_TITLE_LENGTH ? `${line.slice(0, CHAT_TITLE_LENGTH - 1)}…` : line;
+}
+
+async function startChatThread(firstMessage) {
+  const thread = await upsertChatThread({ title: chatThreadTitle(firstMessage), messages: [] });
+  await setSetting(ACTIVE_THREAD_SETTING, thread.id);
+  return thread;
+}
+
+function appendChatMessage(threadId, message) {
+  return upsertChatThread({ id: threadId, messages: [{ id: newId(), at: new Date().toISOString(), ...message }] });
+}
+
+// Replaces a stored message (matched by id), e.g. to record review decisions on an AI reply
+function updateChatMessage(threadId, message) {
+  return upsertChatThread({ id: threadId, messages: [message] });
+}
+
+function sortedChatThreads(threads) {
+  return [...threads].sort((a, b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""));
+}
+
+// Threads whose title or messages contain `query`, with the first matching message as a snippet
+function searchChatThreads(threads, query) {
+  const q = query.trim().toLowerCase();
+  if (!q) return sortedChatThreads(threads).map((thread) => ({ thread, snippet: null }));
+  return sortedChatThreads(threads).flatMap((thread) => {
+    const hit = thread.messages.find((m) => m.content.toLowerCase().includes(q));
+    if (!hit && !thread.title.toLowerCase().includes(q)) return [];
+    return [{ thread, snippet: hit ? chatSnippet(hit.content, q) : null }];
+  });
+}
+
+function chatSnippet(content, q) {
+  const i = content.toLowerCase().indexOf(q);
+  const start = Math.max(0, i - 30);
+  return `${start > 0 ? "…" : ""}${content.slice(start, i + q.length + 50)}${i + q.length + 50 < content.length ? "…" : ""}`;
+}
+
+function chatThreadToMarkdown(thread) {
+  const lines = [`# ${thread.title}`, "", `_Started ${new Date(thread.createdAt).toLocaleString()}_`, ""];
+  thread.messages.forEach((m) => {
+    lines.push(`**${m.role === "user" ? "You" : "FlowState"}** · ${new Date(m.at).toLocaleString()}`, "", m.content, "");
+    if (m.toolCalls) lines.push(...m.toolCalls.map((call) => `- 🔧 \`${formatToolCall(call)}\` → ${call.result}`), "");
+  });
+  return lines.join("\n");
+}
+
+const chatFileName = (thread) => `flowstate-chat-${thread.createdAt.slice(0, 10)}-${thread.title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40) || "untitled"}.md`;
+
+// Threads plus the active one, kept current across tabs and devices
+function useChatThreads() {
+  const [threads, setThreads] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+
+  async function reload() {
+    try {
+      setThreads(await loadChatThreads());
+      setActiveId(await getSetting(ACTIVE_THREAD_SETTING, null));
+    } catch (e) {
+      console.warn("Could not load chats", e);
+    }
+  }
+
+  useEffect(() => {
+    reload();
+  }, []);
+
+  useStorageChanges((change) => {
+    if (change.type === "chat" || (change.type === "setting" && (!change.key || change.key === ACTIVE_THREAD_SETTING))) reload();
+  }, []);
+
+  const active = threads.find((t) => t.id === activeId) || null;
+  return { threads, active, select: (id) => setSetting(ACTIVE_THREAD_SETTING, id) };
+}
+
+// ---------- People ----------
+/**
+ * A person: { id, name, relationship?, preferences: string[], dates: [{ label, date }], lastContact?,
+ * contactEveryWeeks?, notes?, source }. Yearly dates such as birthdays are MM-DD (YYYY-MM-DD when
+ * the year is known) and `lastContact` is an ISO date. Chats add to a person through
+ * rememberPerson; the People card edits them by hand.
+ */
+const CONTACT_EVERY_WEEKS = 4; // "haven't talked in N weeks" unless the person sets their own
+const PEOPLE_DATE_LOOKAHEAD_DAYS = 14;
+const PERSON_DATE_PATTERN = "^(\\d{4}-)?\\d{2}-\\d{2}$";
+
+// By name, or by relationship for people known only as "Mom"
+function findPerson(people, name) {
+  const key = name.trim().toLowerCase();
+  return people.find((p) => p.name.toLowerCase() === key) || people.find((p) => p.relationship?.toLowerCase() === key) || null;
+}
+
+// Folds what a chat said about someone ({ name, relationship?, preferences?, dates?, contactedOn? }) into their record
+function mergePersonUpdate(person, update) {
+  const base = person || { name: update.name, preferences: [], dates: [], source: "ai" };
+  const preferences = [...(base.preferences || [])];
+  for (const p of update.preferences || []) {
+    if (!preferences.some((q) => q.toLowerCase() === p.toLowerCase())) preferences.push(p);
+  }
+  const dates = [...(base.dates || [])];
+  for (const d of update.dates || []) {
+    const i = dates.findIndex((e) => e.label.toLowerCase() === d.label.toLowerCase());
+    if (i === -1) dates.push(d);
+    else dates[i] = { ...dates[i], date: d.date };
+  }
+  const lastContact = [base.lastContact, update.contactedOn].filter(Boolean).sort().pop();
+  return { ...base, relationship: update.relationship || base.relationship, preferences, dates, ...(lastContact && { lastContact }) };
+}
+
+async function rememberPerson(update) {
+  return upsertPerson(mergePersonUpdate(findPerson(await loadPeople(), update.name), update));
+}
+
+function describePersonUpdate({ name, relationship, preferences = [], dates = [], contactedOn }) {
+  return [
+    `${name}${relationship && relationship.toLowerCase() !== name.toLowerCase() ? ` (${relationship})` : ""}`,
+    ...preferences,
+    ...dates.map((d) => `${d.label.toLowerCase()} ${d.date}`),
+    contactedOn && `talked ${contactedOn}`,
+  ].filter(Boolean).join(" · ");
+}
+
+const daysBetweenISO = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+
+// The next time a yearly MM-DD (or YYYY-MM-DD) date comes round, today included
+function nextOccurrence(date, today = todayISO()) {
+  const year = Number(today.slice(0, 4));
+  const thisYear = `${year}-${date.slice(-5)}`;
+  return thisYear >= today ? thisYear : `${year + 1}-${date.slice(-5)}`;
+}
+
+/**
+ * Dates coming up in the next PEOPLE_DATE_LOOKAHEAD_DAYS ({ kind: 'date', person, label, date, inDays })
+ * and people not talked to for their check-in interval ({ kind: 'contact', person, weeks }), dates first.
+ */
+function peopleReminders(people, today = todayISO()) {
+  const dates = [];
+  const contacts = [];
+  for (const person of people) {
+    for (const { label, date } of person.dates || []) {
+      const on = nextOccurrence(date, today);
+      const inDays = daysBetweenISO(today, on);
+      if (inDays <= PEOPLE_DATE_LOOKAHEAD_DAYS) dates.push({ kind: "date", person, label, date: on, inDays });
+    }
+    const weeks = person.lastContact ? Math.floor(daysBetweenISO(person.lastContact, today) / 7) : 0;
+    if (weeks >= (person.contactEveryWeeks || CONTACT_EVERY_WEEKS)) contacts.push({ kind: "contact", person, weeks });
+  }
+  return [...dates.sort((a, b) => a.inDays - b.inDays), ...contacts.sort((a, b) => b.weeks - a.weeks)];
+}
+
+function usePeople() {
+  const [people, setPeople] = useState([]);
+
+  async function reload() {
+    try {
+      setPeople(await loadPeople());
+    } catch (e) {
+      console.warn("Could not load people", e);
+    }
+  }
+
+  useEffect(() => {
+    reload();
+  }, []);
+
+  useStorageChanges((change) => {
+    if (change.type === "person") reload();
+  }, []);
+
+  return people;
+}
+
+// ---------- Goals ----------
+/**
+ * A goal: { id, title, targetDate: 'YYYY-MM-DD' | null, target, milestones: [{ id, title, due, done }],
+ * source }. `target` makes it measurable and is null or one of
+ *   { kind: 'metric', metric, start, value }  a dashboard metric going from `start` to `value`
+ *   { kind: 'count', subject, value }         `value` logged events (workouts) a week
+ * Progress is computed from what is logged (goalProgress); goals without a target go by their
+ * milestones. Chats propose goals with a milestone breakdown, the Goals card edits them.
+ */
+const GOAL_METRICS = Object.keys(DEFAULT_METRICS).filter((key) => !key.endsWith("Goal"));
+const GOAL_COUNT_SUBJECTS = { workout: "workouts" }; // HISTORY_SUBJECTS keys that can be counted per week
+const GOALS_SEEDED_SETTING = "goals-seeded";
+
+const GOAL_TARGET_SCHEMA = {
+  type: ["object", "null"],
+  required: ["kind", "value"],
+  additionalProperties: false,
+  properties: {
+    kind: { type: "string", enum: ["metric", "count"] },
+    metric: { type: "string", enum: GOAL_METRICS },
+    subject: { type: "string", enum: Object.keys(GOAL_COUNT_SUBJECTS) },
+    start: { type: "number" },
+    value: { type: "number" },
+  },
+};
+
+const clampPercent = (n) => Math.round(Math.max(0, Math.min(100, n)));
+
+function describeGoalTarget(target) {
+  if (target?.kind === "metric") {
+    const { label, unit } = HISTORY_METRICS.find((m) => m.key === target.metric);
+    return `${label} to ${target.value}${unit}`;
+  }
+  if (target?.kind === "count") return `${target.value} ${GOAL_COUNT_SUBJECTS[target.subject]} a week`;
+  return null;
+}
+
+/**
+ * { percent, label } from logged data: how far a metric has moved from its start towards the
+ * target, the last 7 days' count against the weekly target, or the share of milestones done.
+ * `percent` is null when there is nothing to measure.
+ */
+function goalProgress(goal, { days, metrics, today = todayISO() }) {
+  const { target } = goal;
+  if (target?.kind === "metric") {
+    const { unit } = HISTORY_METRICS.find((m) => m.key === target.metric);
+    const current = Number(metrics[target.metric]);
+    const start = target.start ?? current;
+    const span = target.value - start;
+    const percent = span === 0 ? (current === target.value ? 100 : 0) : ((current - start) / span) * 100;
+    return { percent: clampPercent(percent), label: `${current}${unit} now · ${start}${unit} → ${target.value}${unit}` };
+  }
+  if (target?.kind === "count") {
+    const subject = HISTORY_SUBJECTS.find((s) => s.key === target.subject);
+    const logged = Array.from({ length: 7 }, (_, i) => addDaysISO(today, -i)).filter((date) => subject.value(days[date] || {}, date, {}) != null).length;
+    return { percent: clampPercent((logged / target.value) * 100), label: `${logged} of ${target.value} ${GOAL_COUNT_SUBJECTS[target.subject]} in the last 7 days` };
+  }
+  const milestones = goal.milestones || [];
+  if (!milestones.length) return { percent: null, label: "No target or milestones yet" };
+  const done = milestones.filter((m) => m.done).length;
+  return { percent: clampPercent((done / milestones.length) * 100), label: `${done} of ${milestones.length} milestones` };
+}
+
+// Goals by target date (undated last), then title
+const sortGoals = (goals) => [...goals].sort((a, b) => (a.targetDate || "9999").localeCompare(b.targetDate || "9999") || a.title.localeCompare(b.title));
+
+// A proposed goal ({ title, targetDate?, target?, milestones }) as a stored one; metric targets start from today's value
+async function addGoal({ title, targetDate = null, target = null, milestones = [] }, source = "manual") {
+  const metrics = { ...DEFAULT_METRICS, ...((await getSetting("metrics", {})) || {}) };
+  return upsertGoal({
+    title,
+    targetDate,
+    target: target?.kind === "metric" ? { start: metrics[target.metric], ...target } : target,
+    milestones: milestones.map((m) => ({ id: newId(), title: m.title, due: m.due || null, done: false })),
+    source,
+  });
+}
+
+// The Goals cards used to be static text; they become editable goals once per store
+async function seedGoals(today = todayISO()) {
+  if (await getSetting(GOALS_SEEDED_SETTING, false)) return;
+  if ((await loadGoals()).length === 0) {
+    await addGoal({ title: "Bali Body", targetDate: nextOccurrence("12-24", today) });
+    await addGoal({ title: "6-Pack by Birthday" });
+    await addGoal({ title: "Life Clean-Up" });
+  }
+  await setSetting(GOALS_SEEDED_SETTING, true);
+}
+
+// Goals (sorted) with their progress, recomputed when goals, days or metrics change
+function useGoalProgress() {
+  const [rows, setRows] = useState([]);
+
+  async function reload() {
+    try {
+      const [goals, days, metrics] = await Promise.all([loadGoals(), loadAllDays(), getSetting("metrics", {})]);
+      const context = { days, metrics: { ...DEFAULT_METRICS, ...metrics } };
+      setRows(sortGoals(goals).map((goal) => ({ goal, progress: goalProgress(goal, context) })));
+    } catch (e) {
+      console.warn("Could not load goals", e);
+    }
+  }
+
+  useEffect(() => {
+    reload();
+  }, []);
+
+  useStorageChanges((change) => {
+    if (["goal", "day", "setting"].includes(change.type)) reload();
+  }, []);
+
+  return rows;
+}
+
+// ---------- Mood & Energy ----------
+/**
+ * Check-ins are stored on the day as checkIns: [{ at: 'HH:MM', mood: 1-5, energy: 1-5, tags }], as
+ * many a day as you like; sleepHours is the night before. Days without check-ins still count the
+ * mood classified from chat (low, neutral, high) on the same scale. Trends average by week, and
+ * correlations compare mood and energy on days split by wake time, workout and sleep.
+ */
+const MOOD_FACES = { 1: "😞", 2: "🙁", 3: "😐", 4: "🙂", 5: "😄" };
+const CHECK_IN_TAGS = ["calm", "focused", "social", "stressed", "tired", "sore"];
+const CLASSIFIED_MOOD_LEVELS = { low: 2, neutral: 3, high: 4 };
+const MOOD_TREND_WEEKS = 8;
+const ENOUGH_SLEEP_HOURS = 7;
+const MIN_CORRELATION_DAYS = 3; // in each group; fewer and a factor shows no comparison
+
+const averageOf = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+const roundTo = (n, places = 1) => (n == null ? null : Math.round(n * 10 ** places) / 10 ** places);
+
+// { mood, energy } for a day, averaged over its check-ins; null where nothing was logged
+function dayMoodEnergy(day) {
+  const checkIns = day?.checkIns || [];
+  const mood = checkIns.length ? averageOf(checkIns.map((c) => c.mood)) : CLASSIFIED_MOOD_LEVELS[day?.mood] ?? null;
+  return { mood: roundTo(mood), energy: roundTo(averageOf(checkIns.map((c) => c.energy))) };
+}
+
+// The last `weeks` weeks (Monday first, oldest first) as { from, mood, energy, days }
+function weeklyMoodTrend(days, today = todayISO(), weeks = MOOD_TREND_WEEKS) {
+  const monday = addDaysISO(today, -((weekdayOfISO(today) + 6) % 7));
+  return Array.from({ length: weeks }, (_, i) => {
+    const from = addDaysISO(monday, -7 * (weeks - 1 - i));
+    const readings = Array.from({ length: 7 }, (_, d) => addDaysISO(from, d))
+      .filter((date) => date <= today && days[date])
+      .map((date) => dayMoodEnergy(days[date]));
+    const of = (key) => readings.map((r) => r[key]).filter((v) => v != null);
+    return { from, mood: roundTo(averageOf(of("mood"))), energy: roundTo(averageOf(of("energy"))), days: of("mood").length };
+  });
+}
+
+// `measure(day)` is the factor's number for a day (null when not logged); `first` puts a measure in the first group
+const MOOD_FACTORS = [
+  {
+    key: "wake", label: "Wake time", groups: ["woke by your goal", "woke later"],
+    measure: (day) => timeToMinutes(day.wakeTime),
+    first: (minutes, day) => minutes <= timeToMinutes(day.goals?.wakeGoal || DEFAULT_GOALS.wakeGoal),
+  },
+  {
+    key: "workout", label: "Workout", groups: ["worked out", "didn't work out"],
+    measure: (day) => (day.workout?.status ? Number(day.workout.status === "done") : null),
+    first: (done) => done === 1,
+  },
+  {
+    key: "sleep", label: "Sleep", groups: [`slept ${ENOUGH_SLEEP_HOURS}h or more`, `slept under ${ENOUGH_SLEEP_HOURS}h`],
+    measure: (day) => day.sleepHours ?? null,
+    first: (hours) => hours >= ENOUGH_SLEEP_HOURS,
+  },
+];
+
+// Pearson's r for [x, y] pairs, null when there are too few or one side never varies
+function correlation(pairs) {
+  if (pairs.length < MIN_CORRELATION_DAYS * 2) return null;
+  const mx = averageOf(pairs.map(([x]) => x));
+  const my = averageOf(pairs.map(([, y]) => y));
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (const [x, y] of pairs) {
+    sxy += (x - mx) * (y - my);
+    sxx += (x - mx) ** 2;
+    syy += (y - my) ** 2;
+  }
+  return sxx && syy ? roundTo(sxy / Math.sqrt(sxx * syy), 2) : null;
+}
+
+/**
+ * For each factor: { key, label, groups: [{ label, days, mood, energy }], r, summary }, where r
+ * correlates the factor's measure with mood and summary compares the groups' average mood.
+ * summary is null until both groups have MIN_CORRELATION_DAYS days with a mood.
+ */
+function moodCorrelations(days) {
+  return MOOD_FACTORS.map(({ key, label, groups, measure, first }) => {
+    const rows = Object.values(days)
+      .map((day) => ({ day, value: measure(day), ...dayMoodEnergy(day) }))
+      .filter((row) => row.value != null && (row.mood != null || row.energy != null));
+    const split = [rows.filter((row) => first(row.value, row.day)), rows.filter((row) => !first(row.value, row.day))];
+    const stats = split.map((group, i) => ({
+      label: groups[i],
+      days: group.length,
+      mood: roundTo(averageOf(group.map((row) => row.mood).filter((v) => v != null))),
+      energy: roundTo(averageOf(group.map((row) => row.energy).filter((v) => v != null))),
+    }));
+    const [a, b] = stats;
+    const comparable = split.every((group) => group.filter((row) => row.mood != null).length >= MIN_CORRELATION_DAYS);
+    const diff = comparable ? roundTo(a.mood - b.mood) : null;
+    const summary = diff == null ? null
+      : diff === 0 ? `Mood is the same whether you ${a.label} or not`
+      : `Mood is ${Math.abs(diff)} ${diff > 0 ? "higher" : "lower"} on days you ${a.label}`;
+    const r = correlation(rows.filter((row) => row.mood != null).map((row) => [row.value, row.mood]));
+    return { key, label, groups: stats, r, summary };
+  });
+}
+
+// ---------- Small UI primitives ----------
+const Container = ({ children, className = "" }) => (
+  <div className={`mx-auto w-full max-w-6xl px-4 sm:px-6 lg:px-8 ${className}`}>{children}</div>
+);
+const Card = ({ children, className = "", ...props }) => (
+  <div {...props} className={`rounded-2xl border border-slate-200 bg-white/80 shadow-sm backdrop-blur ${className}`}>{children}</div>
+);
+const SectionTitle = ({ title, subtitle }) => (
+  <div className="mb-6">
+    <h2 className="text-2xl font-bold tracking-tight text-slate-900">{title}</h2>
+    {subtitle && <p className="mt-1 text-slate-600">{subtitle}</p>}
+  </div>
+);
+const Badge = ({ children, className = "" }) => (
+  <span className={`inline-flex items-center rounded-full border border-slate-200 px-3 py-1 text-xs font-medium text-slate-700 ${className}`}>
+    {children}
+  </span>
+);
+const Tooltip = ({ children, content, position = "top" }) => {
+  const [visible, setVisible] = useState(false);
+  return (
+    <div className="relative inline-block">
+      <div 
+        onMouseEnter={() => setVisible(true)} 
+        onMouseLeave={() => setVisible(false)}
+        className="cursor-help"
+      >
+        {children}
+      </div>
+      {visible && (
+        <div className={`absolute z-50 px-2 py-1 text-xs text-white bg-slate-900 rounded shadow-lg whitespace-nowrap ${
+          position === 'top' ? 'bottom-full mb-1 left-1/2 transform -translate-x-1/2' :
+          position === 'bottom' ? 'top-full mt-1 left-1/2 transform -translate-x-1/2' :
+          position === 'left' ? 'right-full mr-1 top-1/2 transform -translate-y-1/2' :
+          'left-full ml-1 top-1/2 transform -translate-y-1/2'
+        }`}>
+          {content}
+          <div className={`absolute w-0 h-0 ${
+            position === 'top' ? 'top-full left-1/2 transform -translate-x-1/2 border-l-4 border-r-4 border-t-4 border-transparent border-t-slate-900' :
+            position === 'bottom' ? 'bottom-full left-1/2 transform -translate-x-1/2 border-l-4 border-r-4 border-b-4 border-transparent border-b-slate-900' :
+            position === 'left' ? 'left-full top-1/2 transform -translate-y-1/2 border-t-4 border-b-4 border-l-4 border-transparent border-l-slate-900' :
+            'right-full top-1/2 transform -translate-y-1/2 border-t-4 border-b-4 border-r-4 border-transparent border-r-slate-900'
+          }`}></div>
+        </div>
+      )}
+    </div>
+  );
+};
+const Button = ({ children, onClick, type = "button", className = "" }) => (
+  <button type={type} onClick={onClick} className={`rounded-xl px-4 py-2 text-sm font-semibold shadow-sm transition hover:shadow ${className}`}>
+    {children}
+  </button>
+);
+const Input = (props) => (
+  <input {...props} className={`w-full rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-900 placeholder-slate-400 outline-none focus:border-slate-400 focus:ring-2 focus:ring-slate-100 ${props.className || ""}`} />
+);
+const Textarea = (props) => (
+  <textarea {...props} className={`w-full rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-900 placeholder-slate-400 outline-none focus:border-slate-400 focus:ring-2 focus:ring-slate-100 ${props.className || ""}`} />
+);
+
+// A line through `values`, scaled to fit; nothing for fewer than two points
+function Sparkline({ values, width = 160, height = 32, label }) {
+  if (values.length < 2) return null;
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const x = (i) => (i / (values.length - 1)) * width;
+  const y = (v) => (max === min ? height / 2 : height - 2 - ((v - min) / (max - min)) * (height - 4));
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} role="img" aria-label={label} className="text-indigo-500">
+      <polyline fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round" points={values.map((v, i) => `${x(i)},${y(v)}`).join(" ")} />
+    </svg>
+  );
+}
+
+// ---------- KPI helpers ----------
+function timeToMinutes(t) {
+  if (!t) return null;
+  const [h, m] = t.split(":").map(Number);
+  return h * 60 + (m || 0);
+}
+function scoreWake(wakeTime, goal = DEFAULT_GOALS.wakeGoal) {
+  const wt = timeToMinutes(wakeTime);
+  const gt = timeToMinutes(goal);
+  if (wt == null || gt == null) return null;
+  const diff = Math.abs(wt - gt);
+  const s = Math.max(0, 100 - (diff / 110) * 100);
+  return Math.round(s);
+}
+function pillStatusColor(status) {
+  if (status === "done") return "bg-emerald-50 text-emerald-700 border-emerald-200";
+  if (status === "planned") return "bg-indigo-50 text-indigo-700 border-indigo-200";
+  if (status === "skipped") return "bg-amber-50 text-amber-700 border-amber-200";
+  return "bg-slate-50 text-slate-700 border-slate-200";
+}
+
+// ---------- Tour Component ----------
+function QuickDemo() {
+  const [activeDemo, setActiveDemo] = useState(0);
+  const demos = [
+    {
+      icon: "💬",
+      title: "Just Chat Naturally",
+      example: "Hey! I woke up at 7 AM, had breakfast, and I'm planning to learn Python today.",
+      result: "✓ Wake time logged\n✓ Meal tracked\n✓ Learning goal added"
+    },
+    {
+      icon: "📊", 
+      title: "Everything Organized",
+      example: "I need to call my mom this weekend and prepare for my presentation next Tuesday.",
+      result: "✓ Reminder set\n✓ Task scheduled\n✓ Presentation project created"
+    },
+    {
+      icon: "🎯",
+      title: "Goals & Insights",
+      example: "Feeling great after this workout! My goal is to run a 5K by March.",
+      result: "✓ Workout logged\n✓ Mood recorded\n✓ 5K goal tracked with timeline"
+    }
+  ];
+
+  return (
+    <div className="text-center py-8 bg-gradient-to-br from-indigo-50 to-emerald-50 rounded-xl border border-slate-200">
+      <div className="flex items-center justify-center gap-3 mb-6">
+        <div className="text-2xl">{demos[activeDemo].icon}</div>
+        <h3 className="text-xl font-bold text-slate-900">{demos[activeDemo].title}</h3>
+      </div>
+      
+      <div className="max-w-md mx-auto space-y-4">
+        <div className="bg-white rounded-lg p-4 border border-slate-200 shadow-sm">
+          <p className="text-sm text-slate-600 mb-2">You say:</p>
           <p className="text-slate-800 font-medium italic">"{demos[activeDemo].example}"</p>
         </div>
-        
-        <div className="bg-gradient-to-r from-indigo-100 to-emerald-100 rounded-lg p-4 border border-indigo-200">
-          <p className="text-sm text-indigo-800 mb-2">AI automatically:</p>
-          <div className="text-indigo-900 whitespace-pre-line font-medium">{demos[activeDemo].result}</div>
+        
+        <div className="bg-gradient-to-r from-indigo-100 to-emerald-100 rounded-lg p-4 border border-indigo-200">
+          <p className="text-sm text-indigo-800 mb-2">AI automatically:</p>
+          <div className="text-indigo-900 whitespace-pre-line font-medium">{demos[activeDemo].result}</div>
+        </div>
+        
+        <div className="flex justify-center gap-2">
+          {demos.map((_, i) => (
+            <button
+              key={i}
+              onClick={() => setActiveDemo(i)}
+              className={`w-2 h-2 rounded-full ${
+                i === activeDemo ? 'bg-indigo-500' : 'bg-slate-300'
+              }`}
+            />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function AppTour({ isOpen, onClose, onNext, onPrev, currentStep, totalSteps }) {
+  if (!isOpen) return null;
+  
+  const step = TOUR_STEPS[currentStep];
+  
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm">
+      <div className="bg-white rounded-2xl shadow-2xl p-6 max-w-lg mx-4 relative animate-in fade-in duration-200">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <div className="flex h-8 w-8 items-center justify-center rounded-full bg-gradient-to-r from-indigo-500 to-emerald-500 text-sm font-bold text-white">
+              Flow
+            </div>
+            <span className="text-sm font-semibold text-slate-900">FlowState Tour</span>
+          </div>
+          <span className="text-sm text-slate-500">{currentStep + 1} of {totalSteps}</span>
+        </div>
+        
+        <div className="mb-6">
+          <h3 className="text-xl font-bold text-slate-900 mb-2">{step.title}</h3>
+          <p className="text-slate-600 leading-relaxed">{step.content}</p>
+          {step.action && (
+            <div className="mt-3 p-3 bg-gradient-to-r from-indigo-50 to-emerald-50 rounded-lg border border-slate-200">
+              <span className="text-sm text-slate-700">{step.action}</span>
+            </div>
+          )}
+        </div>
+        
+        <div className="flex items-center justify-between">
+          <div className="flex gap-2">
+            {currentStep > 0 && (
+              <Button onClick={onPrev} className="border border-slate-300 bg-white text-slate-900">
+                Previous
+              </Button>
+            )}
+            {currentStep === totalSteps - 1 && (
+              <Button onClick={onClose} className="bg-slate-900 text-white hover:bg-slate-800">
+                Complete Tour
+              </Button>
+            )}
+          </div>
+          
+          <div className="flex gap-1">
+            {Array.from({ length: totalSteps }).map((_, i) => (
+              <div
+                key={i}
+                className={`w-2 h-2 rounded-full ${
+                  i === currentStep 
+                    ? 'bg-gradient-to-r from-indigo-500 to-emerald-500' 
+                    : 'bg-slate-200'
+                }`}
+              />
+            ))}
+          </div>
+          
+          {currentStep < totalSteps - 1 && (
+            <Button onClick={onNext} className="bg-gradient-to-r from-indigo-500 to-emerald-500 text-white hover:from-indigo-600 hover:to-emerald-600">
+              Next
+            </Button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ---------- Landing ----------
+function Landing({ onGetStarted, onStartTour, onStartChatting }) {
+  return (
+    <div className="relative">
+      <div className="relative overflow-hidden">
+        <div className="pointer-events-none absolute inset-0 bg-[radial-gradient(ellipse_at_top_right,rgba(99,102,241,0.12),transparent_40%),radial-gradient(ellipse_at_bottom_left,rgba(16,185,129,0.12),transparent_40%)]" />
+        <Container className="pt-16 pb-20">
+          <div className="flex flex-col items-center text-center">
+              <Badge className="bg-gradient-to-r from-indigo-100 to-emerald-100 border-indigo-200 text-indigo-800">
+                🤖 AI‑Powered Life Assistant
+              </Badge>
+            <h1 className="mt-6 text-4xl font-extrabold tracking-tight text-slate-900 sm:text-5xl">
+              🚀🚀🚀 NUCLEAR DEPLOYMENT SUCCESSFUL! 🚀🚀🚀
+            </h1>
+            <p className="mt-4 max-w-2xl text-lg text-slate-600">
+              Just chat naturally! Your AI assistant listens, understands, and automatically organizes everything — from daily habits to big goals. No complicated forms, no confusing buttons.
+            </p>
+            <div className="mt-8 flex gap-4">
+              <Button 
+                onClick={onStartChatting}
+                className="bg-gradient-to-r from-indigo-500 to-emerald-500 text-white hover:from-indigo-600 hover:to-emerald-600 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 transition-all duration-200 px-8 py-4 text-lg font-bold"
+              >
+                <span className="mr-3">🤖</span>
+                Start Chatting Now
+              </Button>
+              <Button onClick={onGetStarted} className="border-2 border-slate-300 bg-white text-slate-900 hover:bg-slate-50 hover:border-slate-400 px-8 py-4 text-lg font-semibold">
+                See Your Life Organized 👀
+              </Button>
+            </div>
+            
+            <div className="mt-6">
+              <Button onClick={onStartTour} className="text-slate-500 hover:text-slate-700 text-sm underline">
+                👋 New? Take a Quick Tour
+              </Button>
+            </div>
+          </div>
+        </Container>
+      </div>
+
+      {/* Quick Demo Section */}
+      <Container className="py-12">
+        <div className="text-center mb-8">
+          <h2 className="text-3xl font-bold text-slate-900 mb-3">See It In Action</h2>
+          <p className="text-lg text-slate-600">Watch how easy it is to organize your life with AI</p>
+        </div>
+        <QuickDemo />
+      </Container>
+
+      <Container className="py-12">
+        <SectionTitle 
+          title="Here's How Your AI Assistant Helps" 
+          subtitle="Real examples of how people use their AI Life Assistant" 
+        />
+        <div className="grid gap-8 sm:grid-cols-2 lg:grid-cols-3">
+          {[
+            { 
+              icon: "🏃‍♀️", 
+              title: "Track Your Habits", 
+              example: "\"I woke up at 7 AM and did a 20-minute workout\"",
+              desc: "Your assistant automatically logs wake times, workouts, meals, and more — just speak naturally!"
+            },
+            { 
+              icon: "📝", 
+              title: "Capture Everything", 
+              example: "\"Remind me to call mom this weekend\"",
+              desc: "Jot down tasks, ideas, reminders, and appointments. Your assistant remembers everything."
+            },
+            { 
+              icon: "📊", 
+              title: "Set & Track Goals", 
+              example: "\"I want to learn Spanish by June\"",
+              desc: "Turn goals into actionable plans and track progress automatically over time."
+            },
+            { 
+              icon: "📱", 
+              title: "Plan Your Day", 
+              example: "\"I have meetings at 2 PM and need lunch at 1 PM\"",
+              desc: "Schedule your day effortlessly — your assistant organizes everything logically."
+            },
+            { 
+              icon: "🧠", 
+              title: "Mood & Energy Tracking", 
+              example: "\"Feeling really energetic today after that workout\"",
+              desc: "Track how you feel and discover patterns between activities and mood."
+            },
+            { 
+              icon: "🎯", 
+              title: "Remember Everything Important", 
+              example: "\"Sarah likes almond lattes — remember for her birthday\"",
+              desc: "Store important details about friends, family, projects, and personal preferences."
+            },
+          ].map((f, i) => (
+            <Card key={i} className="p-6 relative overflow-hidden group hover:shadow-lg transition-all duration-300">
+              <div className="absolute top-0 right-0 w-20 h-20 bg-gradient-to-br from-blue-50 to-purple-50 rounded-bl-full opacity-50 group-hover:opacity-70"></div>
+              <div className="relative">
+                <div className="text-3xl mb-4">{f.icon}</div>
+                <h3 className="text-xl font-bold text-slate-900 mb-3">{f.title}</h3>
+                <div className="bg-gradient-to-r from-blue-50 to-purple-50 p-3 rounded-lg mb-3 border border-blue-100">
+                  <p className="text-sm font-medium text-slate-700 italic">"{f.example.replace(/"/g, '')}"</p>
+                </div>
+                <p className="text-slate-600 leading-relaxed">{f.desc}</p>
+              </div>
+            </Card>
+          ))}
+        </div>
+      </Container>
+
+      <Container className="pb-16">
+        <SectionTitle 
+          title="Simple as Having a Conversation" 
+          subtitle="No learning curve, no complicated menus — just chat!" 
+        />
+        <div className="grid gap-8 sm:grid-cols-3">
+          {[
+            { 
+              n: 1, 
+              t: "Speak Naturally", 
+              d: "Chat like you're talking to a smart friend. Say whatever's on your mind!",
+              emoji: "💬",
+              highlight: "No forms to fill out"
+            },
+            { 
+              n: 2, 
+              t: "AI Understands & Organizes", 
+              d: "Your assistant automatically captures tasks, habits, goals, and memories.",
+              emoji: "🧠",
+              highlight: "Zero manual work"
+            },
+            { 
+              n: 3, 
+              t: "See Everything Clearly", 
+              d: "Your organized life appears instantly — habits, goals, and insights at a glance.",
+              emoji: "📊",
+              highlight: "Personal dashboard"
+            },
+          ].map((s) => (
+            <Card key={s.n} className="p-8 text-center relative overflow-hidden group hover:shadow-xl transition-all duration-300">
+              <div className="absolute inset-0 bg-gradient-to-br from-indigo-50 to-emerald-50 opacity-0 group-hover:opacity-50 transition-opacity"></div>
+              <div className="relative">
+                <div className="text-4xl mb-4">{s.emoji}</div>
+                <div className="flex h-12 w-12 mx-auto mb-6 items-center justify-center rounded-full bg-gradient-to-r from-indigo-500 to-emerald-500 text-lg font-bold text-white">{s.n}</div>
+                <h4 className="text-xl font-bold text-slate-900 mb-3">{s.t}</h4>
+                <div className="inline-block bg-gradient-to-r from-indigo-100 to-emerald-100 text-indigo-800 px-3 py-1 rounded-full text-xs font-semibold mb-3">
+                  {s.highlight}
+                </div>
+                <p className="text-slate-600 leading-relaxed">{s.d}</p>
+              </div>
+            </Card>
+          ))}
+        </div>
+      </Container>
+    </div>
+  );
+}
+
+// ---------- Dashboard ----------
+function KPI({ label, value, hint, icon, trend }) {
+  const getTrendColor = (trend) => {
+    if (trend === 'up') return 'text-emerald-500';
+    if (trend === 'down') return 'text-red-500';
+    return 'text-slate-400';
+  };
+
+  return (
+    <Card className="p-5 hover:shadow-lg transition-shadow relative overflow-hidden group">
+      <div className="absolute top-0 right-0 w-20 h-20 bg-gradient-to-br from-indigo-50 to-emerald-50 rounded-bl-full opacity-50 group-hover:opacity-70 transition-opacity"></div>
+      <div className="relative">
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-sm font-medium text-slate-600 uppercase tracking-wide">{label}</div>
+          {icon && <div className="text-xl">{icon}</div>}
+        </div>
+        <div className="flex items-end justify-between">
+          <div className="text-3xl font-bold text-slate-900">{value}</div>
+          {trend && (
+            <div className={`text-sm font-medium ${getTrendColor(trend)}`}>
+              {trend === 'up' ? '↗️' : trend === 'down' ? '↘️' : ''}
+            </div>
+          )}
+        </div>
+        {hint && (
+          <div className="mt-2 text-xs text-slate-500 bg-slate-50 px-2 py-1 rounded-full inline-block">
+            {hint}
+          </div>
+        )}
+      </div>
+    </Card>
+  );
+}
+function ProgressBar({ value }) {
+  return (
+    <div className="h-2 w-full rounded-full bg-slate-100">
+      <div className="h-2 rounded-full bg-slate-900" style={{ width: `${Math.max(0, Math.min(100, value || 0))}%` }} />
+    </div>
+  );
+}
+function QuickCapture({ onAdd }) {
+  const [v, setV] = useState("");
+  return (
+    <div className="mt-3 flex gap-2">
+      <Input value={v} onChange={(e) => setV(e.target.value)} placeholder="Write a thought or task…" />
+      <Button onClick={() => { if (!v.trim()) return; onAdd(v.trim()); setV(""); }} className="bg-slate-900 text-white hover:bg-slate-800">Add</Button>
+    </div>
+  );
+}
+
+function TodaySummary({ date, data, schedule = [] }) {
+  const wakeScore = useMemo(() => scoreWake(data?.wakeTime), [data]);
+  const workoutStatus = data?.workout?.status || "pending";
+  const goals = useGoalProgress();
+  return (
+    <div className="grid gap-6 lg:grid-cols-3">
+      <div className="lg:col-span-2 grid gap-6">
+        <Card className="p-5" data-tour="daily-tracking">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-2">
+              <h3 className="text-lg font-semibold text-slate-900">Today – {date}</h3>
+              <Tooltip content="Daily habits are extracted automatically from AI chats. Click Edit to manually adjust." position="top">
+                <span className="text-slate-400 cursor-help">💡</span>
+              </Tooltip>
+            </div>
+            <Badge>Routine</Badge>
+          </div>
+          <div className="mt-4 grid gap-4 sm:grid-cols-2">
+            <div>
+              <div className="text-sm text-slate-500">Wake Time</div>
+              <div className="mt-1 text-xl font-semibold text-slate-900">{data?.wakeTime || "—"}</div>
+              <div className="mt-3">
+                <ProgressBar value={wakeScore} />
+                <div className="mt-1 text-xs text-slate-500">Goal {data?.goals?.wakeGoal || DEFAULT_GOALS.wakeGoal} • Score {wakeScore ?? "—"}</div>
+              </div>
+            </div>
+            <div>
+              <div className="text-sm text-slate-500">Workout</div>
+              <div className={`mt-1 inline-flex items-center gap-2 rounded-full border px-3 py-1 text-sm font-medium ${pillStatusColor(workoutStatus)}`}>
+                <span className="h-2 w-2 rounded-full bg-current opacity-70" />
+                {data?.workout?.time || DEFAULT_GOALS.workoutGoal} • {workoutStatus}
+              </div>
+              <div className="mt-3 text-xs text-slate-500">Target {data?.goals?.workoutGoal || DEFAULT_GOALS.workoutGoal}</div>
+            </div>
+          </div>
+          <div className="mt-6 grid gap-4 sm:grid-cols-2">
+            {data?.breakfast && (data.breakfast.time || data.breakfast.details) && (
+              <div>
+                <div className="text-sm text-slate-500">Breakfast</div>
+                <div className="mt-1 text-slate-900">{[data.breakfast.time, data.breakfast.details].filter(Boolean).join(" — ")}</div>
+              </div>
+            )}
+            <div>
+              <div className="text-sm text-slate-500">Lunch</div>
+              <div className="mt-1 text-slate-900">{data?.lunch?.time || DEFAULT_GOALS.lunchTime} — {data?.lunch?.details || "veg + one vegetable + dal"}</div>
+            </div>
+            <div>
+              <div className="text-sm text-slate-500">Dinner</div>
+              <div className="mt-1 text-slate-900">{data?.dinner?.time || DEFAULT_GOALS.dinnerTime} — {data?.dinner?.details || "grilled protein (chicken or fish)"}</div>
+            </div>
+            {data?.snacks?.length > 0 && (
+              <div>
+                <div className="text-sm text-slate-500">Snacks</div>
+                <ul className="mt-1 text-slate-900">
+                  {data.snacks.map((snack, i) => (<li key={i}>{[snack.time, snack.details].filter(Boolean).join(" — ")}</li>))}
+                </ul>
+              </div>
+            )}
+          </div>
+          {schedule.some((item) => item.kind === "event") && (
+            <div className="mt-6">
+              <div className="text-sm text-slate-500">Schedule</div>
+              <div className="mt-2 flex gap-2 overflow-x-auto pb-1">
+                {schedule.map((item) => (
+                  <div
+                    key={item.key}
+                    title={[item.calendar, item.location].filter(Boolean).join(" • ")}
+                    className={`shrink-0 rounded-xl border px-3 py-2 text-xs ${item.kind === "event" ? "border-indigo-200 bg-indigo-50 text-indigo-900" : "border-slate-200 bg-slate-50 text-slate-600"}`}
+                  >
+                    <div className="font-semibold">{item.allDay ? "All day" : item.end ? `${item.start}–${item.end}` : item.start}</div>
+                    <div className="max-w-[10rem] truncate">{item.title}</div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </Card>
+
+        <Card className="p-5">
+          <h3 className="text-lg font-semibold text-slate-900">Notes</h3>
+          <p className="mt-2 text-sm text-slate-700 whitespace-pre-wrap">{data?.notes || "Add a quick note below to reflect on today."}</p>
+        </Card>
+      </div>
+
+      <div className="grid gap-6">
+        <Card className="p-5">
+          <h3 className="text-lg font-semibold text-slate-900">Insights</h3>
+          <ul className="mt-3 list-disc pl-5 text-sm text-slate-700">
+            <li>Try winding down 30–45 min earlier to hit your 07:00 wake goal.</li>
+            <li>Front‑load hydration before lunch to improve afternoon energy.</li>
+          </ul>
+        </Card>
+        <Card className="p-5">
+          <h3 className="text-lg font-semibold text-slate-900">Goals</h3>
+          <div className="mt-3 space-y-3 text-sm text-slate-700">
+            <div>
+              <div className="flex items-center justify-between"><span>Wake by {data?.goals?.wakeGoal || DEFAULT_GOALS.wakeGoal}</span><span className="font-semibold">{scoreWake(data?.wakeTime)}%</span></div>
+              <ProgressBar value={wakeScore} />
+            </div>
+            {goals.filter(({ progress }) => progress.percent != null).map(({ goal, progress }) => (
+              <div key={goal.id} title={progress.label}>
+                <div className="flex items-center justify-between"><span>{goal.title}</span><span className="font-semibold">{progress.percent}%</span></div>
+                <ProgressBar value={progress.percent} />
+              </div>
+            ))}
+          </div>
+        </Card>
+      </div>
+    </div>
+  );
+}
+
+function QuickEdit({ date, data, onSave }) {
+  const [form, setForm] = useState(() => ({
+    wakeTime: data?.wakeTime || "",
+    breakfastTime: data?.breakfast?.time || "",
+    breakfastDetails: data?.breakfast?.details || "",
+    lunchTime: data?.lunch?.time || "13:30",
+    lunchDetails: data?.lunch?.details || "veg + one vegetable + dal",
+    dinnerTime: data?.dinner?.time || "21:00",
+    dinnerDetails: data?.dinner?.details || "grilled protein (chicken or fish)",
+    workoutTime: data?.workout?.time || "19:00",
+    workoutStatus: data?.workout?.status || "pending",
+    sleepHours: data?.sleepHours ?? "",
+    notes: data?.notes || "",
+  }));
+  function update(k, v) { setForm((s) => ({ ...s, [k]: v })); }
+  function submit(e) {
+    e.preventDefault();
+    onSave({
+      wakeTime: form.wakeTime,
+      // Breakfast is optional; it is only written once it has been filled in (or to clear it)
+      ...((form.breakfastTime || form.breakfastDetails || data?.breakfast) && { breakfast: { time: form.breakfastTime, details: form.breakfastDetails } }),
+      lunch: { time: form.lunchTime, details: form.lunchDetails },
+      dinner: { time: form.dinnerTime, details: form.dinnerDetails },
+      workout: { time: form.workoutTime, status: form.workoutStatus },
+      ...((form.sleepHours !== "" || data?.sleepHours != null) && { sleepHours: form.sleepHours === "" ? null : Number(form.sleepHours) }),
+      notes: form.notes,
+      goals: { ...DEFAULT_GOALS },
+    });
+  }
+  return (
+    <Card className="p-5" data-tour="quick-edit">
+      <div className="flex items-center gap-2">
+        <h3 className="text-lg font-semibold text-slate-900">Quick Edit – {date}</h3>
+        <Tooltip content="Manually adjust any data. Changes sync across your entire Life OS." position="top">
+          <span className="text-slate-400 cursor-help">💡</span>
+        </Tooltip>
+      </div>
+      <form onSubmit={submit} className="mt-4 grid gap-4 sm:grid-cols-2">
+        <div><label className="text-xs text-slate-500">Wake Time</label><Input type="time" value={form.wakeTime} onChange={(e) => update("wakeTime", e.target.value)} /></div>
+        <div><label className="text-xs text-slate-500">Workout Time</label><Input type="time" value={form.workoutTime} onChange={(e) => update("workoutTime", e.target.value)} /></div>
+        <div>
+          <label className="text-xs text-slate-500">Workout Status</label>
+          <select value={form.workoutStatus} onChange={(e) => update("workoutStatus", e.target.value)} className="w-full rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-900 focus:border-slate-400 focus:ring-2 focus:ring-slate-100">
+            {WORKOUT_STATUSES.map((s) => (<option key={s} value={s}>{s}</option>))}
+          </select>
+        </div>
+        <div><label className="text-xs text-slate-500">Sleep (hours, last night)</label><Input type="number" min="0" max="24" step="0.5" value={form.sleepHours} onChange={(e) => update("sleepHours", e.target.value)} placeholder="7.5" /></div>
+        <div><label className="text-xs text-slate-500">Breakfast Time</label><Input type="time" value={form.breakfastTime} onChange={(e) => update("breakfastTime", e.target.value)} /></div>
+        <div><label className="text-xs text-slate-500">Breakfast Details</label><Input value={form.breakfastDetails} onChange={(e) => update("breakfastDetails", e.target.value)} placeholder="oats + fruit" /></div>
+        <div><label className="text-xs text-slate-500">Lunch Time</label><Input type="time" value={form.lunchTime} onChange={(e) => update("lunchTime", e.target.value)} /></div>
+        <div><label className="text-xs text-slate-500">Lunch Details</label><Input value={form.lunchDetails} onChange={(e) => update("lunchDetails", e.target.value)} placeholder="veg + dal" /></div>
+        <div><label className="text-xs text-slate-500">Dinner Time</label><Input type="time" value={form.dinnerTime} onChange={(e) => update("dinnerTime", e.target.value)} /></div>
+        <div><label className="text-xs text-slate-500">Dinner Details</label><Input value={form.dinnerDetails} onChange={(e) => update("dinnerDetails", e.target.value)} placeholder="grilled protein" /></div>
+        <div className="sm:col-span-2"><label className="text-xs text-slate-500">Notes</label><Textarea rows={3} value={form.notes} onChange={(e) => update("notes", e.target.value)} placeholder="Reflection, wins, blockers..." /></div>
+        <div className="sm:col-span-2 flex justify-end gap-3">
+          <Button className="border border-slate-300 bg-white text-slate-900" onClick={() => setForm({
+            wakeTime: "",
+            breakfastTime: "",
+            breakfastDetails: "",
+            lunchTime: DEFAULT_GOALS.lunchTime,
+            lunchDetails: "veg + one vegetable + dal",
+            dinnerTime: DEFAULT_GOALS.dinnerTime,
+            dinnerDetails: "grilled protein (chicken or fish)",
+            workoutTime: DEFAULT_GOALS.workoutGoal,
+            workoutStatus: "pending",
+            sleepHours: "",
+            notes: "",
+          })}>Reset</Button>
+          <Button type="submit" className="bg-slate-900 text-white hover:bg-slate-800">Save Day</Button>
+        </div>
+      </form>
+    </Card>
+  );
+}
+
+function EmptyState() {
+  return (
+    <div className="text-center py-12">
+      <div className="mx-auto w-24 h-24 bg-gradient-to-r from-indigo-100 to-emerald-100 rounded-full flex items-center justify-center mb-6">
+        <span className="text-3xl">🤖</span>
+      </div>
+      <h3 className="text-xl font-bold text-slate-900 mb-3">Welcome to Your FlowState!</h3>
+      <p className="text-slate-600 mb-6 max-w-md mx-auto">
+        Start chatting with your AI assistant to see everything organized automagically here.
+      </p>
+      <Button 
+        onClick={() => {/* Navigate to AI - connect to parent */}}
+        className="bg-gradient-to-r from-indigo-500 to-emerald-500 text-white hover:from-indigo-600 hover:to-emerald-600 shadow-lg hover:shadow-xl px-8 py-3"
+      >
+        <span className="mr-2">💬</span>
+        Start Your First Conversation
+      </Button>
+    </div>
+  );
+}
+
+const IMPORT_STATUS_STYLES = {
+  new: "bg-emerald-50 text-emerald-700",
+  changed: "bg-amber-50 text-amber-700",
+  unchanged: "bg-slate-50 text-slate-500",
+  invalid: "bg-red-50 text-red-700",
+};
+
+function DataTransferCard({ date, data }) {
+  const [preview, setPreview] = useState(null);
+  const [current, setCurrent] = useState(null);
+  const [strategy, setStrategy] = useState("merge");
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  async function exportJSON() {
+    const stamp = todayISO();
+    downloadFile(`flowstate-export-${stamp}.json`, JSON.stringify(await buildExport(), null, 2), "application/json");
+  }
+
+  async function exportCSV(kind) {
+    const stamp = todayISO();
+    if (kind === "days") downloadFile(`flowstate-days-${stamp}.csv`, daysToCSV(await loadAllDays()), "text/csv");
+    if (kind === "para") downloadFile(`flowstate-para-${stamp}.csv`, paraItemsToCSV(await loadParaItems()), "text/csv");
+    if (kind === "metrics") downloadFile(`flowstate-metrics-${stamp}.csv`, metricsToCSV(await getSetting("metrics", {})), "text/csv");
+  }
+
+  async function exportCalendar() {
+    downloadFile("flowstate.ics", buildCalendar({ days: await loadAllDays(), cheatDays: await loadCheatDays() }), "text/calendar");
+  }
+
+  async function exportJournal() {
+    downloadFile(`flowstate-journal-${todayISO()}.zip`, createZip(buildJournalFiles(await loadAllDays())));
+  }
+
+  async function pickFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setMessage(null);
+    try {
+      const incoming = parseImportFile(file.name, await file.text());
+      const snapshot = { days: await loadAllDays(), paraItems: await loadParaItems(), tasks: await loadTasks(), chatThreads: await loadChatThreads(), people: await loadPeople(), goals: await loadGoals(), metrics: await getSetting("metrics", {}) };
+      setCurrent(snapshot);
+      setPreview({ fileName: file.name, ...diffImport(snapshot, incoming) });
+    } catch (err) {
+      setPreview(null);
+      setMessage({ kind: "error", text: err.message });
+    }
+  }
+
+  async function confirmImport() {
+    setBusy(true);
+    try {
+      const written = await applyImport(preview, strategy, current);
+      setMessage({ kind: "info", text: `Imported ${written} record(s) from ${preview.fileName}.` });
+      setPreview(null);
+    } catch (err) {
+      setMessage({ kind: "error", text: err.message });
+    }
+    setBusy(false);
+  }
+
+  const storeHasData = current && (Object.keys(current.days).length > 0 || current.paraItems.length > 0 || current.tasks.length > 0);
+  const counts = (list) => list.reduce((acc, e) => ({ ...acc, [e.status]: (acc[e.status] || 0) + 1 }), {});
+  const smallButton = "border border-slate-300 bg-white text-slate-900 px-3 py-1.5 text-xs";
+
+  return (
+    <Card className="p-5">
+      <h3 className="text-lg font-semibold text-slate-900">Export & Import</h3>
+      <p className="mt-2 text-sm text-slate-600">Download your whole history for backup or to push into Sheets/Airtable, or bring a backup back in.</p>
+      <div className="mt-3 flex flex-wrap gap-2">
+        <Button onClick={exportJSON} className="bg-slate-900 text-white hover:bg-slate-800 px-3 py-1.5 text-xs">All data (JSON)</Button>
+        <Button onClick={() => exportCSV("days")} className={smallButton}>Days CSV</Button>
+        <Button onClick={() => exportCSV("para")} className={smallButton}>P.A.R.A. CSV</Button>
+        <Button onClick={() => exportCSV("metrics")} className={smallButton}>Metrics CSV</Button>
+        <Tooltip content="Daily notes with YAML front matter for Obsidian/Logseq. Re-export over the same folder to refresh." position="top">
+          <Button onClick={exportJournal} className={smallButton}>Markdown journal (zip)</Button>
+        </Tooltip>
+        <Tooltip content="Routine, goal times, cheat days and scheduled items as calendar events" position="top">
+          <Button onClick={exportCalendar} className={smallButton}>Calendar (.ics)</Button>
+        </Tooltip>
+      </div>
+
+      <label className="mt-4 block">
+        <span className="text-xs text-slate-500">Import a JSON export or days CSV</span>
+        <input type="file" accept=".json,.csv,application/json,text/csv" onChange={pickFile} className="mt-1 block w-full text-xs text-slate-600 file:mr-3 file:rounded-lg file:border-0 file:bg-slate-100 file:px-3 file:py-1.5 file:text-xs file:font-semibold" />
+      </label>
+
+      {preview && (
+        <div className="mt-4 rounded-xl border border-slate-200 p-3">
+          <div className="text-sm font-semibold text-slate-900">Preview – {preview.fileName}</div>
+          <div className="mt-1 text-xs text-slate-600">
+            Days: {Object.entries(counts(preview.days)).map(([k, n]) => `${n} ${k}`).join(", ") || "none"}
+            {preview.paraItems.length > 0 && <> • P.A.R.A.: {Object.entries(counts(preview.paraItems)).map(([k, n]) => `${n} ${k}`).join(", ")}</>}
+            {preview.tasks.length > 0 && <> • Tasks: {Object.entries(counts(preview.tasks)).map(([k, n]) => `${n} ${k}`).join(", ")}</>}
+            {preview.chatThreads.length > 0 && <> • Chats: {Object.entries(counts(preview.chatThreads)).map(([k, n]) => `${n} ${k}`).join(", ")}</>}
+            {preview.people.length > 0 && <> • People: {Object.entries(counts(preview.people)).map(([k, n]) => `${n} ${k}`).join(", ")}</>}
+            {preview.goals.length > 0 && <> • Goals: {Object.entries(counts(preview.goals)).map(([k, n]) => `${n} ${k}`).join(", ")}</>}
+            {preview.metrics.length > 0 && <> • Metrics: {preview.metrics.join(", ")}</>}
+          </div>
+          <ul className="mt-2 max-h-48 space-y-1 overflow-auto text-xs">
+            {preview.days.filter((d) => d.status !== "unchanged").map((d) => (
+              <li key={d.date} className="flex items-start gap-2">
+                <span className={`rounded-full px-2 py-0.5 font-medium ${IMPORT_STATUS_STYLES[d.status]}`}>{d.status}</span>
+                <span className="font-mono text-slate-900">{d.date}</span>
+                <span className="text-slate-500">{d.status === "invalid" ? d.problems.join("; ") : d.fields.join(", ")}</span>
+              </li>
+            ))}
+            {preview.paraItems.filter((p) => p.status !== "unchanged").map(({ item, status }) => (
+              <li key={item.id} className="flex items-start gap-2">
+                <span className={`rounded-full px-2 py-0.5 font-medium ${IMPORT_STATUS_STYLES[status]}`}>{status}</span>
+                <span className="text-slate-900">{PARA_ICONS[item.category]} {item.title}</span>
+              </li>
+            ))}
+            {preview.tasks.filter((t) => t.status !== "unchanged").map(({ task, status }) => (
+              <li key={task.id} className="flex items-start gap-2">
+                <span className={`rounded-full px-2 py-0.5 font-medium ${IMPORT_STATUS_STYLES[status]}`}>{status}</span>
+                <span className="text-slate-900">☑️ {task.text}</span>
+              </li>
+            ))}
+          </ul>
+          {storeHasData && (
+            <div className="mt-3 space-y-1">
+              {Object.entries(IMPORT_STRATEGIES).map(([key, label]) => (
+                <label key={key} className="flex items-start gap-2 text-xs text-slate-700">
+                  <input type="radio" name="import-strategy" value={key} checked={strategy === key} onChange={() => setStrategy(key)} className="mt-0.5" />
+                  {label}
+                </label>
+              ))}
+            </div>
+          )}
+          <div className="mt-3 flex justify-end gap-2">
+            <Button onClick={() => setPreview(null)} className={smallButton}>Cancel</Button>
+            <Button onClick={confirmImport} className="bg-slate-900 text-white hover:bg-slate-800 px-3 py-1.5 text-xs">{busy ? "Importing…" : "Import"}</Button>
+          </div>
+        </div>
+      )}
+
+      {message && (
+        <p className={`mt-3 text-xs ${message.kind === "error" ? "text-red-600" : "text-emerald-700"}`}>{message.text}</p>
+      )}
+
+      <details className="mt-4">
+        <summary className="cursor-pointer text-xs text-slate-500">Selected day as JSON</summary>
+        <pre className="mt-2 max-h-64 overflow-auto rounded-xl bg-slate-950 p-3 text-xs text-slate-100">{JSON.stringify({ [date]: data }, null, 2)}</pre>
+      </details>
+    </Card>
+  );
+}
+
+const TASK_GROUPS = [
+  ["overdue", "Overdue", "text-red-600"],
+  ["today", "Today", "text-amber-700"],
+  ["upcoming", "Upcoming", "text-slate-500"],
+  ["someday", "No date", "text-slate-500"],
+];
+
+function TaskRow({ task, paraItems, onToggle, onSnooze, onReschedule, onDelete }) {
+  const [rescheduling, setRescheduling] = useState(false);
+  const linked = task.paraItemId && paraItems.find((i) => i.id === task.paraItemId);
+  const done = task.status === "done";
+  return (
+    <li className="flex items-start gap-3 rounded-lg border border-slate-200 bg-white px-3 py-2">
+      <input type="checkbox" checked={done} onChange={() => onToggle(task)} aria-label={`Complete ${task.text}`} className="mt-1" />
+      <div className="min-w-0 flex-1">
+        <div className={`text-sm ${done ? "text-slate-400 line-through" : "text-slate-900"}`}>{task.text}</div>
+        <div className="mt-1 flex flex-wrap items-center gap-2 text-xs text-slate-500">
+          {task.due && <span>Due {task.due}</span>}
+          {task.paraCategory && (
+            <span className="rounded-full bg-slate-100 px-2 py-0.5">{PARA_ICONS[task.paraCategory]} {linked ? linked.title : PARA_CATEGORIES[task.paraCategory]}</span>
+          )}
+          {task.snoozedUntil > todayISO() && <span>Snoozed until {task.snoozedUntil}</span>}
+          {task.source === "ai" && <span className="text-indigo-600">from chat</span>}
+        </div>
+        {rescheduling && (
+          <input
+            type="date"
+            autoFocus
+            defaultValue={task.due || ""}
+            onChange={(e) => { onReschedule(task, e.target.value); setRescheduling(false); }}
+            onBlur={() => setRescheduling(false)}
+            aria-label="New due date"
+            className="mt-2 rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs text-slate-900"
+          />
+        )}
+      </div>
+      {!done && (
+        <div className="flex items-center gap-1">
+          <button onClick={() => onSnooze(task)} title="Hide until tomorrow" className="px-1 text-xs text-slate-500 hover:text-slate-900">💤</button>
+          <button onClick={() => setRescheduling((v) => !v)} title="Reschedule" className="px-1 text-xs text-slate-500 hover:text-slate-900">📅</button>
+        </div>
+      )}
+      <button onClick={() => onDelete(task)} title="Delete" className="px-1 text-xs text-slate-500 hover:text-red-600">🗑️</button>
+    </li>
+  );
+}
+
+function TaskList() {
+  const [tasks, setTasks] = useState([]);
+  const [paraItems, setParaItems] = useState([]);
+  const [draft, setDraft] = useState({ text: "", due: "" });
+  const [showDone, setShowDone] = useState(false);
+
+  async function reload() {
+    setTasks(await loadTasks());
+    setParaItems(await loadParaItems());
+  }
+
+  useEffect(() => {
+    reload();
+  }, []);
+
+  useStorageChanges((change) => {
+    if (change.type === "task" || change.type === "para") reload();
+  }, []);
+
+  async function add(e) {
+    e.preventDefault();
+    if (!draft.text.trim()) return;
+    await addTask({ text: draft.text.trim(), due: draft.due || null });
+    setDraft({ text: "", due: "" });
+  }
+
+  async function remove(task) {
+    if (!window.confirm(`Delete "${task.text}"?`)) return;
+    await deleteTask(task.id);
+  }
+
+  const groups = useMemo(() => groupTasks(tasks), [tasks]);
+  const rowProps = {
+    paraItems,
+    onToggle: (task) => completeTask(task, task.status !== "done"),
+    onSnooze: (task) => snoozeTask(task),
+    onReschedule: rescheduleTask,
+    onDelete: remove,
+  };
+  const openCount = tasks.length - groups.done.length - groups.snoozed.length;
+
+  return (
+    <Card className="p-5" data-tour="tasks">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <h3 className="text-lg font-semibold text-slate-900">Tasks</h3>
+          <Tooltip content="Tasks you mention in chat land here with their due date and P.A.R.A. link" position="top">
+            <span className="text-slate-400 cursor-help">💡</span>
+          </Tooltip>
+        </div>
+        <span className="text-xs text-slate-500">{openCount} open</span>
+      </div>
+
+      <form onSubmit={add} className="mt-3 flex gap-2">
+        <Input value={draft.text} onChange={(e) => setDraft((d) => ({ ...d, text: e.target.value }))} placeholder="Add a task…" />
+        <input type="date" value={draft.due} onChange={(e) => setDraft((d) => ({ ...d, due: e.target.value }))} aria-label="Due date" className="rounded-xl border border-slate-200 bg-white px-2 text-xs text-slate-900" />
+        <Button type="submit" className="bg-slate-900 text-white hover:bg-slate-800">Add</Button>
+      </form>
+
+      {openCount === 0 && <p className="mt-3 text-sm text-slate-500">Nothing to do. Tell the assistant what's on your plate, or add a task above.</p>}
+      {TASK_GROUPS.filter(([key]) => groups[key].length > 0).map(([key, label, color]) => (
+        <div key={key} className="mt-4">
+          <div className={`text-xs font-semibold uppercase tracking-wide ${color}`}>{label}</div>
+          <ul className="mt-2 space-y-2">
+            {groups[key].map((task) => <TaskRow key={task.id} task={task} {...rowProps} />)}
+          </ul>
+        </div>
+      ))}
+
+      {(groups.snoozed.length > 0 || groups.done.length > 0) && (
+        <button onClick={() => setShowDone((v) => !v)} className="mt-4 text-xs text-slate-500 hover:text-slate-700">
+          {showDone ? "Hide" : "Show"} snoozed ({groups.snoozed.length}) and done ({groups.done.length})
+        </button>
+      )}
+      {showDone && (
+        <ul className="mt-2 space-y-2">
+          {[...groups.snoozed, ...groups.done].map((task) => <TaskRow key={task.id} task={task} {...rowProps} />)}
+        </ul>
+      )}
+    </Card>
+  );
+}
+
+function formatPersonReminder(reminder) {
+  if (reminder.kind === "contact") return `💬 You haven't talked to ${reminder.person.name} in ${reminder.weeks} weeks`;
+  const when = reminder.inDays === 0 ? "today" : reminder.inDays === 1 ? "tomorrow" : `in ${reminder.inDays} days (${reminder.date.slice(5)})`;
+  return `${reminder.label === "Birthday" ? "🎂" : "📅"} ${reminder.person.name}'s ${reminder.label.toLowerCase()} is ${when}`;
+}
+
+// "Birthday: 03-03" per line <-> [{ label, date }]
+const formatPersonDates = (dates = []) => dates.map((d) => `${d.label}: ${d.date}`).join("\n");
+function parsePersonDates(text) {
+  return text.split("\n").map((line) => line.trim()).filter(Boolean).map((line) => {
+    const m = line.match(/^(.+?):\s*(\S+)$/);
+    if (!m || !new RegExp(PERSON_DATE_PATTERN).test(m[2])) throw new Error(`"${line}" should look like "Birthday: 03-14"`);
+    return { label: m[1].trim(), date: m[2] };
+  });
+}
+
+function PersonEditor({ person, onDone }) {
+  const [form, setForm] = useState({
+    name: person.name,
+    relationship: person.relationship || "",
+    preferences: (person.preferences || []).join(", "),
+    dates: formatPersonDates(person.dates),
+    lastContact: person.lastContact || "",
+    contactEveryWeeks: person.contactEveryWeeks || "",
+  });
+  const [error, setError] = useState(null);
+  const field = (key) => ({ value: form[key], onChange: (e) => setForm((f) => ({ ...f, [key]: e.target.value })) });
+
+  async function save(e) {
+    e.preventDefault();
+    try {
+      if (!form.name.trim()) throw new Error("A person needs a name.");
+      await upsertPerson({
+        ...person,
+        name: form.name.trim(),
+        relationship: form.relationship.trim() || undefined,
+        preferences: form.preferences.split(",").map((p) => p.trim()).filter(Boolean),
+        dates: parsePersonDates(form.dates),
+        lastContact: form.lastContact || undefined,
+        contactEveryWeeks: Number(form.contactEveryWeeks) || undefined,
+      });
+      onDone();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <form onSubmit={save} className="mt-2 space-y-2">
+      <div className="grid grid-cols-2 gap-2">
+        <Input {...field("name")} placeholder="Name" aria-label="Name" />
+        <Input {...field("relationship")} placeholder="Relationship, e.g. sister" aria-label="Relationship" />
+      </div>
+      <Input {...field("preferences")} placeholder="Likes, dislikes… (comma-separated)" aria-label="Preferences" />
+      <Textarea {...field("dates")} rows={2} placeholder={"Birthday: 03-14\nAnniversary: 2019-06-01"} aria-label="Important dates" />
+      <div className="grid grid-cols-2 gap-2">
+        <label className="text-xs text-slate-500">Last talked
+          <Input type="date" {...field("lastContact")} />
+        </label>
+        <label className="text-xs text-slate-500">Check in every (weeks)
+          <Input type="number" min="1" {...field("contactEveryWeeks")} placeholder={String(CONTACT_EVERY_WEEKS)} />
+        </label>
+      </div>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      <div className="flex gap-2">
+        <Button type="submit" className="bg-slate-900 text-white hover:bg-slate-800 text-xs">Save</Button>
+        <Button onClick={onDone} className="border border-slate-300 bg-white text-slate-900 text-xs">Cancel</Button>
+      </div>
+    </form>
+  );
+}
+
+function PeopleCard() {
+  const people = usePeople();
+  const [name, setName] = useState("");
+  const [editing, setEditing] = useState(null); // person id
+  const reminders = useMemo(() => peopleReminders(people), [people]);
+  const sorted = useMemo(() => [...people].sort((a, b) => a.name.localeCompare(b.name)), [people]);
+
+  async function add(e) {
+    e.preventDefault();
+    if (!name.trim()) return;
+    const person = await upsertPerson({ name: name.trim(), preferences: [], dates: [], source: "manual" });
+    setName("");
+    setEditing(person.id);
+  }
+
+  async function remove(person) {
+    if (!window.confirm(`Forget ${person.name}?`)) return;
+    await deletePerson(person.id);
+  }
+
+  return (
+    <Card className="p-5" data-tour="people">
+      <div className="flex items-center gap-2">
+        <h3 className="text-lg font-semibold text-slate-900">People</h3>
+        <Tooltip content="Names, preferences and dates you mention in chat, with birthday and check-in reminders" position="top">
+          <span className="text-slate-400 cursor-help">💡</span>
+        </Tooltip>
+      </div>
+
+      {reminders.length > 0 && (
+        <ul className="mt-3 space-y-1 rounded-lg bg-amber-50 p-3 text-sm text-amber-900">
+          {reminders.map((r) => <li key={`${r.kind}:${r.person.id}:${r.label || ""}`}>{formatPersonReminder(r)}</li>)}
+        </ul>
+      )}
+
+      <ul className="mt-3 space-y-2">
+        {sorted.map((person) => (
+          <li key={person.id} className="rounded-lg border border-slate-200 bg-white px-3 py-2">
+            <div className="flex items-start gap-2">
+              <div className="min-w-0 flex-1">
+                <div className="text-sm font-medium text-slate-900">
+                  {person.name}
+                  {person.relationship && person.relationship.toLowerCase() !== person.name.toLowerCase() && <span className="font-normal text-slate-500"> · {person.relationship}</span>}
+                </div>
+                <div className="mt-1 flex flex-wrap gap-1 text-xs text-slate-600">
+                  {(person.preferences || []).map((p) => <span key={p} className="rounded-full bg-slate-100 px-2 py-0.5">{p}</span>)}
+                  {(person.dates || []).map((d) => <span key={d.label} className="rounded-full bg-indigo-50 px-2 py-0.5 text-indigo-700">{d.label} {d.date}</span>)}
+                </div>
+                <div className="mt-1 text-xs text-slate-400">{person.lastContact ? `Last talked ${person.lastContact}` : "No contact logged yet"}</div>
+              </div>
+              <button onClick={() => upsertPerson({ ...person, lastContact: todayISO() })} title="Talked today" className="px-1 text-xs text-slate-500 hover:text-slate-900">💬</button>
+              <button onClick={() => setEditing(editing === person.id ? null : person.id)} title="Edit" className="px-1 text-xs text-slate-500 hover:text-slate-900">✏️</button>
+              <button onClick={() => remove(person)} title="Delete" className="px-1 text-xs text-slate-500 hover:text-red-600">🗑️</button>
+            </div>
+            {editing === person.id && <PersonEditor person={person} onDone={() => setEditing(null)} />}
+          </li>
+        ))}
+      </ul>
+      {people.length === 0 && <p className="mt-3 text-sm text-slate-500">Mention someone in chat ("Sarah likes almond lattes") or add them here.</p>}
+
+      <form onSubmit={add} className="mt-3 flex gap-2">
+        <Input value={name} onChange={(e) => setName(e.target.value)} placeholder="Add a person…" />
+        <Button type="submit" className="bg-slate-900 text-white hover:bg-slate-800">Add</Button>
+      </form>
+    </Card>
+  );
+}
+
+// "2026-11-30 Finish the basics" per line <-> milestones; edited lines keep their done state by title
+const formatMilestones = (milestones = []) => milestones.map((m) => `${m.due ? `${m.due} ` : ""}${m.title}`).join("\n");
+function parseMilestones(text, existing = []) {
+  return text.split("\n").map((line) => line.trim()).filter(Boolean).map((line) => {
+    const [, due = null, title] = line.match(/^(?:(\d{4}-\d{2}-\d{2})\s+)?(.+)$/);
+    const before = existing.find((m) => m.title.toLowerCase() === title.toLowerCase());
+    return { id: before?.id || newId(), title, due, done: before?.done || false };
+  });
+}
+
+function GoalEditor({ goal, onDone }) {
+  const target = goal.target || {};
+  const [form, setForm] = useState({
+    title: goal.title,
+    targetDate: goal.targetDate || "",
+    kind: target.kind || "",
+    metric: target.metric || GOAL_METRICS[0],
+    start: target.start ?? "",
+    value: target.value ?? "",
+    milestones: formatMilestones(goal.milestones),
+  });
+  const [error, setError] = useState(null);
+  const field = (key) => ({ value: form[key], onChange: (e) => setForm((f) => ({ ...f, [key]: e.target.value })) });
+
+  async function save(e) {
+    e.preventDefault();
+    try {
+      if (!form.title.trim()) throw new Error("A goal needs a title.");
+      if (form.kind && (form.value === "" || Number.isNaN(Number(form.value)))) throw new Error("Set the value to reach.");
+      await upsertGoal({
+        ...goal,
+        title: form.title.trim(),
+        targetDate: form.targetDate || null,
+        target: form.kind === "metric" ? { kind: "metric", metric: form.metric, ...(form.start !== "" && { start: Number(form.start) }), value: Number(form.value) }
+          : form.kind === "count" ? { kind: "count", subject: "workout", value: Number(form.value) }
+          : null,
+        milestones: parseMilestones(form.milestones, goal.milestones),
+      });
+      onDone();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <form onSubmit={save} className="mt-2 space-y-2">
+      <div className="grid grid-cols-2 gap-2">
+        <Input {...field("title")} placeholder="Title" aria-label="Title" />
+        <Input type="date" {...field("targetDate")} aria-label="Target date" />
+      </div>
+      <div className="grid grid-cols-4 gap-2">
+        <select {...field("kind")} aria-label="Target" className="col-span-2 rounded-xl border border-slate-200 bg-white px-2 py-2 text-sm">
+          <option value="">No measurable target</option>
+          <option value="metric">A metric reaches a value</option>
+          <option value="count">Workouts per week</option>
+        </select>
+        {form.kind === "metric" && (
+          <>
+            <select {...field("metric")} aria-label="Metric" className="rounded-xl border border-slate-200 bg-white px-2 py-2 text-sm">
+              {GOAL_METRICS.map((m) => <option key={m} value={m}>{HISTORY_METRICS.find((h) => h.key === m).label}</option>)}
+            </select>
+            <Input type="number" step="any" {...field("value")} placeholder="Reach" aria-label="Value to reach" />
+          </>
+        )}
+        {form.kind === "count" && <Input type="number" min="1" {...field("value")} placeholder="Per week" aria-label="Workouts per week" />}
+      </div>
+      {form.kind === "metric" && (
+        <Input type="number" step="any" {...field("start")} placeholder="Starting value (today's when empty)" aria-label="Starting value" />
+      )}
+      <Textarea {...field("milestones")} rows={3} placeholder={"2026-11-30 Finish the basics\nHold a first conversation"} aria-label="Milestones" />
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      <div className="flex gap-2">
+        <Button type="submit" className="bg-slate-900 text-white hover:bg-slate-800 text-xs">Save</Button>
+        <Button onClick={onDone} className="border border-slate-300 bg-white text-slate-900 text-xs">Cancel</Button>
+      </div>
+    </form>
+  );
+}
+
+function GoalsCard() {
+  const goals = useGoalProgress();
+  const [title, setTitle] = useState("");
+  const [editing, setEditing] = useState(null); // goal id
+  const today = todayISO();
+
+  async function add(e) {
+    e.preventDefault();
+    if (!title.trim()) return;
+    const goal = await addGoal({ title: title.trim() });
+    setTitle("");
+    setEditing(goal.id);
+  }
+
+  async function remove(goal) {
+    if (!window.confirm(`Delete the goal "${goal.title}"?`)) return;
+    await deleteGoal(goal.id);
+  }
+
+  const toggleMilestone = (goal, id) => upsertGoal({ ...goal, milestones: goal.milestones.map((m) => (m.id === id ? { ...m, done: !m.done } : m)) });
+
+  return (
+    <Card className="p-5" data-tour="goals">
+      <div className="flex items-center gap-2">
+        <h3 className="text-lg font-semibold text-slate-900">Goals</h3>
+        <Tooltip content={'Say "I want to learn Spanish by June" in chat for a milestone plan, or add goals here'} position="top">
+          <span className="text-slate-400 cursor-help">💡</span>
+        </Tooltip>
+      </div>
+
+      <ul className="mt-3 space-y-2">
+        {goals.map(({ goal, progress }) => (
+          <li key={goal.id} className="rounded-lg border border-slate-200 bg-white px-3 py-2">
+            <div className="flex items-start gap-2">
+              <div className="min-w-0 flex-1">
+                <div className="text-sm font-medium text-slate-900">
+                  {goal.title}
+                  {goal.targetDate && <span className="font-normal text-slate-500"> · by {formatShortDate(goal.targetDate)}{goal.targetDate >= today && ` (${daysBetweenISO(today, goal.targetDate)} days)`}</span>}
+                </div>
+                {goal.target && <div className="text-xs text-slate-500">{describeGoalTarget(goal.target)}</div>}
+              </div>
+              <button onClick={() => setEditing(editing === goal.id ? null : goal.id)} title="Edit" className="px-1 text-xs text-slate-500 hover:text-slate-900">✏️</button>
+              <button onClick={() => remove(goal)} title="Delete" className="px-1 text-xs text-slate-500 hover:text-red-600">🗑️</button>
+            </div>
+            {progress.percent != null && (
+              <div className="mt-2">
+                <ProgressBar value={progress.percent} />
+                <div className="mt-1 flex justify-between text-xs text-slate-500"><span>{progress.label}</span><span className="font-semibold">{progress.percent}%</span></div>
+              </div>
+            )}
+            {goal.milestones?.length > 0 && (
+              <ul className="mt-2 space-y-1 text-xs">
+                {goal.milestones.map((m) => (
+                  <li key={m.id} className="flex items-center gap-2">
+                    <input type="checkbox" checked={m.done} onChange={() => toggleMilestone(goal, m.id)} aria-label={`Milestone ${m.title}`} />
+                    <span className={m.done ? "text-slate-400 line-through" : "text-slate-700"}>{m.title}</span>
+                    {m.due && <span className={`ml-auto shrink-0 ${!m.done && m.due < today ? "text-red-600" : "text-slate-400"}`}>{formatShortDate(m.due)}</span>}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {editing === goal.id && <GoalEditor goal={goal} onDone={() => setEditing(null)} />}
+          </li>
+        ))}
+      </ul>
+      {goals.length === 0 && <p className="mt-3 text-sm text-slate-500">Tell the assistant about a goal ("I want to learn Spanish by June") or add one here.</p>}
+
+      <form onSubmit={add} className="mt-3 flex gap-2">
+        <Input value={title} onChange={(e) => setTitle(e.target.value)} placeholder="Add a goal…" />
+        <Button type="submit" className="bg-slate-900 text-white hover:bg-slate-800">Add</Button>
+      </form>
+    </Card>
+  );
+}
+
+// Weekly mood and energy on the 1-5 scale; weeks without a reading leave a gap in their line
+function MoodTrendChart({ weeks, width = 320, height = 96 }) {
+  const x = (i) => 8 + (i / (weeks.length - 1)) * (width - 16);
+  const y = (v) => height - 8 - ((v - 1) / 4) * (height - 16);
+  const line = (key) => {
+    const segments = [[]];
+    weeks.forEach((w, i) => (w[key] == null ? segments.push([]) : segments[segments.length - 1].push(`${x(i)},${y(w[key])}`)));
+    return segments.filter((points) => points.length);
+  };
+  return (
+    <svg width="100%" viewBox={`0 0 ${width} ${height}`} role="img" aria-label={`Mood and energy over the last ${weeks.length} weeks`}>
+      {CHECK_IN_LEVELS.map((level) => (<line key={level} x1="0" x2={width} y1={y(level)} y2={y(level)} stroke="#e2e8f0" strokeWidth="1" />))}
+      {[["mood", "#6366f1"], ["energy", "#10b981"]].map(([key, color]) => line(key).map((points, i) => (points.length === 1
+        ? <circle key={`${key}${i}`} cx={points[0].split(",")[0]} cy={points[0].split(",")[1]} r="2.5" fill={color} />
+        : <polyline key={`${key}${i}`} fill="none" stroke={color} strokeWidth="2" strokeLinejoin="round" points={points.join(" ")} />)))}
+    </svg>
+  );
+}
+
+function MoodCard({ data, days, onSave }) {
+  const [mood, setMood] = useState(null);
+  const [energy, setEnergy] = useState(null);
+  const [tags, setTags] = useState([]);
+  const [otherTags, setOtherTags] = useState("");
+  const checkIns = data?.checkIns || [];
+  const trend = useMemo(() => weeklyMoodTrend(days), [days]);
+  const correlations = useMemo(() => moodCorrelations(days), [days]);
+
+  const toggleTag = (tag) => setTags((current) => (current.includes(tag) ? current.filter((t) => t !== tag) : [...current, tag]));
+
+  async function checkIn(e) {
+    e.preventDefault();
+    if (!mood || !energy) return;
+    const now = new Date();
+    const typed = otherTags.split(",").map((t) => t.trim().toLowerCase()).filter(Boolean);
+    await onSave({ checkIns: [...checkIns, { at: `${pad(now.getHours())}:${pad(now.getMinutes())}`, mood, energy, tags: [...new Set([...tags, ...typed])] }] });
+    setMood(null);
+    setEnergy(null);
+    setTags([]);
+    setOtherTags("");
+  }
+
+  const scale = (label, value, onPick, face) => (
+    <div className="flex items-center gap-2">
+      <span className="w-14 text-xs text-slate-500">{label}</span>
+      {CHECK_IN_LEVELS.map((n) => (
+        <button
+          key={n}
+          type="button"
+          onClick={() => onPick(n)}
+          aria-label={`${label} ${n}`}
+          aria-pressed={value === n}
+          className={`h-8 w-8 rounded-lg border text-sm ${value === n ? "border-slate-900 bg-slate-900 text-white" : "border-slate-200 bg-white text-slate-700 hover:border-slate-400"}`}
+        >
+          {face ? MOOD_FACES[n] : n}
+        </button>
+      ))}
+    </div>
+  );
+
+  return (
+    <Card className="p-5" data-tour="mood">
+      <div className="flex items-center gap-2">
+        <h3 className="text-lg font-semibold text-slate-900">Mood & Energy</h3>
+        <Tooltip content="Check in as often as you like; trends and patterns build up from your check-ins and the mood picked up in chat" position="top">
+          <span className="text-slate-400 cursor-help">💡</span>
+        </Tooltip>
+      </div>
+
+      <form onSubmit={checkIn} className="mt-3 space-y-2">
+        {scale("Mood", mood, setMood, true)}
+        {scale("Energy", energy, setEnergy, false)}
+        <div className="flex flex-wrap gap-1">
+          {CHECK_IN_TAGS.map((tag) => (
+            <button key={tag} type="button" onClick={() => toggleTag(tag)} aria-pressed={tags.includes(tag)} className={`rounded-full border px-2 py-0.5 text-xs ${tags.includes(tag) ? "border-indigo-300 bg-indigo-50 text-indigo-700" : "border-slate-200 text-slate-600"}`}>
+              {tag}
+            </button>
+          ))}
+        </div>
+        <div className="flex gap-2">
+          <Input value={otherTags} onChange={(e) => setOtherTags(e.target.value)} placeholder="Other tags, comma separated" />
+          <Button type="submit" className={mood && energy ? "bg-slate-900 text-white hover:bg-slate-800" : "bg-slate-200 text-slate-500"}>Check in</Button>
+        </div>
+      </form>
+
+      {checkIns.length > 0 && (
+        <ul className="mt-3 space-y-1 text-sm">
+          {checkIns.map((c, i) => (
+            <li key={`${c.at}-${i}`} className="flex items-center gap-2 text-slate-700">
+              <span className="w-12 text-xs text-slate-500">{c.at}</span>
+              <span>{MOOD_FACES[c.mood]} mood {c.mood}/5 · energy {c.energy}/5</span>
+              {c.tags?.length > 0 && <span className="truncate text-xs text-slate-500">{c.tags.join(", ")}</span>}
+              <button onClick={() => onSave({ checkIns: checkIns.filter((_, j) => j !== i) })} title="Remove" className="ml-auto px-1 text-xs text-slate-500 hover:text-red-600">🗑️</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="mt-4">
+        <div className="flex items-center justify-between text-xs text-slate-500">
+          <span>Last {MOOD_TREND_WEEKS} weeks</span>
+          <span><span className="text-indigo-500">●</span> mood <span className="text-emerald-500">●</span> energy</span>
+        </div>
+        {trend.some((w) => w.mood != null || w.energy != null)
+          ? <MoodTrendChart weeks={trend} />
+          : <p className="mt-2 text-sm text-slate-500">Check in for a few days to see your trend.</p>}
+      </div>
+
+      <table className="mt-4 w-full text-left text-xs">
+        <thead className="text-slate-500">
+          <tr><th className="py-1 font-medium">Pattern</th><th className="py-1 font-medium">Mood · energy</th><th className="py-1 font-medium" title="Correlation with mood, from -1 to 1">r</th></tr>
+        </thead>
+        <tbody className="text-slate-700">
+          {correlations.map((c) => (
+            <tr key={c.key} className="border-t border-slate-100 align-top">
+              <td className="py-1.5 pr-2 font-medium">{c.label}</td>
+              <td className="py-1.5 pr-2">
+                {c.summary || "Not enough days yet"}
+                {c.groups.map((g) => (
+                  <div key={g.label} className="text-slate-500">{g.label}: {g.mood ?? "—"} · {g.energy ?? "—"} ({g.days} day{g.days === 1 ? "" : "s"})</div>
+                ))}
+              </td>
+              <td className="py-1.5">{c.r ?? "—"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </Card>
+  );
+}
+
+function CalendarImportCard({ calendars }) {
+  const [message, setMessage] = useState(null);
+
+  async function pickFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { calendar, replaced } = await importCalendarFile(file.name, await file.text());
+      setMessage({ kind: "info", text: `${replaced ? "Replaced" : "Imported"} ${calendar.name} (${calendar.events.length} events).` });
+    } catch (err) {
+      setMessage({ kind: "error", text: err.message });
+    }
+  }
+
+  return (
+    <Card className="p-5">
+      <h3 className="text-lg font-semibold text-slate-900">Calendars</h3>
+      <p className="mt-2 text-sm text-slate-600">Import an .ics export (Google, Outlook, Apple) to see its events in the day's schedule. Importing the same calendar again replaces it.</p>
+      <input type="file" accept=".ics,text/calendar" onChange={pickFile} className="mt-3 block w-full text-xs text-slate-600 file:mr-3 file:rounded-lg file:border-0 file:bg-slate-100 file:px-3 file:py-1.5 file:text-xs file:font-semibold" />
+      {calendars.length > 0 && (
+        <ul className="mt-3 space-y-1 text-xs">
+          {calendars.map((c) => (
+            <li key={c.id} className="flex items-center justify-between gap-2">
+              <span className="text-slate-900">{c.name} <span className="text-slate-500">• {c.events.length} events • {new Date(c.importedAt).toLocaleDateString()}</span></span>
+              <button onClick={() => removeImportedCalendar(c.id)} className="text-slate-400 hover:text-red-600">Remove</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {message && (
+        <p className={`mt-3 text-xs ${message.kind === "error" ? "text-red-600" : "text-emerald-700"}`}>{message.text}</p>
+      )}
+    </Card>
+  );
+}
+
+const REVISION_BADGES = {
+  manual: "bg-slate-100 text-slate-700",
+  ai: "bg-indigo-50 text-indigo-700",
+  import: "bg-amber-50 text-amber-700",
+};
+const UNDO_TOAST_MS = 8000;
+
+function formatRevisionValue(v) {
+  if (v == null || v === "") return "—";
+  if (typeof v === "string") return v.length > 60 ? `${v.slice(0, 57)}…` : v;
+  if (Array.isArray(v)) return `${v.length} item(s)`;
+  if (typeof v === "object") return Object.values(v).filter((x) => x !== "" && x != null && typeof x !== "object").join(" · ") || "—";
+  return String(v);
+}
+
+function DayHistory({ date }) {
+  const [revisions, setRevisions] = useState([]);
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => {
+    loadRevisions(date).then(setRevisions).catch((e) => console.warn("Could not load history", e));
+  }, [date]);
+
+  useStorageChanges((change) => {
+    if (change.type !== "revision" || (change.date && change.date !== date)) return;
+    loadRevisions(date).then(setRevisions).catch((e) => console.warn("Could not load history", e));
+  }, [date]);
+
+  async function restore(revision) {
+    setBusy(revision.id);
+    try {
+      await restoreDay(date, revision.id);
+    } catch (e) {
+      console.warn("Restore failed", e);
+    }
+    setBusy(null);
+  }
+
+  const newestFirst = [...revisions].reverse();
+  return (
+    <Card className="p-5">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-slate-900">History</h3>
+        <span className="text-xs text-slate-500">{revisions.length} revision(s)</span>
+      </div>
+      {newestFirst.length === 0 ? (
+        <p className="mt-2 text-sm text-slate-600">Edits to {date} will show up here, with a way back to any earlier version.</p>
+      ) : (
+        <ul className="mt-3 max-h-80 space-y-3 overflow-auto">
+          {newestFirst.map((revision, i) => (
+            <li key={revision.id} className="rounded-xl border border-slate-200 p-3">
+              <div className="flex items-center justify-between gap-2 text-xs">
+                <div className="flex items-center gap-2">
+                  <span className={`rounded-full px-2 py-0.5 font-medium ${REVISION_BADGES[revision.source] || REVISION_BADGES.manual}`}>{revision.source}</span>
+                  <span className="text-slate-500">{new Date(revision.at).toLocaleString()}</span>
+                </div>
+                {i === 0 ? (
+                  <span className="text-slate-400">current</span>
+                ) : (
+                  <button onClick={() => restore(revision)} className="font-semibold text-indigo-600 hover:text-indigo-800">
+                    {busy === revision.id ? "Restoring…" : "Restore this version"}
+                  </button>
+                )}
+              </div>
+              <ul className="mt-2 space-y-1 text-xs">
+                {Object.entries(revision.changes).map(([field, { before, after }]) => (
+                  <li key={field} className="grid grid-cols-[6rem_1fr] gap-2">
+                    <span className="font-mono text-slate-500">{field}</span>
+                    <span>
+                      <span className="text-red-600 line-through">{formatRevisionValue(before)}</span>
+                      <span className="mx-1 text-slate-400">→</span>
+                      <span className="text-emerald-700">{formatRevisionValue(after)}</span>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+}
+
+function UndoToast({ revision, onUndo, onClose }) {
+  const fields = Object.keys(revision.changes);
+  return (
+    <div className="fixed bottom-6 left-1/2 z-40 flex -translate-x-1/2 items-center gap-4 rounded-xl bg-slate-900 px-4 py-3 text-sm text-white shadow-lg">
+      <span>Saved {fields.join(", ")}{revision.source === "manual" ? "" : ` (${revision.source})`}</span>
+      <button onClick={onUndo} className="font-semibold text-emerald-300 hover:text-emerald-200">Undo</button>
+      <button onClick={onClose} className="text-slate-400 hover:text-white" aria-label="Dismiss">✕</button>
+    </div>
+  );
+}
+
+function Dashboard({ aiProcessedData, setAiProcessedData, setActive }) {
+  const [date, setDate] = useState(todayISO());
+  const [data, setData] = useState({});
+  const [all, setAll] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [paraFilter, setParaFilter] = useState(null); // null = all categories
+  const [saveError, setSaveError] = useState(null);
+  const [lastLiveUpdate, setLastLiveUpdate] = useState(null);
+  const [calendars, setCalendars] = useState([]);
+  const [undoable, setUndoable] = useState(null); // revision offered in the undo toast
+
+  useEffect(() => {
+    (async () => {
+      setLoading(true);
+      setCalendars(await loadImportedCalendars());
+      const loaded = await loadAllDays();
+      setAll(loaded);
+      const d = todayISO();
+      setDate((prev) => prev || d);
+      const rd = await readDay(d);
+      setData(rd || {});
+      setLoading(false);
+    })();
+  }, []);
+
+  useEffect(() => {
+    (async () => {
+      const rd = await readDay(date);
+      setData(rd || {});
+    })();
+  }, [date]);
+
+  useEffect(() => {
+    if (!undoable) return undefined;
+    const timer = setTimeout(() => setUndoable(null), UNDO_TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [undoable]);
+
+  useStorageChanges((change) => {
+    if (change.type === "revision" && change.sameTab && change.revision) {
+      setUndoable(change.revision);
+      return;
+    }
+    if (change.type === "setting" && (!change.key || change.key === CALENDARS_SETTING)) {
+      loadImportedCalendars().then(setCalendars);
+      return;
+    }
+    if (change.type !== "day") return;
+    (async () => {
+      if (!change.date || change.date === date) setData((await readDay(date)) || {});
+      setAll(await loadAllDays());
+      setLastLiveUpdate(new Date());
+    })();
+  }, [date]);
+
+  async function saveDay(partial, source = "manual") {
+    try {
+      const updated = await upsertDay(date, partial, { source });
+      setSaveError(null);
+      setData(updated || {});
+    } catch (e) {
+      if (!(e instanceof DayValidationError)) throw e;
+      setSaveError(e.message);
+      return;
+    }
+    const reloaded = await loadAllDays();
+    setAll(reloaded);
+  }
+
+  const dates = useMemo(() => Object.keys(all).sort().reverse(), [all]);
+  const schedule = useMemo(() => daySchedule(data, calendars, date), [data, calendars, date]);
+  const feeling = dayMoodEnergy(data);
+  const checkInCount = data?.checkIns?.length || 0;
+
+  if (loading) {
+    return (
+      <Container className="py-10">
+        <div className="animate-pulse text-slate-500">Loading your dashboard…</div>
+      </Container>
+    );
+  }
+
+  // Show empty state if no meaningful data exists
+  const hasData = data?.wakeTime || data?.workout?.status || data?.lunch?.time || data?.dinner?.time || data?.checkIns?.length || aiProcessedData;
+  if (!hasData) {
+    return (
+      <Container className="py-10">
+        <div className="flex flex-col items-center gap-6">
+          <EmptyState />
+          <Button onClick={() => {/* Connect to setActive */}} className="bg-gradient-to-r from-indigo-500 to-emerald-500 text-white hover:from-indigo-600 hover:to-emerald-600 px-6 py-2">
+            Chat with Your AI Assistant
+          </Button>
+        </div>
+      </Container>
+    );
+  }
+
+  return (
+    <div className="">
+      <Container className="py-10">
+        <div className="flex flex-col gap-6 sm:flex-row sm:items-end sm:justify-between">
+          <div>
+            <div className="flex items-center gap-3 mb-2">
+              <h1 className="text-3xl font-bold bg-gradient-to-r from-indigo-500 to-emerald-500 bg-clip-text text-transparent">Your FlowState</h1>
+              <Tooltip content={lastLiveUpdate ? `Last update ${lastLiveUpdate.toLocaleTimeString()}` : "Changes from other tabs and devices appear here automatically"} position="bottom">
+                <div className="bg-gradient-to-r from-indigo-100 to-emerald-100 px-3 py-1 rounded-full flex items-center gap-1.5">
+                  <span className="h-1.5 w-1.5 rounded-full bg-emerald-500 animate-pulse" />
+                  <span className="text-xs font-semibold text-indigo-700">Live Updates</span>
+                </div>
+              </Tooltip>
+            </div>
+            <p className="text-lg text-slate-600">Everything organized automatically from your conversations 💬</p>
+          </div>
+          <div className="flex gap-3 items-center">
+            <select value={date} onChange={(e) => setDate(e.target.value)} className="rounded-xl border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-900 shadow-sm">
+              {dates.map((d) => (<option key={d} value={d}>{d}</option>))}
+            </select>
+            <Button onClick={async () => {
+              const d = todayISO();
+              setDate(d);
+              const rd = await readDay(d);
+              if (!rd) await saveDay({});
+            }} className="border border-slate-300 bg-white text-slate-900 shadow-sm hover:shadow-md">Today</Button>
+            <Button onClick={() => setActive("ai-assistant")} className="bg-gradient-to-r from-indigo-500 to-emerald-500 text-white hover:from-indigo-600 hover:to-emerald-600 shadow-md hover:shadow-lg">
+              <span className="mr-2">🤖</span>
+              Chat Now
+            </Button>
+          </div>
         </div>
-        
-        <div className="flex justify-center gap-2">
-          {demos.map((_, i) => (
-            <button
-              key={i}
-              onClick={() => setActiveDemo(i)}
-              className={`w-2 h-2 rounded-full ${
-                i === activeDemo ? 'bg-indigo-500' : 'bg-slate-300'
-              }`}
-            />
-          ))}
+
+        {saveError && (
+          <div className="mt-6 flex items-start justify-between gap-4 rounded-xl border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-800">
+            <span>{saveError}</span>
+            <button onClick={() => setSaveError(null)} className="text-red-600 hover:text-red-800">✕</button>
+          </div>
+        )}
+
+        <div className="mt-8 grid gap-6 sm:grid-cols-2 lg:grid-cols-4">
+          <KPI 
+            label="Flow Score" 
+            value={`${scoreWake(data?.wakeTime) ?? "—"}%`} 
+            hint={`Morning goal: ${data?.goals?.wakeGoal || DEFAULT_GOALS.wakeGoal}`} 
+            icon="🌅"
+            trend={scoreWake(data?.wakeTime) > 80 ? 'up' : scoreWake(data?.wakeTime) < 50 ? 'down' : null}
+          />
+          <KPI 
+            label="Energy Level" 
+            value={feeling.energy != null ? `${feeling.energy}/5` : "—"} 
+            hint={checkInCount ? `Mood ${feeling.mood}/5 · ${checkInCount} check-in${checkInCount === 1 ? "" : "s"}` : "No check-in yet"} 
+            icon="⚡"
+            trend={feeling.energy >= 4 ? 'up' : feeling.energy != null && feeling.energy <= 2 ? 'down' : null}
+          />
+          <KPI 
+            label="Fuel Intake" 
+            value={data?.lunch?.time || DEFAULT_GOALS.lunchTime} 
+            hint={data?.lunch?.details || "Balanced meal"} 
+            icon="🍽️"
+          />
+          <KPI 
+            label="Wind Down" 
+            value={data?.dinner?.time || DEFAULT_GOALS.dinnerTime} 
+            hint={data?.dinner?.details || "Protein focused"} 
+            icon="🌙"
+          />
+        </div>
+
+        <div className="mt-6">
+          {/* P.A.R.A. Navigation */}
+          <div className="mb-6">
+            <div className="flex gap-2 p-1 bg-slate-100 rounded-xl">
+              {[[null, "All"], ...Object.entries(PARA_CATEGORIES)].map(([key, label]) => (
+                <button
+                  key={key || "ALL"}
+                  onClick={() => setParaFilter(key)}
+                  className={`flex-1 rounded-lg px-3 py-2 text-sm font-medium transition ${paraFilter === key ? "bg-white text-slate-900 shadow-sm" : "text-slate-700 hover:bg-white hover:shadow-sm"}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid gap-6 lg:grid-cols-3">
+            <div className="lg:col-span-2 space-y-6">
+              <TodaySummary date={date} data={data} schedule={schedule} />
+              <MoodCard data={data} days={all} onSave={saveDay} />
+              <TaskList />
+              <PeopleCard />
+              <GoalsCard />
+              <PARADashboard filter={paraFilter} />
+              <QuickEdit date={date} data={data} onSave={saveDay} />
+              <DayHistory date={date} />
+            </div>
+          <div className="space-y-6">
+            <Card className="p-5">
+              <h3 className="text-lg font-semibold text-slate-900">Quick Capture</h3>
+              <p className="mt-2 text-sm text-slate-600">Type anything — tasks, ideas, notes.</p>
+              <QuickCapture onAdd={async (text) => {
+                const prev = data?.notes ? data.notes + "\n" : "";
+                await saveDay({ notes: prev + "• " + text });
+              }} />
+            </Card>
+
+          <AIChatbot date={date} onProcess={setAiProcessedData} />
+
+          <CalendarImportCard calendars={calendars} />
+
+          <DataTransferCard date={date} data={data} />
+        </div>
+          </div>
+        </div>
+      </Container>
+      {undoable && (
+        <UndoToast
+          revision={undoable}
+          onUndo={() => {
+            const revision = undoable;
+            setUndoable(null);
+            undoRevision(revision).catch((e) => console.warn("Undo failed", e));
+          }}
+          onClose={() => setUndoable(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+// ---------- P.A.R.A. Dashboard Components ----------
+const PARA_ICONS = { PROJECTS: '📁', AREAS: '🏢', RESOURCES: '📚', ARCHIVES: '📦' };
+const PARA_BADGES = { PROJECTS: 'Active Outputs', AREAS: 'Ongoing Standards', RESOURCES: 'Knowledge Base', ARCHIVES: 'Completed Items' };
+
+function ParaItemForm({ category, item, onSave, onCancel }) {
+  const [form, setForm] = useState(() => ({
+    title: item?.title || "",
+    status: item?.status || PARA_STATUSES[category][0],
+    priority: item?.priority || "medium",
+    deadline: item?.deadline || "",
+  }));
+  function update(k, v) { setForm((s) => ({ ...s, [k]: v })); }
+  function submit(e) {
+    e.preventDefault();
+    if (!form.title.trim()) return;
+    onSave({
+      ...item,
+      category,
+      title: form.title.trim(),
+      status: form.status,
+      priority: form.priority,
+      deadline: category === 'PROJECTS' ? form.deadline : undefined,
+    });
+  }
+  const selectClass = "rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs text-slate-900";
+  return (
+    <form onSubmit={submit} className="bg-white rounded-lg border border-slate-300 p-3 space-y-2">
+      <Input autoFocus value={form.title} onChange={(e) => update("title", e.target.value)} placeholder={`New ${PARA_CATEGORIES[category].toLowerCase().replace(/s$/, '')}…`} />
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={form.status} onChange={(e) => update("status", e.target.value)} className={selectClass}>
+          {PARA_STATUSES[category].map((s) => (<option key={s} value={s}>{s}</option>))}
+        </select>
+        <select value={form.priority} onChange={(e) => update("priority", e.target.value)} className={selectClass}>
+          <option value="high">high</option>
+          <option value="medium">medium</option>
+          <option value="low">low</option>
+        </select>
+        {category === 'PROJECTS' && (
+          <input type="date" value={form.deadline} onChange={(e) => update("deadline", e.target.value)} className={selectClass} />
+        )}
+        <div className="ml-auto flex gap-2">
+          <Button onClick={onCancel} className="border border-slate-300 bg-white text-slate-900 px-3 py-1 text-xs">Cancel</Button>
+          <Button type="submit" className="bg-slate-900 text-white hover:bg-slate-800 px-3 py-1 text-xs">Save</Button>
+        </div>
+      </div>
+    </form>
+  );
+}
+
+function ParaItemActions({ item, onEdit, onDelete, onMove }) {
+  return (
+    <div className="flex items-center gap-1">
+      <select
+        value={item.category}
+        onChange={(e) => onMove(item, e.target.value)}
+        title="Move to category"
+        className="rounded border border-slate-200 bg-white px-1 py-0.5 text-xs text-slate-600"
+      >
+        {Object.entries(PARA_CATEGORIES).map(([key, label]) => (<option key={key} value={key}>{label}</option>))}
+      </select>
+      <button onClick={() => onEdit(item)} title="Edit" className="px-1 text-xs text-slate-500 hover:text-slate-900">✏️</button>
+      <button onClick={() => onDelete(item)} title="Delete" className="px-1 text-xs text-slate-500 hover:text-red-600">🗑️</button>
+    </div>
+  );
+}
+
+function PARADashboard({ filter = null }) {
+  const [paraLayout, setParaLayout] = useState('grid'); // 'grid' | 'list'
+  const [items, setItems] = useState([]);
+  const [editing, setEditing] = useState(null); // { category, item? }
+  const [expanded, setExpanded] = useState({});
+
+  useEffect(() => {
+    (async () => setItems(await loadParaItems()))();
+  }, []);
+
+  async function reload() {
+    setItems(await loadParaItems());
+  }
+
+  useStorageChanges((change) => {
+    if (change.type === "para") reload();
+  }, []);
+
+  async function saveItem(item) {
+    await upsertParaItem(item);
+    setEditing(null);
+    await reload();
+  }
+
+  async function removeItem(item) {
+    if (!window.confirm(`Delete "${item.title}"?`)) return;
+    await deleteParaItem(item.id);
+    await reload();
+  }
+
+  async function moveItem(item, category) {
+    if (category === item.category) return;
+    await moveParaItem(item, category);
+    await reload();
+  }
+
+  const getStatusColor = (status, category) => {
+    if (category === 'PROJECTS') {
+      return status === 'completed' ? 'bg-emerald-100 text-emerald-800' : 
+             status === 'in-progress' ? 'bg-blue-100 text-blue-800' : 
+             'bg-slate-100 text-slate-800';
+    }
+    return status === 'maintained' ? 'bg-emerald-100 text-emerald-800' : 
+           status === 'needs-attention' ? 'bg-amber-100 text-amber-800' : 
+           'bg-slate-100 text-slate-800';
+  };
+
+  const byCategory = useMemo(() => {
+    const grouped = Object.fromEntries(Object.keys(PARA_CATEGORIES).map((k) => [k, []]));
+    items.forEach((item) => { (grouped[item.category] || grouped.RESOURCES).push(item); });
+    Object.values(grouped).forEach((list) => list.sort((a, b) => (b.updatedAt || "").localeCompare(a.updatedAt || "")));
+    return grouped;
+  }, [items]);
+
+  const visibleCategories = Object.entries(PARA_CATEGORIES).filter(([key]) => !filter || key === filter);
+
+  return (
+    <Card className="p-5" data-tour="para-dashboard">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <h3 className="text-lg font-semibold text-slate-900">P.A.R.A. Organization</h3>
+          <Tooltip content="Projects = specific outputs, Areas = ongoing responsibilities, Resources = learning topics, Archives = completed items" position="top">
+            <span className="text-slate-400 cursor-help">💡</span>
+          </Tooltip>
+        </div>
+        <div className="flex gap-2">
+          <button 
+            onClick={() => setParaLayout('grid')}
+            className={`p-1 rounded ${paraLayout === 'grid' ? 'bg-slate-200' : 'hover:bg-slate-100'}`}
+          >
+            <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+              <path d="M5 3a2 2 0 00-2 2v2a2 2 0 002 2h2a2 2 0 002-2V5a2 2 0 00-2-2H5zM5 11a2 2 0 00-2 2v2a2 2 0 002 2h2a2 2 0 002-2v-2a2 2 0 00-2-2H5zM11 5a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V5zM11 13a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z"/>
+            </svg>
+          </button>
+          <button 
+            onClick={() => setParaLayout('list')}
+            className={`p-1 rounded ${paraLayout === 'list' ? 'bg-slate-200' : 'hover:bg-slate-100'}`}
+          >
+            <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M3 4a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm0 4a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm0 4a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm0 4a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1z" clipRule="evenodd"/>
+            </svg>
+          </button>
+        </div>
+      </div>
+
+      <div className="space-y-4">
+        {visibleCategories.map(([key, label]) => {
+          const items = byCategory[key];
+          const limit = expanded[key] ? items.length : paraLayout === 'grid' ? 3 : 4;
+          return (
+            <div key={key} className="border border-slate-200 rounded-lg p-4">
+              <div className="flex items-center justify-between mb-3">
+                <h4 className="font-semibold text-slate-900 flex items-center gap-2">
+                  {PARA_ICONS[key]}
+                  {label} ({items.length})
+                </h4>
+                <div className="flex items-center gap-2">
+                  <Badge className="text-xs">{PARA_BADGES[key]}</Badge>
+                  <button
+                    onClick={() => setEditing({ category: key })}
+                    className="rounded-lg px-2 py-1 text-xs font-semibold text-indigo-700 hover:bg-indigo-50"
+                  >
+                    + Add
+                  </button>
+                </div>
+              </div>
+
+              {editing?.category === key && !editing.item && (
+                <div className="mb-3">
+                  <ParaItemForm category={key} onSave={saveItem} onCancel={() => setEditing(null)} />
+                </div>
+              )}
+
+              {items.length === 0 && editing?.category !== key && (
+                <p className="text-sm text-slate-500">Nothing here yet.</p>
+              )}
+              
+              {paraLayout === 'grid' ? (
+                <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+                  {items.slice(0, limit).map((item) => editing?.item?.id === item.id ? (
+                    <div key={item.id} className="sm:col-span-2 lg:col-span-3">
+                      <ParaItemForm category={key} item={item} onSave={saveItem} onCancel={() => setEditing(null)} />
+                    </div>
+                  ) : (
+                    <div key={item.id} className="bg-white rounded-lg border border-slate-200 p-3 hover:shadow-sm transition">
+                      <h5 className="text-sm font-medium text-slate-900 truncate">{item.title}</h5>
+                      <div className="flex items-center justify-between mt-2">
+                        <span className={`inline-flex px-2 py-1 text-xs rounded-full ${getStatusColor(item.status, key)}`}>
+                          {item.status}
+                        </span>
+                        <span className="text-xs text-slate-500">
+                          {item.deadline || item.archivedOn || item.updatedAt?.slice(0, 10)}
+                        </span>
+                      </div>
+                      <div className="mt-2 flex justify-end">
+                        <ParaItemActions item={item} onEdit={(i) => setEditing({ category: key, item: i })} onDelete={removeItem} onMove={moveItem} />
+                      </div>
+                    </div>
+                  ))}
+                  {items.length > limit && (
+                    <button onClick={() => setExpanded((s) => ({ ...s, [key]: true }))} className="bg-slate-50 rounded-lg border-2 border-dashed border-slate-300 p-3 flex items-center justify-center">
+                      <span className="text-sm text-slate-500">+{items.length - limit} more</span>
+                    </button>
+                  )}
+                </div>
+              ) : (
+                <div className="space-y-2">
+                  {items.slice(0, limit).map((item) => editing?.item?.id === item.id ? (
+                    <ParaItemForm key={item.id} category={key} item={item} onSave={saveItem} onCancel={() => setEditing(null)} />
+                  ) : (
+                    <div key={item.id} className="flex items-center justify-between py-2 px-3 bg-white rounded-lg border border-slate-200">
+                      <span className="text-sm text-slate-900 truncate">{item.title}</span>
+                      <div className="flex items-center gap-2">
+                        <span className={`px-2 py-1 text-xs rounded-full ${getStatusColor(item.status, key)}`}>
+                          {item.status}
+                        </span>
+                        <ParaItemActions item={item} onEdit={(i) => setEditing({ category: key, item: i })} onDelete={removeItem} onMove={moveItem} />
+                      </div>
+                    </div>
+                  ))}
+                  {items.length > limit && (
+                    <button onClick={() => setExpanded((s) => ({ ...s, [key]: true }))} className="w-full text-sm text-slate-500 text-center py-2 hover:text-slate-700">
+                      +{items.length - limit} more items
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      
+      <div className="mt-6 pt-4 border-t border-slate-200">
+        <div className="text-center">
+          <p className="text-sm text-slate-600 mb-3">Add new items via AI Assistant or Quick Capture</p>
+          <Button className="bg-gradient-to-r from-indigo-500 to-emerald-500 text-white hover:from-indigo-600 hover:to-emerald-600">
+            Open AI Assistant
+          </Button>
         </div>
       </div>
-    </div>
+    </Card>
   );
 }
 
-function AppTour({ isOpen, onClose, onNext, onPrev, currentStep, totalSteps }) {
-  if (!isOpen) return null;
+// ---------- Natural Language Times & Dates ----------
+/**
+ * Turns what people type into the stored formats: times of day into 24h "HH:MM" and day
+ * references into ISO dates. Both scan free text and return the first match (or null), so they
+ * work on whole chat sentences as well as on single values a model returns.
+ */
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+  fifteen: 15, twenty: 20, "twenty-five": 25, thirty: 30, "forty-five": 45,
+};
+const WEEKDAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MONTH_NAMES = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+
+const WORD_HOURS = Object.keys(NUMBER_WORDS).filter((w) => NUMBER_WORDS[w] <= 12).join("|");
+const HOUR = `(\\d{1,2}|${WORD_HOURS})`;
+const MERIDIEM = "(a\\.?m\\.?|p\\.?m\\.?)";
+const wordOrNumber = (s) => (/^\d+$/.test(s) ? Number(s) : NUMBER_WORDS[s.toLowerCase()]);
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// A bare hour has no am/pm: use the hint, otherwise read 1–6 as afternoon (nobody books a 3am meeting)
+function toClock(hour, minute, meridiem, defaultMeridiem) {
+  if (hour > 23 || minute > 59) return null;
+  let h = hour;
+  const m = meridiem?.[0]?.toLowerCase() || (hour <= 12 ? defaultMeridiem?.[0] : null);
+  if (m === "p" && h < 12) h += 12;
+  else if (m === "a" && h === 12) h = 0;
+  else if (!m && h >= 1 && h <= 6) h += 12;
+  return `${pad(h)}:${pad(minute)}`;
+}
+
+const TIME_PATTERNS = [
+  // 7:30, 19:30, 7:30pm, 7.30 am
+  [new RegExp(`\\b(\\d{1,2})[:.](\\d{2})(?!\\d)\\s*${MERIDIEM}?(?![a-z])`, "i"), (m, d) => toClock(Number(m[1]), Number(m[2]), m[3], d)],
+  // 7pm, 7 a.m., seven pm
+  [new RegExp(`\\b${HOUR}\\s*${MERIDIEM}(?![a-z])`, "i"), (m) => toClock(wordOrNumber(m[1]), 0, m[2])],
+  // half past seven, quarter to 8, 20 past 6
+  [new RegExp(`\\b(half|quarter|\\d{1,2}|${Object.keys(NUMBER_WORDS).join("|")})\\s+(?:minutes\\s+)?(past|after|to|till|before)\\s+${HOUR}\\b(?:\\s*${MERIDIEM})?`, "i"), (m, d) => {
+    const minutes = m[1].toLowerCase() === "half" ? 30 : m[1].toLowerCase() === "quarter" ? 15 : wordOrNumber(m[1]);
+    const hour = wordOrNumber(m[3]);
+    if (minutes == null || minutes >= 60 || hour == null) return null;
+    if (/past|after/i.test(m[2])) return toClock(hour, minutes, m[4], d);
+    return toClock(hour === 0 ? 23 : hour === 1 ? 12 : hour - 1, 60 - minutes, m[4], d);
+  }],
+  // seven o'clock
+  [new RegExp(`\\b${HOUR}\\s*o'?\\s?clock\\b(?:\\s*${MERIDIEM})?`, "i"), (m, d) => toClock(wordOrNumber(m[1]), 0, m[2], d)],
+  [/\b(noon|midday)\b/i, () => "12:00"],
+  [/\bmidnight\b/i, () => "00:00"],
+  // at 7, around seven, about 8ish, ~7 – a spelled-out hour only when nothing else follows ("at one point" isn't a time)
+  [new RegExp(`(?:\\b(?:at|around|about|by|until|till)|~)\\s*(?:(\\d{1,2})(?![:.]?\\d|\\s*(?:[ap]\\.?m\\b|o'?\\s?clock|days?|weeks?|months?|years?|hours?|minutes?|mins?|kg|km|%|st|nd|rd|th)\\b)|(${WORD_HOURS})(?=\\s*(?:[,.!?;]|$|-?ish\\b|and\\b|in\\b|this\\b|to(?:day|night|morrow)\\b|yesterday\\b)))`, "i"), (m, d) => toClock(wordOrNumber(m[1] || m[2]), 0, null, d)],
+];
+
+/**
+ * First time of day in `text` as "HH:MM", or null. `defaultMeridiem` ('am' | 'pm') settles bare
+ * hours such as "woke at 7"; a value that is nothing but an hour ("7", "seven") is accepted too.
+ */
+function parseTimeOfDay(text, options) {
+  return matchTimeOfDay(text, options)?.time || null;
+}
+
+// Like parseTimeOfDay, with where the phrase sits: { time, index, match }
+function matchTimeOfDay(text, { defaultMeridiem = null } = {}) {
+  if (typeof text !== "string") return null;
+  const bare = text.trim().match(new RegExp(`^${HOUR}$`, "i"));
+  if (bare) {
+    const time = toClock(wordOrNumber(bare[1]), 0, null, defaultMeridiem);
+    return time && { time, index: text.indexOf(bare[0]), match: bare[0] };
+  }
+  let best = null;
+  TIME_PATTERNS.forEach(([pattern, convert]) => {
+    const m = text.match(pattern);
+    if (!m || (best && best.index <= m.index)) return;
+    const time = convert(m, defaultMeridiem);
+    if (time) best = { time, index: m.index, match: m[0] };
+  });
+  return best;
+}
+
+// The time that belongs to the word at `index`: the first one after it ("a meeting at 3"), else the last one
+// before it in the same clause ("at 3 I have a meeting"), so "woke up at 7 and have a meeting" has none
+function timeOfDayNear(text, index, options) {
+  const after = matchTimeOfDay(text.slice(index), options);
+  if (after) return after.time;
+  const clauseStart = Math.max(0, ...Array.from(text.slice(0, index).matchAll(/[,;]|\b(?:and|but|then)\b/gi), (m) => m.index + m[0].length));
+  let before = null;
+  for (let from = clauseStart, m; (m = matchTimeOfDay(text.slice(from, index), options)); from += m.index + m.match.length) before = m;
+  return before?.time || null;
+}
+
+function addDaysISO(iso, n) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+
+const weekdayOfISO = (iso) => new Date(`${iso}T00:00:00Z`).getUTCDay();
+const MONTH = `(${MONTH_NAMES.map((name) => `${name.slice(0, 3)}(?:${name.slice(3)})?`).join("|")})\\.?`;
+const ORDINAL_DAY = "(\\d{1,2})(?:st|nd|rd|th)?";
+
+// Month/day without a year: this year, unless that puts it on the wrong side of today
+function monthDayISO(month, day, today, prefer) {
+  const monthIndex = MONTH_NAMES.findIndex((name) => name.startsWith(month.toLowerCase().slice(0, 3)));
+  const year = Number(today.slice(0, 4));
+  const iso = (y) => `${y}-${pad(monthIndex + 1)}-${pad(day)}`;
+  if (day < 1 || day > 31) return null;
+  if (prefer === "future" && iso(year) < today) return iso(year + 1);
+  if (prefer === "past" && iso(year) > today) return iso(year - 1);
+  return iso(year);
+}
+
+const DAY_PATTERNS = [
+  [/\b(\d{4})-(\d{2})-(\d{2})\b/, (m) => `${m[1]}-${m[2]}-${m[3]}`],
+  [/\b(?:the\s+)?day\s+before\s+yesterday\b/i, (m, today) => addDaysISO(today, -2)],
+  [/\b(?:the\s+)?day\s+after\s+tomorrow\b/i, (m, today) => addDaysISO(today, 2)],
+  [/\byesterday\b/i, (m, today) => addDaysISO(today, -1)],
+  [/\b(?:today|tonight|this\s+(?:morning|afternoon|evening))\b/i, (m, today) => today],
+  [/\btomorrow\b/i, (m, today) => addDaysISO(today, 1)],
+  [/\b(\d{1,2}|a|one|two|three|four|five|six|seven)\s+days?\s+ago\b/i, (m, today) => addDaysISO(today, -(/^(a|one)$/i.test(m[1]) ? 1 : wordOrNumber(m[1])))],
+  [/\bin\s+(\d{1,2}|a|one|two|three|four|five|six|seven)\s+days?\b/i, (m, today) => addDaysISO(today, /^(a|one)$/i.test(m[1]) ? 1 : wordOrNumber(m[1]))],
+  // A weekend is its Saturday, or today once it has started
+  [/\b(?:(this|next|last|the)\s+)?weekend\b/i, (m, today) => {
+    const weekday = weekdayOfISO(today);
+    const saturday = addDaysISO(today, weekday === 0 ? -1 : 6 - weekday);
+    const qualifier = m[1]?.toLowerCase();
+    if (qualifier === "next") return addDaysISO(saturday, 7);
+    if (qualifier === "last") return addDaysISO(saturday, -7);
+    return weekday === 0 || weekday === 6 ? today : saturday;
+  }],
+  [new RegExp(`\\b(last|next|this|on|coming)?\\s*(${WEEKDAY_NAMES.join("|")})\\b`, "i"), (m, today, prefer) => {
+    const target = WEEKDAY_NAMES.indexOf(m[2].toLowerCase());
+    const diff = (target - weekdayOfISO(today) + 7) % 7; // 0..6 days ahead
+    const qualifier = m[1]?.toLowerCase();
+    if (qualifier === "last") return addDaysISO(today, diff === 0 ? -7 : diff - 7);
+    if (qualifier === "next" || qualifier === "coming") return addDaysISO(today, diff === 0 ? 7 : diff);
+    if (prefer === "past" && qualifier !== "this") return addDaysISO(today, diff === 0 ? 0 : diff - 7);
+    return addDaysISO(today, diff);
+  }],
+  [new RegExp(`\\b${MONTH}\\s+${ORDINAL_DAY}\\b`, "i"), (m, today, prefer) => monthDayISO(m[1], Number(m[2]), today, prefer)],
+  [new RegExp(`\\b${ORDINAL_DAY}\\s+(?:of\\s+)?${MONTH}(?![a-z])`, "i"), (m, today, prefer) => monthDayISO(m[2], Number(m[1]), today, prefer)],
+];
+
+/**
+ * First day reference in `text` as an ISO date relative to `today`, or null: "yesterday",
+ * "3 days ago", "next Tuesday", "Oct 21", "2026-10-21", ... `prefer` ('past' | 'future') decides
+ * which way a bare weekday or a month/day without year points; "last"/"next" always win.
+ */
+function parseDayReference(text, options) {
+  return matchDayReference(text, options)?.date || null;
+}
+
+// Like parseDayReference, with where the phrase sits: { date, index, match }
+function matchDayReference(text, { today = todayISO(), prefer = "future" } = {}) {
+  if (typeof text !== "string") return null;
+  let best = null;
+  DAY_PATTERNS.forEach(([pattern, convert]) => {
+    const m = text.match(pattern);
+    if (!m || (best && best.index <= m.index)) return;
+    const date = convert(m, today, prefer);
+    if (date) best = { date, index: m.index, match: m[0] };
+  });
+  return best;
+}
+
+const endOfMonthISO = (year, monthIndex) => new Date(Date.UTC(year, monthIndex + 1, 0)).toISOString().slice(0, 10);
+
+/**
+ * A deadline such as a goal's "by ...": any day reference, or the end of a coarser period —
+ * "June", "March 2027", "the end of the year", "next month", "in 3 months". Always in the future.
+ */
+function parseDeadline(text, today = todayISO()) {
+  const day = parseDayReference(text, { today, prefer: "future" });
+  if (day) return day;
+  const year = Number(today.slice(0, 4));
+  let m;
+  if ((m = text.match(new RegExp(`\\b${MONTH}(?:\\s+(\\d{4}))?(?![a-z])`, "i")))) {
+    const monthIndex = MONTH_NAMES.findIndex((name) => name.startsWith(m[1].toLowerCase().slice(0, 3)));
+    const end = endOfMonthISO(m[2] ? Number(m[2]) : year, monthIndex);
+    return m[2] || end >= today ? end : endOfMonthISO(year + 1, monthIndex);
+  }
+  if (/\bend\s+of\s+(?:the|this)\s+year\b/i.test(text)) return `${year}-12-31`;
+  if (/\bnext\s+year\b/i.test(text)) return `${year + 1}-12-31`;
+  if (/\bnext\s+month\b/i.test(text)) return endOfMonthISO(year, Number(today.slice(5, 7)));
+  if ((m = text.match(new RegExp(`\\bin\\s+(\\d{1,2}|a|${Object.keys(NUMBER_WORDS).join("|")})\\s+(weeks?|months?)\\b`, "i")))) {
+    const n = /^a$/i.test(m[1]) ? 1 : wordOrNumber(m[1]);
+    if (/^week/i.test(m[2])) return addDaysISO(today, 7 * n);
+    const d = new Date(`${today}T00:00:00Z`);
+    d.setUTCMonth(d.getUTCMonth() + n);
+    return d.toISOString().slice(0, 10);
+  }
+  return null;
+}
+
+// ---------- Assistant Context ----------
+/**
+ * What a connected model is told about the user besides their message: goals, the daily routine,
+ * the last few days, active projects, the manifesto and identity traits, and recent chat turns.
+ * Sections are filled in the order listed below until the token budget runs out, each entry whole
+ * or not at all, so a tight budget cuts the manifesto first, then projects and the oldest days;
+ * within the chat the oldest turns are cut first. The budget is for this context alone: the
+ * instructions, the action definitions and the message are sent whatever it holds, so they are
+ * counted next to it (promptOverhead) rather than out of it. The report is kept on the reply for the
+ * context debug view.
+ */
+const CONTEXT_TOKEN_BUDGET = 2000;
+const CONTEXT_RECENT_DAYS = 7;
+const CONTEXT_NOTE_CHARS = 200;
+const CONTEXT_MESSAGE_TOKENS = 4; // per-message overhead of the chat format
+const CONTEXT_PREAMBLE = "What you know about the user (use it when it helps, don't recite it):";
+
+// A rough count that is close enough for budgeting: about four characters per token
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+function describeDayForContext(date, day) {
+  const parts = [];
+  if (day.wakeTime) parts.push(`woke ${day.wakeTime}`);
+  if (day.workout?.status) parts.push(`workout ${day.workout.status}${day.workout.time ? ` at ${day.workout.time}` : ""}`);
+  dayMeals(day).forEach((m) => parts.push(`${m.meal}${m.time ? ` ${m.time}` : ""}${m.details ? ` (${m.details})` : ""}`));
+  if (day.mood) parts.push(`mood ${day.mood}`);
+  (day.checkIns || []).forEach((c) => parts.push(`check-in ${c.at} mood ${c.mood}/5 energy ${c.energy}/5${c.tags?.length ? ` (${c.tags.join(", ")})` : ""}`));
+  if (day.sleepHours != null) parts.push(`slept ${day.sleepHours}h`);
+  const notes = splitNotes(day.notes).notes.replace(/\s+/g, " ");
+  if (notes) parts.push(`notes: ${notes.length > CONTEXT_NOTE_CHARS ? `${notes.slice(0, CONTEXT_NOTE_CHARS - 1)}…` : notes}`);
+  return `${date} (${WEEKDAY_NAMES[weekdayOfISO(date)]}): ${parts.join("; ") || "nothing logged"}`;
+}
+
+// What every request carries besides the context, in tokens: { instructions, tools, message }
+function promptOverhead(text, { tools = true } = {}) {
+  return {
+    instructions: estimateTokens(aiSystemPrompt({ tools })) + CONTEXT_MESSAGE_TOKENS,
+    tools: tools ? estimateTokens(JSON.stringify(aiToolDefinitions())) : 0,
+    message: estimateTokens(text) + CONTEXT_MESSAGE_TOKENS,
+  };
+}
+
+/**
+ * Fits the context for a message into `budget` tokens. Returns { text, history, report } where
+ * `history` is the chat turns that fit (oldest first) and `report` is
+ * { budget, used, turns, sections: [{ key, title, tokens, included, dropped }] }.
+ */
+async function buildAssistantContext(history = [], { budget = CONTEXT_TOKEN_BUDGET, today = todayISO() } = {}) {
+  const [days, paraItems, goals, metrics] = await Promise.all([loadAllDays(), loadParaItems(), loadGoals(), getSetting("metrics", {})]);
+  const times = { ...DEFAULT_GOALS, ...days[today]?.goals };
+  const describeGoal = (goal) => {
+    const next = (goal.milestones || []).find((m) => !m.done);
+    return [
+      `${goal.title}${goal.targetDate ? ` by ${goal.targetDate}` : ""}`,
+      goalProgress(goal, { days, metrics: { ...DEFAULT_METRICS, ...metrics }, today }).label,
+      next && `next milestone: ${next.title}${next.due ? ` (${next.due})` : ""}`,
+    ].filter(Boolean).join("; ");
+  };
+  const recent = Array.from({ length: CONTEXT_RECENT_DAYS }, (_, i) => addDaysISO(today, -i)).filter((date) => days[date]);
+  const projects = paraItems
+    .filter((item) => item.category === "PROJECTS" && item.status !== "completed")
+    .sort((a, b) => (a.deadline || "9999").localeCompare(b.deadline || "9999"));
+  const sections = [
+    { key: "goals", title: "Goals", entries: [`Wake by ${times.wakeGoal}, work out at ${times.workoutGoal}, lunch at ${times.lunchTime}, dinner at ${times.dinnerTime}`, ...sortGoals(goals).map(describeGoal)] },
+    { key: "chat", title: "Recent chat", entries: history.slice(-AI_HISTORY_MESSAGES).reverse(), cost: (m) => estimateTokens(m.content) + CONTEXT_MESSAGE_TOKENS },
+    { key: "routine", title: "Daily routine", entries: DAILY_ROUTINE.map((r) => `${r.start}${r.end ? `–${r.end}` : ""} ${r.title}`) },
+    { key: "days", title: "Recent days", entries: recent.map((date) => describeDayForContext(date, days[date])) },
+    { key: "projects", title: "Active projects", entries: projects.map((p) => `${p.title} (${p.status}${p.deadline ? `, due ${p.deadline}` : ""})`) },
+    { key: "identity", title: "Manifesto and identity", entries: [...MANIFESTO.map((m) => `${m.lead} ${m.text}`), ...IDENTITY_TRAITS.map((t) => `${t.lead} — ${t.text}`)] },
+  ];
+
+  let used = estimateTokens(CONTEXT_PREAMBLE) + CONTEXT_MESSAGE_TOKENS;
+  const kept = {};
+  const report = sections.map(({ key, title, entries, cost = (entry) => estimateTokens(`- ${entry}\n`) }) => {
+    const included = [];
+    let tokens = 0;
+    for (const entry of entries) {
+      const needed = cost(entry) + (included.length || key === "chat" ? 0 : estimateTokens(`## ${title}\n`));
+      if (used + needed > budget) break;
+      used += needed;
+      tokens += needed;
+      included.push(entry);
+    }
+    kept[key] = included;
+    return { key, title, tokens, included: included.length, dropped: entries.length - included.length };
+  });
+
+  const body = sections
+    .filter(({ key }) => key !== "chat" && kept[key].length)
+    .map(({ key, title }) => [`## ${title}`, ...kept[key].map((entry) => `- ${entry}`)].join("\n"));
+  return {
+    text: [CONTEXT_PREAMBLE, ...body].join("\n\n"),
+    history: kept.chat.reverse(),
+    report: { budget, used, turns: kept.chat.length, sections: report },
+  };
+}
+
+// ---------- AI Providers ----------
+/**
+ * AIChatbot talks to a provider instead of a hard-coded extractor:
+ *   provider.name
+ *   provider.chat({ text, history, signal, onToken }) -> { response, extractedData, toolCalls }
+ * `history` is the earlier conversation as [{ role: 'user' | 'assistant', content }], and
+ * `onToken(replySoFar)`, when given, is called as the reply streams in. Whatever the
+ * provider, extractedData must match EXTRACTED_DATA_SCHEMA; toolCalls ([{ name, arguments }])
+ * are the assistant actions it asked for (see Assistant Tools). A model provider also returns the
+ * `context` report of what it was sent (see Assistant Context). Any OpenAI-compatible chat-completions
+ * endpoint works once a base URL and model are configured (VITE_AI_* env vars, overridable from the
+ * assistant's settings card); without one the built-in keyword extractor answers.
+ */
+const AI_SETTINGS_KEY = "ai-provider";
+const AI_ENV_CONFIG = {
+  baseUrl: import.meta.env.VITE_AI_BASE_URL || "",
+  model: import.meta.env.VITE_AI_MODEL || "",
+  apiKey: import.meta.env.VITE_AI_API_KEY || "",
+};
+const AI_HISTORY_MESSAGES = 10;
+const TIME_PATTERN = "^([01]\\d|2[0-3]):[0-5]\\d$";
+const DATE_PATTERN = "^\\d{4}-\\d{2}-\\d{2}$";
+
+const EXTRACTED_DATA_SCHEMA = {
+  type: "object",
+  required: ["tasks", "habits", "mood", "insights", "paraCategory", "scheduledItems"],
+  additionalProperties: false,
+  properties: {
+    tasks: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["text"],
+        additionalProperties: false,
+        properties: {
+          text: { type: "string", minLength: 1 },
+          due: { type: "string", pattern: DATE_PATTERN },
+          category: { type: "string", enum: Object.values(PARA_CATEGORIES) },
+        },
+      },
+    },
+    habits: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        wakeTime: { type: "string", pattern: TIME_PATTERN },
+        workoutIntended: { type: "boolean" },
+      },
+    },
+    // The day habits, mood and insights refer to ("yesterday I woke at 8"); null = the selected day
+    date: { type: ["string", "null"], pattern: DATE_PATTERN },
+    mood: { type: "string", enum: MOODS },
+    insights: { type: "array", items: { type: "string" } },
+    paraCategory: { type: ["string", "null"], enum: [...Object.values(PARA_CATEGORIES), null] },
+    // Optional so replies from before meal logging still validate
+    meals: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["kind"],
+        additionalProperties: false,
+        properties: {
+          kind: { type: "string", enum: MEAL_KINDS },
+          time: { type: "string", pattern: TIME_PATTERN },
+          details: { type: "string" },
+        },
+      },
+    },
+    // Optional like meals; what the message says about people, merged into the People store
+    people: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["name"],
+        additionalProperties: false,
+        properties: {
+          name: { type: "string", minLength: 1 },
+          relationship: { type: "string" },
+          preferences: { type: "array", items: { type: "string" } },
+          dates: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["label", "date"],
+              additionalProperties: false,
+              properties: { label: { type: "string", minLength: 1 }, date: { type: "string", pattern: PERSON_DATE_PATTERN } },
+            },
+          },
+          contactedOn: { type: "string", pattern: DATE_PATTERN },
+        },
+      },
+    },
+    // Optional like meals; goals the user sets, each broken down into dated milestones
+    goals: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["title", "milestones"],
+        additionalProperties: false,
+        properties: {
+          title: { type: "string", minLength: 1 },
+          targetDate: { type: ["string", "null"], pattern: DATE_PATTERN },
+          target: GOAL_TARGET_SCHEMA,
+          milestones: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["title"],
+              additionalProperties: false,
+              properties: { title: { type: "string", minLength: 1 }, due: { type: "string", pattern: DATE_PATTERN } },
+            },
+          },
+        },
+      },
+    },
+    scheduledItems: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["title"],
+        additionalProperties: false,
+        properties: {
+          title: { type: "string", minLength: 1 },
+          time: { type: "string", pattern: TIME_PATTERN },
+          date: { type: "string", pattern: DATE_PATTERN },
+        },
+      },
+    },
+  },
+};
+
+const AI_REPLY_SCHEMA = {
+  type: "object",
+  required: ["reply", "extractedData"],
+  properties: { reply: { type: "string", minLength: 1 }, extractedData: EXTRACTED_DATA_SCHEMA },
+};
+
+class AIProviderError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}: ${problems.join("; ")}` : message);
+    this.name = "AIProviderError";
+    this.problems = problems;
+  }
+}
+
+// The subset of JSON Schema the schemas above use: type, enum, required, properties,
+// additionalProperties: false, items, minLength and pattern
+function schemaProblems(value, schema, path = "$") {
+  const types = [].concat(schema.type || []);
+  const matchesType = (t) => (t === "null" ? value === null
+    : t === "array" ? Array.isArray(value)
+    : t === "object" ? isPlainObject(value)
+    : t === "integer" ? Number.isInteger(value)
+    : typeof value === t);
+  if (types.length && !types.some(matchesType)) return [`${path} must be ${types.join(" or ")}`];
+
+  const problems = [];
+  if (schema.enum && !schema.enum.includes(value)) problems.push(`${path} must be one of ${schema.enum.map((e) => JSON.stringify(e)).join(", ")}`);
+  if (typeof value === "string") {
+    if (schema.minLength && value.length < schema.minLength) problems.push(`${path} must not be empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) problems.push(`${path} must match ${schema.pattern}`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => problems.push(...schemaProblems(item, schema.items, `${path}[${i}]`)));
+  }
+  if (isPlainObject(value)) {
+    (schema.required || []).forEach((key) => { if (!(key in value)) problems.push(`${path}.${key} is required`); });
+    Object.entries(value).forEach(([key, v]) => {
+      if (schema.properties?.[key]) problems.push(...schemaProblems(v, schema.properties[key], `${path}.${key}`));
+      else if (schema.additionalProperties === false) problems.push(`${path}.${key} is not allowed`);
+    });
+  }
+  return problems;
+}
+
+// Without `tools` the prompt leaves out the line about calling them
+function aiSystemPrompt({ tools = true } = {}) {
+  return [
+    "You are FlowState, a friendly AI life assistant. Answer the user's latest message briefly and extract structured data from it.",
+    `Today is ${todayISO()} (${WEEKDAY_NAMES[weekdayOfISO(todayISO())]}). Write times as 24-hour HH:MM and resolve day references such as "yesterday" or "next Tuesday" to YYYY-MM-DD.`,
+    'Respond with a single JSON object { "reply": string, "extractedData": object }, reply first, where extractedData matches this JSON Schema:',
+    JSON.stringify(EXTRACTED_DATA_SCHEMA),
+    "Set date only when the user names the day their habits or mood belong to, and give scheduled items a date when it isn't that day.",
+    "Log each meal the user says they ate (breakfast, lunch, dinner or snack) with its time and what it was.",
+    "List the people the user mentions with what they said about them: relationship, preferences (\"likes almond lattes\"), yearly dates such as birthdays (MM-DD unless the year is given) and contactedOn when they talked or met.",
+    `When the user sets a goal ("I want to learn Spanish by June"), add it to goals with its target date and 3 to 5 dated milestones that break it down, plus a target when it is measurable: a dashboard metric (${GOAL_METRICS.join(", ")}) and the value to reach, or a number of workouts a week.`,
+    "Each task is one thing to do in the user's words without the date (\"Call my mom\"), with its due date and the P.A.R.A. category it belongs to when they are clear.",
+    "Use empty arrays, an empty habits object and a null paraCategory and date when nothing applies. Mood is \"neutral\" unless the user says otherwise.",
+    tools && "When the user asks you to do something a tool covers (log a wake time, set a workout status, add a task, move a P.A.R.A. item, update a metric, schedule a cheat day), call the tool instead of extracting the same thing, and say what you did in the reply.",
+  ].filter(Boolean).join("\n");
+}
+
+// Endpoints (URL and model) that rejected `tools` or `response_format`; they are sent plain requests from then on
+const PLAIN_AI_ENDPOINTS = new Set();
+
+// Many local servers reject either field with a 4xx; auth errors and rate limits are not that
+const rejectsExtras = (status) => status >= 400 && status < 500 && ![401, 403, 429].includes(status);
+
+function openAICompatibleProvider({ baseUrl, model, apiKey }) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+  const endpoint = `${url} ${model}`;
+  return {
+    name: model,
+    async chat({ text, history = [], signal, onToken }) {
+      const context = await buildAssistantContext(history);
+      const request = (plain) => fetch(url, {
+        method: "POST",
+        signal,
+        headers: { "Content-Type": "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+        body: JSON.stringify({
+          model,
+          temperature: 0.2,
+          stream: Boolean(onToken),
+          ...(!plain && { response_format: { type: "json_object" }, tools: aiToolDefinitions() }),
+          messages: [
+            { role: "system", content: aiSystemPrompt({ tools: !plain }) },
+            { role: "system", content: context.text },
+            ...context.history,
+            { role: "user", content: text },
+          ],
+        }),
+      });
+      let plain = PLAIN_AI_ENDPOINTS.has(endpoint);
+      let res = await request(plain);
+      if (!plain && rejectsExtras(res.status)) {
+        plain = true;
+        res = await request(true);
+        if (res.ok) PLAIN_AI_ENDPOINTS.add(endpoint);
+      }
+      if (!res.ok) throw new AIProviderError(`${model} returned HTTP ${res.status}`);
+      // Endpoints that ignore `stream` answer with a plain completion
+      const { content, toolCalls } = onToken && res.body && /text\/event-stream/.test(res.headers.get("content-type") || "")
+        ? await readChatStream(res.body, (soFar) => {
+          const reply = partialJSONString(soFar, "reply");
+          if (reply) onToken(reply);
+        })
+        : await res.json().then((json) => {
+          const message = json.choices?.[0]?.message || {};
+          return { content: message.content || "", toolCalls: message.tool_calls || [] };
+        });
+      const calls = toolCalls.map(parseToolCall);
+      // A reply that only calls tools has no JSON content to parse
+      const sent = { ...context.report, text: context.text, overhead: promptOverhead(text, { tools: !plain }) };
+      if (!content.trim() && calls.length) return { response: "Done — here's what I did:", extractedData: emptyExtractedData(), toolCalls: calls, context: sent };
+      let parsed;
+      try {
+        // Some local models wrap JSON in a markdown fence despite response_format
+        parsed = JSON.parse(content.trim().replace(/^```(?:json)?\s*|\s*```$/g, ""));
+      } catch {
+        throw new AIProviderError(`${model} did not reply with JSON`);
+      }
+      if (isPlainObject(parsed)) parsed.extractedData = normalizeExtractedData(parsed.extractedData);
+      const problems = schemaProblems(parsed, AI_REPLY_SCHEMA);
+      if (problems.length) throw new AIProviderError(`${model} replied with data that doesn't match the schema`, problems);
+      return { response: parsed.reply, extractedData: parsed.extractedData, toolCalls: calls, context: sent };
+    },
+  };
+}
+
+/**
+ * Reads an OpenAI-style server-sent event stream, calling onContent with the content received so far.
+ * Tool calls arrive in pieces keyed by index and are put back together; resolves to { content, toolCalls }.
+ */
+async function readChatStream(body, onContent) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  let content = "";
+  const toolCalls = [];
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    const lines = (buffer + value).split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      const data = line.match(/^data:\s*(.*)$/)?.[1];
+      if (!data || data === "[DONE]") continue;
+      let delta;
+      try {
+        delta = JSON.parse(data).choices?.[0]?.delta || {};
+      } catch {
+        continue;
+      }
+      (delta.tool_calls || []).forEach(({ index = 0, function: fn = {} }) => {
+        const call = (toolCalls[index] ??= { function: { name: "", arguments: "" } });
+        call.function.name += fn.name || "";
+        call.function.arguments += fn.arguments || "";
+      });
+      if (!delta.content) continue;
+      content += delta.content;
+      onContent(content);
+    }
+  }
+  return { content, toolCalls: toolCalls.filter(Boolean) };
+}
+
+// The (possibly unfinished) string value of `key` in streamed JSON, so the reply shows while the data arrives
+function partialJSONString(json, key) {
+  const start = json.match(new RegExp(`"${key}"\\s*:\\s*"`));
+  if (!start) return null;
+  let value = "";
+  for (let i = start.index + start[0].length; i < json.length; i++) {
+    const c = json[i];
+    if (c === '"') break;
+    if (c !== "\\") {
+      value += c;
+      continue;
+    }
+    const next = json[i + 1];
+    if (next === undefined || (next === "u" && i + 5 >= json.length)) break;
+    if (next === "u") {
+      value += String.fromCharCode(parseInt(json.slice(i + 2, i + 6), 16));
+      i += 5;
+    } else {
+      value += { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f" }[next] ?? next;
+      i++;
+    }
+  }
+  return value;
+}
+
+// Resolves after `ms`, or rejects with an AbortError as soon as `signal` aborts
+function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const aborted = () => new DOMException("The request was stopped", "AbortError");
+    if (signal?.aborted) return reject(aborted());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(aborted());
+    }, { once: true });
+  });
+}
+
+// Models write "7 am" or "yesterday" despite the instructions; coerce what parses before the schema check
+function normalizeExtractedData(data, today = todayISO()) {
+  if (!isPlainObject(data)) return data;
+  const time = (v, options) => (typeof v === "string" && parseTimeOfDay(v, options)) || v;
+  const day = (v, prefer) => (typeof v === "string" && !new RegExp(DATE_PATTERN).test(v) && parseDayReference(v, { today, prefer })) || v;
+  const normalized = { ...data };
+  if (typeof data.date === "string") normalized.date = day(data.date, "past");
+  if (isPlainObject(data.habits) && data.habits.wakeTime !== undefined) {
+    normalized.habits = { ...data.habits, wakeTime: time(data.habits.wakeTime, { defaultMeridiem: "am" }) };
+  }
+  if (Array.isArray(data.meals)) {
+    normalized.meals = data.meals.map((meal) => (isPlainObject(meal) && meal.time !== undefined ? { ...meal, time: time(meal.time, { defaultMeridiem: MEAL_MERIDIEM[meal.kind] }) } : meal));
+  }
+  if (Array.isArray(data.tasks)) {
+    normalized.tasks = data.tasks.map((task) => (isPlainObject(task) && task.due !== undefined ? { ...task, due: day(task.due, "future") } : task));
+  }
+  if (Array.isArray(data.people)) {
+    normalized.people = data.people.map((person) => {
+      if (!isPlainObject(person)) return person;
+      const next = { ...person };
+      if (person.contactedOn !== undefined) next.contactedOn = day(person.contactedOn, "past");
+      if (Array.isArray(person.dates)) {
+        next.dates = person.dates.map((d) => (isPlainObject(d) && typeof d.date === "string" && !new RegExp(PERSON_DATE_PATTERN).test(d.date)
+          ? { ...d, date: parseDayReference(d.date, { today, prefer: "future" })?.slice(5) || d.date }
+          : d));
+      }
+      return next;
+    });
+  }
+  if (Array.isArray(data.goals)) {
+    normalized.goals = data.goals.map((goal) => {
+      if (!isPlainObject(goal)) return goal;
+      const next = { ...goal };
+      if (typeof goal.targetDate === "string" && !new RegExp(DATE_PATTERN).test(goal.targetDate)) next.targetDate = parseDeadline(goal.targetDate, today) || goal.targetDate;
+      if (Array.isArray(goal.milestones)) {
+        next.milestones = goal.milestones.map((m) => (isPlainObject(m) && m.due !== undefined ? { ...m, due: day(m.due, "future") } : m));
+      }
+      return next;
+    });
+  }
+  if (Array.isArray(data.scheduledItems)) {
+    normalized.scheduledItems = data.scheduledItems.map((item) => {
+      if (!isPlainObject(item)) return item;
+      const next = { ...item };
+      if (item.time !== undefined) next.time = time(item.time);
+      if (item.date !== undefined) next.date = day(item.date, "future");
+      return next;
+    });
+  }
+  return normalized;
+}
+
+const HEURISTIC_REPLIES = [
+  "I've analyzed your input and organized the information. Let me break down what I found:",
+  "Great! I've processed your message and extracted key information for your dashboard.",
+  "Thanks for sharing that with me! Here's how I've organized what you told me:",
+  "I've captured the important details and structured them for your Life OS.",
+];
+
+const HEURISTIC_TOKEN_MS = 30;
+
+// Keyword matching, used when no model endpoint is configured or the configured one fails
+const heuristicProvider = {
+  name: "built-in extractor",
+  async chat({ text, signal, onToken }) {
+    // A short pause so the reply doesn't land before the typing indicator renders
+    await abortableDelay(600, signal);
+    const toolCalls = heuristicToolCalls(text);
+    const response = toolCalls.length ? "On it — here's what I did:" : HEURISTIC_REPLIES[Math.floor(Math.random() * HEURISTIC_REPLIES.length)];
+    if (onToken) {
+      let soFar = "";
+      for (const word of response.split(/(?<= )/)) {
+        await abortableDelay(HEURISTIC_TOKEN_MS, signal);
+        onToken((soFar += word));
+      }
+    }
+    // Commands are carried out by tools rather than also being extracted
+    return { response, extractedData: toolCalls.length ? emptyExtractedData() : extractHeuristically(text), toolCalls };
+  },
+};
+
+const SCHEDULE_KEYWORDS = /\b(meeting|appointment|call|interview|class|presentation|dentist|doctor)s?\b/i;
+const WORKOUT_PATTERN = /\b(workout|work out|worked out|exercise|gym)\b/i;
+const TASK_TRIGGER = /\b(?:i\s+)?(?:need to|have to|has to|must|should|got to|gotta|remember to|(?:don't|do not) forget to|todo:?|to-do:?|task:)\s+/i;
+const QUESTION_WORDS = "(?:(?:what|when|where|which|who|whom|whose|how|why)\\b|(?:do|does|did|can|could|would|will|shall|is|are|am)\\s)";
+const QUESTION_LEAD = new RegExp(`^\\s*${QUESTION_WORDS}`, "i");
+// "..., what do you think?" after a task asks about it and is not part of it
+const TRAILING_QUESTION = new RegExp(`\\s*[,;]\\s*${QUESTION_WORDS}[^,;]*\\?\\s*$`, "i");
+
+// "What should I eat?", "Should we go?" and "Do I have to bring anything?" ask rather than commit to a task
+function isAskedTrigger(sentence, trigger) {
+  const before = sentence.slice(0, trigger.index).split(/[,;:]/).pop();
+  const after = sentence.slice(trigger.index + trigger[0].length);
+  const inverted = /^(?:i|we|you)\b/i.test(after) && (!before.trim() || QUESTION_LEAD.test(before) && before.trim().split(/\s+/).length === 1);
+  return inverted || (QUESTION_LEAD.test(before) && /\?/.test(after));
+}
+
+// The P.A.R.A. category a task most likely belongs to, by what it mentions
+const TASK_CATEGORY_HINTS = [
+  ["PROJECTS", /\b(project|presentation|report|deadline|deliver|launch|prepare|finish|draft|proposal|pitch)\b/i],
+  ["RESOURCES", /\b(learn|read|study|research|course|book|article|podcast)\b/i],
+  ["AREAS", /\b(call|mom|dad|family|friend|doctor|dentist|pay|bills?|rent|clean|laundry|groceries|health|car|house)\b/i],
+];
+
+function taskCategoryHint(text) {
+  return TASK_CATEGORY_HINTS.find(([, pattern]) => pattern.test(text))?.[0] || null;
+}
+
+// Cuts a date or time phrase out of a task ("call my mom this weekend" -> "call my mom")
+function withoutPhrase(text, found) {
+  if (!found) return text;
+  return `${text.slice(0, found.index)} ${text.slice(found.index + found.match.length)}`;
+}
+
+const MEAL_WORDS = /\b(breakfast|brunch|lunch|dinner|supper|snack(?:ed|s)?)\b/i;
+// Breakfast "at 8" is in the morning and dinner "at 8" in the evening
+const MEAL_MERIDIEM = { breakfast: "am", dinner: "pm" };
+
+function mealKindOf(word) {
+  const w = word.toLowerCase();
+  if (w === "brunch") return "lunch";
+  if (w === "supper") return "dinner";
+  return w.startsWith("snack") ? "snack" : w;
+}
+
+/**
+ * "had dal and rice for lunch at 1:30" -> [{ kind: "lunch", time: "13:30", details: "dal and rice" }].
+ * Each meal word owns the text up to the next one; what was eaten comes before it ("had X for
+ * lunch") or after it ("lunch was X", "snacked on X"). Mentions without a time or a dish
+ * ("skipped breakfast") are not meals.
+ */
+function extractMeals(sentence) {
+  const found = [...sentence.matchAll(new RegExp(MEAL_WORDS.source, "gi"))];
+  const clean = (text) => {
+    const rest = withoutPhrase(text, matchDayReference(text));
+    // "at 7:30 was pasta" leaves "at" behind when only the time itself is cut
+    return withoutPhrase(rest, matchTimeOfDay(rest)).replace(/\s{2,}/g, " ").trim().replace(/^(?:at|around|about|by)\s+(?=(?:was|were|is)\b)/i, "");
+  };
+  return found.map((m, i) => {
+    const kind = mealKindOf(m[1]);
+    const start = i === 0 ? 0 : found[i - 1].index + found[i - 1][0].length;
+    const end = i + 1 < found.length ? found[i + 1].index : sentence.length;
+    const before = sentence.slice(start, m.index).split(/[,;]/).pop();
+    const after = sentence.slice(m.index + m[0].length, end);
+    const meridiem = { defaultMeridiem: MEAL_MERIDIEM[kind] };
+    // A time before the meal word and before an "and" was the previous meal's ("lunch around 1 and soup for dinner")
+    const ownBefore = i === 0 ? before : before.split(/\s+(?:and|then)\s+/i).pop();
+    const time = parseTimeOfDay(m[0] + after, meridiem) || parseTimeOfDay(ownBefore, meridiem);
+    const ateBefore = clean(before).match(/(?:^(?:(?:and|then)\s+)?|\b(?:and|then)\s+)(?:i\s+)?(?:had|ate|eaten|eating|having|grabbed|made|cooked|got)?\s*(.+?)\s+(?:for|as)(?:\s+(?:my|a|an|some|the))?$/i);
+    const ateAfter = clean(after).match(/^(?:was|were|is|:|-|–|—|of|on|,?\s*i\s+(?:had|ate))\s*(.+)/i);
+    const details = (ateBefore?.[1] || ateAfter?.[1] || "")
+      .split(/\s*[,;]\s*|\s+(?:and\s+)?then\s+/)[0]
+      .replace(/^(?:and|then|also)\s+/i, "")
+      .replace(/\s+(?:at|around|for|on|by)$/i, "")
+      .replace(/[.!?]+$/, "")
+      .trim();
+    return { kind, ...(time && { time }), ...(details && { details }) };
+  }).filter((meal) => meal.time || meal.details);
+}
+
+/**
+ * "I need to call my mom this weekend and prepare for my presentation next Tuesday" -> two tasks,
+ * each with its own due date. Clauses of a single word ("buy eggs, bread and milk") stay with the
+ * task before them.
+ */
+function extractTasks(sentence, today) {
+  const trigger = sentence.match(TASK_TRIGGER);
+  if (!trigger || isAskedTrigger(sentence, trigger)) return [];
+  const parts = sentence.slice(trigger.index + trigger[0].length).replace(TRAILING_QUESTION, "").replace(/[.!?]+\s*$/, "")
+    .split(/(\s*[,;]\s*(?:and\s+|then\s+)?|\s+(?:and|then)\s+)/i);
+  const strip = (clause) => {
+    const day = matchDayReference(clause, { today, prefer: "future" });
+    const rest = withoutPhrase(clause, day);
+    const text = withoutPhrase(rest, matchTimeOfDay(rest))
+      .replace(/\s+(?:on|at|by|for|before|until|around)\s*$/i, "")
+      .replace(/\s{2,}/g, " ")
+      .trim();
+    return { text, due: day?.date };
+  };
+  const clauses = [];
+  for (let i = 0; i < parts.length; i += 2) {
+    const clause = parts[i].trim().replace(TASK_TRIGGER, "");
+    if (clauses.length && strip(clause).text.split(/\s+/).length < 2) clauses[clauses.length - 1] += parts[i - 1] + clause;
+    else if (clause) clauses.push(clause);
+  }
+  return clauses.map((clause) => {
+    const { text, due } = strip(clause);
+    const category = taskCategoryHint(text);
+    return {
+      text: text[0].toUpperCase() + text.slice(1),
+      ...(due && { due }),
+      ...(category && { category: PARA_CATEGORIES[category] }),
+    };
+  }).filter((task) => task.text.length > 1 && !WORKOUT_PATTERN.test(task.text)); // workouts are tracked as a habit
+}
+
+const RELATIONSHIP = "(?:best\\s+)?(?:mom|mum|mother|dad|father|sister|brother|wife|husband|partner|girlfriend|boyfriend|friend|boss|manager|colleague|coworker|son|daughter|grandma|grandpa|aunt|uncle|cousin|neighbou?r)";
+// "my sister Sarah", "Sarah, my sister", "my mom", she/he/her/his/him or a capitalized name; names are case-sensitive
+const PERSON_REF = new RegExp(`\\b[Mm]y\\s+(${RELATIONSHIP})(?:,?\\s+([A-Z][a-z]+))?|\\b([Ss]he|[Hh]e|[Hh]er|[Hh]is|[Hh]im)\\b|\\b([A-Z][a-z]+)(?:,\\s+my\\s+(${RELATIONSHIP}))?`, "g");
+const NOT_A_NAME = new RegExp(`^(?:${[...WEEKDAY_NAMES, ...MONTH_NAMES].join("|")}|today|tonight|tomorrow|yesterday|it|we|they|you|everyone|everybody|someone|somebody|nobody|anyone|anybody|everything|something|nothing|this|that|these|those|there|who|mine)$`, "i");
+const PREFERENCE_AFTER = /^,?\s+(?:really\s+|also\s+)?(likes|loves|prefers|enjoys|hates|dislikes|doesn't like|does not like|can't stand|is allergic to)\s+([^,.;!?—–]+)/i;
+const OCCASION_AFTER = /^['’]s\s+(birthday|bday|anniversary)\b(.*)/i;
+const POSSESSIVE_OCCASION_AFTER = /^\s+(birthday|bday|anniversary)\b(.*)/i;
+const CONTACT_BEFORE = /\b(?:(?:talked|spoke|chatted)\s+(?:to|with)|caught\s+up\s+with|met(?:\s+up\s+with)?|called|rang|texted|messaged|had\s+(?:coffee|lunch|dinner|drinks|a\s+call)\s+with|saw)\s+$/i;
+
+/**
+ * What a sentence says about people: "my sister Sarah likes almond lattes", "Sarah's birthday is
+ * March 3", "had coffee with Sarah yesterday". A capitalized word only counts as a person when the
+ * sentence says something about them, so places and sentence starts are not taken for names.
+ * "She", "her" and the like stand for the person the message last mentioned, which `mentions.last`
+ * carries from one sentence to the next; with nobody mentioned yet they are skipped.
+ */
+function extractPeople(sentence, today, mentions = {}) {
+  const found = [];
+  for (const m of sentence.matchAll(PERSON_REF)) {
+    const pronoun = m[3];
+    let name, relationship;
+    if (pronoun) {
+      if (!mentions.last) continue;
+      ({ name, relationship } = mentions.last);
+    } else {
+      const word = m[2] || m[4];
+      name = word && !NOT_A_NAME.test(word) ? word : null;
+      relationship = (m[1] || m[5] || (name && new RegExp(`^${RELATIONSHIP}$`, "i").test(name) ? name : ""))
+        .toLowerCase().replace(/\s+/g, " ") || null;
+      if (!name && !relationship) continue;
+    }
+    const after = sentence.slice(m.index + m[0].length);
+    const preference = after.match(PREFERENCE_AFTER);
+    const occasionPattern = !pronoun ? OCCASION_AFTER : /^(?:his|her)$/i.test(pronoun) ? POSSESSIVE_OCCASION_AFTER : null;
+    const occasion = occasionPattern && after.match(occasionPattern);
+    const date = occasion && parseDayReference(occasion[2], { today, prefer: "future" });
+    const contacted = CONTACT_BEFORE.test(sentence.slice(0, m.index)) && !TASK_TRIGGER.test(sentence);
+    const described = preference || date || contacted;
+    // A capitalized first word ("Lunch was great") is only a name when the sentence says something about it
+    if (!pronoun && (described || m[1] || /\w/.test(sentence.slice(0, m.index)))) mentions.last = { name, relationship };
+    if (!(name && relationship && !pronoun) && !described) continue;
+
+    const displayName = name || relationship[0].toUpperCase() + relationship.slice(1);
+    found.push({
+      name: displayName,
+      ...(relationship && { relationship }),
+      ...(preference && { preferences: [`${preference[1].toLowerCase()} ${preference[2].trim()}`] }),
+      ...(date && { dates: [{ label: occasion[1].toLowerCase() === "anniversary" ? "Anniversary" : "Birthday", date: date.slice(5) }] }),
+      ...(contacted && { contactedOn: parseDayReference(sentence, { today, prefer: "past" }) || today }),
+    });
+  }
+  return found;
+}
+
+const GOAL_TRIGGER = /\b(?:i(?:\s+really)?(?:\s+(?:want|would like|hope|aim|intend)|'d\s+like)\s+to|my\s+goal\s+is\s+to|goal:)\s+(.+?)\s+by\s+(.+?)[.!?]*$/i;
+// Milestone titles by kind of goal, from first step to finish; shorter plans use an even spread of them
+const MILESTONE_TEMPLATES = {
+  learning: ["Pick a course or resources and set a daily practice time", "Finish the basics", "Practice with real material every week", "Use it for real: a conversation, a project or a test", "Review the gaps and finish"],
+  fitness: ["Set up a weekly training and meal plan", "Hit the weekly plan three weeks in a row", "Halfway check: measure and adjust the plan", "Push phase: raise the intensity", "Final week: measure the result"],
+  general: ["Define what done looks like and the first steps", "Get a first version done", "Halfway review: adjust the plan", "Finish the remaining work", "Wrap up and review"],
+};
+
+// A measurable target named in the goal: "weigh 72 kg", "15% body fat", "work out 4 times a week"
+function goalTarget(text) {
+  let m;
+  if ((m = text.match(new RegExp(`\\bwork\\s*out\\s+(\\d+|${Object.keys(NUMBER_WORDS).join("|")})\\s+(?:times|days)\\s+(?:a|per)\\s+week\\b`, "i")))) {
+    return { kind: "count", subject: "workout", value: wordOrNumber(m[1]) };
+  }
+  if ((m = text.match(/\b(\d+(?:\.\d+)?)\s*%\s*body\s*fat\b|\bbody\s*fat\s+(?:to|under|below|of)\s+(\d+(?:\.\d+)?)\s*%/i))) {
+    return { kind: "metric", metric: "bodyFat", value: parseFloat(m[1] || m[2]) };
+  }
+  if ((m = text.match(/\b(?:weigh|get\s+(?:down\s+)?to|reach|hit)\s+(\d+(?:\.\d+)?)\s*(?:kg|kilos?)\b/i))) {
+    return { kind: "metric", metric: "weight", value: parseFloat(m[1]) };
+  }
+  return null;
+}
+
+// Milestones spread evenly between today and the target date, more of them for longer goals
+function planMilestones(title, target, targetDate, today) {
+  const span = Math.max(1, daysBetweenISO(today, targetDate));
+  const count = span <= 14 ? 2 : span <= 60 ? 3 : span <= 180 ? 4 : 5;
+  const kind = target || /\b(fit|body|abs|6-pack|six-pack|weight|run|marathon|muscle|gym|work\s*out)\b/i.test(title) ? "fitness"
+    : /\b(learn|study|master|speak|practi[cs]e)\b/i.test(title) ? "learning"
+    : "general";
+  const titles = MILESTONE_TEMPLATES[kind];
+  return Array.from({ length: count }, (_, i) => ({
+    title: titles[Math.round((i * (titles.length - 1)) / (count - 1))],
+    due: addDaysISO(today, Math.round((span * (i + 1)) / count)),
+  }));
+}
+
+// "I want to learn Spanish by June" -> { title: 'Learn Spanish', targetDate, target, milestones }
+function extractGoal(sentence, today) {
+  const m = sentence.match(GOAL_TRIGGER);
+  if (!m || TASK_TRIGGER.test(sentence)) return null;
+  const targetDate = parseDeadline(m[2], today);
+  if (!targetDate || targetDate <= today) return null;
+  const title = m[1][0].toUpperCase() + m[1].slice(1);
+  const target = goalTarget(title);
+  return { title, targetDate, target, milestones: planMilestones(title, target, targetDate, today) };
+}
+
+const emptyExtractedData = () => ({
+  tasks: [],
+  habits: {},
+  date: null,
+  mood: "neutral",
+  insights: [],
+  paraCategory: null,
+  meals: [],
+  people: [],
+  goals: [],
+  scheduledItems: []
+});
+
+function extractHeuristically(text, today = todayISO()) {
+  const extractedData = emptyExtractedData();
+
+  // Basic keyword detection; times and days are read from the sentence that mentions them
+  const lowerText = text.toLowerCase();
+  const sentences = text.split(/(?<=[.!?;])\s+|\s+but\s+/i);
+  // "cooking dinner" is a to-do, not a meal eaten
+  const mealSentences = sentences.filter((s) => MEAL_WORDS.test(s) && !TASK_TRIGGER.test(s));
+  // "breakfast this morning at 8" is about breakfast, not about getting up
+  const wakeSentence = sentences.find((s) => /\b(wake|woke|waking|got up)\b/i.test(s) || (/\bmorning\b/i.test(s) && !MEAL_WORDS.test(s)));
+  const workoutSentence = sentences.find((s) => WORKOUT_PATTERN.test(s));
+  // Sentences that read as to-dos become tasks, not calendar items
+  const scheduleSentences = sentences.filter((s) => SCHEDULE_KEYWORDS.test(s) && !TASK_TRIGGER.test(s));
+
+  if (wakeSentence) {
+    const wakeTime = parseTimeOfDay(wakeSentence, { defaultMeridiem: "am" });
+    if (wakeTime) {
+      extractedData.habits.wakeTime = wakeTime;
+      extractedData.insights.push(`Wake time noted: ${wakeTime}`);
+    }
+  }
+  
+  if (workoutSentence) {
+    extractedData.habits.workoutIntended = true;
+    extractedData.insights.push("Workout activity detected");
+  }
+
+  mealSentences.forEach((sentence) => {
+    extractMeals(sentence).forEach((meal) => {
+      extractedData.meals.push(meal);
+      extractedData.insights.push(`${meal.kind[0].toUpperCase()}${meal.kind.slice(1)} logged${meal.details ? `: ${meal.details}` : ""}${meal.time ? ` at ${meal.time}` : ""}`);
+    });
+  });
+
+  // Habits and mood belong to the day the habit sentence names, else a day named outside tasks and appointments
+  const habitText = [wakeSentence, workoutSentence, ...mealSentences].filter(Boolean).join(" ");
+  const otherText = sentences.filter((s) => !TASK_TRIGGER.test(s) && !SCHEDULE_KEYWORDS.test(s)).join(" ");
+  extractedData.date = parseDayReference(habitText || otherText, { today, prefer: "past" });
   
-  const step = TOUR_STEPS[currentStep];
+  sentences.forEach((sentence) => {
+    extractTasks(sentence, today).forEach((task) => {
+      extractedData.tasks.push(task);
+      extractedData.insights.push(`Task: ${task.text}${task.due ? ` (due ${task.due})` : ""}`);
+    });
+  });
   
-  return (
-    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm">
-      <div className="bg-white rounded-2xl shadow-2xl p-6 max-w-lg mx-4 relative animate-in fade-in duration-200">
-        <div className="flex items-center justify-between mb-4">
-          <div className="flex items-center gap-2">
-            <div className="flex h-8 w-8 items-center justify-center rounded-full bg-gradient-to-r from-indigo-500 to-emerald-500 text-sm font-bold text-white">
-              Flow
-            </div>
-            <span className="text-sm font-semibold text-slate-900">FlowState Tour</span>
-          </div>
-          <span className="text-sm text-slate-500">{currentStep + 1} of {totalSteps}</span>
-        </div>
-        
-        <div className="mb-6">
-          <h3 className="text-xl font-bold text-slate-900 mb-2">{step.title}</h3>
-          <p className="text-slate-600 leading-relaxed">{step.content}</p>
-          {step.action && (
-            <div className="mt-3 p-3 bg-gradient-to-r from-indigo-50 to-emerald-50 rounded-lg border border-slate-200">
-              <span className="text-sm text-slate-700">{step.action}</span>
-            </div>
-          )}
-        </div>
-        
-        <div className="flex items-center justify-between">
-          <div className="flex gap-2">
-            {currentStep > 0 && (
-              <Button onClick={onPrev} className="border border-slate-300 bg-white text-slate-900">
-                Previous
-              </Button>
-            )}
-            {currentStep === totalSteps - 1 && (
-              <Button onClick={onClose} className="bg-slate-900 text-white hover:bg-slate-800">
-                Complete Tour
-              </Button>
-            )}
-          </div>
-          
-          <div className="flex gap-1">
-            {Array.from({ length: totalSteps }).map((_, i) => (
-              <div
-                key={i}
-                className={`w-2 h-2 rounded-full ${
-                  i === currentStep 
-                    ? 'bg-gradient-to-r from-indigo-500 to-emerald-500' 
-                    : 'bg-slate-200'
-                }`}
-              />
-            ))}
-          </div>
-          
-          {currentStep < totalSteps - 1 && (
-            <Button onClick={onNext} className="bg-gradient-to-r from-indigo-500 to-emerald-500 text-white hover:from-indigo-600 hover:to-emerald-600">
-              Next
-            </Button>
-          )}
-        </div>
-      </div>
-    </div>
-  );
+  const mentions = {};
+  sentences.forEach((sentence) => {
+    extractPeople(sentence, today, mentions).forEach((person) => {
+      const known = extractedData.people.find((p) => p.name.toLowerCase() === person.name.toLowerCase());
+      if (!known) extractedData.people.push(person);
+      else Object.assign(known, {
+        ...(person.relationship && { relationship: person.relationship }),
+        ...(person.preferences && { preferences: [...(known.preferences || []), ...person.preferences] }),
+        ...(person.dates && { dates: [...(known.dates || []), ...person.dates] }),
+        ...(person.contactedOn && { contactedOn: person.contactedOn }),
+      });
+      extractedData.insights.push(`Person: ${describePersonUpdate(person)}`);
+    });
+  });
+  
+  sentences.forEach((sentence) => {
+    const goal = extractGoal(sentence, today);
+    if (!goal) return;
+    extractedData.goals.push(goal);
+    extractedData.insights.push(`Goal: ${goal.title}${goal.targetDate ? ` by ${goal.targetDate}` : ""}`);
+  });
+  
+  if (lowerText.includes('learn') || lowerText.includes('study') || lowerText.includes('research')) {
+    extractedData.paraCategory = PARA_CATEGORIES.RESOURCES;
+    extractedData.insights.push("Learning activity detected - categorized under Resources");
+  }
+  
+  if (lowerText.includes('project') || lowerText.includes('deadline') || lowerText.includes('deliver')) {
+    extractedData.paraCategory = PARA_CATEGORIES.PROJECTS;
+    extractedData.insights.push("Project-related activity detected");
+  }
+  
+  // A scheduled item needs a time or a day to be worth putting on the calendar
+  scheduleSentences.forEach((sentence) => {
+    const { 1: keyword, index } = sentence.match(SCHEDULE_KEYWORDS);
+    const title = keyword[0].toUpperCase() + keyword.slice(1).toLowerCase();
+    const time = timeOfDayNear(sentence, index);
+    const date = parseDayReference(sentence, { today, prefer: "future" });
+    if (!time && !date) return;
+    extractedData.scheduledItems.push({ title, ...(time && { time }), ...(date && date !== extractedData.date && { date }) });
+    extractedData.insights.push(`${title} scheduled${date ? ` for ${date}` : ""}${time ? ` at ${time}` : ""}`);
+  });
+
+  // Mood detection
+  if (lowerText.includes('stressed') || lowerText.includes('overwhelmed') || lowerText.includes('tired')) {
+    extractedData.mood = "low";
+  } else if (lowerText.includes('excited') || lowerText.includes('great') || lowerText.includes('awesome')) {
+    extractedData.mood = "high";
+  }
+
+  return extractedData;
 }
 
-// ---------- Landing ----------
-function Landing({ onGetStarted, onStartTour, onStartChatting }) {
-  return (
-    <div className="relative">
-      <div className="relative overflow-hidden">
-        <div className="pointer-events-none absolute inset-0 bg-[radial-gradient(ellipse_at_top_right,rgba(99,102,241,0.12),transparent_40%),radial-gradient(ellipse_at_bottom_left,rgba(16,185,129,0.12),transparent_40%)]" />
-        <Container className="pt-16 pb-20">
-          <div className="flex flex-col items-center text-center">
-              <Badge className="bg-gradient-to-r from-indigo-100 to-emerald-100 border-indigo-200 text-indigo-800">
-                🤖 AI‑Powered Life Assistant
-              </Badge>
-            <h1 className="mt-6 text-4xl font-extrabold tracking-tight text-slate-900 sm:text-5xl">
-              🚀🚀🚀 NUCLEAR DEPLOYMENT SUCCESSFUL! 🚀🚀🚀
-            </h1>
-            <p className="mt-4 max-w-2xl text-lg text-slate-600">
-              Just chat naturally! Your AI assistant listens, understands, and automatically organizes everything — from daily habits to big goals. No complicated forms, no confusing buttons.
-            </p>
-            <div className="mt-8 flex gap-4">
-              <Button 
-                onClick={onStartChatting}
-                className="bg-gradient-to-r from-indigo-500 to-emerald-500 text-white hover:from-indigo-600 hover:to-emerald-600 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 transition-all duration-200 px-8 py-4 text-lg font-bold"
-              >
-                <span className="mr-3">🤖</span>
-                Start Chatting Now
-              </Button>
-              <Button onClick={onGetStarted} className="border-2 border-slate-300 bg-white text-slate-900 hover:bg-slate-50 hover:border-slate-400 px-8 py-4 text-lg font-semibold">
-                See Your Life Organized 👀
-              </Button>
-            </div>
-            
-            <div className="mt-6">
-              <Button onClick={onStartTour} className="text-slate-500 hover:text-slate-700 text-sm underline">
-                👋 New? Take a Quick Tour
-              </Button>
-            </div>
-          </div>
-        </Container>
-      </div>
+// Saved settings override the env defaults field by field; empty fields fall back to the env
+async function loadAIConfig() {
+  const saved = (await getSetting(AI_SETTINGS_KEY, {})) || {};
+  return Object.fromEntries(Object.entries(AI_ENV_CONFIG).map(([key, value]) => [key, saved[key] || value]));
+}
 
-      {/* Quick Demo Section */}
-      <Container className="py-12">
-        <div className="text-center mb-8">
-          <h2 className="text-3xl font-bold text-slate-900 mb-3">See It In Action</h2>
-          <p className="text-lg text-slate-600">Watch how easy it is to organize your life with AI</p>
-        </div>
-        <QuickDemo />
-      </Container>
+async function getAIProvider() {
+  const config = await loadAIConfig();
+  return config.baseUrl && config.model ? openAICompatibleProvider(config) : heuristicProvider;
+}
 
-      <Container className="py-12">
-        <SectionTitle 
-          title="Here's How Your AI Assistant Helps" 
-          subtitle="Real examples of how people use their AI Life Assistant" 
-        />
-        <div className="grid gap-8 sm:grid-cols-2 lg:grid-cols-3">
-          {[
-            { 
-              icon: "🏃‍♀️", 
-              title: "Track Your Habits", 
-              example: "\"I woke up at 7 AM and did a 20-minute workout\"",
-              desc: "Your assistant automatically logs wake times, workouts, meals, and more — just speak naturally!"
-            },
-            { 
-              icon: "📝", 
-              title: "Capture Everything", 
-              example: "\"Remind me to call mom this weekend\"",
-              desc: "Jot down tasks, ideas, reminders, and appointments. Your assistant remembers everything."
-            },
-            { 
-              icon: "📊", 
-              title: "Set & Track Goals", 
-              example: "\"I want to learn Spanish by June\"",
-              desc: "Turn goals into actionable plans and track progress automatically over time."
-            },
-            { 
-              icon: "📱", 
-              title: "Plan Your Day", 
-              example: "\"I have meetings at 2 PM and need lunch at 1 PM\"",
-              desc: "Schedule your day effortlessly — your assistant organizes everything logically."
-            },
-            { 
-              icon: "🧠", 
-              title: "Mood & Energy Tracking", 
-              example: "\"Feeling really energetic today after that workout\"",
-              desc: "Track how you feel and discover patterns between activities and mood."
-            },
-            { 
-              icon: "🎯", 
-              title: "Remember Everything Important", 
-              example: "\"Sarah likes almond lattes — remember for her birthday\"",
-              desc: "Store important details about friends, family, projects, and personal preferences."
-            },
-          ].map((f, i) => (
-            <Card key={i} className="p-6 relative overflow-hidden group hover:shadow-lg transition-all duration-300">
-              <div className="absolute top-0 right-0 w-20 h-20 bg-gradient-to-br from-blue-50 to-purple-50 rounded-bl-full opacity-50 group-hover:opacity-70"></div>
-              <div className="relative">
-                <div className="text-3xl mb-4">{f.icon}</div>
-                <h3 className="text-xl font-bold text-slate-900 mb-3">{f.title}</h3>
-                <div className="bg-gradient-to-r from-blue-50 to-purple-50 p-3 rounded-lg mb-3 border border-blue-100">
-                  <p className="text-sm font-medium text-slate-700 italic">"{f.example.replace(/"/g, '')}"</p>
-                </div>
-                <p className="text-slate-600 leading-relaxed">{f.desc}</p>
-              </div>
-            </Card>
-          ))}
-        </div>
-      </Container>
+// A failing endpoint falls back to the built-in extractor so the message isn't lost
+async function askAssistant(text, history = [], { signal, onToken } = {}) {
+  const provider = await getAIProvider();
+  let result;
+  try {
+    result = { ...(await provider.chat({ text, history, signal, onToken })), provider: provider.name };
+  } catch (e) {
+    if (provider === heuristicProvider || e.name === "AbortError") throw e;
+    console.warn(`AI provider ${provider.name} failed, using the built-in extractor`, e);
+    result = { ...(await heuristicProvider.chat({ text, history, signal, onToken })), provider: heuristicProvider.name, fallbackReason: e.message };
+  }
+  const problems = schemaProblems(result.extractedData, EXTRACTED_DATA_SCHEMA);
+  if (problems.length) throw new AIProviderError("Extracted data doesn't match the schema", problems);
+  return { ...result, toolCalls: result.toolCalls || [] };
+}
+
+// ---------- Reviewing Extracted Data ----------
+const AUTO_ACCEPT_SETTING = "ai-auto-accept";
+// Groups of proposed changes that can be trusted to save without a review
+const AUTO_ACCEPT_GROUPS = {
+  wakeTime: "Wake time",
+  workout: "Workout",
+  mood: "Mood",
+  meals: "Meals",
+  scheduledItems: "Schedule",
+  notes: "Insights in notes",
+  task: "Tasks",
+  person: "People",
+  goal: "Goals",
+};
+const PROPOSAL_LABELS = {
+  wakeTime: "Wake time",
+  workout: "Workout",
+  mood: "Mood",
+  breakfast: "Breakfast",
+  lunch: "Lunch",
+  dinner: "Dinner",
+  snacks: "Snacks",
+  scheduledItems: "Schedule",
+  notes: "Notes",
+  task: "Task",
+  person: "Person",
+  goal: "Goal",
+};
+const EDITABLE_PROPOSALS = ["wakeTime", "workout", "mood", "breakfast", "lunch", "dinner", "notes", "task"];
+
+const reviewGroup = (field) => (["breakfast", "lunch", "dinner", "snacks"].includes(field) ? "meals" : field);
+
+// The value `proposal` would give its field on `day`; lists and notes are appended to, not replaced
+function proposedFieldValue(day, { field, value }) {
+  switch (field) {
+    case "workout": return { ...day.workout, status: value };
+    case "breakfast":
+    case "lunch":
+    case "dinner": return { ...day[field], ...value };
+    case "snacks":
+    case "scheduledItems": {
+      const existing = day[field] || [];
+      return [...existing, ...value.filter((item) => !existing.some((e) => JSON.stringify(e) === JSON.stringify(item)))];
+    }
+    case "notes": return `${day.notes ? `${day.notes}\n` : ""}${value}`;
+    default: return value;
+  }
+}
+
+/**
+ * Proposed changes for an extraction, one per day field (and one per task, person or goal), each
+ * { id, date, field, value, before, status: 'pending' }. Nothing is written here.
+ * Habits, meals, mood and insights go to the day the message is about (`fallbackDate` when it
+ * names none); scheduled items go to their own day. Changes that would be no-ops are left out.
+ */
+async function proposeExtractedChanges(extracted, fallbackDate) {
+  const dayDate = extracted.date || fallbackDate;
+  const proposals = [];
+  const propose = (date, field, value) => proposals.push({ id: `${date}:${field}`, date, field, value });
+
+  if (extracted.habits.wakeTime) propose(dayDate, "wakeTime", extracted.habits.wakeTime);
+  if (extracted.habits.workoutIntended) propose(dayDate, "workout", "planned");
+  if (extracted.mood !== "neutral") propose(dayDate, "mood", extracted.mood);
+  const meals = (extracted.meals || []).map(({ kind, ...meal }) => ({ kind, meal }));
+  for (const kind of ["breakfast", "lunch", "dinner"]) {
+    const found = meals.filter((m) => m.kind === kind);
+    if (found.length) propose(dayDate, kind, Object.assign({}, ...found.map((m) => m.meal)));
+  }
+  const snacks = meals.filter((m) => m.kind === "snack").map((m) => m.meal);
+  if (snacks.length) propose(dayDate, "snacks", snacks);
+  const byDate = {};
+  for (const { date: itemDate, ...item } of extracted.scheduledItems) (byDate[itemDate || dayDate] ??= []).push(item);
+  for (const [d, items] of Object.entries(byDate)) propose(d, "scheduledItems", items);
+  if (extracted.insights.length > 0) propose(dayDate, "notes", `${AI_INSIGHTS_PREFIX} ${extracted.insights.join(", ")}`);
+
+  const days = {};
+  const changes = [];
+  for (const p of proposals) {
+    const day = (days[p.date] ??= (await readDay(p.date)) || {});
+    if (JSON.stringify(proposedFieldValue(day, p)) === JSON.stringify(day[p.field])) continue;
+    const replaces = !["snacks", "scheduledItems", "notes"].includes(p.field);
+    changes.push({ ...p, before: replaces ? formatRevisionValue(p.field === "workout" ? day.workout?.status : day[p.field]) : null, status: "pending" });
+  }
+  const open = (await loadTasks()).filter((t) => t.status === "open").map((t) => t.text.toLowerCase());
+  extracted.tasks.forEach((task, i) => {
+    if (!open.includes(task.text.toLowerCase())) changes.push({ id: `task:${i}`, date: null, field: "task", value: task, before: null, status: "pending" });
+  });
+  const people = await loadPeople();
+  for (const update of extracted.people || []) {
+    const existing = findPerson(people, update.name);
+    if (existing && sameValue(mergePersonUpdate(existing, update), existing)) continue;
+    changes.push({ id: `person:${update.name.toLowerCase()}`, date: null, field: "person", value: update, before: null, status: "pending" });
+  }
+  const goals = (await loadGoals()).map((g) => g.title.toLowerCase());
+  (extracted.goals || []).forEach((goal, i) => {
+    if (!goals.includes(goal.title.toLowerCase())) changes.push({ id: `goal:${i}`, date: null, field: "goal", value: goal, before: null, status: "pending" });
+  });
+  return changes;
+}
+
+// Writes one accepted proposal, re-reading the day so changes made since the proposal are kept
+async function applyProposal(proposal) {
+  if (proposal.field === "task") return addExtractedTasks([proposal.value]);
+  if (proposal.field === "person") return rememberPerson(proposal.value);
+  if (proposal.field === "goal") return addGoal(proposal.value, "ai");
+  const day = (await readDay(proposal.date)) || {};
+  return upsertDay(proposal.date, { [proposal.field]: proposedFieldValue(day, proposal) }, { source: "ai" });
+}
+
+// Applies the proposals whose group is trusted in the auto-accept setting and marks them 'auto'
+async function autoAcceptProposals(proposals) {
+  const trusted = (await getSetting(AUTO_ACCEPT_SETTING, [])) || [];
+  const result = [];
+  for (const p of proposals) {
+    if (!trusted.includes(reviewGroup(p.field))) {
+      result.push(p);
+      continue;
+    }
+    try {
+      await applyProposal(p);
+      result.push({ ...p, status: "auto" });
+    } catch (e) {
+      console.warn("Could not auto-accept change", e);
+      result.push({ ...p, error: e.message });
+    }
+  }
+  return result;
+}
+
+function describeProposal({ field, value }) {
+  switch (field) {
+    case "task": return `${value.text}${value.due ? ` (due ${value.due})` : ""}`;
+    case "person": return describePersonUpdate(value);
+    case "goal": return [
+      `${value.title}${value.targetDate ? ` by ${value.targetDate}` : ""}${value.target ? ` (${describeGoalTarget(value.target)})` : ""}`,
+      ...value.milestones.map((m) => `${m.due ? `${m.due} ` : ""}${m.title}`),
+    ].join(" · ");
+    case "snacks": return value.map(formatRevisionValue).join("; ");
+    case "scheduledItems": return value.map((item) => `${item.time ? `${item.time} ` : ""}${item.title}`).join("; ");
+    default: return formatRevisionValue(value);
+  }
+}
+
+// ---------- Assistant Tools ----------
+/**
+ * Actions the assistant can carry out when asked ("mark my workout done", "set my weight to 78",
+ * "move Quarterly report to archives"). Each tool has JSON-schema `parameters`, which are sent to
+ * the model as a function definition and checked before the call runs, and a `run(args)` handler
+ * that writes through the regular stores and returns a one-line result for the chat. With the
+ * dry-run setting on, calls are listed in the chat without running.
+ */
+const AI_DRY_RUN_SETTING = "ai-dry-run";
+const CHEAT_DAYS_SETTING = "cheat-days"; // where scheduled cheat days were kept before they synced
+const CHEAT_MEALS = ["lunch", "dinner"];
+
+// The cheat days from calendar.js plus the ones scheduled from the chat
+async function loadCheatDays() {
+  const scheduled = (await loadScheduledCheatDays()).map(({ date, meal, label }) => ({ date, meal, label }));
+  return [...CHEAT_DAYS, ...scheduled].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// One entry per date and meal, so scheduling the same meal again relabels it
+async function scheduleCheatDay({ date, meal, label }) {
+  const existing = (await loadScheduledCheatDays()).find((c) => c.date === date && c.meal === meal);
+  return upsertRecord("cheatDays", { ...existing, date, meal, label });
+}
+
+// Cheat days scheduled into the device-only setting move into the synced collection once
+async function moveScheduledCheatDays() {
+  const scheduled = (await getSetting(CHEAT_DAYS_SETTING, [])) || [];
+  if (!scheduled.length) return;
+  for (const entry of scheduled) await scheduleCheatDay(entry);
+  await setSetting(CHEAT_DAYS_SETTING, []);
+}
+
+const AI_TOOLS = {
+  log_wake: {
+    description: "Log the time the user woke up",
+    parameters: {
+      type: "object",
+      required: ["time"],
+      additionalProperties: false,
+      properties: { time: { type: "string", pattern: TIME_PATTERN }, date: { type: "string", pattern: DATE_PATTERN } },
+    },
+    async run({ time, date = todayISO() }) {
+      await upsertDay(date, { wakeTime: time }, { source: "ai" });
+      return `Wake time on ${formatShortDate(date)} set to ${formatTime12(time)}`;
+    },
+  },
+  set_workout_status: {
+    description: "Set the status of the user's workout for a day, optionally with its time",
+    parameters: {
+      type: "object",
+      required: ["status"],
+      additionalProperties: false,
+      properties: {
+        status: { type: "string", enum: WORKOUT_STATUSES },
+        time: { type: "string", pattern: TIME_PATTERN },
+        date: { type: "string", pattern: DATE_PATTERN },
+      },
+    },
+    async run({ status, time, date = todayISO() }) {
+      const day = (await readDay(date)) || {};
+      await upsertDay(date, { workout: { ...day.workout, status, ...(time && { time }) } }, { source: "ai" });
+      return `Workout on ${formatShortDate(date)} marked ${status}`;
+    },
+  },
+  add_task: {
+    description: "Add a task to the user's task list",
+    parameters: {
+      type: "object",
+      required: ["text"],
+      additionalProperties: false,
+      properties: {
+        text: { type: "string", minLength: 1 },
+        due: { type: "string", pattern: DATE_PATTERN },
+        category: { type: "string", enum: Object.values(PARA_CATEGORIES) },
+      },
+    },
+    async run({ text, due = null, category = null }) {
+      const task = await addTask({ text, due, category, source: "ai" });
+      return `Added task "${task.text}"${due ? ` due ${formatShortDate(due)}` : ""}`;
+    },
+  },
+  move_para_item: {
+    description: "Move a P.A.R.A. item, found by its title, to another category",
+    parameters: {
+      type: "object",
+      required: ["title", "category"],
+      additionalProperties: false,
+      properties: { title: { type: "string", minLength: 1 }, category: { type: "string", enum: Object.keys(PARA_CATEGORIES) } },
+    },
+    async run({ title, category }) {
+      const items = await loadParaItems();
+      const wanted = title.trim().toLowerCase();
+      const item = items.find((i) => i.title.toLowerCase() === wanted) || items.find((i) => i.title.toLowerCase().includes(wanted));
+      if (!item) throw new Error(`No P.A.R.A. item called "${title}"`);
+      await moveParaItem(item, category);
+      return `Moved "${item.title}" to ${PARA_CATEGORIES[category]}`;
+    },
+  },
+  update_metric: {
+    description: "Update one of the body and activity metrics on the FlowState dashboard",
+    parameters: {
+      type: "object",
+      required: ["metric", "value"],
+      additionalProperties: false,
+      properties: { metric: { type: "string", enum: Object.keys(DEFAULT_METRICS) }, value: { type: "number" } },
+    },
+    async run({ metric, value }) {
+      const metrics = { ...DEFAULT_METRICS, ...((await getSetting("metrics", {})) || {}) };
+      await setSetting("metrics", { ...metrics, [metric]: value });
+      return `${metric} changed from ${metrics[metric]} to ${value}`;
+    },
+  },
+  schedule_cheat_day: {
+    description: "Put a cheat meal (lunch, dinner or a whole cheat day) on the cheat day calendar",
+    parameters: {
+      type: "object",
+      required: ["date"],
+      additionalProperties: false,
+      properties: {
+        date: { type: "string", pattern: DATE_PATTERN },
+        meal: { type: "string", enum: CHEAT_MEALS },
+        label: { type: "string", minLength: 1 },
+      },
+    },
+    async run({ date, meal = null, label }) {
+      await scheduleCheatDay({ date, meal, label: label || (meal ? meal[0].toUpperCase() + meal.slice(1) : "Lunch/Dinner") });
+      return `Cheat ${meal || "day"} scheduled for ${formatShortDate(date)}`;
+    },
+  },
+};
 
-      <Container className="pb-16">
-        <SectionTitle 
-          title="Simple as Having a Conversation" 
-          subtitle="No learning curve, no complicated menus — just chat!" 
-        />
-        <div className="grid gap-8 sm:grid-cols-3">
-          {[
-            { 
-              n: 1, 
-              t: "Speak Naturally", 
-              d: "Chat like you're talking to a smart friend. Say whatever's on your mind!",
-              emoji: "💬",
-              highlight: "No forms to fill out"
-            },
-            { 
-              n: 2, 
-              t: "AI Understands & Organizes", 
-              d: "Your assistant automatically captures tasks, habits, goals, and memories.",
-              emoji: "🧠",
-              highlight: "Zero manual work"
-            },
-            { 
-              n: 3, 
-              t: "See Everything Clearly", 
-              d: "Your organized life appears instantly — habits, goals, and insights at a glance.",
-              emoji: "📊",
-              highlight: "Personal dashboard"
-            },
-          ].map((s) => (
-            <Card key={s.n} className="p-8 text-center relative overflow-hidden group hover:shadow-xl transition-all duration-300">
-              <div className="absolute inset-0 bg-gradient-to-br from-indigo-50 to-emerald-50 opacity-0 group-hover:opacity-50 transition-opacity"></div>
-              <div className="relative">
-                <div className="text-4xl mb-4">{s.emoji}</div>
-                <div className="flex h-12 w-12 mx-auto mb-6 items-center justify-center rounded-full bg-gradient-to-r from-indigo-500 to-emerald-500 text-lg font-bold text-white">{s.n}</div>
-                <h4 className="text-xl font-bold text-slate-900 mb-3">{s.t}</h4>
-                <div className="inline-block bg-gradient-to-r from-indigo-100 to-emerald-100 text-indigo-800 px-3 py-1 rounded-full text-xs font-semibold mb-3">
-                  {s.highlight}
-                </div>
-                <p className="text-slate-600 leading-relaxed">{s.d}</p>
-              </div>
-            </Card>
-          ))}
-        </div>
-      </Container>
-    </div>
-  );
+// Function definitions in the chat-completions `tools` format
+const aiToolDefinitions = () => Object.entries(AI_TOOLS).map(([name, { description, parameters }]) => ({
+  type: "function",
+  function: { name, description, parameters },
+}));
+
+// OpenAI-style tool calls carry their arguments as a JSON string; null arguments fail validation
+function parseToolCall(call) {
+  let args = null;
+  try {
+    args = JSON.parse(call.function?.arguments || "{}");
+  } catch {
+    // left null
+  }
+  return { name: call.function?.name || "", arguments: args };
 }
 
-// ---------- Dashboard ----------
-function KPI({ label, value, hint, icon, trend }) {
-  const getTrendColor = (trend) => {
-    if (trend === 'up') return 'text-emerald-500';
-    if (trend === 'down') return 'text-red-500';
-    return 'text-slate-400';
-  };
+const PARA_CATEGORY_WORDS = { project: "PROJECTS", area: "AREAS", resource: "RESOURCES", archive: "ARCHIVES" };
+const METRIC_WORDS = { weight: "weight", "body fat": "bodyFat", bodyfat: "bodyFat", steps: "steps", calories: "calories", water: "water" };
 
-  return (
-    <Card className="p-5 hover:shadow-lg transition-shadow relative overflow-hidden group">
-      <div className="absolute top-0 right-0 w-20 h-20 bg-gradient-to-br from-indigo-50 to-emerald-50 rounded-bl-full opacity-50 group-hover:opacity-70 transition-opacity"></div>
-      <div className="relative">
-        <div className="flex items-center justify-between mb-2">
-          <div className="text-sm font-medium text-slate-600 uppercase tracking-wide">{label}</div>
-          {icon && <div className="text-xl">{icon}</div>}
-        </div>
-        <div className="flex items-end justify-between">
-          <div className="text-3xl font-bold text-slate-900">{value}</div>
-          {trend && (
-            <div className={`text-sm font-medium ${getTrendColor(trend)}`}>
-              {trend === 'up' ? '↗️' : trend === 'down' ? '↘️' : ''}
-            </div>
-          )}
-        </div>
-        {hint && (
-          <div className="mt-2 text-xs text-slate-500 bg-slate-50 px-2 py-1 rounded-full inline-block">
-            {hint}
-          </div>
-        )}
-      </div>
-    </Card>
-  );
+// Commands the built-in extractor turns into tool calls instead of extracting them
+function heuristicToolCalls(text, today = todayISO()) {
+  const calls = [];
+  const date = parseDayReference(text, { today, prefer: "past" });
+  const on = date && date !== today ? { date } : {};
+  let m;
+  if ((m = text.match(/\b(?:mark|set|log)\s+(?:my\s+)?(?:today's\s+)?workout\s+(?:as\s+)?(done|skipped|planned|pending)\b/i))) {
+    calls.push({ name: "set_workout_status", arguments: { status: m[1].toLowerCase(), ...on } });
+  }
+  if ((m = text.match(/\b(?:log|set)\s+(?:my\s+)?wake(?:[\s-]*up)?(?:\s+time)?\s+(?:to\s+|at\s+|as\s+)?(.+)/i))) {
+    const time = parseTimeOfDay(m[1], { defaultMeridiem: "am" });
+    if (time) calls.push({ name: "log_wake", arguments: { time, ...on } });
+  }
+  if ((m = text.match(/\b(?:set|update|log|change)\s+(?:my\s+)?(weight|body\s*fat|steps|calories|water)(\s+goal)?\s+(?:to\s+|at\s+|as\s+|=\s*)?(\d+(?:\.\d+)?)/i))) {
+    const metric = METRIC_WORDS[m[1].toLowerCase().replace(/\s+/g, " ")];
+    const key = m[2] ? `${metric}Goal` : metric;
+    if (key in DEFAULT_METRICS) calls.push({ name: "update_metric", arguments: { metric: key, value: parseFloat(m[3]) } });
+  }
+  if ((m = text.match(/\bmove\s+["“]?(.+?)["”]?\s+(?:in)?to\s+(?:the\s+|my\s+)?(project|area|resource|archive)s?\b/i))) {
+    calls.push({ name: "move_para_item", arguments: { title: m[1], category: PARA_CATEGORY_WORDS[m[2].toLowerCase()] } });
+  }
+  if ((m = text.match(/\b(?:schedule|plan|book|add)\s+(?:a\s+)?cheat\s+(day|meal|lunch|dinner)\b/i))) {
+    const day = parseDayReference(text, { today, prefer: "future" });
+    const meal = m[1].toLowerCase();
+    if (day) calls.push({ name: "schedule_cheat_day", arguments: { date: day, ...(CHEAT_MEALS.includes(meal) && { meal }) } });
+  }
+  if ((m = text.match(/^\s*add\s+(?:a\s+)?task:?\s+(.+)$/i))) {
+    extractTasks(`task: ${m[1]}`, today).forEach((task) => calls.push({ name: "add_task", arguments: task }));
+  }
+  return calls;
 }
-function ProgressBar({ value }) {
-  return (
-    <div className="h-2 w-full rounded-full bg-slate-100">
-      <div className="h-2 rounded-full bg-slate-900" style={{ width: `${Math.max(0, Math.min(100, value || 0))}%` }} />
-    </div>
-  );
+
+/**
+ * Checks each call against its tool's schema and runs it, or only lists it in dry-run mode.
+ * Returns [{ id, name, arguments, status: 'done' | 'dry-run' | 'invalid' | 'failed', result }].
+ */
+async function runToolCalls(calls) {
+  const dryRun = Boolean(await getSetting(AI_DRY_RUN_SETTING, false));
+  const results = [];
+  for (const call of calls) {
+    const tool = AI_TOOLS[call.name];
+    const base = { id: newId(), name: call.name, arguments: call.arguments };
+    const problems = !tool ? [`unknown tool "${call.name}"`]
+      : call.arguments === null ? ["arguments are not valid JSON"]
+      : schemaProblems(call.arguments, tool.parameters, "arguments");
+    if (problems.length) {
+      results.push({ ...base, status: "invalid", result: problems.join("; ") });
+    } else if (dryRun) {
+      results.push({ ...base, status: "dry-run", result: "Not run (dry run)" });
+    } else {
+      try {
+        results.push({ ...base, status: "done", result: await tool.run(call.arguments) });
+      } catch (e) {
+        console.warn(`Tool ${call.name} failed`, e);
+        results.push({ ...base, status: "failed", result: e.message });
+      }
+    }
+  }
+  return results;
 }
-function QuickCapture({ onAdd }) {
-  const [v, setV] = useState("");
-  return (
-    <div className="mt-3 flex gap-2">
-      <Input value={v} onChange={(e) => setV(e.target.value)} placeholder="Write a thought or task…" />
-      <Button onClick={() => { if (!v.trim()) return; onAdd(v.trim()); setV(""); }} className="bg-slate-900 text-white hover:bg-slate-800">Add</Button>
-    </div>
-  );
+
+const formatToolCall = ({ name, arguments: args }) => `${name}(${Object.entries(args || {}).map(([k, v]) => `${k}: ${JSON.stringify(v)}`).join(", ")})`;
+
+// ---------- History Questions ----------
+/**
+ * Questions about what was logged ("how many workouts did I do this week?", "what was my average
+ * wake time in November?", "when did I last eat a cheat meal?") are answered from the days store
+ * and metrics rather than by the AI provider. parseHistoryQuestion reads a message as
+ * { subject, aggregate, range } (or { metric }); answerHistoryQuestion computes
+ * { text, citations, table, series }, where citations are the dates the answer is based on.
+ */
+const HISTORY_PROVIDER = "history";
+const HISTORY_QUESTION = /^(?:how|what|when|which|show|list|did|was|were|have|has|average)\b|\?\s*$/i;
+const METRIC_LOOKUP = /\bwhat(?:'s|\s+(?:is|was))\s+my\b|\bhow\s+(?:much|many)\b/i;
+const HISTORY_TABLE_ROWS = 10;
+
+function minutesToTime(minutes) {
+  const m = Math.round(minutes);
+  return `${pad(Math.floor(m / 60) % 24)}:${pad(m % 60)}`;
 }
 
-function TodaySummary({ date, data }) {
-  const wakeScore = useMemo(() => scoreWake(data?.wakeTime), [data]);
-  const workoutStatus = data?.workout?.status || "pending";
-  return (
-    <div className="grid gap-6 lg:grid-cols-3">
-      <div className="lg:col-span-2 grid gap-6">
-        <Card className="p-5" data-tour="daily-tracking">
-          <div className="flex items-center justify-between">
-            <div className="flex items-center gap-2">
-              <h3 className="text-lg font-semibold text-slate-900">Today – {date}</h3>
-              <Tooltip content="Daily habits are extracted automatically from AI chats. Click Edit to manually adjust." position="top">
-                <span className="text-slate-400 cursor-help">💡</span>
-              </Tooltip>
-            </div>
-            <Badge>Routine</Badge>
-          </div>
-          <div className="mt-4 grid gap-4 sm:grid-cols-2">
-            <div>
-              <div className="text-sm text-slate-500">Wake Time</div>
-              <div className="mt-1 text-xl font-semibold text-slate-900">{data?.wakeTime || "—"}</div>
-              <div className="mt-3">
-                <ProgressBar value={wakeScore} />
-                <div className="mt-1 text-xs text-slate-500">Goal {data?.goals?.wakeGoal || DEFAULT_GOALS.wakeGoal} • Score {wakeScore ?? "—"}</div>
-              </div>
-            </div>
-            <div>
-              <div className="text-sm text-slate-500">Workout</div>
-              <div className={`mt-1 inline-flex items-center gap-2 rounded-full border px-3 py-1 text-sm font-medium ${pillStatusColor(workoutStatus)}`}>
-                <span className="h-2 w-2 rounded-full bg-current opacity-70" />
-                {data?.workout?.time || DEFAULT_GOALS.workoutGoal} • {workoutStatus}
-              </div>
-              <div className="mt-3 text-xs text-slate-500">Target {data?.goals?.workoutGoal || DEFAULT_GOALS.workoutGoal}</div>
-            </div>
-          </div>
-          <div className="mt-6 grid gap-4 sm:grid-cols-2">
-            <div>
-              <div className="text-sm text-slate-500">Lunch</div>
-              <div className="mt-1 text-slate-900">{data?.lunch?.time || DEFAULT_GOALS.lunchTime} — {data?.lunch?.details || "veg + one vegetable + dal"}</div>
-            </div>
-            <div>
-              <div className="text-sm text-slate-500">Dinner</div>
-              <div className="mt-1 text-slate-900">{data?.dinner?.time || DEFAULT_GOALS.dinnerTime} — {data?.dinner?.details || "grilled protein (chicken or fish)"}</div>
-            </div>
-          </div>
-        </Card>
+// Planned cheat days that have passed, plus meals or notes that mention one
+function cheatMealOn(day, date, { cheatDays = CHEAT_DAYS } = {}) {
+  const planned = cheatDays.filter((c) => c.date === date).map((c) => c.label);
+  const logged = [day.breakfast, day.lunch, day.dinner, ...(day.snacks || [])].filter((m) => /\bcheat\b/i.test(m?.details || "")).map((m) => m.details);
+  if (planned.length || logged.length) return [...planned, ...logged].join(", ");
+  return /\bcheat\b/i.test(day.notes || "") ? "mentioned in notes" : null;
+}
 
-        <Card className="p-5">
-          <h3 className="text-lg font-semibold text-slate-900">Notes</h3>
-          <p className="mt-2 text-sm text-slate-700 whitespace-pre-wrap">{data?.notes || "Add a quick note below to reflect on today."}</p>
-        </Card>
-      </div>
+// `value(day, date, { cheatDays })` is what the subject logged that day, null when nothing; the first matching subject wins
+const HISTORY_SUBJECTS = [
+  {
+    key: "cheat", pattern: /\bcheat(?:\s*(?:meals?|days?))?\b/i, label: "cheat meals", singular: "cheat meal", kind: "event",
+    value: cheatMealOn,
+    extraDates: ({ cheatDays }) => cheatDays.map((c) => c.date),
+    counted: (n) => `You had ${n} cheat meal${n === 1 ? "" : "s"}`,
+  },
+  {
+    key: "workout", pattern: /\b(?:workouts?|work(?:ed)?\s+out|exercised?|gym)\b/i, label: "workouts", singular: "workout", kind: "event",
+    value: (day) => (day.workout?.status === "done" ? (day.workout.time ? `done at ${formatTime12(day.workout.time)}` : "done") : null),
+    counted: (n) => `You worked out ${n} time${n === 1 ? "" : "s"}`,
+  },
+  { key: "wakeTime", pattern: /\b(?:wake|woke|waking|get(?:ting)?\s+up|got\s+up)\b/i, label: "wake time", kind: "time", value: (day) => day.wakeTime || null },
+  ...["breakfast", "lunch", "dinner"].map((meal) => ({
+    key: meal, pattern: new RegExp(`\\b${meal}\\b`, "i"), label: `${meal} time`, kind: "time", value: (day) => day[meal]?.time || null,
+  })),
+  // Numbers are on the check-in scale; mood falls back to the mood classified from chat
+  { key: "mood", pattern: /\bmood\b/i, label: "mood", kind: "number", unit: "/5", value: (day) => dayMoodEnergy(day).mood },
+  { key: "energy", pattern: /\benergy\b/i, label: "energy", kind: "number", unit: "/5", value: (day) => dayMoodEnergy(day).energy },
+  { key: "sleep", pattern: /\b(?:sleep|slept)\b/i, label: "sleep", kind: "number", unit: " h", value: (day) => day.sleepHours ?? null },
+];
 
-      <div className="grid gap-6">
-        <Card className="p-5">
-          <h3 className="text-lg font-semibold text-slate-900">Insights</h3>
-          <ul className="mt-3 list-disc pl-5 text-sm text-slate-700">
-            <li>Try winding down 30–45 min earlier to hit your 07:00 wake goal.</li>
-            <li>Front‑load hydration before lunch to improve afternoon energy.</li>
-          </ul>
-        </Card>
-        <Card className="p-5">
-          <h3 className="text-lg font-semibold text-slate-900">Goals</h3>
-          <div className="mt-3 space-y-3 text-sm text-slate-700">
-            <div>
-              <div className="flex items-center justify-between"><span>Wake by {data?.goals?.wakeGoal || DEFAULT_GOALS.wakeGoal}</span><span className="font-semibold">{scoreWake(data?.wakeTime)}%</span></div>
-              <ProgressBar value={wakeScore} />
-            </div>
-            <div>
-              <div className="flex items-center justify-between"><span>Workout @ {data?.goals?.workoutGoal || DEFAULT_GOALS.workoutGoal}</span><span className="font-semibold">{(data?.workout?.status === "done" ? 100 : data?.workout?.status === "skipped" ? 10 : 50)}%</span></div>
-              <ProgressBar value={(data?.workout?.status === "done" ? 100 : data?.workout?.status === "skipped" ? 10 : 50)} />
-            </div>
-          </div>
-        </Card>
-      </div>
-    </div>
-  );
+const HISTORY_METRICS = [
+  { key: "weight", pattern: /\bweight\b/i, label: "weight", unit: " kg" },
+  { key: "bodyFat", pattern: /\bbody\s*fat\b/i, label: "body fat", unit: "%" },
+  { key: "steps", pattern: /\bsteps\b/i, label: "steps", unit: "", goal: "stepsGoal" },
+  { key: "calories", pattern: /\bcalories\b/i, label: "calories", unit: " kcal", goal: "caloriesGoal" },
+  { key: "water", pattern: /\bwater\b/i, label: "water", unit: " L", goal: "waterGoal" },
+];
+
+function historyAggregate(text) {
+  if (/\bhow\s+(?:many|often)\b|\bnumber\s+of\b|\bcount\b/i.test(text)) return "count";
+  if (/\b(?:average|avg|mean|typical(?:ly)?|usually)\b/i.test(text)) return "average";
+  if (/\bearliest\b/i.test(text)) return "earliest";
+  if (/\blatest\b/i.test(text)) return "latest";
+  if (/\bwhen\s+(?:did|was|were)\b.*\blast\b|\blast\s+time\b|\bmost\s+recent/i.test(text)) return "last";
+  if (/^(?:did|have|has|was|were)\b/i.test(text.trim())) return "check";
+  return "list";
 }
 
-function QuickEdit({ date, data, onSave }) {
-  const [form, setForm] = useState(() => ({
-    wakeTime: data?.wakeTime || "",
-    lunchTime: data?.lunch?.time || "13:30",
-    lunchDetails: data?.lunch?.details || "veg + one vegetable + dal",
-    dinnerTime: data?.dinner?.time || "21:00",
-    dinnerDetails: data?.dinner?.details || "grilled protein (chicken or fish)",
-    workoutTime: data?.workout?.time || "19:00",
-    workoutStatus: data?.workout?.status || "pending",
-    notes: data?.notes || "",
-  }));
-  function update(k, v) { setForm((s) => ({ ...s, [k]: v })); }
-  function submit(e) {
-    e.preventDefault();
-    onSave({
-      wakeTime: form.wakeTime,
-      lunch: { time: form.lunchTime, details: form.lunchDetails },
-      dinner: { time: form.dinnerTime, details: form.dinnerDetails },
-      workout: { time: form.workoutTime, status: form.workoutStatus },
-      notes: form.notes,
-      goals: { ...DEFAULT_GOALS },
-    });
+// { from, to, label } for the period a question names, or null when it names none
+function historyRange(text, today) {
+  const monday = addDaysISO(today, -((weekdayOfISO(today) + 6) % 7));
+  const year = Number(today.slice(0, 4));
+  const monthEnd = (y, m) => addDaysISO(m === 12 ? `${y + 1}-01-01` : `${y}-${pad(m + 1)}-01`, -1);
+  const month = (y, m, label) => ({ from: `${y}-${pad(m)}-01`, to: monthEnd(y, m), label });
+  let m;
+  if (/\btoday\b/i.test(text)) return { from: today, to: today, label: "today" };
+  if (/\byesterday\b/i.test(text)) return { from: addDaysISO(today, -1), to: addDaysISO(today, -1), label: "yesterday" };
+  if (/\bthis\s+week\b/i.test(text)) return { from: monday, to: today, label: "this week" };
+  if (/\blast\s+week\b/i.test(text)) return { from: addDaysISO(monday, -7), to: addDaysISO(monday, -1), label: "last week" };
+  if ((m = text.match(/\b(?:last|past)\s+(\d+|a|one|two|three|four|five|six|seven|ten|twelve|thirty)\s+(day|week|month)s?\b/i))) {
+    const n = /^(?:a|one)$/i.test(m[1]) ? 1 : wordOrNumber(m[1]);
+    const days = n * { day: 1, week: 7, month: 30 }[m[2].toLowerCase()];
+    return { from: addDaysISO(today, -(days - 1)), to: today, label: `in the last ${n} ${m[2].toLowerCase()}${n === 1 ? "" : "s"}` };
   }
-  return (
-    <Card className="p-5" data-tour="quick-edit">
-      <div className="flex items-center gap-2">
-        <h3 className="text-lg font-semibold text-slate-900">Quick Edit – {date}</h3>
-        <Tooltip content="Manually adjust any data. Changes sync across your entire Life OS." position="top">
-          <span className="text-slate-400 cursor-help">💡</span>
-        </Tooltip>
-      </div>
-      <form onSubmit={submit} className="mt-4 grid gap-4 sm:grid-cols-2">
-        <div><label className="text-xs text-slate-500">Wake Time</label><Input type="time" value={form.wakeTime} onChange={(e) => update("wakeTime", e.target.value)} /></div>
-        <div><label className="text-xs text-slate-500">Workout Time</label><Input type="time" value={form.workoutTime} onChange={(e) => update("workoutTime", e.target.value)} /></div>
-        <div>
-          <label className="text-xs text-slate-500">Workout Status</label>
-          <select value={form.workoutStatus} onChange={(e) => update("workoutStatus", e.target.value)} className="w-full rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-900 focus:border-slate-400 focus:ring-2 focus:ring-slate-100">
-            <option value="pending">pending</option>
-            <option value="done">done</option>
-            <option value="skipped">skipped</option>
-          </select>
-        </div>
-        <div className="sm:col-span-2" />
-        <div><label className="text-xs text-slate-500">Lunch Time</label><Input type="time" value={form.lunchTime} onChange={(e) => update("lunchTime", e.target.value)} /></div>
-        <div><label className="text-xs text-slate-500">Lunch Details</label><Input value={form.lunchDetails} onChange={(e) => update("lunchDetails", e.target.value)} placeholder="veg + dal" /></div>
-        <div><label className="text-xs text-slate-500">Dinner Time</label><Input type="time" value={form.dinnerTime} onChange={(e) => update("dinnerTime", e.target.value)} /></div>
-        <div><label className="text-xs text-slate-500">Dinner Details</label><Input value={form.dinnerDetails} onChange={(e) => update("dinnerDetails", e.target.value)} placeholder="grilled protein" /></div>
-        <div className="sm:col-span-2"><label className="text-xs text-slate-500">Notes</label><Textarea rows={3} value={form.notes} onChange={(e) => update("notes", e.target.value)} placeholder="Reflection, wins, blockers..." /></div>
-        <div className="sm:col-span-2 flex justify-end gap-3">
-          <Button className="border border-slate-300 bg-white text-slate-900" onClick={() => setForm({
-            wakeTime: "",
-            lunchTime: DEFAULT_GOALS.lunchTime,
-            lunchDetails: "veg + one vegetable + dal",
-            dinnerTime: DEFAULT_GOALS.dinnerTime,
-            dinnerDetails: "grilled protein (chicken or fish)",
-            workoutTime: DEFAULT_GOALS.workoutGoal,
-            workoutStatus: "pending",
-            notes: "",
-          })}>Reset</Button>
-          <Button type="submit" className="bg-slate-900 text-white hover:bg-slate-800">Save Day</Button>
-        </div>
-      </form>
-    </Card>
-  );
+  if (/\bthis\s+month\b/i.test(text)) return { from: `${today.slice(0, 8)}01`, to: today, label: "this month" };
+  if (/\blast\s+month\b/i.test(text)) {
+    const current = Number(today.slice(5, 7));
+    return current === 1 ? month(year - 1, 12, "last month") : month(year, current - 1, "last month");
+  }
+  if (/\bthis\s+year\b/i.test(text)) return { from: `${year}-01-01`, to: today, label: "this year" };
+  if ((m = text.match(new RegExp(`\\b${MONTH}(?:\\s+(\\d{4}))?\\b`, "i")))) {
+    const index = MONTH_NAMES.findIndex((name) => name.startsWith(m[1].toLowerCase().slice(0, 3))) + 1;
+    // A month without a year is the most recent one that has started
+    const y = m[2] ? Number(m[2]) : index > Number(today.slice(5, 7)) ? year - 1 : year;
+    return month(y, index, `in ${MONTH_NAMES[index - 1][0].toUpperCase()}${MONTH_NAMES[index - 1].slice(1)} ${y}`);
+  }
+  return null;
+}
+
+// Whether the extractor found anything to log (a mood on its own counts)
+function hasLoggableContent(extracted) {
+  const { tasks, habits, meals, people, goals, scheduledItems, mood } = extracted;
+  return [tasks, meals, people, goals, scheduledItems].some((list) => list.length) || Object.keys(habits).length > 0 || mood !== "neutral";
 }
 
-function EmptyState() {
-  return (
-    <div className="text-center py-12">
-      <div className="mx-auto w-24 h-24 bg-gradient-to-r from-indigo-100 to-emerald-100 rounded-full flex items-center justify-center mb-6">
-        <span className="text-3xl">🤖</span>
-      </div>
-      <h3 className="text-xl font-bold text-slate-900 mb-3">Welcome to Your FlowState!</h3>
-      <p className="text-slate-600 mb-6 max-w-md mx-auto">
-        Start chatting with your AI assistant to see everything organized automagically here.
-      </p>
-      <Button 
-        onClick={() => {/* Navigate to AI - connect to parent */}}
-        className="bg-gradient-to-r from-indigo-500 to-emerald-500 text-white hover:from-indigo-600 hover:to-emerald-600 shadow-lg hover:shadow-xl px-8 py-3"
-      >
-        <span className="mr-2">💬</span>
-        Start Your First Conversation
-      </Button>
-    </div>
-  );
+/**
+ * Whether a message only asks: at least one of its clauses is a question and the others log
+ * nothing. "In October, how often did I work out?" asks; "I had oatmeal for breakfast at 8, what
+ * do you think?" logs breakfast, so it goes to the extractor rather than to the history.
+ */
+function isPureQuestion(text, today = todayISO()) {
+  const clauses = text.split(/(?<=[.!?])\s+|\s*[,;]\s*/).map((c) => c.trim()).filter(Boolean);
+  const asks = (clause) => HISTORY_QUESTION.test(clause);
+  const rest = clauses.filter((clause) => !asks(clause));
+  return rest.length < clauses.length && (!rest.length || !hasLoggableContent(extractHeuristically(rest.join(". "), today)));
 }
 
-function Dashboard({ aiProcessedData, setAiProcessedData, setActive }) {
-  const [date, setDate] = useState(todayISO());
-  const [data, setData] = useState({});
-  const [all, setAll] = useState({});
-  const [loading, setLoading] = useState(true);
+// Only questions about what was logged: a count, average, earliest/latest, last or did/was check, or a
+// listing over a named period. "How do I improve my sleep?" asks for help and goes to the model.
+function parseHistoryQuestion(text, today = todayISO()) {
+  if (!/\b(?:i|my|me)\b/i.test(text) || TASK_TRIGGER.test(text) || !isPureQuestion(text, today)) return null;
+  const metric = HISTORY_METRICS.find((m) => m.pattern.test(text));
+  if (metric) return METRIC_LOOKUP.test(text) ? { metric } : null;
+  const subject = HISTORY_SUBJECTS.find((s) => s.pattern.test(text));
+  if (!subject) return null;
+  const aggregate = historyAggregate(text);
+  const range = historyRange(text, today);
+  return aggregate === "list" && !range ? null : { subject, aggregate, range };
+}
 
-  useEffect(() => {
-    (async () => {
-      setLoading(true);
-      const loaded = await loadAllDays();
-      setAll(loaded);
-      const d = todayISO();
-      setDate((prev) => prev || d);
-      const rd = await readDay(d);
-      setData(rd || {});
-      setLoading(false);
-    })();
-  }, []);
+function formatHistoryValue(subject, value) {
+  if (subject.kind === "time") return formatTime12(value);
+  return subject.kind === "number" ? `${value}${subject.unit}` : String(value);
+}
 
-  useEffect(() => {
-    (async () => {
-      const rd = await readDay(date);
-      setData(rd || {});
-    })();
-  }, [date]);
+const formatCitedDate = (date, today) => (date.slice(0, 4) === today.slice(0, 4) ? formatShortDate(date) : `${formatShortDate(date)}, ${date.slice(0, 4)}`);
 
-  async function saveDay(partial) {
-    const updated = await upsertDay(date, partial);
-    setData(updated || {});
-    const reloaded = await loadAllDays();
-    setAll(reloaded);
+async function answerHistoryQuestion(question, today = todayISO()) {
+  if (question.metric) {
+    const { key, label, unit, goal } = question.metric;
+    const metrics = { ...DEFAULT_METRICS, ...((await getSetting("metrics", {})) || {}) };
+    const target = goal && metrics[goal];
+    return {
+      text: `Your ${label} is ${metrics[key]}${unit}${target ? ` of ${target}${unit} (${Math.round((metrics[key] / target) * 100)}% of your goal)` : ""}.`,
+      citations: [],
+      table: { columns: ["Metric", "Value", "Goal"], rows: [[label, `${metrics[key]}${unit}`, target ? `${target}${unit}` : "—"]] },
+      series: null,
+    };
   }
 
-  const dates = useMemo(() => Object.keys(all).sort().reverse(), [all]);
+  const { subject, aggregate } = question;
+  const range = question.range || (aggregate === "last" ? null : { from: addDaysISO(today, -29), to: today, label: "in the last 30 days" });
+  const during = range ? ` ${range.label}` : "";
+  const days = await loadAllDays();
+  const context = { cheatDays: await loadCheatDays() };
+  const rows = [...new Set([...Object.keys(days), ...(subject.extraDates?.(context) || [])])]
+    .filter((date) => date <= today && (!range || (date >= range.from && date <= range.to)))
+    .sort()
+    .map((date) => ({ date, value: subject.value(days[date] || {}, date, context) }))
+    .filter((row) => row.value != null);
+  const cite = (picked) => picked.map((row) => row.date);
+  const table = (picked) => ({
+    columns: ["Day", subject.label[0].toUpperCase() + subject.label.slice(1)],
+    rows: picked.slice(-HISTORY_TABLE_ROWS).map((row) => [formatCitedDate(row.date, today), formatHistoryValue(subject, row.value)]),
+  });
+  const numeric = (value) => (subject.kind === "time" ? timeToMinutes(value) : subject.kind === "number" ? value : 1);
+  const series = subject.kind === "event" || rows.length < 2 ? null : rows.map((row) => ({ date: row.date, value: numeric(row.value) }));
 
-  if (loading) {
-    return (
-      <Container className="py-10">
-        <div className="animate-pulse text-slate-500">Loading your dashboard…</div>
-      </Container>
-    );
+  if (!rows.length) {
+    const none = aggregate === "check" ? "No" : "I couldn't find any";
+    return { text: `${none} ${subject.kind === "time" ? `${subject.label}s` : subject.label} logged${during}.`, citations: [], table: null, series: null };
+  }
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  switch (aggregate) {
+    case "count":
+      return {
+        text: `${subject.counted ? subject.counted(rows.length) : `You logged your ${subject.label} on ${rows.length} day${rows.length === 1 ? "" : "s"}`}${during}.`,
+        citations: cite(rows), table: table(rows), series,
+      };
+    case "average": {
+      if (subject.kind === "event") {
+        const weeks = Math.max(1, daysBetweenISO(range?.from || first.date, range?.to || today) + 1) / 7;
+        return { text: `You averaged ${(rows.length / weeks).toFixed(1)} ${subject.label} a week${during} (${rows.length} in total).`, citations: cite(rows), table: table(rows), series };
+      }
+      const mean = rows.reduce((sum, row) => sum + numeric(row.value), 0) / rows.length;
+      const shown = subject.kind === "time" ? formatTime12(minutesToTime(mean)) : `${roundTo(mean)}${subject.unit}`;
+      return { text: `Your average ${subject.label}${during} was ${shown}, across ${rows.length} day${rows.length === 1 ? "" : "s"}.`, citations: cite(rows), table: table(rows), series };
+    }
+    case "earliest":
+    case "latest": {
+      if (subject.kind !== "time") break;
+      const pick = rows.reduce((best, row) => ((aggregate === "earliest" ? row.value < best.value : row.value > best.value) ? row : best));
+      return { text: `Your ${aggregate} ${subject.label}${during} was ${formatTime12(pick.value)} on ${formatCitedDate(pick.date, today)}.`, citations: [pick.date], table: table(rows), series };
+    }
+    case "last":
+      return {
+        text: `Your last ${subject.singular || `logged ${subject.label}`} was on ${formatCitedDate(last.date, today)} (${formatHistoryValue(subject, last.value)}).`,
+        citations: [last.date], table: table(rows.slice(-3)), series: null,
+      };
+    case "check":
+      return { text: `Yes: ${rows.map((row) => `${formatCitedDate(row.date, today)} (${formatHistoryValue(subject, row.value)})`).slice(-3).join(", ")}.`, citations: cite(rows), table: null, series: null };
+    default:
+      break;
   }
+  return { text: `Here is your ${subject.label}${during}, ${first.date === last.date ? "one day" : `${rows.length} days`}:`, citations: cite(rows), table: table(rows), series };
+}
 
-  // Show empty state if no meaningful data exists
-  const hasData = data?.wakeTime || data?.workout?.status || data?.lunch?.time || data?.dinner?.time || aiProcessedData;
-  if (!hasData) {
-    return (
-      <Container className="py-10">
-        <div className="flex flex-col items-center gap-6">
-          <EmptyState />
-          <Button onClick={() => {/* Connect to setActive */}} className="bg-gradient-to-r from-indigo-500 to-emerald-500 text-white hover:from-indigo-600 hover:to-emerald-600 px-6 py-2">
-            Chat with Your AI Assistant
-          </Button>
+// ---------- AI Chatbot Components ----------
+const CHAT_WELCOME = "Hi! I'm your AI Life Assistant. I can help you organize your thoughts, tasks, and daily information automatically. Tell me about your day, goals, or anything on your mind!";
+
+function ProposalEditor({ field, value, onChange }) {
+  const cls = "w-full rounded border border-slate-300 bg-white px-2 py-1 text-xs";
+  switch (field) {
+    case "wakeTime":
+      return <input type="time" value={value} onChange={(e) => onChange(e.target.value)} className={cls} aria-label="Wake time" />;
+    case "mood":
+    case "workout":
+      return (
+        <select value={value} onChange={(e) => onChange(e.target.value)} className={cls} aria-label={PROPOSAL_LABELS[field]}>
+          {(field === "mood" ? MOODS : WORKOUT_STATUSES).map((o) => (<option key={o} value={o}>{o}</option>))}
+        </select>
+      );
+    case "breakfast":
+    case "lunch":
+    case "dinner":
+      return (
+        <div className="flex gap-1">
+          <input type="time" value={value.time || ""} onChange={(e) => onChange({ ...value, time: e.target.value })} className={`${cls} w-24`} aria-label={`${PROPOSAL_LABELS[field]} time`} />
+          <input value={value.details || ""} onChange={(e) => onChange({ ...value, details: e.target.value })} className={cls} aria-label={`${PROPOSAL_LABELS[field]} details`} />
         </div>
-      </Container>
-    );
+      );
+    case "task":
+      return (
+        <div className="flex gap-1">
+          <input value={value.text} onChange={(e) => onChange({ ...value, text: e.target.value })} className={cls} aria-label="Task" />
+          <input type="date" value={value.due || ""} onChange={(e) => onChange({ ...value, due: e.target.value || null })} className={`${cls} w-32`} aria-label="Due date" />
+        </div>
+      );
+    default:
+      return <input value={value} onChange={(e) => onChange(e.target.value)} className={cls} aria-label={PROPOSAL_LABELS[field]} />;
   }
+}
 
-  return (
-    <div className="">
-      <Container className="py-10">
-        <div className="flex flex-col gap-6 sm:flex-row sm:items-end sm:justify-between">
-          <div>
-            <div className="flex items-center gap-3 mb-2">
-              <h1 className="text-3xl font-bold bg-gradient-to-r from-indigo-500 to-emerald-500 bg-clip-text text-transparent">Your FlowState</h1>
-              <div className="bg-gradient-to-r from-indigo-100 to-emerald-100 px-3 py-1 rounded-full">
-                <span className="text-xs font-semibold text-indigo-700">Live Updates</span>
-              </div>
-            </div>
-            <p className="text-lg text-slate-600">Everything organized automatically from your conversations 💬</p>
-          </div>
-          <div className="flex gap-3 items-center">
-            <select value={date} onChange={(e) => setDate(e.target.value)} className="rounded-xl border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-900 shadow-sm">
-              {dates.map((d) => (<option key={d} value={d}>{d}</option>))}
-            </select>
-            <Button onClick={async () => {
-              const d = todayISO();
-              setDate(d);
-              const rd = await readDay(d);
-              if (!rd) await saveDay({});
-            }} className="border border-slate-300 bg-white text-slate-900 shadow-sm hover:shadow-md">Today</Button>
-            <Button onClick={() => setActive("ai-assistant")} className="bg-gradient-to-r from-indigo-500 to-emerald-500 text-white hover:from-indigo-600 hover:to-emerald-600 shadow-md hover:shadow-lg">
-              <span className="mr-2">🤖</span>
-              Chat Now
-            </Button>
-          </div>
-        </div>
+const CITATIONS_SHOWN = 8;
 
-        <div className="mt-8 grid gap-6 sm:grid-cols-2 lg:grid-cols-4">
-          <KPI 
-            label="Flow Score" 
-            value={`${scoreWake(data?.wakeTime) ?? "—"}%`} 
-            hint={`Morning goal: ${data?.goals?.wakeGoal || DEFAULT_GOALS.wakeGoal}`} 
-            icon="🌅"
-            trend={scoreWake(data?.wakeTime) > 80 ? 'up' : scoreWake(data?.wakeTime) < 50 ? 'down' : null}
-          />
-          <KPI 
-            label="Energy Level" 
-            value={data?.workout?.status || "fresh"} 
-            hint={`Activity: ${data?.goals?.workoutGoal || DEFAULT_GOALS.workoutGoal}`} 
-            icon="💪"
-            trend={data?.workout?.status === 'done' ? 'up' : null}
-          />
-          <KPI 
-            label="Fuel Intake" 
-            value={data?.lunch?.time || DEFAULT_GOALS.lunchTime} 
-            hint={data?.lunch?.details || "Balanced meal"} 
-            icon="🍽️"
-          />
-          <KPI 
-            label="Wind Down" 
-            value={data?.dinner?.time || DEFAULT_GOALS.dinnerTime} 
-            hint={data?.dinner?.details || "Protein focused"} 
-            icon="🌙"
-          />
+// Table, sparkline and cited days under an answer computed from the history
+function HistoryAnswer({ answer }) {
+  const { citations, table, series } = answer;
+  return (
+    <div className="mt-2 space-y-2 text-xs">
+      {series && <Sparkline values={series.map((p) => p.value)} label={`${series.length} days`} />}
+      {table && (
+        <table className="w-full rounded-lg bg-white text-left">
+          <thead>
+            <tr className="text-slate-500">{table.columns.map((c) => <th key={c} className="px-2 py-1 font-medium">{c}</th>)}</tr>
+          </thead>
+          <tbody>
+            {table.rows.map((row) => (
+              <tr key={row.join("|")} className="border-t border-slate-100">{row.map((cell, i) => <td key={i} className="px-2 py-1">{cell}</td>)}</tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {citations.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1 text-slate-500">
+          <span>Based on</span>
+          {citations.slice(-CITATIONS_SHOWN).map((date) => <span key={date} className="rounded-full bg-white px-2 py-0.5 text-slate-700">📅 {date}</span>)}
+          {citations.length > CITATIONS_SHOWN && <span>and {citations.length - CITATIONS_SHOWN} earlier days</span>}
         </div>
+      )}
+    </div>
+  );
+}
 
-        <div className="mt-6">
-          {/* P.A.R.A. Navigation */}
-          <div className="mb-6">
-            <div className="flex gap-2 p-1 bg-slate-100 rounded-xl">
-              {Object.entries(PARA_CATEGORIES).map(([key, label]) => (
-                <button
-                  key={key}
-                  className="flex-1 rounded-lg px-3 py-2 text-sm font-medium text-slate-700 hover:bg-white hover:shadow-sm transition"
-                >
-                  {label}
-                </button>
+// What the model was sent with a message: tokens per section, what was cut, and the exact text
+function ContextDebug({ context }) {
+  const [open, setOpen] = useState(false);
+  return (
+    <div className="mt-1 text-xs">
+      <button onClick={() => setOpen(!open)} className="text-slate-500 hover:underline">
+        🧭 Context · {context.used} / {context.budget} tokens
+      </button>
+      {open && (
+        <div className="mt-1 space-y-2 rounded-lg bg-white p-2">
+          <table className="w-full text-left">
+            <thead>
+              <tr className="text-slate-500"><th className="font-medium">Section</th><th className="font-medium">Sent</th><th className="font-medium">Cut</th><th className="font-medium">Tokens</th></tr>
+            </thead>
+            <tbody>
+              {context.sections.map((s) => (
+                <tr key={s.key} className="border-t border-slate-100">
+                  <td>{s.title}</td>
+                  <td>{s.included}</td>
+                  <td className={s.dropped ? "text-amber-700" : ""}>{s.dropped}</td>
+                  <td>{s.tokens}</td>
+                </tr>
               ))}
+            </tbody>
+          </table>
+          <pre className="max-h-48 overflow-auto whitespace-pre-wrap font-mono text-slate-700">{context.text}</pre>
+          <div className="text-slate-500">Followed by the last {context.turns} message{context.turns === 1 ? "" : "s"} of this conversation and the question.</div>
+          {context.overhead && (
+            <div className="text-slate-500">
+              Also sent: instructions {context.overhead.instructions}, action definitions {context.overhead.tools}, your message {context.overhead.message} — about {context.used + context.overhead.instructions + context.overhead.tools + context.overhead.message} tokens in all.
             </div>
-          </div>
-
-          <div className="grid gap-6 lg:grid-cols-3">
-            <div className="lg:col-span-2 space-y-6">
-              <TodaySummary date={date} data={data} />
-              <PARADashboard />
-              <QuickEdit date={date} data={data} onSave={saveDay} />
-            </div>
-          <div className="space-y-6">
-            <Card className="p-5">
-              <h3 className="text-lg font-semibold text-slate-900">Quick Capture</h3>
-              <p className="mt-2 text-sm text-slate-600">Type anything — tasks, ideas, notes.</p>
-              <QuickCapture onAdd={async (text) => {
-                const prev = data?.notes ? data.notes + "\\n" : "";
-                await saveDay({ notes: prev + "• " + text });
-              }} />
-            </Card>
-
-          <AIChatbot onProcess={async (processedData) => {
-            // Save AI processed data to current day
-            const updatedData = { ...data };
-            
-            // Merge AI extracted data
-            if (processedData.habits.wakeTime) {
-              updatedData.wakeTime = processedData.habits.wakeTime;
-            }
-            if (processedData.habits.workoutIntended) {
-              updatedData.workout = { ...updatedData.workout, status: "intended" };
-            }
-            if (processedData.mood !== "neutral") {
-              updatedData.mood = processedData.mood;
-            }
-            if (processedData.insights.length > 0) {
-              const prevNotes = data?.notes ? data.notes + "\\n" : "";
-              updatedData.notes = prevNotes + "AI Insights: " + processedData.insights.join(", ");
-            }
-            
-            await saveDay(updatedData);
-            setAiProcessedData(processedData);
-          }} />
-
-          <Card className="p-5">
-            <h3 className="text-lg font-semibold text-slate-900">Export</h3>
-            <p className="mt-2 text-sm text-slate-600">Copy your data JSON for backup或 to push into Sheets/Airtable.</p>
-            <pre className="mt-3 max-h-64 overflow-auto rounded-xl bg-slate-950 p-3 text-xs text-slate-100">{JSON.stringify({ [date]: data }, null, 2)}</pre>
-          </Card>
-        </div>
-          </div>
+          )}
         </div>
-      </Container>
+      )}
     </div>
   );
 }
 
-// ---------- P.A.R.A. Dashboard Components ----------
-function PARADashboard() {
-  const [paraLayout, setParaLayout] = useState('grid'); // 'grid' | 'list'
-  const [activeCategory, setActiveCategory] = useState('PROJECTS');
-  
-  // Sample data for demonstration - in real app, this would come from your data store
-  const paraData = {
-    PROJECTS: [
-      { id: 1, title: "Website Redesign", deadline: "Dec 15", status: "in-progress", priority: "high" },
-      { id: 2, title: "Client Proposal", deadline: "Dec 10", status: "pending", priority: "medium" },
-      { id: 3, title: "Learn React Hooks", deadline: "Dec 20", status: "pending", priority: "low" }
-    ],
-    AREAS: [
-      { id: 1, title: "Health & Fitness", lastActive: "Today", status: "maintained", priority: "high" },
-      { id: 2, title: "Financial Management", lastActive: "Yesterday", status: "maintained", priority: "high" },
-      { id: 3, title: "Professional Development", lastActive: "2 days ago", status: "needs-attention", priority: "medium" }
-    ],
-    RESOURCES: [
-      { id: 1, title: "React Documentation", type: "documentation", lastViewed: "Yesterday" },
-      { id: 2, title: "Design System Components", type: "design", lastViewed: "3 days ago" },
-      { id: 3, title: "Productivity Articles", type: "articles", lastViewed: "1 week ago" }
-    ],
-    ARCHIVES: [
-      { id: 1, title: "Old Project Files", archivedOn: "Nov 15", reason: "completed" },
-      { id: 2, title: "Previous Meeting Notes", archivedOn: "Nov 20", reason: "outdated" },
-      { id: 3, title: "Legacy Documentation", archivedOn: "Oct 30", reason: "superseded" }
-    ]
-  };
-
-  const getStatusColor = (status, category) => {
-    if (category === 'PROJECTS') {
-      return status === 'completed' ? 'bg-emerald-100 text-emerald-800' : 
-             status === 'in-progress' ? 'bg-blue-100 text-blue-800' : 
-             'bg-slate-100 text-slate-800';
-    }
-    return status === 'maintained' ? 'bg-emerald-100 text-emerald-800' : 
-           status === 'needs-attention' ? 'bg-amber-100 text-amber-800' : 
-           'bg-slate-100 text-slate-800';
-  };
+const TOOL_CALL_STATUS = {
+  done: { icon: "✓", className: "text-emerald-700" },
+  "dry-run": { icon: "○", className: "text-slate-500" },
+  invalid: { icon: "⚠️", className: "text-amber-700" },
+  failed: { icon: "⚠️", className: "text-red-600" },
+};
 
+// The actions an AI reply carried out (or, in dry-run mode, would have), each with its result
+function ToolCallList({ calls }) {
   return (
-    <Card className="p-5" data-tour="para-dashboard">
-      <div className="flex items-center justify-between mb-4">
-        <div className="flex items-center gap-2">
-          <h3 className="text-lg font-semibold text-slate-900">P.A.R.A. Organization</h3>
-          <Tooltip content="Projects = specific outputs, Areas = ongoing responsibilities, Resources = learning topics, Archives = completed items" position="top">
-            <span className="text-slate-400 cursor-help">💡</span>
-          </Tooltip>
-        </div>
-        <div className="flex gap-2">
-          <button 
-            onClick={() => setParaLayout('grid')}
-            className={`p-1 rounded ${paraLayout === 'grid' ? 'bg-slate-200' : 'hover:bg-slate-100'}`}
-          >
-            <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
-              <path d="M5 3a2 2 0 00-2 2v2a2 2 0 002 2h2a2 2 0 002-2V5a2 2 0 00-2-2H5zM5 11a2 2 0 00-2 2v2a2 2 0 002 2h2a2 2 0 002-2v-2a2 2 0 00-2-2H5zM11 5a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V5zM11 13a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z"/>
-            </svg>
-          </button>
-          <button 
-            onClick={() => setParaLayout('list')}
-            className={`p-1 rounded ${paraLayout === 'list' ? 'bg-slate-200' : 'hover:bg-slate-100'}`}
-          >
-            <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
-              <path fillRule="evenodd" d="M3 4a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm0 4a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm0 4a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm0 4a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1z" clipRule="evenodd"/>
-            </svg>
-          </button>
-        </div>
-      </div>
+    <ul className="mt-2 space-y-1 rounded-lg bg-white p-2 text-xs">
+      {calls.map((call) => (
+        <li key={call.id}>
+          <div className="font-mono text-slate-700 break-words">🔧 {formatToolCall(call)}</div>
+          <div className={TOOL_CALL_STATUS[call.status].className}>{TOOL_CALL_STATUS[call.status].icon} {call.result}</div>
+        </li>
+      ))}
+    </ul>
+  );
+}
 
-      <div className="space-y-4">
-        {Object.entries(PARA_CATEGORIES).map(([key, label]) => {
-          const items = paraData[key];
-          return (
-            <div key={key} className="border border-slate-200 rounded-lg p-4">
-              <div className="flex items-center justify-between mb-3">
-                <h4 className="font-semibold text-slate-900 flex items-center gap-2">
-                  {key === 'PROJECTS' && '📁'}
-                  {key === 'AREAS' && '🏢'}
-                  {key === 'RESOURCES' && '📚'}
-                  {key === 'ARCHIVES' && '📦'}
-                  {label} ({items.length})
-                </h4>
-                <Badge className="text-xs">
-                  {key === 'PROJECTS' && 'Active Outputs'}
-                  {key === 'AREAS' && 'Ongoing Standards'}
-                  {key === 'RESOURCES' && 'Knowledge Base'}
-                  {key === 'ARCHIVES' && 'Completed Items'}
-                </Badge>
-              </div>
-              
-              {paraLayout === 'grid' ? (
-                <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
-                  {items.slice(0, 3).map((item) => (
-                    <div key={item.id} className="bg-white rounded-lg border border-slate-200 p-3 hover:shadow-sm transition">
-                      <h5 className="text-sm font-medium text-slate-900 truncate">{item.title}</h5>
-                      <div className="flex items-center justify-between mt-2">
-                        <span className={`inline-flex px-2 py-1 text-xs rounded-full ${getStatusColor(item.status, key)}`}>
-                          {item.status}
-                        </span>
-                        <span className="text-xs text-slate-500">
-                          {item.deadline || item.lastActive || item.lastViewed || item.archivedOn}
-                        </span>
-                      </div>
-                    </div>
-                  ))}
-                  {items.length > 3 && (
-                    <div className="bg-slate-50 rounded-lg border-2 border-dashed border-slate-300 p-3 flex items-center justify-center">
-                      <span className="text-sm text-slate-500">+{items.length - 3} more</span>
-                    </div>
-                  )}
-                </div>
-              ) : (
-                <div className="space-y-2">
-                  {items.slice(0, 4).map((item) => (
-                    <div key={item.id} className="flex items-center justify-between py-2 px-3 bg-white rounded-lg border border-slate-200">
-                      <span className="text-sm text-slate-900 truncate">{item.title}</span>
-                      <div className="flex items-center gap-2">
-                        <span className={`px-2 py-1 text-xs rounded-full ${getStatusColor(item.status, key)}`}>
-                          {item.status}
-                        </span>
-                      </div>
-                    </div>
-                  ))}
-                  {items.length > 4 && (
-                    <div className="text-sm text-slate-500 text-center py-2">
-                      +{items.length - 4} more items
-                    </div>
+// Inline card on an AI reply listing its proposed changes; nothing is saved until accepted
+function ProposalReview({ threadId, message }) {
+  const [editing, setEditing] = useState(null); // { id, value }
+  const [busy, setBusy] = useState(false);
+  const proposals = message.proposals;
+  const pending = proposals.filter((p) => p.status === "pending");
+  const today = todayISO();
+
+  async function resolve(ids, accept, edited = null) {
+    setBusy(true);
+    const next = [];
+    for (const p of proposals) {
+      if (!ids.includes(p.id) || p.status !== "pending") {
+        next.push(p);
+      } else if (!accept) {
+        next.push({ ...p, status: "rejected", error: undefined });
+      } else {
+        const proposal = edited?.id === p.id ? { ...p, value: edited.value } : p;
+        try {
+          await applyProposal(proposal);
+          next.push({ ...proposal, status: "accepted", error: undefined });
+        } catch (e) {
+          if (!(e instanceof DayValidationError)) console.warn("Could not apply change", e);
+          next.push({ ...p, error: e.message });
+        }
+      }
+    }
+    try {
+      await updateChatMessage(threadId, { ...message, proposals: next });
+    } catch (e) {
+      console.warn("Could not save review", e);
+    }
+    setEditing(null);
+    setBusy(false);
+  }
+
+  return (
+    <div className="mt-2 rounded-lg border border-slate-200 bg-white p-2 text-xs text-slate-700">
+      <div className="flex items-center gap-2">
+        <span className="font-semibold text-slate-900">Proposed changes</span>
+        {pending.length > 1 && (
+          <span className="ml-auto flex gap-2">
+            <button onClick={() => resolve(pending.map((p) => p.id), true)} disabled={busy} className="font-semibold text-emerald-700 hover:underline">Accept all</button>
+            <button onClick={() => resolve(pending.map((p) => p.id), false)} disabled={busy} className="text-slate-500 hover:underline">Reject all</button>
+          </span>
+        )}
+      </div>
+      <ul className="mt-1 space-y-1">
+        {proposals.map((p) => (
+          <li key={p.id} className={p.status === "rejected" ? "opacity-50 line-through" : ""}>
+            <div className="flex items-start gap-2">
+              <div className="flex-1">
+                <span className="font-medium">{PROPOSAL_LABELS[p.field]}</span>
+                {p.date && p.date !== today && <span className="text-slate-400"> · {p.date}</span>}
+                {": "}
+                {p.before != null && <span className="text-slate-400">{p.before} → </span>}
+                {describeProposal(p)}
+              </div>
+              {p.status === "pending" ? (
+                <span className="flex shrink-0 gap-2">
+                  <button onClick={() => resolve([p.id], true)} disabled={busy} aria-label={`Accept ${PROPOSAL_LABELS[p.field]}`} className="font-semibold text-emerald-700 hover:underline">Accept</button>
+                  {EDITABLE_PROPOSALS.includes(p.field) && (
+                    <button onClick={() => setEditing({ id: p.id, value: p.value })} disabled={busy} className="text-indigo-700 hover:underline">Edit</button>
                   )}
-                </div>
+                  <button onClick={() => resolve([p.id], false)} disabled={busy} aria-label={`Reject ${PROPOSAL_LABELS[p.field]}`} className="text-slate-500 hover:underline">Reject</button>
+                </span>
+              ) : (
+                <span className="shrink-0 text-slate-500">{{ accepted: "✓ Saved", auto: "✓ Auto-saved", rejected: "Rejected" }[p.status]}</span>
               )}
             </div>
-          );
-        })}
-      </div>
-      
-      <div className="mt-6 pt-4 border-t border-slate-200">
-        <div className="text-center">
-          <p className="text-sm text-slate-600 mb-3">Add new items via AI Assistant or Quick Capture</p>
-          <Button className="bg-gradient-to-r from-indigo-500 to-emerald-500 text-white hover:from-indigo-600 hover:to-emerald-600">
-            Open AI Assistant
-          </Button>
-        </div>
-      </div>
-    </Card>
+            {editing?.id === p.id && (
+              <div className="mt-1 flex items-center gap-2">
+                <div className="flex-1">
+                  <ProposalEditor field={p.field} value={editing.value} onChange={(value) => setEditing({ ...editing, value })} />
+                </div>
+                <button onClick={() => resolve([p.id], true, editing)} disabled={busy} className="font-semibold text-emerald-700 hover:underline">Save</button>
+                <button onClick={() => setEditing(null)} className="text-slate-500 hover:underline">Cancel</button>
+              </div>
+            )}
+            {p.error && <div className="text-red-600">{p.error}</div>}
+          </li>
+        ))}
+      </ul>
+    </div>
   );
 }
 
-// ---------- AI Chatbot Components ----------
-function AIChatbot({ onProcess }) {
-  const [messages, setMessages] = useState([
-    {
-      id: 1,
-      type: "ai",
-      content: "Hi! I'm your AI Life Assistant. I can help you organize your thoughts, tasks, and daily information automatically. Tell me about your day, goals, or anything on your mind!",
-      timestamp: new Date()
-    }
-  ]);
-  const [input, setInput] = useState("");
-  const [isProcessing, setIsProcessing] = useState(false);
+// Earlier messages as model history; failed replies are left out
+function chatHistory(messages) {
+  return messages.filter((m) => !m.failed).map((m) => ({ role: m.role === "user" ? "user" : "assistant", content: m.content }));
+}
 
-  const processMessage = async (text) => {
-    if (!text.trim()) return;
-    
-    // Add user message
-    const userMessage = {
-      id: messages.length + 1,
-      type: "user",
-      content: text,
-      timestamp: new Date()
-    };
-    
-    setMessages(prev => [...prev, userMessage]);
-    setInput("");
-    setIsProcessing(true);
+function AIChatbot({ onProcess, date }) {
+  const { active, select } = useChatThreads();
+  const [input, setInput] = useState("");
+  const [pending, setPending] = useState(null); // reply in flight: { threadId, replyId, content, controller }
+  const [queued, setQueued] = useState([]); // messages sent while a reply was in flight, in order
+  const messages = active?.messages || [];
 
+  // Streams a reply to `question` into the thread it was asked in, even if another one is opened
+  // meanwhile. A retry passes the failed reply's id and time so the answer takes its place.
+  async function requestReply(threadId, question, history, { replyId = newId(), at, controller = new AbortController() } = {}) {
+    const reply = { id: replyId, role: "ai", replyTo: question.id, ...(at && { at }) };
+    let streamed = "";
+    setPending({ threadId, replyId, content: "", controller });
     try {
-      // Simulate AI processing - in real implementation, this would call an AI service
-      const processedData = await simulateAIProcessing(text);
-      
-      const aiMessage = {
-        id: messages.length + 2,
-        type: "ai",
+      // Stop may have been pressed while the question was being saved
+      controller.signal.throwIfAborted();
+      // Questions about the logged history are answered from storage, not by the model
+      const historyQuestion = parseHistoryQuestion(question.content);
+      if (historyQuestion) {
+        const { text, ...answer } = await answerHistoryQuestion(historyQuestion);
+        await appendChatMessage(threadId, { ...reply, content: text, answer, provider: HISTORY_PROVIDER });
+        setPending(null);
+        return;
+      }
+      const processedData = await askAssistant(question.content, history, {
+        signal: controller.signal,
+        onToken: (content) => {
+          streamed = content;
+          setPending((p) => (p?.replyId === replyId ? { ...p, content } : p));
+        },
+      });
+      const toolCalls = await runToolCalls(processedData.toolCalls);
+      const proposals = await autoAcceptProposals(await proposeExtractedChanges(processedData.extractedData, date || todayISO()));
+      await appendChatMessage(threadId, {
+        ...reply,
         content: processedData.response,
         processedInfo: processedData.extractedData,
-        timestamp: new Date()
-      };
-      
-      setMessages(prev => [...prev, aiMessage]);
+        ...(toolCalls.length > 0 && { toolCalls }),
+        proposals,
+        provider: processedData.provider,
+        fallbackReason: processedData.fallbackReason,
+        context: processedData.context,
+      });
       onProcess(processedData.extractedData);
     } catch (error) {
-      const errorMessage = {
-        id: messages.length + 2,
-        type: "ai",
-        content: "Sorry, I encountered an error processing your message. Please try again.",
-        timestamp: new Date()
-      };
-      setMessages(prev => [...prev, errorMessage]);
+      const stopped = error.name === "AbortError";
+      if (!stopped) console.warn("Chat message failed", error);
+      await appendChatMessage(threadId, stopped
+        ? { ...reply, content: streamed || "Stopped before replying.", stopped: true }
+        : { ...reply, content: "Sorry, I couldn't answer that.", failed: error.message })
+        .catch((e) => console.warn("Could not save chat message", e));
     }
+    setPending(null);
+  }
+
+  const processMessage = async (text) => {
+    if (!text.trim() || pending) return;
     
-    setIsProcessing(false);
+    // Created before anything is saved, so Stop works from the moment the message is sent
+    const controller = new AbortController();
+    setInput("");
+    setPending({ threadId: active?.id || null, content: "", controller });
+    try {
+      // Read from storage, not this render: a queued message goes out before the thread has reloaded
+      // with the reply it waited for
+      const activeId = await getSetting(ACTIVE_THREAD_SETTING, null);
+      const thread = activeId && (await loadChatThreads()).find((t) => t.id === activeId);
+      const history = chatHistory(thread?.messages || []);
+      const threadId = thread?.id || (await startChatThread(text)).id;
+      const question = { id: newId(), at: new Date().toISOString(), role: "user", content: text };
+      await appendChatMessage(threadId, question);
+      await requestReply(threadId, question, history, { controller });
+    } catch (error) {
+      console.warn("Could not save chat message", error);
+      setPending(null);
+    }
+  };
+
+  const retry = (message) => {
+    const index = messages.findIndex((m) => m.id === message.replyTo);
+    if (index < 0 || pending) return;
+    requestReply(active.id, messages[index], chatHistory(messages.slice(0, index)), { replyId: message.id, at: message.at });
   };
 
+  // The next queued message goes out once the reply before it has been saved
+  useEffect(() => {
+    if (pending || !queued.length) return;
+    setQueued((q) => q.slice(1));
+    processMessage(queued[0]);
+  }, [pending, queued]);
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    processMessage(input);
+    if (!input.trim()) return;
+    if (!pending) {
+      processMessage(input);
+      return;
+    }
+    setQueued((q) => [...q, input]);
+    setInput("");
   };
 
   return (
@@ -1158,38 +6415,74 @@ function AIChatbot({ onProcess }) {
         <Tooltip content="Chat naturally - I'll extract tasks, habits, schedules, and mood automatically" position="top">
           <span className="text-slate-400 cursor-help">💡</span>
         </Tooltip>
+        {active && (
+          <button onClick={() => select(null)} title={`Continuing "${active.title}"`} className="ml-auto rounded-lg px-2 py-1 text-xs font-semibold text-indigo-700 hover:bg-indigo-50">+ New chat</button>
+        )}
       </div>
       
       <div className="flex-1 overflow-y-auto space-y-3 mb-4">
-        {messages.map((message) => (
-          <div key={message.id} className={`flex ${message.type === 'user' ? 'justify-end' : 'justify-start'}`}>
+        {[{ id: "welcome", role: "ai", content: CHAT_WELCOME }, ...messages].filter((m) => m.id !== pending?.replyId).map((message) => (
+          <div key={message.id} className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}>
             <div className={`max-w-[80%] rounded-lg px-3 py-2 text-sm ${
-              message.type === 'user' 
+              message.role === 'user' 
                 ? 'bg-slate-900 text-white' 
                 : 'bg-slate-100 text-slate-900'
             }`}>
               <div>{message.content}</div>
-              {message.processedInfo && (
+              {message.answer && <HistoryAnswer answer={message.answer} />}
+              {message.toolCalls && <ToolCallList calls={message.toolCalls} />}
+              {message.context && <ContextDebug context={message.context} />}
+              {message.proposals?.length > 0 && <ProposalReview threadId={active.id} message={message} />}
+              {message.processedInfo && !message.proposals && (
                 <div className="mt-2 text-xs opacity-70">
                   📋 Detected: {Object.keys(message.processedInfo).join(', ')}
                 </div>
               )}
-              <div className="mt-1 text-xs opacity-50">
-                {message.timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
-              </div>
+              {(message.failed || message.stopped) && (
+                <div className="mt-1 flex items-center gap-2 text-xs">
+                  <span className={message.failed ? "text-red-600" : "text-slate-500"} title={message.failed}>{message.failed ? "⚠️ Failed" : "Stopped"}</span>
+                  {message.replyTo && !pending && (
+                    <button onClick={() => retry(message)} className="font-semibold text-indigo-700 hover:underline">Retry</button>
+                  )}
+                </div>
+              )}
+              {message.fallbackReason && (
+                <div className="mt-1 text-xs text-amber-700" title={message.fallbackReason}>⚠️ Model unavailable — answered by the {message.provider}</div>
+              )}
+              {message.at && (
+                <div className="mt-1 text-xs opacity-50">
+                  {new Date(message.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                  {message.provider && !message.fallbackReason && ` • ${message.provider}`}
+                </div>
+              )}
             </div>
           </div>
         ))}
-        {isProcessing && (
+        {pending && (!pending.threadId || pending.threadId === active?.id) && (
           <div className="flex justify-start">
-            <div className="bg-slate-100 text-slate-900 rounded-lg px-3 py-2 text-sm">
-              <div className="flex items-center gap-2">
-                <div className="animate-spin h-3 w-3 border border-slate-600 border-t-transparent rounded-full"></div>
-                Processing...
-              </div>
+            <div className="max-w-[80%] bg-slate-100 text-slate-900 rounded-lg px-3 py-2 text-sm">
+              {pending.content ? (
+                <div>{pending.content}<span className="ml-0.5 animate-pulse">▍</span></div>
+              ) : (
+                <div className="flex items-center gap-2">
+                  <div className="animate-spin h-3 w-3 border border-slate-600 border-t-transparent rounded-full"></div>
+                  Processing...
+                </div>
+              )}
             </div>
           </div>
         )}
+        {queued.map((text, i) => (
+          <div key={i} className="flex justify-end">
+            <div className="max-w-[80%] rounded-lg border border-dashed border-slate-400 px-3 py-2 text-sm text-slate-700">
+              <div>{text}</div>
+              <div className="mt-1 flex items-center gap-2 text-xs text-slate-500">
+                <span>Queued — sends after this reply</span>
+                <button type="button" onClick={() => setQueued((q) => q.filter((_, j) => j !== i))} className="font-semibold text-indigo-700 hover:underline">Cancel</button>
+              </div>
+            </div>
+          </div>
+        ))}
       </div>
         
       <form onSubmit={handleSubmit} className="flex gap-2">
@@ -1197,139 +6490,127 @@ function AIChatbot({ onProcess }) {
           value={input} 
           onChange={(e) => setInput(e.target.value)} 
           placeholder="Tell me about your day, goals, or challenges..." 
-          disabled={isProcessing}
         />
-        <Button 
-          type="submit" 
-          disabled={isProcessing || !input.trim()}
-          className="bg-gradient-to-r from-indigo-500 to-emerald-500 text-white hover:from-indigo-600 hover:to-emerald-600 disabled:opacity-50"
-        >
-          Send
-        </Button>
+        {pending ? (
+          <Button onClick={() => pending.controller?.abort()} className="border border-slate-300 bg-white text-slate-900">
+            Stop
+          </Button>
+        ) : (
+          <Button 
+            type="submit" 
+            disabled={!input.trim()}
+            className="bg-gradient-to-r from-indigo-500 to-emerald-500 text-white hover:from-indigo-600 hover:to-emerald-600 disabled:opacity-50"
+          >
+            Send
+          </Button>
+        )}
       </form>
     </Card>
   );
 }
 
-// Simulate AI processing - in real implementation, this would integrate with OpenAI, Anthropic, or similar
-async function simulateAIProcessing(text) {
-  // Simulate API delay
-  await new Promise(resolve => setTimeout(resolve, 1500 + Math.random() * 1000));
-  
-  const extractedData = {
-    tasks: [],
-    habits: {},
-    mood: "neutral",
-    insights: [],
-    paraCategory: null,
-    scheduledItems: []
-  };
-
-  const responses = [
-    "I've analyzed your input and organized the information. Let me break down what I found:",
-    "Great! I've processed your message and extracted key information for your dashboard.",
-    "Thanks for sharing that with me! Here's how I've organized what you told me:",
-    "I've captured the important details and structured them for your Life OS.",
-  ];
+function ChatThreadList() {
+  const { threads, active, select } = useChatThreads();
+  const [query, setQuery] = useState("");
+  const results = useMemo(() => searchChatThreads(threads, query), [threads, query]);
 
-  // Basic keyword detection for demo purposes
-  const lowerText = text.toLowerCase();
-  
-  if (lowerText.includes('wake') || lowerText.includes('morning')) {
-    const timeMatch = text.match(/(\d{1,2}:\d{2}|\d{1,2}\s*am|\d{1,2}\s*pm)/i);
-    if (timeMatch) {
-      extractedData.habits.wakeTime = timeMatch[1];
-      extractedData.insights.push(`Wake time noted: ${timeMatch[1]}`);
-    }
-  }
-  
-  if (lowerText.includes('workout') || lowerText.includes('exercise') || lowerText.includes('gym')) {
-    extractedData.habits.workoutIntended = true;
-    extractedData.insights.push("Workout activity detected");
-  }
-  
-  if (lowerText.includes('task') || lowerText.includes('todo') || lowerText.includes('need to')) {
-    // Extract potential tasks (simplified)
-    const taskKeywords = ['finish', 'complete', 'start', 'work on', 'prepare'];
-    taskKeywords.forEach(keyword => {
-      if (lowerText.includes(keyword)) {
-        extractedData.tasks.push({ text: `Complete task related to: ${keyword}`, category: 'Projects' });
-      }
-    });
-  }
-  
-  if (lowerText.includes('learn') || lowerText.includes('study') || lowerText.includes('research')) {
-    extractedData.paraCategory = PARA_CATEGORIES.RESOURCES;
-    extractedData.insights.push("Learning activity detected - categorized under Resources");
-  }
-  
-  if (lowerText.includes('project') || lowerText.includes('deadline') || lowerText.includes('deliver')) {
-    extractedData.paraCategory = PARA_CATEGORIES.PROJECTS;
-    extractedData.insights.push("Project-related activity detected");
+  async function remove(thread) {
+    if (!window.confirm(`Delete the conversation "${thread.title}"?`)) return;
+    await deleteChatThread(thread.id);
+    if (active?.id === thread.id) await select(null);
   }
-  
-  // Mood detection
-  if (lowerText.includes('stressed') || lowerText.includes('overwhelmed') || lowerText.includes('tired')) {
-    extractedData.mood = "low";
-  } else if (lowerText.includes('excited') || lowerText.includes('great') || lowerText.includes('awesome')) {
-    extractedData.mood = "high";
+
+  function exportAll() {
+    const files = sortedChatThreads(threads).map((thread) => ({ name: `FlowState Chats/${chatFileName(thread)}`, content: chatThreadToMarkdown(thread), date: thread.createdAt.slice(0, 10) }));
+    downloadFile(`flowstate-chats-${todayISO()}.zip`, createZip(files));
   }
 
-  const response = responses[Math.floor(Math.random() * responses.length)];
-  
-  return {
-    response,
-    extractedData
-  };
+  return (
+    <Card className="p-4 flex flex-col lg:h-[36rem]">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-slate-900">Conversations</h3>
+        <button onClick={() => select(null)} className="rounded-lg px-2 py-1 text-xs font-semibold text-indigo-700 hover:bg-indigo-50">+ New</button>
+      </div>
+      <Input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search conversations…" className="mt-3" />
+      <ul className="mt-3 flex-1 space-y-1 overflow-y-auto">
+        {results.map(({ thread, snippet }) => (
+          <li key={thread.id} className={`rounded-lg px-2 py-2 ${active?.id === thread.id ? "bg-slate-100" : "hover:bg-slate-50"}`}>
+            <button onClick={() => select(thread.id)} className="block w-full text-left">
+              <div className="truncate text-sm font-medium text-slate-900">{thread.title}</div>
+              <div className="mt-0.5 line-clamp-2 text-xs text-slate-500">
+                {snippet || `${thread.messages.length} messages • ${new Date(thread.updatedAt).toLocaleDateString()}`}
+              </div>
+            </button>
+            <div className="mt-1 flex gap-3 text-xs">
+              <button onClick={() => downloadFile(chatFileName(thread), chatThreadToMarkdown(thread), "text/markdown")} className="text-slate-500 hover:text-slate-900">Export</button>
+              <button onClick={() => remove(thread)} className="text-slate-400 hover:text-red-600">Delete</button>
+            </div>
+          </li>
+        ))}
+        {results.length === 0 && (
+          <li className="px-2 text-sm text-slate-500">{query ? "No conversation mentions that." : "Your conversations will be listed here."}</li>
+        )}
+      </ul>
+      {threads.length > 0 && (
+        <button onClick={exportAll} className="mt-3 text-xs text-slate-500 hover:text-slate-900">Export all as Markdown (zip)</button>
+      )}
+    </Card>
+  );
 }
 
 // ---------- FlowState Dashboard ----------
+// Manifesto and identity cards; also given to the model as context
+const MANIFESTO = [
+  { lead: "I honor my body", text: "with discipline, strength, and consistency." },
+  { lead: "I eliminate chaos", text: "and choose clarity, order, and focus." },
+  { lead: "I build FlowState", text: "not just as a product but as a philosophy for myself and others." },
+  { lead: "I expand my world", text: "through travel, adventure, connection, and deep friendships." },
+  { lead: "I choose excellence", text: "over comfort, and growth over avoidance." },
+  { lead: "I protect my peace", text: "and surround myself with aligned people." },
+  { lead: "I am becoming a high-value man", text: "physically, mentally, socially, and financially." },
+  { lead: "I live intentionally", text: "with purpose, passion, and direction." },
+];
+const IDENTITY_TRAITS = [
+  { lead: "I am Disciplined", text: "I show up, even when I don't feel like it." },
+  { lead: "I am Focused", text: "I give my energy only to what moves my life forward." },
+  { lead: "I am Strong", text: "physically, mentally, emotionally." },
+  { lead: "I am Intentional", text: "every action has a purpose." },
+  { lead: "I am Resilient", text: "setbacks sharpen me." },
+  { lead: "I am Evolving", text: "every day I upgrade myself." },
+  { lead: "I am High-Value", text: "I operate with standards, clarity, and self-respect." },
+  { lead: "I am the FlowState", text: "calm mind, structured life, powerful action." },
+];
+
 function FlowStateDashboard() {
-  const [theme, setTheme] = useState(() => {
-    if (typeof window !== 'undefined') {
-      const saved = localStorage.getItem('flowstate-theme');
-      return saved || 'light';
-    }
-    return 'light';
-  });
-  const [metrics, setMetrics] = useState(() => {
-    const defaults = {
-      weight: 79.4,
-      bodyFat: 28,
-      steps: 0,
-      stepsGoal: 15000,
-      calories: 0,
-      caloriesGoal: 1600,
-      water: 0,
-      waterGoal: 2.5
-    };
-    if (typeof window !== 'undefined') {
-      try {
-        const saved = localStorage.getItem('flowstate-metrics');
-        return saved ? JSON.parse(saved) : defaults;
-      } catch {
-        return defaults;
-      }
-    }
-    return defaults;
-  });
+  const [theme, setTheme] = useState('light');
+  const [metrics, setMetrics] = useState(DEFAULT_METRICS);
+  const [cheatDays, setCheatDays] = useState(CHEAT_DAYS);
+  const goals = useGoalProgress();
+
+  async function loadSettings() {
+    setTheme(await getSetting('theme', 'light'));
+    setMetrics({ ...DEFAULT_METRICS, ...(await getSetting('metrics', {})) });
+    setCheatDays(await loadCheatDays());
+  }
 
   useEffect(() => {
-    if (typeof window !== 'undefined') {
-      localStorage.setItem('flowstate-theme', theme);
-    }
-  }, [theme]);
+    loadSettings();
+  }, []);
+
+  useStorageChanges((change) => {
+    if ((change.type === 'setting' && !change.sameTab) || change.type === 'cheatDay') loadSettings();
+  }, []);
 
   const updateMetric = (key, value) => {
     const updated = { ...metrics, [key]: parseFloat(value) || 0 };
     setMetrics(updated);
-    if (typeof window !== 'undefined') {
-      localStorage.setItem('flowstate-metrics', JSON.stringify(updated));
-    }
+    setSetting('metrics', updated);
   };
 
   const toggleTheme = () => {
-    setTheme(prev => prev === 'light' ? 'dark' : 'light');
+    const next = theme === 'light' ? 'dark' : 'light';
+    setTheme(next);
+    setSetting('theme', next);
   };
 
   const isDark = theme === 'dark';
@@ -1444,14 +6725,13 @@ function FlowStateDashboard() {
           <div className={`rounded-2xl border shadow-sm backdrop-blur p-6 ${cardBgClass}`}>
             <h3 className={`text-lg font-semibold mb-4 ${textClass}`}>Daily Routine</h3>
             <ul className={`space-y-2 text-sm ${textClass}`}>
-              <li>7:00 AM – Wake</li>
-              <li>7:30 AM – Walk</li>
-              <li>8:30 AM – Breakfast</li>
-              <li>9:00–12:00 – Focus Work</li>
-              <li>4:00 PM – Workout</li>
-              <li>7:00 PM – Dinner</li>
-              <li>11:00 PM – Sleep</li>
+              {DAILY_ROUTINE.map((item) => (
+                <li key={item.id}>{item.end ? `${formatTime12(item.start)}–${formatTime12(item.end)}` : formatTime12(item.start)} – {item.title}</li>
+              ))}
             </ul>
+            <div className={`mt-4 text-xs ${textMutedClass}`}>
+              📅 Subscribe in your calendar app: <code className="break-all">{typeof window !== 'undefined' ? `${window.location.origin}/flowstate.ics` : '/flowstate.ics'}</code>
+            </div>
           </div>
 
           {/* Card 3 - Life Admin */}
@@ -1482,9 +6762,9 @@ function FlowStateDashboard() {
           <div className={`rounded-2xl border shadow-sm backdrop-blur p-6 ${cardBgClass}`}>
             <h3 className={`text-lg font-semibold mb-4 ${textClass}`}>Goals</h3>
             <ul className={`space-y-2 text-sm ${textClass}`}>
-              <li>• Bali Body by Dec 24</li>
-              <li>• 6-Pack by Birthday</li>
-              <li>• Life Clean-Up</li>
+              {goals.map(({ goal, progress }) => (
+                <li key={goal.id}>• {goal.title}{goal.targetDate && ` by ${formatShortDate(goal.targetDate)}`}{progress.percent != null && <span className={textMutedClass}> — {progress.percent}%</span>}</li>
+              ))}
             </ul>
           </div>
 
@@ -1492,11 +6772,9 @@ function FlowStateDashboard() {
           <div className={`rounded-2xl border shadow-sm backdrop-blur p-6 ${cardBgClass}`}>
             <h3 className={`text-lg font-semibold mb-4 ${textClass}`}>Cheat Day Calendar</h3>
             <ul className={`space-y-2 text-sm ${textClass}`}>
-              <li>• Dec 30 – Lunch</li>
-              <li>• Dec 30 – Dinner + Drinks</li>
-              <li>• Jan 6 – Dinner</li>
-              <li>• Jan 13 – Dinner</li>
-              <li>• Jan 20 – Lunch/Dinner</li>
+              {cheatDays.map((c) => (
+                <li key={`${c.date}-${c.meal}`}>• {formatShortDate(c.date)} – {c.label}</li>
+              ))}
             </ul>
           </div>
 
@@ -1507,14 +6785,7 @@ function FlowStateDashboard() {
               I am the architect of my life. I design my identity daily.
             </p>
             <ul className={`space-y-2 text-sm ${textClass} list-disc pl-5`} style={{lineHeight: '1.6'}}>
-              <li><strong>I honor my body</strong> with discipline, strength, and consistency.</li>
-              <li><strong>I eliminate chaos</strong> and choose clarity, order, and focus.</li>
-              <li><strong>I build FlowState</strong> not just as a product but as a philosophy for myself and others.</li>
-              <li><strong>I expand my world</strong> through travel, adventure, connection, and deep friendships.</li>
-              <li><strong>I choose excellence</strong> over comfort, and growth over avoidance.</li>
-              <li><strong>I protect my peace</strong> and surround myself with aligned people.</li>
-              <li><strong>I am becoming a high-value man</strong> physically, mentally, socially, and financially.</li>
-              <li><strong>I live intentionally</strong> with purpose, passion, and direction.</li>
+              {MANIFESTO.map(({ lead, text }) => <li key={lead}><strong>{lead}</strong> {text}</li>)}
             </ul>
             <p className={`mt-5 text-center italic font-semibold ${textClass}`}>
               "My future self is watching. I will make him proud."
@@ -1528,14 +6799,7 @@ function FlowStateDashboard() {
               These are the traits I embody daily:
             </p>
             <ul className={`space-y-2 text-sm ${textClass} list-disc pl-5`} style={{lineHeight: '1.6'}}>
-              <li><strong>I am Disciplined</strong> — I show up, even when I don't feel like it.</li>
-              <li><strong>I am Focused</strong> — I give my energy only to what moves my life forward.</li>
-              <li><strong>I am Strong</strong> — physically, mentally, emotionally.</li>
-              <li><strong>I am Intentional</strong> — every action has a purpose.</li>
-              <li><strong>I am Resilient</strong> — setbacks sharpen me.</li>
-              <li><strong>I am Evolving</strong> — every day I upgrade myself.</li>
-              <li><strong>I am High-Value</strong> — I operate with standards, clarity, and self-respect.</li>
-              <li><strong>I am the FlowState</strong> — calm mind, structured life, powerful action.</li>
+              {IDENTITY_TRAITS.map(({ lead, text }) => <li key={lead}><strong>{lead}</strong> — {text}</li>)}
             </ul>
           </div>
 
@@ -1653,6 +6917,233 @@ function FlowStateDashboard() {
 }
 
 // ---------- App Shell ----------
+const SYNC_BADGES = {
+  synced: { label: "Synced", className: "bg-emerald-50 text-emerald-700 border-emerald-200" },
+  syncing: { label: "Syncing…", className: "bg-blue-50 text-blue-700 border-blue-200" },
+  pending: { label: "Pending", className: "bg-amber-50 text-amber-700 border-amber-200" },
+  offline: { label: "Offline", className: "bg-slate-100 text-slate-700 border-slate-300" },
+  error: { label: "Sync failed", className: "bg-red-50 text-red-700 border-red-200" },
+};
+
+function SyncStatusBadge() {
+  const { status, pending, parked, error } = useSyncStatus();
+  if (storage.name !== "supabase") return null;
+  const badge = SYNC_BADGES[status] || SYNC_BADGES.pending;
+  const tip = parked ? `${parked} change(s) rejected by Supabase: ${error} — click to retry`
+    : pending ? `${pending} change(s) waiting to sync — click to retry`
+    : "All changes saved to Supabase";
+  return (
+    <div className="inline-flex items-center gap-1">
+      <Tooltip content={tip} position="bottom">
+        <button
+          onClick={() => flushOutbox({ includeParked: true })}
+          className={`inline-flex items-center gap-1.5 rounded-full border px-2.5 py-1 text-xs font-medium ${badge.className}`}
+        >
+          <span className={`h-2 w-2 rounded-full bg-current ${status === "syncing" ? "animate-pulse" : ""}`} />
+          {badge.label}{pending + parked > 0 && status !== "synced" ? ` · ${pending + parked}` : ""}
+        </button>
+      </Tooltip>
+      {parked > 0 && (
+        <button
+          onClick={() => { if (window.confirm(`Discard ${parked} change(s) Supabase rejected? They stay on this device until the next sync.`)) discardParkedEntries(); }}
+          title={error || ""}
+          className="text-xs text-red-600 hover:text-red-800"
+        >
+          Discard
+        </button>
+      )}
+    </div>
+  );
+}
+
+function SignIn() {
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null); // { kind: 'error' | 'info', text }
+
+  async function run(action) {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await action();
+    } catch (e) {
+      setMessage({ kind: "error", text: e.message || "Something went wrong." });
+    }
+    setBusy(false);
+  }
+
+  return (
+    <Container className="py-16">
+      <Card className="mx-auto max-w-md p-8">
+        <h2 className="text-2xl font-bold text-slate-900">Sign in to FlowState</h2>
+        <p className="mt-1 text-sm text-slate-600">Your days and P.A.R.A. items are private to your account.</p>
+        <form onSubmit={(e) => { e.preventDefault(); run(() => signInWithPassword(email, password)); }} className="mt-6 space-y-3">
+          <Input type="email" required value={email} onChange={(e) => setEmail(e.target.value)} placeholder="you@example.com" />
+          <Input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="Password" />
+          <div className="flex gap-2">
+            <Button type="submit" className="flex-1 bg-slate-900 text-white hover:bg-slate-800">{busy ? "Working…" : "Sign in"}</Button>
+            <Button
+              onClick={() => run(async () => {
+                const result = await signUpWithPassword(email, password);
+                if (result === "confirm-email") setMessage({ kind: "info", text: "Check your inbox to confirm your account." });
+              })}
+              className="flex-1 border border-slate-300 bg-white text-slate-900"
+            >
+              Create account
+            </Button>
+          </div>
+        </form>
+        <div className="mt-4 border-t border-slate-200 pt-4">
+          <Button
+            onClick={() => run(async () => {
+              if (!email) throw new Error("Enter your email first.");
+              await sendMagicLink(email);
+              setMessage({ kind: "info", text: `Magic link sent to ${email}.` });
+            })}
+            className="w-full bg-gradient-to-r from-indigo-500 to-emerald-500 text-white hover:from-indigo-600 hover:to-emerald-600"
+          >
+            ✉️ Email me a magic link
+          </Button>
+        </div>
+        {message && (
+          <p className={`mt-4 text-sm ${message.kind === "error" ? "text-red-600" : "text-emerald-700"}`}>{message.text}</p>
+        )}
+      </Card>
+    </Container>
+  );
+}
+
+// Local backends have no accounts, so the gate only applies to Supabase
+function AuthGate({ children }) {
+  const { user, loading } = useAuth();
+  if (storage.name !== "supabase") return children;
+  if (loading) {
+    return (
+      <Container className="py-10">
+        <div className="animate-pulse text-slate-500">Checking your session…</div>
+      </Container>
+    );
+  }
+  return user ? children : <SignIn />;
+}
+
+function AccountMenu() {
+  const { user } = useAuth();
+  if (storage.name !== "supabase" || !user) return null;
+  return (
+    <div className="flex items-center gap-2">
+      <span className="hidden md:inline text-xs text-slate-500 max-w-[10rem] truncate" title={user.email}>{user.email}</span>
+      <button onClick={() => signOut().catch((e) => {
+        if (!(e instanceof UnsyncedChangesError)) return console.warn("Sign out failed", e);
+        if (window.confirm(`${e.message}. Signing out removes them from this device. Sign out anyway?`)) signOut({ force: true }).catch((err) => console.warn("Sign out failed", err));
+      })} className="rounded-lg px-3 py-2 text-xs font-semibold text-slate-600 hover:bg-slate-100">
+        Sign out
+      </button>
+    </div>
+  );
+}
+
+function UnlockVaultForm({ onDone }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function submit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      await unlockVault(passphrase);
+      onDone?.();
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(false);
+  }
+
+  return (
+    <form onSubmit={submit} className="space-y-3">
+      <Input type="password" autoFocus required value={passphrase} onChange={(e) => setPassphrase(e.target.value)} placeholder="Passphrase" aria-label="Vault passphrase" />
+      <Button type="submit" className="w-full bg-slate-900 text-white hover:bg-slate-800">{busy ? "Unlocking…" : "Unlock"}</Button>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </form>
+  );
+}
+
+// Shows the unlock form instead of any page that reads stored data while the vault is locked
+function VaultGate({ children }) {
+  const { enabled, unlocked } = useVault();
+  if (!enabled || unlocked) return children;
+  return (
+    <Container className="py-16">
+      <Card className="mx-auto max-w-md p-8">
+        <h2 className="text-2xl font-bold text-slate-900">🔒 FlowState is locked</h2>
+        <p className="mt-1 mb-6 text-sm text-slate-600">Your data on this device is encrypted. Enter your passphrase to open it.</p>
+        <UnlockVaultForm />
+      </Card>
+    </Container>
+  );
+}
+
+function VaultMenu() {
+  const { enabled, unlocked } = useVault();
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState({ current: "", next: "", confirm: "" });
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null); // { kind: 'error' | 'info', text }
+  const field = (name) => ({ type: "password", value: form[name], onChange: (e) => setForm({ ...form, [name]: e.target.value }) });
+
+  async function run(action, done) {
+    setBusy(true);
+    setMessage(null);
+    try {
+      if (form.next !== form.confirm) throw new Error("The passphrases don't match.");
+      await action();
+      setForm({ current: "", next: "", confirm: "" });
+      setMessage({ kind: "info", text: done });
+    } catch (e) {
+      setMessage({ kind: "error", text: e.message });
+    }
+    setBusy(false);
+  }
+
+  const label = !enabled ? "🔓 Encrypt" : unlocked ? "🔐 Vault" : "🔒 Locked";
+  return (
+    <div className="relative">
+      <button onClick={() => { setOpen(!open); setMessage(null); }} className="rounded-lg px-3 py-2 text-xs font-semibold text-slate-600 hover:bg-slate-100">{label}</button>
+      {open && (
+        <div className="absolute right-0 top-full mt-2 w-72 rounded-xl border border-slate-200 bg-white p-4 shadow-lg">
+          {!enabled && (
+            <form onSubmit={(e) => { e.preventDefault(); run(() => enableVault(form.next), "Your data is now encrypted on this device."); }} className="space-y-2">
+              <p className="text-xs text-slate-600">Encrypt everything FlowState stores on this device. The passphrase can't be recovered — without it the data is lost.</p>
+              <Input {...field("next")} required placeholder="New passphrase" />
+              <Input {...field("confirm")} required placeholder="Repeat passphrase" />
+              <Button type="submit" className="w-full bg-slate-900 text-white hover:bg-slate-800 text-xs">{busy ? "Encrypting…" : "Encrypt my data"}</Button>
+            </form>
+          )}
+          {enabled && !unlocked && <UnlockVaultForm onDone={() => setOpen(false)} />}
+          {enabled && unlocked && (
+            <div className="space-y-3">
+              <Button onClick={() => { lockVault(); setOpen(false); }} className="w-full bg-slate-900 text-white hover:bg-slate-800 text-xs">Lock now</Button>
+              <form onSubmit={(e) => { e.preventDefault(); run(() => changeVaultPassphrase(form.current, form.next), "Passphrase changed."); }} className="space-y-2 border-t border-slate-200 pt-3">
+                <div className="text-xs font-semibold text-slate-700">Change passphrase</div>
+                <Input {...field("current")} required placeholder="Current passphrase" />
+                <Input {...field("next")} required placeholder="New passphrase" />
+                <Input {...field("confirm")} required placeholder="Repeat new passphrase" />
+                <Button type="submit" className="w-full border border-slate-300 bg-white text-slate-900 text-xs">{busy ? "Re-encrypting…" : "Change passphrase"}</Button>
+              </form>
+            </div>
+          )}
+          {message && (
+            <p className={`mt-3 text-xs ${message.kind === "error" ? "text-red-600" : "text-emerald-700"}`}>{message.text}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
 function Nav({ active, setActive }) {
   return (
     <header className="sticky top-0 z-30 w-full border-b border-slate-200 bg-white/80 backdrop-blur">
@@ -1667,6 +7158,7 @@ function Nav({ active, setActive }) {
               <span className="text-xs text-slate-500 -mt-1">AI Life Assistant</span>
             </div>
           </div>
+          <SyncStatusBadge />
         </div>
         <nav className="flex items-center gap-2" data-tour="navigation">
           {[
@@ -1685,22 +7177,128 @@ function Nav({ active, setActive }) {
               </button>
             </Tooltip>
           ))}
+          <VaultMenu />
+          <AccountMenu />
         </nav>
       </Container>
     </header>
   );
 }
 
+function AISettingsCard() {
+  const [form, setForm] = useState({ baseUrl: "", model: "", apiKey: "" });
+  const [active, setActive] = useState(null); // resolved config in use
+  const [message, setMessage] = useState(null); // { kind: 'error' | 'info', text }
+  const [busy, setBusy] = useState(false);
+  const [trusted, setTrusted] = useState([]); // auto-accepted groups of proposed changes
+  const [dryRun, setDryRun] = useState(false);
+
+  async function load() {
+    setForm({ baseUrl: "", model: "", apiKey: "", ...((await getSetting(AI_SETTINGS_KEY, {})) || {}) });
+    setActive(await loadAIConfig());
+    setTrusted((await getSetting(AUTO_ACCEPT_SETTING, [])) || []);
+    setDryRun(Boolean(await getSetting(AI_DRY_RUN_SETTING, false)));
+  }
+
+  async function toggleDryRun() {
+    setDryRun(!dryRun);
+    await setSetting(AI_DRY_RUN_SETTING, !dryRun);
+  }
+
+  async function toggleTrusted(group) {
+    const next = trusted.includes(group) ? trusted.filter((g) => g !== group) : [...trusted, group];
+    setTrusted(next);
+    await setSetting(AUTO_ACCEPT_SETTING, next);
+  }
+
+  useEffect(() => {
+    load().catch((e) => console.warn("Could not load AI settings", e));
+  }, []);
+
+  async function save(e) {
+    e.preventDefault();
+    await setSetting(AI_SETTINGS_KEY, form);
+    await load();
+    setMessage({ kind: "info", text: "Saved." });
+  }
+
+  async function test() {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const config = Object.fromEntries(Object.entries(AI_ENV_CONFIG).map(([key, value]) => [key, form[key] || value]));
+      if (!config.baseUrl || !config.model) throw new Error("Set a base URL and model first.");
+      const { response } = await openAICompatibleProvider(config).chat({ text: "Say hello in one short sentence." });
+      setMessage({ kind: "info", text: `✓ ${config.model}: ${response}` });
+    } catch (err) {
+      setMessage({ kind: "error", text: err.message });
+    }
+    setBusy(false);
+  }
+
+  const field = (key) => ({ value: form[key], onChange: (e) => setForm({ ...form, [key]: e.target.value }) });
+  return (
+    <Card className="p-6">
+      <div className="flex items-center gap-3 mb-2">
+        <div className="text-2xl">⚙️</div>
+        <h3 className="text-lg font-bold text-slate-900">AI Model</h3>
+      </div>
+      <p className="text-sm text-slate-600">
+        Using {active?.baseUrl && active?.model ? <span className="font-semibold">{active.model}</span> : "the built-in extractor"}.
+        Point it at any OpenAI-compatible endpoint (OpenAI, a local Ollama/LM Studio server, or a mock). Empty fields use the VITE_AI_* defaults.
+      </p>
+      <form onSubmit={save} className="mt-4 space-y-2">
+        <Input {...field("baseUrl")} placeholder={AI_ENV_CONFIG.baseUrl || "https://api.openai.com/v1"} aria-label="Base URL" />
+        <Input {...field("model")} placeholder={AI_ENV_CONFIG.model || "Model, e.g. gpt-4o-mini"} aria-label="Model" />
+        <Input {...field("apiKey")} type="password" placeholder={AI_ENV_CONFIG.apiKey ? "API key (from env)" : "API key (optional)"} aria-label="API key" />
+        <div className="flex gap-2">
+          <Button type="submit" className="flex-1 bg-slate-900 text-white hover:bg-slate-800 text-xs">Save</Button>
+          <Button onClick={test} className="flex-1 border border-slate-300 bg-white text-slate-900 text-xs">{busy ? "Testing…" : "Test connection"}</Button>
+        </div>
+      </form>
+      {message && (
+        <p className={`mt-3 text-xs break-words ${message.kind === "error" ? "text-red-600" : "text-emerald-700"}`}>{message.text}</p>
+      )}
+      <div className="mt-4 border-t border-slate-100 pt-3">
+        <div className="text-xs font-semibold text-slate-700">Save without asking</div>
+        <p className="mt-0.5 text-xs text-slate-500">Other changes the assistant proposes wait for you to accept them in the chat.</p>
+        <div className="mt-2 grid grid-cols-2 gap-1">
+          {Object.entries(AUTO_ACCEPT_GROUPS).map(([group, label]) => (
+            <label key={group} className="flex items-center gap-2 text-xs text-slate-700">
+              <input type="checkbox" checked={trusted.includes(group)} onChange={() => toggleTrusted(group)} />
+              {label}
+            </label>
+          ))}
+        </div>
+      </div>
+      <div className="mt-4 border-t border-slate-100 pt-3">
+        <label className="flex items-center gap-2 text-xs font-semibold text-slate-700">
+          <input type="checkbox" checked={dryRun} onChange={toggleDryRun} />
+          Dry run for actions
+        </label>
+        <p className="mt-0.5 text-xs text-slate-500">
+          Actions the assistant takes when you ask for them (logging a wake time, moving an item, scheduling a cheat day…) run right away: unlike proposed changes, they don't wait for you to accept them. With dry run on they are only listed in the chat.
+        </p>
+      </div>
+    </Card>
+  );
+}
+
 function AIAssistant() {
+  const people = usePeople();
   return (
     <Container className="py-10">
-      <div className="max-w-5xl mx-auto">
+      <div className="max-w-7xl mx-auto">
         <div className="mb-8 text-center">
           <h1 className="text-4xl font-bold text-slate-900 mb-3">🤖 Your AI Life Assistant</h1>
           <p className="text-lg text-slate-600">Chat naturally — I'll remember and organize everything for you!</p>
         </div>
         
-        <div className="grid gap-8 lg:grid-cols-5">
+        <div className="grid gap-8 lg:grid-cols-7">
+          <div className="lg:col-span-2">
+            <ChatThreadList />
+          </div>
+
           <div className="lg:col-span-3">
             <AIChatbot onProcess={(processedData) => {
               console.log("AI Processed Data:", processedData);
@@ -1708,6 +7306,8 @@ function AIAssistant() {
           </div>
           
           <div className="lg:col-span-2 space-y-6">
+            <AISettingsCard />
+
             <Card className="p-6">
               <div className="flex items-center gap-3 mb-4">
                 <div className="text-2xl">💬</div>
@@ -1760,7 +7360,11 @@ function AIAssistant() {
                   <span className="text-emerald-500 text-xs mt-1">✓</span>
                   <div>
                     <p className="font-medium">Important Details</p>
-                    <p className="text-slate-500">Personal info, preferences</p>
+                    <p className="text-slate-500">
+                      {people.length > 0
+                        ? `${people.map((p) => p.name).sort().slice(0, 3).join(", ")}${people.length > 3 ? ` and ${people.length - 3} more` : ""} — preferences and dates`
+                        : "Personal info, preferences"}
+                    </p>
                   </div>
                 </li>
               </ul>
@@ -1783,6 +7387,9 @@ function AIAssistant() {
   );
 }
 
+// Helpers without UI of their own; the Playwright specs call them in the page through import("/src/App.jsx")
+export { daysToCSV, csvToDays, parseImportFile, toClock, parseTimeOfDay, parseDayReference, extractMeals, extractPeople, extractHeuristically, isPureQuestion };
+
 export default function App() {
   const [active, setActive] = useState("landing");
   const [aiProcessedData, setAiProcessedData] = useState(null);
@@ -1839,12 +7446,18 @@ export default function App() {
           onStartTour={startTour}
           onStartChatting={startChatting}
         />
-      ) : active === "dashboard" ? (
-        <Dashboard aiProcessedData={aiProcessedData} setAiProcessedData={setAiProcessedData} setActive={setActive} />
-      ) : active === "lifeos" ? (
-        <FlowStateDashboard />
       ) : (
-        <AIAssistant />
+        <VaultGate>
+          <AuthGate>
+            {active === "dashboard" ? (
+              <Dashboard aiProcessedData={aiProcessedData} setAiProcessedData={setAiProcessedData} setActive={setActive} />
+            ) : active === "lifeos" ? (
+              <FlowStateDashboard />
+            ) : (
+              <AIAssistant />
+            )}
+          </AuthGate>
+        </VaultGate>
       )}
       
       <AppTour 
@@ -0,0 +1,445 @@
+/**
+ * FlowState calendar – routine data, RFC 5545 (.ics) generation and parsing of imported calendars.
+ * Plain JS (no JSX, no import.meta) so vite.config.js can build the static /flowstate.ics feed
+ * from the same data the app renders.
+ */
+
+export const DEFAULT_GOALS = {
+  wakeGoal: "07:00",
+  workoutGoal: "19:00",
+  lunchTime: "13:30",
+  dinnerTime: "21:00",
+};
+
+// Daily Routine card; `end` is optional (events default to 30 minutes)
+export const DAILY_ROUTINE = [
+  { id: "wake", title: "Wake", start: "07:00" },
+  { id: "walk", title: "Walk", start: "07:30" },
+  { id: "breakfast", title: "Breakfast", start: "08:30" },
+  { id: "focus-work", title: "Focus Work", start: "09:00", end: "12:00" },
+  { id: "workout", title: "Workout", start: "16:00" },
+  { id: "dinner", title: "Dinner", start: "19:00" },
+  { id: "sleep", title: "Sleep", start: "23:00" },
+];
+
+// Cheat Day Calendar card; `meal` picks the time from the goals, null means the whole day
+export const CHEAT_DAYS = [
+  { date: "2025-12-30", meal: "lunch", label: "Lunch" },
+  { date: "2025-12-30", meal: "dinner", label: "Dinner + Drinks" },
+  { date: "2026-01-06", meal: "dinner", label: "Dinner" },
+  { date: "2026-01-13", meal: "dinner", label: "Dinner" },
+  { date: "2026-01-20", meal: null, label: "Lunch/Dinner" },
+];
+
+const UID_DOMAIN = "theflowstateapp.com";
+const DEFAULT_DURATION_MINUTES = 30;
+
+// "07:30" -> "7:30 AM"
+export function formatTime12(t) {
+  const [h, m] = t.split(":").map(Number);
+  return `${h % 12 || 12}:${String(m).padStart(2, "0")} ${h < 12 ? "AM" : "PM"}`;
+}
+
+// "2025-12-30" -> "Dec 30"
+export function formatShortDate(iso) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).toLocaleDateString("en-US", { month: "short", day: "numeric", timeZone: "UTC" });
+}
+
+const slug = (s) => String(s).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+// Text values escape backslash, semicolon, comma and newlines (RFC 5545 §3.3.11)
+function escapeText(s) {
+  return String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// Content lines are folded at 75 octets with CRLF + space (RFC 5545 §3.1)
+function foldLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const chSize = new TextEncoder().encode(ch).length;
+    if (size + chSize > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += chSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+const compactDate = (iso) => iso.replace(/-/g, "");
+// Floating local time: the event happens at that wall-clock time in whatever zone the calendar is in
+const localDateTime = (iso, time) => `${compactDate(iso)}T${time.replace(":", "")}00`;
+const utcStamp = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+function addMinutes(time, minutes) {
+  const [h, m] = time.split(":").map(Number);
+  const total = Math.min(h * 60 + m + minutes, 23 * 60 + 59);
+  return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+}
+
+function nextDay(iso) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+}
+
+function vevent({ uid, summary, date, start, end, rrule, categories, description, stamp }) {
+  const lines = ["BEGIN:VEVENT", `UID:${uid}@${UID_DOMAIN}`, `DTSTAMP:${stamp}`];
+  if (start) {
+    lines.push(`DTSTART:${localDateTime(date, start)}`, `DTEND:${localDateTime(date, end || addMinutes(start, DEFAULT_DURATION_MINUTES))}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${compactDate(date)}`, `DTEND;VALUE=DATE:${compactDate(nextDay(date))}`);
+  }
+  if (rrule) lines.push(`RRULE:${rrule}`);
+  lines.push(`SUMMARY:${escapeText(summary)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (categories) lines.push(`CATEGORIES:${escapeText(categories)}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * Builds a VCALENDAR with:
+ *  - a daily recurring event per routine entry and for the workout/lunch/dinner goals,
+ *  - one-off events for cheat days,
+ *  - one-off events for `scheduledItems` the AI extracted into stored days.
+ * UIDs are derived from the data, so re-importing or refreshing a subscription updates events
+ * instead of duplicating them.
+ */
+export function buildCalendar({
+  goals = DEFAULT_GOALS,
+  routine = DAILY_ROUTINE,
+  cheatDays = CHEAT_DAYS,
+  days = {},
+  startDate = new Date().toISOString().slice(0, 10),
+  now = new Date(),
+} = {}) {
+  const stamp = utcStamp(now);
+  const events = [];
+
+  routine.forEach((item) => {
+    events.push(vevent({ uid: `routine-${item.id}`, summary: item.title, date: startDate, start: item.start, end: item.end, rrule: "FREQ=DAILY", categories: "Routine", stamp }));
+  });
+
+  [["workout", "Workout", goals.workoutGoal], ["lunch", "Lunch", goals.lunchTime], ["dinner", "Dinner", goals.dinnerTime]]
+    .filter(([, , time]) => time)
+    .forEach(([id, title, time]) => {
+      events.push(vevent({ uid: `goal-${id}`, summary: `${title} (goal)`, date: startDate, start: time, rrule: "FREQ=DAILY", categories: "Goals", stamp }));
+    });
+
+  cheatDays.forEach((c) => {
+    const time = c.meal === "lunch" ? goals.lunchTime : c.meal === "dinner" ? goals.dinnerTime : null;
+    events.push(vevent({ uid: `cheat-${c.date}-${c.meal || "day"}`, summary: `Cheat meal: ${c.label}`, date: c.date, start: time, end: time ? addMinutes(time, 90) : null, categories: "Cheat Day", stamp }));
+  });
+
+  Object.keys(days).sort().forEach((date) => {
+    (days[date]?.scheduledItems || []).forEach((item) => {
+      events.push(vevent({
+        uid: `item-${date}-${slug(item.title)}-${(item.time || "day").replace(":", "")}`,
+        summary: item.title,
+        date,
+        start: item.time || null,
+        end: item.time ? addMinutes(item.time, 60) : null,
+        categories: "FlowState",
+        description: "Captured from a FlowState chat",
+        stamp,
+      }));
+    });
+  });
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//FlowState//FlowState Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:FlowState",
+    ...events.flat(),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// ---------- Import ----------
+/**
+ * Parses VEVENTs out of an .ics file. Date-times keep their wall-clock value plus the zone they
+ * are expressed in ({ date, time, tz } with tz = "UTC", an IANA/Windows TZID, or null for floating
+ * and all-day values); calendarEventsOn turns them into local occurrences.
+ */
+export function parseICS(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const events = [];
+  let name = null;
+  let event = null;
+  let nested = 0; // VALARM and friends inside a VEVENT
+
+  lines.forEach((line) => {
+    if (!line) return;
+    const prop = parseContentLine(line);
+    if (!prop) return;
+    if (prop.name === "BEGIN") {
+      if (prop.value === "VEVENT") event = { exdates: [] };
+      else if (event) nested += 1;
+      return;
+    }
+    if (prop.name === "END") {
+      if (prop.value === "VEVENT" && event) {
+        if (event.start) events.push(event);
+        event = null;
+        nested = 0;
+      } else if (event) nested -= 1;
+      return;
+    }
+    if (!event) {
+      if (prop.name === "X-WR-CALNAME") name = unescapeText(prop.value);
+      return;
+    }
+    if (nested > 0) return;
+    switch (prop.name) {
+      case "UID": event.uid = prop.value; break;
+      case "SUMMARY": event.summary = unescapeText(prop.value); break;
+      case "LOCATION": event.location = unescapeText(prop.value); break;
+      case "STATUS": event.status = prop.value.toUpperCase(); break;
+      case "DTSTART": event.start = parseDateValue(prop); break;
+      case "DTEND": event.end = parseDateValue(prop); break;
+      case "DURATION": event.duration = parseDuration(prop.value); break;
+      case "RRULE": event.rrule = parseRRule(prop.value); break;
+      case "EXDATE": event.exdates.push(...prop.value.split(",").map((v) => parseDateValue({ ...prop, value: v }))); break;
+      case "RECURRENCE-ID": event.recurrenceId = parseDateValue(prop); break;
+      default: break;
+    }
+  });
+  return { name, events };
+}
+
+function parseContentLine(line) {
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i += 1) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ":" && !inQuotes) {
+      const [name, ...rawParams] = line.slice(0, i).split(";");
+      const params = Object.fromEntries(rawParams.map((p) => {
+        const [k, ...v] = p.split("=");
+        return [k.toUpperCase(), v.join("=").replace(/^"|"$/g, "")];
+      }));
+      return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+    }
+  }
+  return null;
+}
+
+function unescapeText(s) {
+  return s.replace(/\\([\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+function parseDateValue({ params = {}, value }) {
+  const m = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+  const date = `${m[1]}-${m[2]}-${m[3]}`;
+  if (!m[4]) return { date, time: null, tz: null };
+  return { date, time: `${m[4]}:${m[5]}:${m[6]}`, tz: m[7] ? "UTC" : params.TZID || null };
+}
+
+// ISO 8601 durations as used by RFC 5545: P1D, PT1H30M, P1W
+function parseDuration(value) {
+  const m = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return null;
+  const [w, d, h, mi, s] = m.slice(2).map((x) => Number(x || 0));
+  const ms = (((w * 7 + d) * 24 + h) * 60 + mi) * 60000 + s * 1000;
+  return m[1] === "-" ? -ms : ms;
+}
+
+function parseRRule(value) {
+  const rule = {};
+  value.split(";").forEach((part) => {
+    const [k, v] = part.split("=");
+    if (!k || v == null) return;
+    const key = k.toUpperCase();
+    if (key === "UNTIL") rule.until = parseDateValue({ value: v });
+    else if (key === "COUNT" || key === "INTERVAL") rule[key.toLowerCase()] = Number(v);
+    else if (key === "BYMONTHDAY" || key === "BYMONTH") rule[key.toLowerCase()] = v.split(",").map(Number);
+    else if (key === "BYDAY") rule.byday = v.split(",").map((d) => {
+      const dm = d.match(/^([+-]?\d+)?(MO|TU|WE|TH|FR|SA|SU)$/);
+      return dm && { n: dm[1] ? Number(dm[1]) : null, day: WEEKDAYS.indexOf(dm[2]) };
+    }).filter(Boolean);
+    else rule[key.toLowerCase()] = v.toUpperCase();
+  });
+  return rule;
+}
+
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Outlook writes Windows zone names; the common ones are mapped, anything unknown is treated as floating
+const WINDOWS_ZONES = {
+  "Eastern Standard Time": "America/New_York",
+  "Central Standard Time": "America/Chicago",
+  "Mountain Standard Time": "America/Denver",
+  "Pacific Standard Time": "America/Los_Angeles",
+  "GMT Standard Time": "Europe/London",
+  "W. Europe Standard Time": "Europe/Berlin",
+  "Romance Standard Time": "Europe/Paris",
+  "Central Europe Standard Time": "Europe/Budapest",
+  "India Standard Time": "Asia/Kolkata",
+  "Singapore Standard Time": "Asia/Singapore",
+  "Tokyo Standard Time": "Asia/Tokyo",
+  "AUS Eastern Standard Time": "Australia/Sydney",
+};
+
+const ianaZone = (tz) => {
+  const zone = WINDOWS_ZONES[tz] || tz;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: zone });
+    return zone;
+  } catch {
+    return null;
+  }
+};
+
+// Milliseconds the zone is ahead of UTC at instant `ts`
+function zoneOffset(ts, zone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone: zone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }).formatToParts(new Date(ts)).map((p) => [p.type, p.value]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - ts;
+}
+
+// Wall-clock { date, time, tz } -> epoch ms
+function toInstant({ date, time, tz }) {
+  const [y, mo, d] = date.split("-").map(Number);
+  const [h, mi, s] = (time || "00:00:00").split(":").map(Number);
+  const zone = tz === "UTC" ? "UTC" : tz ? ianaZone(tz) : null;
+  if (!zone) return new Date(y, mo - 1, d, h, mi, s).getTime();
+  const wall = Date.UTC(y, mo - 1, d, h, mi, s);
+  // Second pass corrects the guess when the offset changes between the wall time and the instant (DST)
+  const guess = wall - zoneOffset(wall, zone);
+  return wall - zoneOffset(guess, zone);
+}
+
+const pad2 = (n) => String(n).padStart(2, "0");
+const localDate = (ts) => { const d = new Date(ts); return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`; };
+const localTime = (ts) => { const d = new Date(ts); return `${pad2(d.getHours())}:${pad2(d.getMinutes())}`; };
+
+function addDaysISO(iso, n) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+const weekdayOf = (iso) => new Date(`${iso}T00:00:00Z`).getUTCDay();
+const daysInMonth = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate();
+
+// Dates within one month matching BYDAY (with optional ordinals like 1MO / -1FR) or BYMONTHDAY
+function monthDates(y, m, rule, fallbackDay) {
+  const count = daysInMonth(y, m);
+  const iso = (d) => `${y}-${pad2(m)}-${pad2(d)}`;
+  let days = [];
+  if (rule.bymonthday) {
+    days = rule.bymonthday.map((d) => (d < 0 ? count + d + 1 : d)).filter((d) => d >= 1 && d <= count);
+  } else if (rule.byday) {
+    rule.byday.forEach(({ n, day }) => {
+      const matches = [];
+      for (let d = 1; d <= count; d += 1) if (weekdayOf(iso(d)) === day) matches.push(d);
+      if (n == null) days.push(...matches);
+      else if (n > 0 && matches[n - 1]) days.push(matches[n - 1]);
+      else if (n < 0 && matches[matches.length + n]) days.push(matches[matches.length + n]);
+    });
+  } else if (fallbackDay <= count) {
+    days = [fallbackDay];
+  }
+  return Array.from(new Set(days)).sort((a, b) => a - b).map(iso);
+}
+
+// Candidate start dates for one recurrence period, ascending
+function periodDates(start, rule, k) {
+  const interval = rule.interval || 1;
+  const [y, m, d] = start.split("-").map(Number);
+  if (rule.freq === "DAILY") {
+    const date = addDaysISO(start, k * interval);
+    return !rule.byday || rule.byday.some((b) => b.day === weekdayOf(date)) ? [date] : [];
+  }
+  if (rule.freq === "WEEKLY") {
+    const weekStart = addDaysISO(start, -((weekdayOf(start) + 6) % 7) + k * 7 * interval); // weeks start on Monday
+    const days = rule.byday ? rule.byday.map((b) => b.day) : [weekdayOf(start)];
+    return Array.from(new Set(days)).map((day) => addDaysISO(weekStart, (day + 6) % 7)).sort();
+  }
+  if (rule.freq === "MONTHLY") {
+    const total = (m - 1) + k * interval;
+    return monthDates(y + Math.floor(total / 12), (total % 12) + 1, rule, d);
+  }
+  if (rule.freq === "YEARLY") {
+    const months = rule.bymonth || [m];
+    return months.flatMap((month) => monthDates(y + k * interval, month, rule.byday || rule.bymonthday ? rule : {}, d));
+  }
+  return [];
+}
+
+const MAX_RECURRENCE_PERIODS = 20000;
+
+// Wall-clock start dates of a (possibly recurring) event up to `lastDate`
+function recurrenceDates(event, lastDate) {
+  const rule = event.rrule;
+  const start = event.start.date;
+  if (!rule?.freq) return start <= lastDate ? [start] : [];
+  const until = rule.until
+    ? (rule.until.time ? dateInZone(toInstant(rule.until), event.start.tz) : rule.until.date)
+    : null;
+  const dates = [];
+  let emitted = 0;
+  for (let k = 0; k < MAX_RECURRENCE_PERIODS; k += 1) {
+    const period = periodDates(start, rule, k);
+    if (period.length && period[0] > lastDate) break;
+    for (const date of period) {
+      if (date < start) continue;
+      if ((until && date > until) || (rule.count && emitted >= rule.count)) return dates;
+      emitted += 1;
+      if (date <= lastDate) dates.push(date);
+    }
+  }
+  return dates;
+}
+
+// The calendar date of an instant in the event's own zone (floating/all-day use the local zone)
+function dateInZone(ts, tz) {
+  const zone = tz === "UTC" ? "UTC" : tz ? ianaZone(tz) : null;
+  if (!zone) return localDate(ts);
+  return new Date(ts + zoneOffset(ts, zone)).toISOString().slice(0, 10);
+}
+
+const daysBetween = (a, b) => Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / 86400000);
+
+/**
+ * Occurrences of imported events that fall on `date` in the local time zone, sorted with all-day
+ * events first: [{ uid, title, location, allDay, start: "HH:MM" | null, end: "HH:MM" | null }].
+ */
+export function calendarEventsOn(events, date) {
+  const overridden = new Set(events.filter((e) => e.recurrenceId).map((e) => `${e.uid}|${e.recurrenceId.date}`));
+  const result = [];
+  events.forEach((event) => {
+    if (event.status === "CANCELLED") return;
+    const allDay = !event.start.time;
+    const excluded = new Set(event.exdates.filter(Boolean).map((x) => x.date));
+    const spanDays = allDay
+      ? Math.max(1, event.end && !event.end.time ? daysBetween(event.start.date, event.end.date) : Math.round((event.duration || 86400000) / 86400000))
+      : 0;
+    const length = event.end ? toInstant(event.end) - toInstant(event.start) : (event.duration || 0);
+    // Look one day ahead: a zone shift can move an occurrence onto the previous local date
+    recurrenceDates(event, addDaysISO(date, 1)).forEach((startDate) => {
+      if (excluded.has(startDate)) return;
+      if (!event.recurrenceId && overridden.has(`${event.uid}|${startDate}`)) return;
+      const base = { uid: event.uid, title: event.summary || "(no title)", location: event.location || "" };
+      if (allDay) {
+        if (startDate <= date && date < addDaysISO(startDate, spanDays)) result.push({ ...base, allDay: true, start: null, end: null });
+        return;
+      }
+      const startTs = toInstant({ ...event.start, date: startDate });
+      if (localDate(startTs) !== date) return;
+      result.push({ ...base, allDay: false, start: localTime(startTs), end: length > 0 ? localTime(startTs + length) : null });
+    });
+  });
+  return result.sort((a, b) => (a.start || "").localeCompare(b.start || ""));
+}
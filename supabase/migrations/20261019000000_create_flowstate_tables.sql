@@ -0,0 +1,13 @@
+-- Tables as the app used them before accounts existed: one row per day and per P.A.R.A. item,
+-- with the app-level object stored as JSON in `payload`. `if not exists` keeps this a no-op on
+-- projects where the tables were created by hand.
+
+create table if not exists public.flowstate_days (
+  date date primary key,
+  payload jsonb not null default '{}'::jsonb
+);
+
+create table if not exists public.flowstate_para_items (
+  id text primary key,
+  payload jsonb not null default '{}'::jsonb
+);
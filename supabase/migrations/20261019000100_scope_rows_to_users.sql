@@ -0,0 +1,53 @@
+-- Multi-user mode: every row belongs to an auth user and row-level security limits each user to
+-- their own rows.
+--
+-- Rows written before this migration have no owner. They are moved to the *_unclaimed tables
+-- instead of being deleted; to keep them, copy them back with a user id, e.g.
+--   insert into public.flowstate_days (user_id, date, payload)
+--   select '<auth user id>', date, payload from public.flowstate_unclaimed_days;
+
+alter table public.flowstate_days
+  add column if not exists user_id uuid references auth.users (id) on delete cascade default auth.uid();
+alter table public.flowstate_para_items
+  add column if not exists user_id uuid references auth.users (id) on delete cascade default auth.uid();
+
+create table if not exists public.flowstate_unclaimed_days as
+  select date, payload from public.flowstate_days where user_id is null;
+create table if not exists public.flowstate_unclaimed_para_items as
+  select id, payload from public.flowstate_para_items where user_id is null;
+delete from public.flowstate_days where user_id is null;
+delete from public.flowstate_para_items where user_id is null;
+
+alter table public.flowstate_days alter column user_id set not null;
+alter table public.flowstate_para_items alter column user_id set not null;
+
+-- Days are unique per user, not globally (the app upserts with onConflict "user_id,date")
+alter table public.flowstate_days drop constraint if exists flowstate_days_pkey;
+alter table public.flowstate_days add primary key (user_id, date);
+
+create index if not exists flowstate_para_items_user_id_idx on public.flowstate_para_items (user_id);
+
+-- Unclaimed rows are only reachable with the service role
+alter table public.flowstate_unclaimed_days enable row level security;
+alter table public.flowstate_unclaimed_para_items enable row level security;
+
+alter table public.flowstate_days enable row level security;
+alter table public.flowstate_para_items enable row level security;
+
+create policy "Users read their own days" on public.flowstate_days
+  for select using (auth.uid() = user_id);
+create policy "Users create their own days" on public.flowstate_days
+  for insert with check (auth.uid() = user_id);
+create policy "Users update their own days" on public.flowstate_days
+  for update using (auth.uid() = user_id) with check (auth.uid() = user_id);
+create policy "Users delete their own days" on public.flowstate_days
+  for delete using (auth.uid() = user_id);
+
+create policy "Users read their own P.A.R.A. items" on public.flowstate_para_items
+  for select using (auth.uid() = user_id);
+create policy "Users create their own P.A.R.A. items" on public.flowstate_para_items
+  for insert with check (auth.uid() = user_id);
+create policy "Users update their own P.A.R.A. items" on public.flowstate_para_items
+  for update using (auth.uid() = user_id) with check (auth.uid() = user_id);
+create policy "Users delete their own P.A.R.A. items" on public.flowstate_para_items
+  for delete using (auth.uid() = user_id);
@@ -0,0 +1,7 @@
+-- Push row changes to signed-in clients (live dashboard updates across devices). Full replica
+-- identity includes user_id in delete events, so RLS can still be applied to them.
+alter table public.flowstate_days replica identity full;
+alter table public.flowstate_para_items replica identity full;
+
+alter publication supabase_realtime add table public.flowstate_days;
+alter publication supabase_realtime add table public.flowstate_para_items;
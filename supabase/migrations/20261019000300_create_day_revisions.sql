@@ -0,0 +1,24 @@
+-- Revision history for day edits: one row per write with the fields it changed
+-- ({ field: { before, after } }). Rows are append-only from the app's point of view.
+
+create table if not exists public.flowstate_day_revisions (
+  id text primary key,
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  date date not null,
+  at timestamptz not null default now(),
+  source text not null check (source in ('manual', 'ai', 'import')),
+  changes jsonb not null default '{}'::jsonb
+);
+
+create index if not exists flowstate_day_revisions_user_date_idx
+  on public.flowstate_day_revisions (user_id, date, at desc);
+
+alter table public.flowstate_day_revisions enable row level security;
+
+create policy "Users read their own revisions" on public.flowstate_day_revisions
+  for select using (auth.uid() = user_id);
+create policy "Users create their own revisions" on public.flowstate_day_revisions
+  for insert with check (auth.uid() = user_id);
+-- Outbox replays upsert on id, which needs update rights on the user's own rows
+create policy "Users update their own revisions" on public.flowstate_day_revisions
+  for update using (auth.uid() = user_id) with check (auth.uid() = user_id);
@@ -0,0 +1,24 @@
+-- Task list: one row per task with the app-level object in `payload`, like P.A.R.A. items.
+-- Conflicts are resolved in the app by the payload's updatedAt.
+
+create table if not exists public.flowstate_tasks (
+  id text primary key,
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  payload jsonb not null default '{}'::jsonb
+);
+
+create index if not exists flowstate_tasks_user_id_idx on public.flowstate_tasks (user_id);
+
+alter table public.flowstate_tasks enable row level security;
+
+create policy "Users read their own tasks" on public.flowstate_tasks
+  for select using (auth.uid() = user_id);
+create policy "Users create their own tasks" on public.flowstate_tasks
+  for insert with check (auth.uid() = user_id);
+create policy "Users update their own tasks" on public.flowstate_tasks
+  for update using (auth.uid() = user_id) with check (auth.uid() = user_id);
+create policy "Users delete their own tasks" on public.flowstate_tasks
+  for delete using (auth.uid() = user_id);
+
+alter table public.flowstate_tasks replica identity full;
+alter publication supabase_realtime add table public.flowstate_tasks;
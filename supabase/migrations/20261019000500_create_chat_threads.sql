@@ -0,0 +1,24 @@
+-- Chat threads: one row per conversation with the thread (title and messages) in `payload`.
+-- The app merges concurrent copies by message id, so rows only ever gain messages.
+
+create table if not exists public.flowstate_chat_threads (
+  id text primary key,
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  payload jsonb not null default '{}'::jsonb
+);
+
+create index if not exists flowstate_chat_threads_user_id_idx on public.flowstate_chat_threads (user_id);
+
+alter table public.flowstate_chat_threads enable row level security;
+
+create policy "Users read their own chat threads" on public.flowstate_chat_threads
+  for select using (auth.uid() = user_id);
+create policy "Users create their own chat threads" on public.flowstate_chat_threads
+  for insert with check (auth.uid() = user_id);
+create policy "Users update their own chat threads" on public.flowstate_chat_threads
+  for update using (auth.uid() = user_id) with check (auth.uid() = user_id);
+create policy "Users delete their own chat threads" on public.flowstate_chat_threads
+  for delete using (auth.uid() = user_id);
+
+alter table public.flowstate_chat_threads replica identity full;
+alter publication supabase_realtime add table public.flowstate_chat_threads;
@@ -0,0 +1,24 @@
+-- People memory: one row per person with the app-level object in `payload`, like tasks.
+-- Conflicts are resolved in the app by the payload's updatedAt.
+
+create table if not exists public.flowstate_people (
+  id text primary key,
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  payload jsonb not null default '{}'::jsonb
+);
+
+create index if not exists flowstate_people_user_id_idx on public.flowstate_people (user_id);
+
+alter table public.flowstate_people enable row level security;
+
+create policy "Users read their own people" on public.flowstate_people
+  for select using (auth.uid() = user_id);
+create policy "Users create their own people" on public.flowstate_people
+  for insert with check (auth.uid() = user_id);
+create policy "Users update their own people" on public.flowstate_people
+  for update using (auth.uid() = user_id) with check (auth.uid() = user_id);
+create policy "Users delete their own people" on public.flowstate_people
+  for delete using (auth.uid() = user_id);
+
+alter table public.flowstate_people replica identity full;
+alter publication supabase_realtime add table public.flowstate_people;
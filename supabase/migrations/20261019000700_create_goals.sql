@@ -0,0 +1,24 @@
+-- Goals: one row per goal with the app-level object in `payload`, like tasks.
+-- Conflicts are resolved in the app by the payload's updatedAt.
+
+create table if not exists public.flowstate_goals (
+  id text primary key,
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  payload jsonb not null default '{}'::jsonb
+);
+
+create index if not exists flowstate_goals_user_id_idx on public.flowstate_goals (user_id);
+
+alter table public.flowstate_goals enable row level security;
+
+create policy "Users read their own goals" on public.flowstate_goals
+  for select using (auth.uid() = user_id);
+create policy "Users create their own goals" on public.flowstate_goals
+  for insert with check (auth.uid() = user_id);
+create policy "Users update their own goals" on public.flowstate_goals
+  for update using (auth.uid() = user_id) with check (auth.uid() = user_id);
+create policy "Users delete their own goals" on public.flowstate_goals
+  for delete using (auth.uid() = user_id);
+
+alter table public.flowstate_goals replica identity full;
+alter publication supabase_realtime add table public.flowstate_goals;
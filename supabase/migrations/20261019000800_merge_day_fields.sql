@@ -0,0 +1,45 @@
+-- Day writes merge field by field on the server. Reading the row in the app and upserting the merge
+-- loses fields when two devices flush at the same time; inside one insert ... on conflict the row is
+-- locked, so concurrent merges apply one after the other.
+--
+-- Same rule as mergeDayFields in src/App.jsx: for each field the copy with the newer _fieldTimes
+-- stamp wins, and unstamped fields lose to stamped ones.
+
+create or replace function public.flowstate_merge_day_fields(base jsonb, incoming jsonb)
+returns jsonb
+language sql
+immutable
+as $$
+  with times as (
+    select coalesce(base -> '_fieldTimes', '{}'::jsonb) as base_times,
+           coalesce(incoming -> '_fieldTimes', '{}'::jsonb) as incoming_times
+  ),
+  winners as (
+    select field.key, field.value, times.incoming_times -> field.key as stamp
+    from jsonb_each(incoming) as field, times
+    where field.key <> '_fieldTimes'
+      and coalesce(times.incoming_times ->> field.key, '') collate "C" >= coalesce(times.base_times ->> field.key, '') collate "C"
+  )
+  select (coalesce(base, '{}'::jsonb) - '_fieldTimes')
+    || coalesce((select jsonb_object_agg(key, value) from winners), '{}'::jsonb)
+    || jsonb_build_object('_fieldTimes', (select base_times from times)
+      || coalesce((select jsonb_object_agg(key, stamp) from winners where stamp is not null), '{}'::jsonb))
+$$;
+
+-- Runs as the caller, so the row-level security policies on flowstate_days still apply
+create or replace function public.flowstate_merge_day(p_date date, p_partial jsonb)
+returns jsonb
+language plpgsql
+security invoker
+as $$
+declare
+  merged jsonb;
+begin
+  insert into public.flowstate_days (user_id, date, payload)
+  values (auth.uid(), p_date, public.flowstate_merge_day_fields('{}'::jsonb, p_partial))
+  on conflict (user_id, date) do update
+    set payload = public.flowstate_merge_day_fields(public.flowstate_days.payload, excluded.payload)
+  returning payload into merged;
+  return merged;
+end;
+$$;
@@ -0,0 +1,24 @@
+-- Cheat days scheduled from the chat: one row per date and meal, with the app-level object in `payload`.
+-- Conflicts are resolved in the app by the payload's updatedAt.
+
+create table if not exists public.flowstate_cheat_days (
+  id text primary key,
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  payload jsonb not null default '{}'::jsonb
+);
+
+create index if not exists flowstate_cheat_days_user_id_idx on public.flowstate_cheat_days (user_id);
+
+alter table public.flowstate_cheat_days enable row level security;
+
+create policy "Users read their own cheat days" on public.flowstate_cheat_days
+  for select using (auth.uid() = user_id);
+create policy "Users create their own cheat days" on public.flowstate_cheat_days
+  for insert with check (auth.uid() = user_id);
+create policy "Users update their own cheat days" on public.flowstate_cheat_days
+  for update using (auth.uid() = user_id) with check (auth.uid() = user_id);
+create policy "Users delete their own cheat days" on public.flowstate_cheat_days
+  for delete using (auth.uid() = user_id);
+
+alter table public.flowstate_cheat_days replica identity full;
+alter publication supabase_realtime add table public.flowstate_cheat_days;
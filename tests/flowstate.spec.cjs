@@ -1,4 +1,10 @@
 const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+
+// Calls a named export of src/App.jsx inside the page (after page.goto), for helpers without UI
+function callApp(page, name, ...args) {
+  return page.evaluate(async ([fn, params]) => (await import('/src/App.jsx'))[fn](...params), [name, args]);
+}
 
 test.describe('FlowState App', () => {
   test('landing page loads correctly', async ({ page }) => {
@@ -98,4 +104,648 @@ test.describe('FlowState App', () => {
     // We would check for tooltip here if we had more specific selectors
     // await expect(page.getByText('Your organized life at a glance')).toBeVisible();
   });
+
+  test('P.A.R.A. items can be added, moved and filtered', async ({ page }) => {
+    await page.goto('/');
+    await page.getByText('Your Life 💎').click();
+
+    const para = page.locator('[data-tour="para-dashboard"]');
+    await para.getByText('+ Add').first().click();
+    await para.getByPlaceholder('New project…').fill('Quarterly report');
+    await para.getByText('Save').click();
+    await expect(para.getByText('Quarterly report')).toBeVisible();
+
+    // Move it to Archives and filter down to that category
+    await para.getByTitle('Move to category').first().selectOption('ARCHIVES');
+    await page.getByRole('button', { name: 'Archives', exact: true }).click();
+    await expect(para.getByText('Archives (1)')).toBeVisible();
+    await expect(para.getByText(/Projects \(\d+\)/)).not.toBeVisible();
+
+    // Survives a reload
+    await page.reload();
+    await page.getByText('Your Life 💎').click();
+    await expect(para.getByText('Quarterly report')).toBeVisible();
+  });
+
+  test('vault encrypts stored data and asks for the passphrase after a reload', async ({ page }) => {
+    await page.goto('/');
+    await page.getByText('Your Life 💎').click();
+    await expect(page.getByText(/Today –/)).toBeVisible();
+
+    await page.getByRole('button', { name: '🔓 Encrypt' }).click();
+    await page.getByPlaceholder('New passphrase').fill('correct horse battery');
+    await page.getByPlaceholder('Repeat passphrase').fill('correct horse battery');
+    await page.getByRole('button', { name: 'Encrypt my data' }).click();
+    await expect(page.getByText('Your data is now encrypted on this device.')).toBeVisible();
+
+    const stored = await page.evaluate(() => localStorage.getItem('flowstate.daily'));
+    expect(stored.startsWith('vault1:')).toBeTruthy();
+
+    await page.reload();
+    await page.getByText('Your Life 💎').click();
+    await expect(page.getByText('FlowState is locked')).toBeVisible();
+    await page.getByLabel('Vault passphrase').fill('wrong passphrase');
+    await page.getByRole('button', { name: 'Unlock', exact: true }).click();
+    await expect(page.getByText('Wrong passphrase.')).toBeVisible();
+    await page.getByLabel('Vault passphrase').fill('correct horse battery');
+    await page.getByRole('button', { name: 'Unlock', exact: true }).click();
+    await expect(page.getByText(/Today –/)).toBeVisible();
+  });
+
+  test('a Quick Edit save is recorded in history and can be undone', async ({ page }) => {
+    await page.goto('/');
+    await page.getByText('Your Life 💎').click();
+
+    const quickEdit = page.locator('[data-tour="quick-edit"]');
+    await quickEdit.getByPlaceholder('Reflection, wins, blockers...').fill('Overwritten by mistake');
+    await quickEdit.getByText('Save Day').click();
+    await expect(page.getByText('Overwritten by mistake').first()).toBeVisible();
+    await expect(page.getByText('Restore this version')).toHaveCount(0);
+
+    await page.getByRole('button', { name: 'Undo' }).click();
+    await expect(page.getByText('Kickoff day. Establishing routine and dashboard.').first()).toBeVisible();
+    await expect(page.getByText('Restore this version').first()).toBeVisible();
+  });
+
+  test('tasks mentioned in chat land in the task list', async ({ page }) => {
+    await page.goto('/');
+    await page.getByText('Your Life 💎').click();
+
+    await page.getByPlaceholder('Tell me about your day, goals, or challenges...').fill('I need to call my mom this weekend and prepare for my presentation next Tuesday');
+    await page.getByRole('button', { name: 'Send' }).click();
+    await page.locator('[data-tour="ai-assistant"]').getByRole('button', { name: 'Accept all' }).click();
+
+    const tasks = page.locator('[data-tour="tasks"]');
+    await expect(tasks.getByText('Call my mom')).toBeVisible();
+    await expect(tasks.getByText('Prepare for my presentation')).toBeVisible();
+    await expect(tasks.getByText('2 open')).toBeVisible();
+
+    await tasks.getByLabel('Complete Call my mom').check();
+    await expect(tasks.getByText('1 open')).toBeVisible();
+  });
+
+  test('chat threads survive a reload and are shared with the dashboard', async ({ page }) => {
+    await page.goto('/');
+    await page.getByText('AI Assistant').click();
+    await page.getByPlaceholder('Tell me about your day, goals, or challenges...').fill('Planning a weekend trip to Lisbon');
+    await page.getByRole('button', { name: 'Send' }).click();
+    await expect(page.getByText('Processing...')).toHaveCount(0);
+
+    await page.reload();
+    await page.getByText('AI Assistant').click();
+    await page.getByPlaceholder('Search conversations…').fill('lisbon');
+    await expect(page.getByRole('button', { name: /Planning a weekend trip to Lisbon/ })).toBeVisible();
+    await page.getByPlaceholder('Search conversations…').fill('no such words');
+    await expect(page.getByText('No conversation mentions that.')).toBeVisible();
+
+    await page.getByText('Your Life 💎').click();
+    await expect(page.locator('[data-tour="ai-assistant"]').getByText('Planning a weekend trip to Lisbon')).toBeVisible();
+  });
+
+  test('extracted changes wait for review in the chat', async ({ page }) => {
+    await page.goto('/');
+    await page.getByText('Your Life 💎').click();
+
+    await page.getByPlaceholder('Tell me about your day, goals, or challenges...').fill('I woke up at 6:45 today');
+    await page.getByRole('button', { name: 'Send' }).click();
+
+    const chat = page.locator('[data-tour="ai-assistant"]');
+    await expect(chat.getByText('Proposed changes')).toBeVisible();
+    await chat.getByRole('button', { name: 'Reject Notes' }).click();
+    await expect(chat.getByText('Rejected')).toBeVisible();
+    await chat.getByRole('button', { name: 'Accept Wake time' }).click();
+    await expect(chat.getByText('✓ Saved')).toBeVisible();
+
+    // Decisions are kept with the conversation
+    await page.reload();
+    await page.getByText('Your Life 💎').click();
+    await expect(chat.getByText('✓ Saved')).toBeVisible();
+  });
+
+  test('a reply can be stopped and retried', async ({ page }) => {
+    await page.goto('/');
+    await page.getByText('AI Assistant').click();
+
+    const chatInput = page.getByPlaceholder('Tell me about your day, goals, or challenges...');
+    await chatInput.fill('I woke up at 6:30 today');
+    await page.getByRole('button', { name: 'Send' }).click();
+    await page.getByRole('button', { name: 'Stop' }).click();
+    await expect(page.getByText('Stopped', { exact: true })).toBeVisible();
+
+    // The input stays usable while a reply streams
+    await page.getByRole('button', { name: 'Retry' }).click();
+    await chatInput.fill('Typing ahead');
+    await expect(page.getByText('Proposed changes')).toBeVisible();
+    await expect(page.getByText('Stopped', { exact: true })).toHaveCount(0);
+  });
+
+  test('people mentioned in chat are remembered with reminders', async ({ page }) => {
+    await page.goto('/');
+    await page.getByText('Your Life 💎').click();
+
+    await page.getByPlaceholder('Tell me about your day, goals, or challenges...').fill("My sister Sarah likes almond lattes. Sarah's birthday is in 3 days");
+    await page.getByRole('button', { name: 'Send' }).click();
+    await page.locator('[data-tour="ai-assistant"]').getByRole('button', { name: 'Accept Person' }).click();
+
+    const people = page.locator('[data-tour="people"]');
+    await expect(people.getByText('likes almond lattes')).toBeVisible();
+    await expect(people.getByText(/Sarah's birthday is in 3 days/)).toBeVisible();
+
+    await people.getByTitle('Edit').click();
+    await people.getByLabel('Relationship').fill('older sister');
+    await people.getByRole('button', { name: 'Save' }).click();
+    await expect(people.getByText('· older sister')).toBeVisible();
+  });
+
+  test('history questions are answered from stored days with citations', async ({ page }) => {
+    await page.goto('/');
+    await page.getByText('AI Assistant').click();
+
+    await page.getByPlaceholder('Tell me about your day, goals, or challenges...').fill('When did I last eat a cheat meal?');
+    await page.getByRole('button', { name: 'Send' }).click();
+    await expect(page.getByText(/Your last cheat meal was on Jan 20/)).toBeVisible();
+    await expect(page.getByText('Based on')).toBeVisible();
+    await expect(page.getByText('Proposed changes')).toHaveCount(0);
+  });
+
+  test('the assistant runs tools and can dry-run them', async ({ page }) => {
+    await page.goto('/');
+    await page.getByText('AI Assistant').click();
+
+    const chatInput = page.getByPlaceholder('Tell me about your day, goals, or challenges...');
+    await chatInput.fill('Set my weight to 78.2');
+    await page.getByRole('button', { name: 'Send' }).click();
+    await expect(page.getByText('🔧 update_metric(metric: "weight", value: 78.2)')).toBeVisible();
+    await expect(page.getByText('✓ weight changed from 79.4 to 78.2')).toBeVisible();
+
+    await page.getByLabel('Dry run for actions').check();
+    await chatInput.fill('Schedule a cheat dinner on Saturday');
+    await page.getByRole('button', { name: 'Send' }).click();
+    await expect(page.getByText(/schedule_cheat_day\(date: "\d{4}-\d{2}-\d{2}", meal: "dinner"\)/)).toBeVisible();
+    await expect(page.getByText('○ Not run (dry run)')).toBeVisible();
+  });
+
+  test('the context sent to a connected model can be inspected', async ({ page }) => {
+    await page.route('http://model.test/v1/chat/completions', (route) => route.fulfill({
+      json: { choices: [{ message: { content: JSON.stringify({ reply: 'Noted!', extractedData: { tasks: [], habits: {}, mood: 'neutral', insights: [], paraCategory: null, scheduledItems: [] } }) } }] },
+    }));
+    await page.goto('/');
+    await page.getByText('AI Assistant').click();
+    await page.getByLabel('Model', { exact: true }).fill('mock-model');
+    await page.getByLabel('Base URL').fill('http://model.test/v1');
+    await page.getByLabel('Base URL').press('Enter');
+
+    await page.getByPlaceholder('Tell me about your day, goals, or challenges...').fill('Planning my week');
+    await page.getByRole('button', { name: 'Send' }).click();
+    await expect(page.getByText('Noted!')).toBeVisible();
+    await page.getByRole('button', { name: /Context · \d+ \/ 2000 tokens/ }).click();
+    await expect(page.getByText(/## Daily routine/)).toBeVisible();
+    await expect(page.getByRole('cell', { name: 'Manifesto and identity' })).toBeVisible();
+    await expect(page.getByText(/Also sent: instructions \d+, action definitions [1-9]\d*, your message \d+ — about \d+ tokens in all/)).toBeVisible();
+  });
+
+  test('a goal from chat gets milestones and tracked progress', async ({ page }) => {
+    await page.goto('/');
+    await page.getByText('Your Life 💎').click();
+
+    await page.getByPlaceholder('Tell me about your day, goals, or challenges...').fill('I want to learn Spanish by June');
+    await page.getByRole('button', { name: 'Send' }).click();
+    await page.locator('[data-tour="ai-assistant"]').getByRole('button', { name: 'Accept Goal' }).click();
+
+    const goals = page.locator('[data-tour="goals"]');
+    await expect(goals.getByText('Learn Spanish')).toBeVisible();
+    await expect(goals.getByText(/^0 of \d milestones$/)).toBeVisible();
+    await goals.getByLabel(/^Milestone Pick a course/).check();
+    await expect(goals.getByText(/^1 of \d milestones$/)).toBeVisible();
+  });
+
+  test('mood and energy check-ins show on the dashboard', async ({ page }) => {
+    await page.goto('/');
+    await page.getByText('Your Life 💎').click();
+
+    const mood = page.locator('[data-tour="mood"]');
+    await mood.getByRole('button', { name: 'Mood 4' }).click();
+    await mood.getByRole('button', { name: 'Energy 5' }).click();
+    await mood.getByRole('button', { name: 'focused' }).click();
+    await mood.getByRole('button', { name: 'Check in' }).click();
+
+    await expect(mood.getByText('🙂 mood 4/5 · energy 5/5')).toBeVisible();
+    await expect(mood.getByText('focused', { exact: true }).last()).toBeVisible();
+    await expect(page.getByText('Mood 4/5 · 1 check-in')).toBeVisible();
+  });
+
+  test('days survive a CSV round trip', async ({ page }) => {
+    await page.goto('/');
+    const days = {
+      '2026-10-01': {
+        schemaVersion: 4,
+        wakeTime: '06:45',
+        lunch: { time: '13:30', details: 'dal, rice and "greens"' },
+        notes: 'Line one\nLine two, with a comma',
+        snacks: [{ time: '16:00', details: 'apple' }],
+        sleepHours: 7.5,
+      },
+      '2026-10-02': { schemaVersion: 4, workout: { time: '19:00', status: 'done' }, scheduledItems: [{ title: 'Dentist', time: '15:00' }] },
+      // Text that happens to be valid JSON stays text
+      '2026-10-03': { schemaVersion: 4, notes: '[1, 2, 3]' },
+    };
+    const csv = await callApp(page, 'daysToCSV', days);
+    expect(csv.split('\r\n')[0]).toBe('date,lunch.details,lunch.time,notes,scheduledItems,schemaVersion,sleepHours,snacks,wakeTime,workout.status,workout.time');
+    expect(await callApp(page, 'csvToDays', csv)).toEqual(days);
+  });
+
+  test('JSON and CSV exports import back without changes', async ({ page }) => {
+    await page.goto('/');
+    await page.getByText('Your Life 💎').click();
+
+    for (const button of ['All data (JSON)', 'Days CSV']) {
+      const [download] = await Promise.all([page.waitForEvent('download'), page.getByRole('button', { name: button }).click()]);
+      await page.locator('input[type="file"][accept*=".csv"]').setInputFiles({
+        name: download.suggestedFilename(),
+        mimeType: button === 'Days CSV' ? 'text/csv' : 'application/json',
+        buffer: fs.readFileSync(await download.path()),
+      });
+      await expect(page.getByText(`Preview – ${download.suggestedFilename()}`)).toBeVisible();
+      const summary = page.getByText(/^Days: /);
+      await expect(summary).toContainText(/\d+ unchanged/);
+      await expect(summary).not.toContainText(/\d+ (?:new|changed|invalid)|Metrics/);
+      await page.getByRole('button', { name: 'Cancel' }).click();
+    }
+
+    // Overwrite replaces a record as a whole: a field only the stored copy has is gone afterwards
+    const [download] = await Promise.all([page.waitForEvent('download'), page.getByRole('button', { name: 'All data (JSON)' }).click()]);
+    await page.evaluate(() => {
+      const goals = JSON.parse(localStorage.getItem('flowstate.goals'));
+      goals[0].note = 'only on this device';
+      localStorage.setItem('flowstate.goals', JSON.stringify(goals));
+    });
+    await page.locator('input[type="file"][accept*=".csv"]').setInputFiles({
+      name: download.suggestedFilename(),
+      mimeType: 'application/json',
+      buffer: fs.readFileSync(await download.path()),
+    });
+    await page.getByLabel(/^Overwrite/).check();
+    await page.getByRole('button', { name: 'Import', exact: true }).click();
+    await expect(page.getByText(/^Imported \d+ record\(s\)/)).toBeVisible();
+    expect(await page.evaluate(() => JSON.parse(localStorage.getItem('flowstate.goals')).some((goal) => 'note' in goal))).toBe(false);
+  });
+
+  test('the iCalendar feed is stable, escaped and folded', async () => {
+    const { buildCalendar, parseICS, calendarEventsOn, DAILY_ROUTINE } = await import('../src/calendar.js');
+    const options = {
+      startDate: '2026-10-19',
+      now: new Date('2026-10-19T08:00:00Z'),
+      cheatDays: [{ date: '2026-10-24', meal: 'dinner', label: 'Pizza, wings; beer' }],
+      days: {
+        '2026-10-21': {
+          scheduledItems: [
+            { title: 'Dentist', time: '15:00' },
+            { title: 'Pick up the passport renewal forms from the consulate before the long weekend' },
+          ],
+        },
+      },
+    };
+    const ics = buildCalendar(options);
+    expect(buildCalendar(options)).toBe(ics);
+    expect(ics.endsWith('\r\n')).toBe(true);
+    const lines = ics.split('\r\n');
+    expect(lines.every((line) => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(lines.filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(DAILY_ROUTINE.length + 3 + 1 + 2);
+    expect(ics).toContain('SUMMARY:Cheat meal: Pizza\\, wings\\; beer');
+    expect(ics).toContain('UID:item-2026-10-21-dentist-1500@theflowstateapp.com');
+
+    // What the feed says reads back the same way through the importer
+    const { name, events } = parseICS(ics);
+    expect(name).toBe('FlowState');
+    const items = (date) => calendarEventsOn(events, date)
+      .filter((e) => !/^(?:routine|goal)-/.test(e.uid))
+      .map(({ title, allDay, start, end }) => ({ title, allDay, start, end }));
+    expect(items('2026-10-21')).toEqual([
+      { title: 'Pick up the passport renewal forms from the consulate before the long weekend', allDay: true, start: null, end: null },
+      { title: 'Dentist', allDay: false, start: '15:00', end: '16:00' },
+    ]);
+    expect(items('2026-10-24')).toEqual([{ title: 'Cheat meal: Pizza, wings; beer', allDay: false, start: '21:00', end: '22:30' }]);
+    expect(calendarEventsOn(events, '2026-10-25').filter((e) => e.uid.startsWith('routine-')).map((e) => e.start))
+      .toEqual(DAILY_ROUTINE.map((r) => r.start).sort());
+  });
+
+  test('imported .ics files expand recurrences, exceptions and all-day events', async () => {
+    const { parseICS, calendarEventsOn } = await import('../src/calendar.js');
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'X-WR-CALNAME:Work',
+      'BEGIN:VEVENT', 'UID:standup', 'SUMMARY:Stand-up', 'DTSTART:20261005T093000', 'DTEND:20261005T094500',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO,WE', 'EXDATE:20261012T093000', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:standup', 'RECURRENCE-ID:20261014T093000', 'SUMMARY:Stand-up (moved)',
+      'DTSTART:20261014T110000', 'DTEND:20261014T111500', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:offsite', 'SUMMARY:Offsite\\, day one', 'LOCATION:Lisbon',
+      'DTSTART;VALUE=DATE:20261020', 'DTEND;VALUE=DATE:20261022',
+      'BEGIN:VALARM', 'SUMMARY:Reminder', 'END:VALARM', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:cancelled', 'SUMMARY:Cancelled', 'STATUS:CANCELLED', 'DTSTART:20261019T120000', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:review', 'SUMMARY:Monthly re', ' view', 'DTSTART:20261030T160000', 'DURATION:PT1H30M',
+      'RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:call', 'SUMMARY:Call', 'DTSTART:20261019T120000Z', 'DTEND:20261019T123000Z', 'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n');
+    const { name, events } = parseICS(ics);
+    expect(name).toBe('Work');
+    const on = (date) => calendarEventsOn(events, date).filter((e) => e.uid !== 'call').map(({ title, start, end }) => `${start || 'all day'}${end ? `-${end}` : ''} ${title}`);
+
+    expect(on('2026-10-05')).toEqual(['09:30-09:45 Stand-up']);
+    expect(on('2026-10-12')).toEqual([]);
+    expect(on('2026-10-14')).toEqual(['11:00-11:15 Stand-up (moved)']);
+    expect(on('2026-10-19')).toEqual(['09:30-09:45 Stand-up']);
+    expect(on('2026-10-20')).toEqual(['all day Offsite, day one']);
+    expect(on('2026-10-21')).toEqual(['all day Offsite, day one', '09:30-09:45 Stand-up']);
+    expect(on('2026-10-22')).toEqual([]);
+    expect(on('2026-10-30')).toEqual(['16:00-17:30 Monthly review']);
+    expect(on('2026-11-27')).toEqual(['16:00-17:30 Monthly review']);
+    expect(on('2026-12-25')).toEqual(['16:00-17:30 Monthly review']);
+    expect(on('2027-01-29')).toEqual([]);
+    expect(calendarEventsOn(events, '2026-10-21').find((e) => e.uid === 'offsite').location).toBe('Lisbon');
+
+    // UTC times are shown in the local zone
+    const local = new Date(Date.UTC(2026, 9, 19, 12, 0));
+    const localDate = `${local.getFullYear()}-${String(local.getMonth() + 1).padStart(2, '0')}-${String(local.getDate()).padStart(2, '0')}`;
+    const call = calendarEventsOn(events, localDate).find((e) => e.uid === 'call');
+    expect(call.start).toBe(`${String(local.getHours()).padStart(2, '0')}:${String(local.getMinutes()).padStart(2, '0')}`);
+  });
+
+  test('toClock reads hours with and without am/pm', async ({ page }) => {
+    await page.goto('/');
+    const cases = [
+      // [hour, minute, meridiem, defaultMeridiem, expected]
+      [7, 0, null, null, '07:00'],
+      [3, 0, null, null, '15:00'],
+      [3, 0, null, 'am', '03:00'],
+      [0, 5, null, null, '00:05'],
+      [12, 0, null, null, '12:00'],
+      [12, 0, 'am', null, '00:00'],
+      [12, 0, 'pm', null, '12:00'],
+      [7, 30, 'p.m.', null, '19:30'],
+      [19, 0, 'am', null, '19:00'],
+      [24, 0, null, null, null],
+      [7, 60, null, null, null],
+    ];
+    for (const [hour, minute, meridiem, defaultMeridiem, expected] of cases) {
+      expect(await callApp(page, 'toClock', hour, minute, meridiem, defaultMeridiem), `${hour}:${minute} ${meridiem}/${defaultMeridiem}`).toBe(expected);
+    }
+  });
+
+  test('parseTimeOfDay finds the first time in a phrase', async ({ page }) => {
+    await page.goto('/');
+    const cases = [
+      // [text, expected, expected with defaultMeridiem 'am']
+      ['7', '07:00', '07:00'],
+      ['seven', '07:00', '07:00'],
+      ['7:30', '07:30', '07:30'],
+      ['19:30', '19:30', '19:30'],
+      ['7.30 am', '07:30', '07:30'],
+      ['7pm', '19:00', '19:00'],
+      ['7 a.m.', '07:00', '07:00'],
+      ['12am', '00:00', '00:00'],
+      ['half past seven', '07:30', '07:30'],
+      ['quarter to 8', '07:45', '07:45'],
+      ['20 past 6', '18:20', '06:20'],
+      ["seven o'clock", '07:00', '07:00'],
+      ['noon', '12:00', '12:00'],
+      ['midnight', '00:00', '00:00'],
+      ['woke up at 6', '18:00', '06:00'],
+      ['around seven.', '07:00', '07:00'],
+      ['lunch at 1 and a call at 4pm', '13:00', '01:00'],
+      ['at one point', null, null],
+      ['for 3 days', null, null],
+      ['at 5km', null, null],
+      ['nothing', null, null],
+    ];
+    for (const [text, expected, expectedAm] of cases) {
+      expect(await callApp(page, 'parseTimeOfDay', text), text).toBe(expected);
+      expect(await callApp(page, 'parseTimeOfDay', text, { defaultMeridiem: 'am' }), `${text} (am)`).toBe(expectedAm);
+    }
+  });
+
+  test('parseDayReference resolves days relative to today', async ({ page }) => {
+    await page.goto('/');
+    const today = '2026-10-19'; // a Monday
+    const cases = [
+      // [text, expected, expected with prefer 'past']
+      ['2026-10-21', '2026-10-21', '2026-10-21'],
+      ['today', today, today],
+      ['tonight', today, today],
+      ['yesterday', '2026-10-18', '2026-10-18'],
+      ['the day before yesterday', '2026-10-17', '2026-10-17'],
+      ['tomorrow', '2026-10-20', '2026-10-20'],
+      ['the day after tomorrow', '2026-10-21', '2026-10-21'],
+      ['3 days ago', '2026-10-16', '2026-10-16'],
+      ['in two days', '2026-10-21', '2026-10-21'],
+      ['this weekend', '2026-10-24', '2026-10-24'],
+      ['next weekend', '2026-10-31', '2026-10-31'],
+      ['last weekend', '2026-10-17', '2026-10-17'],
+      ['monday', today, today],
+      ['friday', '2026-10-23', '2026-10-16'],
+      ['this friday', '2026-10-23', '2026-10-23'],
+      ['next monday', '2026-10-26', '2026-10-26'],
+      ['last monday', '2026-10-12', '2026-10-12'],
+      ['Oct 21', '2026-10-21', '2025-10-21'],
+      ['Jan 5th', '2027-01-05', '2026-01-05'],
+      ['21st of March', '2027-03-21', '2026-03-21'],
+      ['dinner was great', null, null],
+    ];
+    for (const [text, expected, expectedPast] of cases) {
+      expect(await callApp(page, 'parseDayReference', text, { today }), text).toBe(expected);
+      expect(await callApp(page, 'parseDayReference', text, { today, prefer: 'past' }), `${text} (past)`).toBe(expectedPast);
+    }
+  });
+
+  test('a scheduled item takes the time next to its keyword', async ({ page }) => {
+    await page.goto('/');
+    const today = '2026-10-19';
+    const cases = [
+      ['I woke up at 7 and have a meeting at 3', [{ title: 'Meeting', time: '15:00' }]],
+      ['I woke up at 7 and have a meeting tomorrow', [{ title: 'Meeting', date: '2026-10-20' }]],
+      ['At 3 I have a meeting tomorrow', [{ title: 'Meeting', time: '15:00', date: '2026-10-20' }]],
+      ['Dentist appointment at 4:30pm on Friday', [{ title: 'Dentist', time: '16:30', date: '2026-10-23' }]],
+    ];
+    for (const [text, expected] of cases) {
+      expect((await callApp(page, 'extractHeuristically', text, today)).scheduledItems, text).toEqual(expected);
+    }
+  });
+
+  test('questions are not taken as tasks', async ({ page }) => {
+    await page.goto('/');
+    const today = '2026-10-19';
+    const cases = [
+      ['What should I eat for lunch?', []],
+      ['Should I call my mom this weekend?', []],
+      ['Do I have to bring anything tomorrow?', []],
+      ['What do I need to prepare for Friday?', []],
+      ['I should call my mom this weekend', ['Call my mom']],
+      ['I need to call my mom, what do you think?', ['Call my mom']],
+      ['When I get home I need to clean the kitchen.', ['Clean the kitchen']],
+      ['Where should I go on holiday? I need to buy groceries.', ['Buy groceries']],
+    ];
+    for (const [text, expected] of cases) {
+      expect((await callApp(page, 'extractHeuristically', text, today)).tasks.map((task) => task.text), text).toEqual(expected);
+    }
+  });
+
+  test('extractMeals reads what was eaten and when', async ({ page }) => {
+    await page.goto('/');
+    const cases = [
+      ['had dal and rice for lunch at 1:30', [{ kind: 'lunch', time: '13:30', details: 'dal and rice' }]],
+      ['Breakfast at 8 was oatmeal with berries', [{ kind: 'breakfast', time: '08:00', details: 'oatmeal with berries' }]],
+      ['dinner at 8', [{ kind: 'dinner', time: '20:00' }]],
+      ['I had eggs for breakfast yesterday at 7', [{ kind: 'breakfast', time: '07:00', details: 'eggs' }]],
+      ['snacked on an apple at 4', [{ kind: 'snack', time: '16:00', details: 'an apple' }]],
+      ['made a smoothie as a snack', [{ kind: 'snack', details: 'a smoothie' }]],
+      ['brunch: pancakes', [{ kind: 'lunch', details: 'pancakes' }]],
+      ['supper was soup', [{ kind: 'dinner', details: 'soup' }]],
+      ['Lunch was a salad, then dinner at 7:30 was pasta', [{ kind: 'lunch', details: 'a salad' }, { kind: 'dinner', time: '19:30', details: 'pasta' }]],
+      ['grabbed a sandwich for lunch around 1 and had soup for dinner', [{ kind: 'lunch', time: '13:00', details: 'a sandwich' }, { kind: 'dinner', details: 'soup' }]],
+      ['I skipped breakfast', []],
+    ];
+    for (const [sentence, expected] of cases) {
+      expect(await callApp(page, 'extractMeals', sentence), sentence).toEqual(expected);
+    }
+  });
+
+  test('a message sent while a reply streams is queued, not dropped', async ({ page }) => {
+    await page.goto('/');
+    await page.getByText('AI Assistant').click();
+
+    const chatInput = page.getByPlaceholder('Tell me about your day, goals, or challenges...');
+    await chatInput.fill('I woke up at 6:30 today');
+    await page.getByRole('button', { name: 'Send' }).click();
+    await chatInput.fill('I need to buy groceries');
+    await chatInput.press('Enter');
+    await expect(chatInput).toHaveValue('');
+    await expect(page.getByText('Queued — sends after this reply')).toBeVisible();
+
+    // Both questions get their own answer, in order
+    await expect(page.getByText('Queued — sends after this reply')).toHaveCount(0);
+    await expect(page.getByText('I need to buy groceries')).toBeVisible();
+    await expect(page.getByText('Proposed changes')).toHaveCount(2);
+  });
+
+  test('pronouns and sentence starts are not taken for people', async ({ page }) => {
+    await page.goto('/');
+    const today = '2026-10-19';
+    const cases = [
+      ['She loves almond lattes.', []],
+      ['Everyone loves pizza', []],
+      ['Work was busy. He hates meetings.', []],
+      ['Sarah likes sushi', [{ name: 'Sarah', preferences: ['likes sushi'] }]],
+      // A pronoun stands for the person mentioned before it
+      ['My sister Sarah is visiting. She loves almond lattes.', [{ name: 'Sarah', relationship: 'sister', preferences: ['loves almond lattes'] }]],
+      ['I had coffee with Sarah yesterday and she loves oat milk.', [{ name: 'Sarah', contactedOn: '2026-10-18', preferences: ['loves oat milk'] }]],
+      ['Called my mom. Her birthday is March 3.', [{ name: 'Mom', relationship: 'mom', contactedOn: today, dates: [{ label: 'Birthday', date: '03-03' }] }]],
+    ];
+    for (const [text, expected] of cases) {
+      expect((await callApp(page, 'extractHeuristically', text, today)).people, text).toEqual(expected);
+    }
+  });
+
+  test('only messages that just ask go to the history', async ({ page }) => {
+    await page.goto('/');
+    const today = '2026-10-19';
+    const cases = [
+      ['When did I last eat a cheat meal?', true],
+      ['In October, how often did I work out?', true],
+      ['My average sleep this week?', true],
+      ['How many times did I work out this week, and what was my average wake time?', true],
+      // Questions that come with something to log are logged
+      ['I had oatmeal for breakfast at 8, what do you think?', false],
+      ['I woke up at 6 and worked out, was that a good start?', false],
+      ['How did I sleep last week? I woke up at 6 today.', false],
+      ['I woke up at 7 today', false],
+    ];
+    for (const [text, expected] of cases) {
+      expect(await callApp(page, 'isPureQuestion', text, today), text).toBe(expected);
+    }
+  });
+
+  test('a log with a question attached is logged, not looked up', async ({ page }) => {
+    await page.goto('/');
+    await page.getByText('AI Assistant').click();
+
+    await page.getByPlaceholder('Tell me about your day, goals, or challenges...').fill('I had oatmeal for breakfast at 8, what do you think?');
+    await page.getByRole('button', { name: 'Send' }).click();
+    await expect(page.getByText('Proposed changes')).toBeVisible();
+    await expect(page.getByText('Based on')).toHaveCount(0);
+  });
+
+  test('an endpoint that rejects tools is asked again without them', async ({ page }) => {
+    const requests = [];
+    await page.route('http://plain.test/v1/chat/completions', (route) => {
+      const body = route.request().postDataJSON();
+      requests.push(body);
+      if (body.tools || body.response_format) return route.fulfill({ status: 400, json: { error: { message: 'Unrecognized request argument supplied: tools' } } });
+      return route.fulfill({
+        json: { choices: [{ message: { content: JSON.stringify({ reply: 'Plain and simple.', extractedData: { tasks: [], habits: {}, mood: 'neutral', insights: [], paraCategory: null, scheduledItems: [] } }) } }] },
+      });
+    });
+    await page.goto('/');
+    await page.getByText('AI Assistant').click();
+    await page.getByLabel('Model', { exact: true }).fill('plain-model');
+    await page.getByLabel('Base URL').fill('http://plain.test/v1');
+    await page.getByLabel('Base URL').press('Enter');
+
+    const chatInput = page.getByPlaceholder('Tell me about your day, goals, or challenges...');
+    await chatInput.fill('Planning my week');
+    await page.getByRole('button', { name: 'Send' }).click();
+    await expect(page.getByText('Plain and simple.')).toBeVisible();
+    await expect(page.getByText(/Model unavailable/)).toHaveCount(0);
+
+    // The endpoint is remembered, so the next message goes out plain straight away
+    await chatInput.fill('Thinking about lunch');
+    await page.getByRole('button', { name: 'Send' }).click();
+    await expect(page.getByText('Plain and simple.')).toHaveCount(2);
+    expect(requests.map((body) => Boolean(body.tools))).toEqual([true, false, false]);
+  });
+
+  test('a question asking for help reaches the model, not the history', async ({ page }) => {
+    const asked = [];
+    await page.route('http://model.test/v1/chat/completions', (route) => {
+      asked.push(route.request().postDataJSON().messages.at(-1).content);
+      return route.fulfill({
+        json: { choices: [{ message: { content: JSON.stringify({ reply: 'Try a fixed bedtime.', extractedData: { tasks: [], habits: {}, mood: 'neutral', insights: [], paraCategory: null, scheduledItems: [] } }) } }] },
+      });
+    });
+    await page.goto('/');
+    await page.getByText('AI Assistant').click();
+    await page.getByLabel('Model', { exact: true }).fill('mock-model');
+    await page.getByLabel('Base URL').fill('http://model.test/v1');
+    await page.getByLabel('Base URL').press('Enter');
+
+    await page.getByPlaceholder('Tell me about your day, goals, or challenges...').fill('How do I improve my sleep?');
+    await page.getByRole('button', { name: 'Send' }).click();
+    await expect(page.getByText('Try a fixed bedtime.')).toBeVisible();
+    await expect(page.getByText('Based on')).toHaveCount(0);
+    expect(asked).toEqual(['How do I improve my sleep?']);
+  });
+
+  test('a queued message is sent with the exchange it waited for', async ({ page }) => {
+    const requests = [];
+    await page.route('http://model.test/v1/chat/completions', async (route) => {
+      const body = route.request().postDataJSON();
+      requests.push(body.messages.filter((m) => m.role !== 'system').map((m) => m.content));
+      if (requests.length === 1) await new Promise((resolve) => setTimeout(resolve, 1000));
+      return route.fulfill({
+        json: { choices: [{ message: { content: JSON.stringify({ reply: `Reply ${requests.length}`, extractedData: { tasks: [], habits: {}, mood: 'neutral', insights: [], paraCategory: null, scheduledItems: [] } }) } }] },
+      });
+    });
+    await page.goto('/');
+    await page.getByText('AI Assistant').click();
+    await page.getByLabel('Model', { exact: true }).fill('mock-model');
+    await page.getByLabel('Base URL').fill('http://model.test/v1');
+    await page.getByLabel('Base URL').press('Enter');
+
+    const chatInput = page.getByPlaceholder('Tell me about your day, goals, or challenges...');
+    await chatInput.fill('Planning my week');
+    await page.getByRole('button', { name: 'Send' }).click();
+    await chatInput.fill('And the weekend?');
+    await chatInput.press('Enter');
+    await expect(page.getByText('Reply 2')).toBeVisible();
+    expect(requests[1]).toEqual(['Planning my week', 'Reply 1', 'And the weekend?']);
+  });
 });
@@ -0,0 +1,23 @@
+import { defineConfig } from "vite";
+import { buildCalendar } from "./src/calendar.js";
+
+// Publishes the routine, goal times and cheat days as a subscribable calendar feed:
+// /flowstate.ics from the dev server and dist/flowstate.ics in builds.
+function routineCalendarFeed() {
+  return {
+    name: "flowstate-routine-calendar",
+    configureServer(server) {
+      server.middlewares.use("/flowstate.ics", (_req, res) => {
+        res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+        res.end(buildCalendar());
+      });
+    },
+    generateBundle() {
+      this.emitFile({ type: "asset", fileName: "flowstate.ics", source: buildCalendar() });
+    },
+  };
+}
+
+export default defineConfig({
+  plugins: [routineCalendarFeed()],
+});